@@ -66,6 +66,24 @@ function normalizeMessage(m) {
 	return sha256Hex(salt + '|' + canonical);
   }
   
+  /**
+   * Short synchronous fingerprint of one message (used to key annotations when there is no msgId).
+   * Not cryptographic: 64 bits of a cyrb53-style mix over the normalized type + content.
+   */
+  function fingerprintMessage(m) {
+	const { type, content } = normalizeMessage(m);
+	const text = type + '\n' + content;
+	let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+	for (let i = 0; i < text.length; i++) {
+	  const ch = text.charCodeAt(i);
+	  h1 = Math.imul(h1 ^ ch, 2654435761);
+	  h2 = Math.imul(h2 ^ ch, 1597334677);
+	}
+	h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+	h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+	return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
+  }
+  
   // --- Node.js variant (if you need sync hashing) ---
   /*
   const crypto = require('crypto');
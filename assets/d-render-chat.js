@@ -1,11 +1,14 @@
 let currentChatId = null;
-let turns = [];
-let scrollObserver = null; // For tracking which turn is in view
+let turns = []; // Turns on the currently selected branch path
+let mainTurns = []; // Turns parsed from the chat HTML (the main branch path)
+let collapsedTurns = new Set(); // Indexes of collapsed chat turns (kept while turns are unmounted)
 let hoverPreviewTimeout = null; // For hover preview delay
 let typingInterval = null; // For typing animation
 let appConfig = null; // Application configuration
 let turnPositionIndicator = null; // For turn position indicator toast
 let turnPositionTimeout = null; // For turn position indicator delay
+let currentChatParserId = null; // Source parser used for the loaded chat (see f-chat-parsers.js)
+const turnFingerprints = new WeakMap(); // Turn → content fingerprint for annotation keys (see getTurnKey)
 
 /**
  * Load application configuration from config.json
@@ -43,57 +46,117 @@ async function loadConfig() {
  * Parse pasted HTML and extract conversation turns
  */
 function collectTurns(htmlString) {
+  return parseChatInput(htmlString).turns;
+}
+
+/**
+ * Get the plain text of a message node, keeping line breaks between blocks
+ * Math matching mathSelector reads as its TeX source (w-math.js); by default only math we rendered,
+ * since KaTeX text is part of stored chats' hashes
+ */
+function getMessageText(el, mathSelector = '.math-tex') {
+  // Clone the element to manipulate it
+  const clone = el.cloneNode(true);
+
+  // Our own code block buttons and labels (HTML rendered here and pasted or exported back in)
+  clone.querySelectorAll(CODE_BLOCK_CHROME_SELECTOR).forEach(chrome => chrome.remove());
+
+  // Set math aside behind placeholders so the cleanup below leaves its backslashes (\nabla) alone
+  const mathSources = [];
+  findMathElements(clone, mathSelector).forEach(math => {
+    const source = getMathSource(math);
+    if (source) {
+      math.replaceWith(`\uE000${mathSources.length}\uE000`);
+      mathSources.push(formatMathSource(source));
+    }
+  });
+  
+  // Convert <br> tags to newlines
+  clone.querySelectorAll('br').forEach(br => {
+    br.replaceWith('\n');
+  });
+  
+  // Convert block elements to newlines (p, div, etc.)
+  clone.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, li').forEach(block => {
+    if (block.nextSibling) {
+      block.after('\n');
+    }
+  });
+  
+  // Get text content and normalize whitespace while preserving line breaks
+  let content = (clone.textContent || '');
+  // Convert literal \n strings to actual newlines
+  content = content.replace(/\\n/g, '\n');
+  // Replace multiple spaces/tabs with single space, but keep newlines
+  content = content.replace(/[^\S\n]+/g, ' ');
+  content = content.replace(/\uE000(\d+)\uE000/g, (match, index) => mathSources[index]).trim();
+  // Remove excessive blank lines (more than 2 consecutive newlines)
+  return content.replace(/\n{3,}/g, '\n\n');
+}
+
+/**
+ * Parse pasted HTML with the matching source parser (see f-chat-parsers.js)
+ * Returns { parser, turns } so callers can record which parser was used
+ * Stored chats are normalized (s-chat-html.js) and name the parser that read the original
+ */
+function parseChatInput(htmlString, parserId) {
   const parser = new DOMParser();
   const doc = parser.parseFromString(htmlString, 'text/html');
-  const nodes = doc.querySelectorAll('[data-message-author-role]');
+  const normalized = readNormalizedChat(doc);
+  const chatParser = normalized ? normalized.parser : (parserId && getChatParser(parserId)) || detectChatParser(doc, htmlString);
+  const messages = normalized ? normalized.messages : chatParser.findMessages(doc, htmlString);
   
   const collectedTurns = [];
   
-  nodes.forEach(function (el, idx) {
-    const role = (el.getAttribute('data-message-author-role') || '').trim();
-    const msgId = (el.getAttribute('data-message-id') || ('idx-' + idx)).trim();
-    
-    // Clone the element to manipulate it
-    const clone = el.cloneNode(true);
-    
-    // Convert <br> tags to newlines
-    clone.querySelectorAll('br').forEach(br => {
-      br.replaceWith('\n');
-    });
+  messages.forEach(function ({ el, role, msgId, variants }, idx) {
+    role = (role || '').trim();
+    msgId = (msgId || ('idx-' + idx)).trim();
     
-    // Convert block elements to newlines (p, div, etc.)
-    clone.querySelectorAll('p, div, h1, h2, h3, h4, h5, h6, li').forEach(block => {
-      if (block.nextSibling) {
-        block.after('\n');
-      }
-    });
-    
-    // Get text content and normalize whitespace while preserving line breaks
-    let content = (clone.textContent || '');
-    // Convert literal \n strings to actual newlines
-    content = content.replace(/\\n/g, '\n');
-    // Replace multiple spaces/tabs with single space, but keep newlines
-    content = content.replace(/[^\S\n]+/g, ' ').trim();
-    // Remove excessive blank lines (more than 2 consecutive newlines)
-    content = content.replace(/\n{3,}/g, '\n\n');
+    let content = getMessageText(el);
+
+    // Images, file chips and canvas artifacts don't survive as text, so list them separately
+    const attachments = extractTurnAttachments(el);
+    if (!content && attachments.length > 0) {
+      content = describeAttachments(attachments);
+    }
+
+    // Reasoning, tool calls and citations are kept apart from the answer (content stays whole for hashChat)
+    const answerNode = el.cloneNode(true);
+    const metadata = extractTurnMetadata(answerNode);
+    // KaTeX reads as garbled glyphs in content; the answer text gets its TeX source instead
+    const hasMath = findMathElements(answerNode).length > 0;
+    // Diagram code blocks become ``` fences, so previews can draw them (x-diagrams.js)
+    const hasDiagrams = replaceDiagramBlocksWithFences(answerNode) > 0;
 
     if (role && content) {
-      collectedTurns.push({
+      const turn = {
         msgId: msgId,
         type: role,
         content: content,
-        rawHtml: el.innerHTML // Store raw HTML for code block detection
-      });
+        rawHtml: el.innerHTML, // Store raw HTML for code block detection
+        attachments: attachments,
+        ...metadata
+      };
+      // Other versions of the message ("< 2/3 >") that pasted HTML doesn't hold (g-branches.js)
+      const variantInfo = parseVariantCounter(variants);
+      if (variantInfo) {
+        turn.variants = variantInfo;
+      }
+      if (hasTurnMetadata(metadata) || hasMath || hasDiagrams) {
+        turn.answer = getMessageText(answerNode, MATH_SOURCE_SELECTOR) || describeTurnMetadata(metadata) || describeAttachments(attachments);
+      }
+      collectedTurns.push(turn);
     }
   });
 
-  return collectedTurns;
+  return { parser: chatParser, turns: collectedTurns };
 }
 
 /**
  * Main function to load and display chat
+ * chatId: open the input under this existing chat ID (?open= / ?shared=) instead of resolving one
  */
-async function loadChat() {
+async function loadChat(chatId = null) {
   let input = document.getElementById('htmlInput').value.trim();
   
   // If input is enclosed in single quotes or double quotes, remove them
@@ -105,34 +168,61 @@ async function loadChat() {
   }
 
   try {
-    // Parse the HTML
-    turns = collectTurns(input);
+    // Parse the HTML with whichever source parser matches it
+    let parsed = parseChatInput(input);
+    turns = parsed.turns;
+    mainTurns = parsed.turns;
 
     if (turns.length === 0) {
-      alert('No messages found in the HTML. Make sure you copied the correct HTML from ChatGPT.');
+      alert('No messages found. Make sure you copied the correct HTML from ChatGPT, Claude, Gemini or Copilot, or a transcript with speaker markers like "You said:" / "ChatGPT said:" or "User:" / "Assistant:".');
       return;
     }
 
-    console.log('Parsed turns:', turns);
+    currentChatParserId = parsed.parser.id;
+    console.log(`Parsed turns (${parsed.parser.label}):`, turns);
 
-    // Generate unique hash for this chat
-    currentChatId = await hashChat(turns);
+    // Generate unique hash for this chat (or reuse the chat it continues)
+    currentChatId = chatId || await resolveChatId(turns);
     console.log('Chat ID:', currentChatId);
+
+    // An earlier paste of a chat that had turns merged into it since opens the stored, longer chat
+    const grownHtml = chatId ? null : await readGrownStoredChat(currentChatId, turns);
+    if (grownHtml !== null) {
+      input = grownHtml;
+      document.getElementById('htmlInput').value = input;
+      parsed = parseChatInput(input);
+      turns = parsed.turns;
+      mainTurns = parsed.turns;
+      currentChatParserId = parsed.parser.id;
+    }
     
     // Update URL to ?open={chatId}
     const newUrl = `${window.location.pathname}?open=${currentChatId}`;
     window.history.pushState({}, '', newUrl);
     
-    // Save the chat HTML to localStorage for this chat
-    const chatHtmlKey = `ChatWorkspace_${currentChatId}_html`;
-    localStorage.setItem(chatHtmlKey, input);
+    // Save the chat HTML for this chat (normalized and compressed), unless it's the stored one
+    if (grownHtml === null) {
+      saveChatHtml(currentChatId, input);
+    }
 
-    // Load any saved settings for this chat
+    // Load any saved settings for this chat and record which parser read it
     loadChatSettings(currentChatId);
+    saveChatSettings({ parser: currentChatParserId });
+    updateChatSourceLabel(parsed.parser);
+
+    // Annotations saved before they were keyed by message are re-keyed once
+    migrateChatAnnotations(currentChatId, mainTurns);
+
+    // Follow any saved branch selection (regenerated responses / edited prompts)
+    turns = buildBranchPath(mainTurns, loadBranchData());
 
     // Render the chat
+    hideLibrary();
     renderChat(turns);
     renderOutline(turns);
+
+    // Keep local copies of images/files in the background (source URLs expire)
+    cacheChatAttachments(currentChatId, [...mainTurns, ...loadBranchData().nodes]);
     
     // Enable share button
     const shareBtn = document.getElementById('shareBtn');
@@ -149,229 +239,236 @@ async function loadChat() {
 }
 
 /**
- * Render the chat messages
+ * Render the chat messages (long chats mount only the turns near the viewport, y-windowed-turns.js)
  */
 function renderChat(turns) {
   const chatContent = document.getElementById('chatContent');
+  if (chatTurnList) {
+    chatTurnList.destroy();
+  }
   chatContent.innerHTML = '';
+  collapsedTurns = new Set();
+  scrollHighlightedIndex = -1;
+  const attachmentData = loadAttachmentData();
+
+  // Scrolling updates the outline highlight (trackVisibleTurn)
+  chatTurnList = createWindowedList(chatContent, {
+    count: turns.length,
+    scrollRoot: chatContent,
+    estimateHeight: index => estimateChatTurnHeight(turns[index]),
+    renderItem: index => createChatTurnElement(turns[index], index, attachmentData),
+    onUpdate: trackVisibleTurn
+  });
+  refreshChatSearch();
+}
 
-  turns.forEach((turn, index) => {
-    const turnDiv = document.createElement('div');
-    turnDiv.className = `chat-turn ${turn.type}`;
-    turnDiv.id = `turn-${index}`;
-    // Set z-index so later bubbles appear above earlier ones (for sticky buttons)
-    turnDiv.style.zIndex = index + 1;
-
-    // Collapse toggle button
-    const collapseBtn = document.createElement('button');
-    collapseBtn.className = 'collapse-toggle';
-    collapseBtn.innerHTML = '⋮⋮';
-    collapseBtn.title = 'Collapse';
-    collapseBtn.setAttribute('data-turn-index', index);
-    collapseBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      toggleChatTurnCollapse(index);
-    });
+/**
+ * Build the element of one chat turn
+ */
+function createChatTurnElement(turn, index, attachmentData) {
+  const turnDiv = document.createElement('div');
+  turnDiv.className = `chat-turn ${turn.type}`;
+  turnDiv.id = `turn-${index}`;
+  // Set z-index so later bubbles appear above earlier ones (for sticky buttons)
+  turnDiv.style.zIndex = index + 1;
+
+  // Collapse toggle button
+  const collapseBtn = document.createElement('button');
+  collapseBtn.className = 'collapse-toggle';
+  collapseBtn.innerHTML = '⋮⋮';
+  collapseBtn.title = 'Collapse';
+  collapseBtn.setAttribute('data-turn-index', index);
+  collapseBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleChatTurnCollapse(index);
+  });
 
-    // Copy button
-    const copyBtn = document.createElement('button');
-    copyBtn.className = 'copy-turn-btn';
-    copyBtn.innerHTML = '📋';
-    copyBtn.title = 'Copy text';
-    copyBtn.setAttribute('data-turn-index', index);
-    copyBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      copyChatTurnText(index, turn);
-    });
+  // Copy button
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'copy-turn-btn';
+  copyBtn.innerHTML = '📋';
+  copyBtn.title = 'Copy text';
+  copyBtn.setAttribute('data-turn-index', index);
+  copyBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    copyChatTurnText(index, turn);
+  });
 
-    // Scroll to outline button
-    const scrollToOutlineBtn = document.createElement('button');
-    scrollToOutlineBtn.className = 'scroll-to-outline-btn';
-    scrollToOutlineBtn.innerHTML = '⬇';
-    scrollToOutlineBtn.title = 'Scroll to outline';
-    scrollToOutlineBtn.setAttribute('data-turn-index', index);
-    scrollToOutlineBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      scrollToOutlineItem(index);
-    });
+  // Scroll to outline button
+  const scrollToOutlineBtn = document.createElement('button');
+  scrollToOutlineBtn.className = 'scroll-to-outline-btn';
+  scrollToOutlineBtn.innerHTML = '⬇';
+  scrollToOutlineBtn.title = 'Scroll to outline';
+  scrollToOutlineBtn.setAttribute('data-turn-index', index);
+  scrollToOutlineBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    scrollToOutlineItem(index);
+  });
 
-    const label = document.createElement('div');
-    label.className = 'turn-label';
-    label.textContent = turn.type === 'user' ? '👤 User' : '🤖 Assistant';
+  // Compare button (za-compare.js)
+  const compareBtn = document.createElement('button');
+  compareBtn.className = 'compare-turn-btn';
+  compareBtn.innerHTML = '⇄';
+  compareBtn.title = 'Compare with another turn';
+  compareBtn.setAttribute('data-turn-index', index);
+  compareBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    compareTurns(index);
+  });
 
-    const content = document.createElement('div');
-    content.className = 'turn-content';
-    
-    // Try to extract and use ChatGPT's formatted HTML if available
-    const formattedHTML = extractFormattedContent(turn.rawHtml);
-    if (formattedHTML) {
-      content.innerHTML = formattedHTML;
-    } else {
-      // Fallback to markdown parsing for plain text
-      content.innerHTML = formatContentWithCode(turn.content, turn.rawHtml);
-    }
+  const label = document.createElement('div');
+  label.className = 'turn-label';
+  label.textContent = turn.type === 'user' ? '👤 User' : '🤖 Assistant';
+  if (!isMainPathTurn(index)) {
+    const branchBadge = document.createElement('span');
+    branchBadge.className = 'turn-branch-badge';
+    branchBadge.innerHTML = '<i class="fa-solid fa-code-branch"></i> alternate';
+    branchBadge.title = 'This turn is on an alternate branch';
+    label.appendChild(branchBadge);
+  }
 
-    turnDiv.appendChild(collapseBtn);
-    turnDiv.appendChild(copyBtn);
-    turnDiv.appendChild(scrollToOutlineBtn);
-    turnDiv.appendChild(label);
-    turnDiv.appendChild(content);
-    
-    // Add hover event for turn position indicator
-    turnDiv.addEventListener('mouseenter', () => {
-      showTurnPositionIndicator(index, turn.type, 'chat');
-    });
-    turnDiv.addEventListener('mouseleave', () => {
-      hideTurnPositionIndicator();
-    });
-    
-    chatContent.appendChild(turnDiv);
-  });
+  const content = document.createElement('div');
+  content.className = 'turn-content';
   
-  // Set up scroll tracking to highlight outline items
-  setupScrollTracking();
-}
+  // Try to extract and use ChatGPT's formatted HTML if available
+  const formattedHTML = extractFormattedContent(turn.rawHtml);
+  if (formattedHTML) {
+    content.innerHTML = formattedHTML;
+    // KaTeX from the source HTML, redrawn from its TeX (w-math.js); diagram code blocks drawn (x-diagrams.js)
+    renderMathInElement(content);
+    renderDiagramsInElement(content);
+  } else {
+    // Fallback to markdown parsing for plain text
+    content.innerHTML = formatContentWithCode(getTurnAnswerText(turn));
+  }
 
-/**
- * Set up IntersectionObserver to track which chat turn is in view
- * and highlight the corresponding outline item
- */
-function setupScrollTracking() {
-  // Clean up existing observer if any
-  if (scrollObserver) {
-    scrollObserver.disconnect();
+  // Uploaded/generated images, file chips and canvas artifacts
+  const attachments = getTurnAttachments(turn, attachmentData);
+  const attachmentsEl = createAttachmentsElement(attachments, resolveAttachmentImages(content, attachments));
+  if (attachmentsEl) {
+    content.appendChild(attachmentsEl);
+  }
+
+  turnDiv.appendChild(collapseBtn);
+  turnDiv.appendChild(copyBtn);
+  turnDiv.appendChild(scrollToOutlineBtn);
+  turnDiv.appendChild(compareBtn);
+  turnDiv.appendChild(label);
+
+  // Reasoning and tool calls above the answer, cited sources below it
+  const processEl = createTurnProcessElement(turn);
+  if (processEl) {
+    turnDiv.appendChild(processEl);
+  }
+  turnDiv.appendChild(content);
+  const citationsEl = createTurnCitationsElement(turn);
+  if (citationsEl) {
+    turnDiv.appendChild(citationsEl);
   }
   
-  const chatContent = document.getElementById('chatContent');
-  if (!chatContent) return;
-  
-  // Map to track which turns are currently visible
-  const visibleTurns = new Map();
-  
-  // Create intersection observer
-  scrollObserver = new IntersectionObserver((entries) => {
-    // Update visibility map
-    entries.forEach(entry => {
-      const turnIndex = parseInt(entry.target.id.replace('turn-', ''));
-      if (entry.isIntersecting) {
-        visibleTurns.set(turnIndex, entry.intersectionRatio);
-      } else {
-        visibleTurns.delete(turnIndex);
-      }
-    });
-    
-    // Find the most visible turn (highest intersection ratio)
-    let mostVisibleTurn = -1;
-    let highestRatio = 0;
-    
-    visibleTurns.forEach((ratio, turnIndex) => {
-      if (ratio > highestRatio) {
-        highestRatio = ratio;
-        mostVisibleTurn = turnIndex;
-      }
-    });
-    
-    // Update outline highlighting
-    updateOutlineHighlight(mostVisibleTurn);
-  }, {
-    root: chatContent,
-    threshold: [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0],
-    rootMargin: '-10% 0px -10% 0px' // Focus on center of viewport
+  // Add hover event for turn position indicator
+  turnDiv.addEventListener('mouseenter', () => {
+    showTurnPositionIndicator(index, turn.type, 'chat');
   });
-  
-  // Observe all chat turns
-  const turnElements = chatContent.querySelectorAll('.chat-turn');
-  turnElements.forEach(turn => {
-    scrollObserver.observe(turn);
+  turnDiv.addEventListener('mouseleave', () => {
+    hideTurnPositionIndicator();
   });
+
+  // State that outlives unmounting: collapsed, and the search query marked
+  if (collapsedTurns.has(index)) {
+    turnDiv.classList.add('collapsed');
+    collapseBtn.title = 'Expand';
+  }
+  highlightChatSearchMatches(turnDiv);
+  
+  return turnDiv;
 }
 
 /**
  * Update outline highlighting based on the currently visible turn
+ * (items mounted later pick it up from scrollHighlightedIndex)
  */
 function updateOutlineHighlight(turnIndex) {
-  const outlineItems = document.querySelectorAll('.outline-item');
-  
+  scrollHighlightedIndex = turnIndex;
+
   // Remove existing scroll-based highlight from all items
-  outlineItems.forEach(item => {
+  document.querySelectorAll('.outline-item.scroll-highlighted').forEach(item => {
     item.classList.remove('scroll-highlighted');
   });
   
-  // Add highlight to the current turn's outline item (if valid)
-  if (turnIndex >= 0 && turnIndex < outlineItems.length) {
-    // Don't override the preview highlighting
-    const outlineItem = outlineItems[turnIndex];
-    if (!outlineItem.classList.contains('previewing')) {
-      outlineItem.classList.add('scroll-highlighted');
-    }
+  // Add highlight to the current turn's outline item (if mounted)
+  const outlineItem = document.getElementById(`outline-turn-${turnIndex}`);
+  // Don't override the preview highlighting
+  if (outlineItem && !outlineItem.classList.contains('previewing')) {
+    outlineItem.classList.add('scroll-highlighted');
   }
 }
 
 /**
- * Extract formatted HTML content from ChatGPT's message structure
+ * Extract formatted HTML content from a message's raw HTML using the source parser
  */
-function extractFormattedContent(rawHtml) {
+function extractFormattedContent(rawHtml, parserId = currentChatParserId) {
   if (!rawHtml) return null;
   
   try {
     const parser = new DOMParser();
     const doc = parser.parseFromString(rawHtml, 'text/html');
+    const chatParser = getChatParser(parserId) || getChatParser('chatgpt');
+
+    // Reasoning and tool calls are shown in their own sections; citations become [n] links
+    extractTurnMetadata(doc.body);
     
-    // Look for ChatGPT's markdown container
-    let markdownDiv = doc.querySelector('.markdown');
-    if (markdownDiv) {
-      // Clone to avoid modifying original
-      const clone = markdownDiv.cloneNode(true);
-      
-      // Process ALL text nodes to remove literal \n characters
-      const walker = document.createTreeWalker(
-        clone,
-        NodeFilter.SHOW_TEXT,
-        null,
-        false
-      );
-      
-      const textNodes = [];
-      let node;
-      while (node = walker.nextNode()) {
-        textNodes.push(node);
-      }
-      
-      textNodes.forEach(textNode => {
-        // For code blocks: convert literal \n to actual newlines
-        const isInCodeBlock = textNode.parentElement && textNode.parentElement.closest('code');
-        if (isInCodeBlock) {
-          if (textNode.textContent.includes('\\n')) {
-            textNode.textContent = textNode.textContent.replace(/\\n/g, '\n');
-          }
-        } else {
-          // For non-code blocks: remove literal \n completely
-          if (textNode.textContent.includes('\\n')) {
-            textNode.textContent = textNode.textContent.replace(/\\n/g, '');
-          }
-        }
-      });
-      
-      let html = clone.innerHTML;
-      return html;
-    }
-    
-    // Look for whitespace-pre-wrap div (user messages)
-    let preWrapDiv = doc.querySelector('.whitespace-pre-wrap');
-    if (preWrapDiv) {
-      // Escape HTML and convert newlines to br
-      const text = preWrapDiv.textContent;
-      return escapeAndFormat(text);
-    }
-    
-    // If no special structure found, return null to use fallback
-    return null;
+    // If no special structure found, the parser returns null to use fallback
+    return chatParser.extractFormatted(doc);
   } catch (e) {
     console.warn('Failed to extract formatted content:', e);
     return null;
   }
 }
 
+/**
+ * Clean a formatted content node and return its HTML
+ * Literal \n characters become newlines in code blocks and are removed elsewhere
+ */
+function cleanFormattedNode(element) {
+  // Clone to avoid modifying original
+  const clone = element.cloneNode(true);
+  
+  // Process ALL text nodes to remove literal \n characters
+  const walker = document.createTreeWalker(
+    clone,
+    NodeFilter.SHOW_TEXT,
+    null,
+    false
+  );
+  
+  const textNodes = [];
+  let node;
+  while (node = walker.nextNode()) {
+    textNodes.push(node);
+  }
+  
+  textNodes.forEach(textNode => {
+    // TeX sources (w-math.js) keep their backslashes: \nabla, \neq
+    if (textNode.parentElement && textNode.parentElement.closest('annotation')) return;
+
+    // For code blocks: convert literal \n to actual newlines
+    const isInCodeBlock = textNode.parentElement && textNode.parentElement.closest('code');
+    if (isInCodeBlock) {
+      if (textNode.textContent.includes('\\n')) {
+        textNode.textContent = textNode.textContent.replace(/\\n/g, '\n');
+      }
+    } else {
+      // For non-code blocks: remove literal \n completely
+      if (textNode.textContent.includes('\\n')) {
+        textNode.textContent = textNode.textContent.replace(/\\n/g, '');
+      }
+    }
+  });
+  
+  return clone.innerHTML;
+}
+
 /**
  * Escape HTML and format text
  */
@@ -387,178 +484,12 @@ function escapeAndFormat(text) {
 }
 
 /**
- * Format content with proper markdown styling (like ChatGPT)
+ * Format plain-text / Markdown content like ChatGPT's rendered markdown (u-markdown.js)
  */
-function formatContentWithCode(text, rawHtml) {
-  // Escape HTML to prevent injection
-  const escapeHtml = (str) => {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
-  };
-  
-  // Detect markdown-style code blocks (```language\ncode\n```)
-  let formatted = escapeHtml(text);
-  
-  // Counter for unique IDs
-  let codeBlockCounter = 0;
-  
-  // Handle triple-backtick code blocks FIRST (before processing other markdown)
-  formatted = formatted.replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-    const language = lang || 'text';
-    const blockId = `code-block-${Date.now()}-${codeBlockCounter++}`;
-    const escapedCode = code.trim();
-    return `<<<CODE_BLOCK:${blockId}:${language}:${btoa(escapedCode)}>>>`;
-  });
-  
-  // Handle inline code with single backticks (protect from other markdown processing)
-  const inlineCodeBlocks = [];
-  formatted = formatted.replace(/`([^`\n]+)`/g, (match, code) => {
-    const id = inlineCodeBlocks.length;
-    inlineCodeBlocks.push(code);
-    return `<<<INLINE_CODE:${id}>>>`;
-  });
-  
-  // Split into paragraphs (double newlines create paragraph breaks)
-  const paragraphs = formatted.split(/\n\n+/);
-  
-  formatted = paragraphs.map(paragraph => {
-    // Skip if it's a code block placeholder
-    if (paragraph.includes('<<<CODE_BLOCK:')) {
-      return paragraph;
-    }
-    
-    let lines = paragraph.split('\n');
-    let processedLines = [];
-    let inList = false;
-    let listItems = [];
-    let listType = null; // 'ul' or 'ol'
-    
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i];
-      
-      // Handle headers (# ## ### etc)
-      if (/^(#{1,6})\s+(.+)$/.test(line)) {
-        if (inList) {
-          processedLines.push(listType === 'ol' ? `<ol>${listItems.join('')}</ol>` : `<ul>${listItems.join('')}</ul>`);
-          listItems = [];
-          inList = false;
-        }
-        line = line.replace(/^(#{1,6})\s+(.+)$/, (match, hashes, content) => {
-          const level = hashes.length;
-          return `<h${level} class="md-h${level}">${content}</h${level}>`;
-        });
-        processedLines.push(line);
-        continue;
-      }
-      
-      // Handle blockquotes (> text)
-      if (/^>\s+(.+)$/.test(line)) {
-        if (inList) {
-          processedLines.push(listType === 'ol' ? `<ol>${listItems.join('')}</ol>` : `<ul>${listItems.join('')}</ul>`);
-          listItems = [];
-          inList = false;
-        }
-        line = line.replace(/^>\s+(.+)$/, '<blockquote class="md-blockquote">$1</blockquote>');
-        processedLines.push(line);
-        continue;
-      }
-      
-      // Handle unordered lists (- or * at start)
-      if (/^[\-\*]\s+(.+)$/.test(line)) {
-        const content = line.replace(/^[\-\*]\s+(.+)$/, '$1');
-        if (!inList || listType !== 'ul') {
-          if (inList) {
-            processedLines.push(`<ol>${listItems.join('')}</ol>`);
-            listItems = [];
-          }
-          inList = true;
-          listType = 'ul';
-        }
-        listItems.push(`<li>${content}</li>`);
-        continue;
-      }
-      
-      // Handle ordered lists (1. 2. etc)
-      if (/^\d+\.\s+(.+)$/.test(line)) {
-        const content = line.replace(/^\d+\.\s+(.+)$/, '$1');
-        if (!inList || listType !== 'ol') {
-          if (inList) {
-            processedLines.push(`<ul>${listItems.join('')}</ul>`);
-            listItems = [];
-          }
-          inList = true;
-          listType = 'ol';
-        }
-        listItems.push(`<li>${content}</li>`);
-        continue;
-      }
-      
-      // Handle horizontal rules (--- or ***)
-      if (/^[\-\*]{3,}$/.test(line.trim())) {
-        if (inList) {
-          processedLines.push(listType === 'ol' ? `<ol>${listItems.join('')}</ol>` : `<ul>${listItems.join('')}</ul>`);
-          listItems = [];
-          inList = false;
-        }
-        processedLines.push('<hr class="md-hr">');
-        continue;
-      }
-      
-      // Close any open list if we hit a regular line
-      if (inList && line.trim() !== '') {
-        processedLines.push(listType === 'ol' ? `<ol>${listItems.join('')}</ol>` : `<ul>${listItems.join('')}</ul>`);
-        listItems = [];
-        inList = false;
-      }
-      
-      // Regular line
-      if (line.trim() !== '') {
-        processedLines.push(line);
-      }
-    }
-    
-    // Close any remaining open list
-    if (inList) {
-      processedLines.push(listType === 'ol' ? `<ol>${listItems.join('')}</ol>` : `<ul>${listItems.join('')}</ul>`);
-    }
-    
-    return processedLines.join('<br>');
-  }).join('</p><p>');
-  
-  // Wrap in paragraph tags
-  formatted = `<p>${formatted}</p>`;
-  
-  // Handle bold text (**text** or __text__)
-  formatted = formatted.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-  formatted = formatted.replace(/__(.+?)__/g, '<strong>$1</strong>');
-  
-  // Handle italic text (*text* or _text_) - be careful not to match * in lists
-  formatted = formatted.replace(/(?<!\*)\*(?!\*)([^\*\n]+?)\*(?!\*)/g, '<em>$1</em>');
-  formatted = formatted.replace(/(?<!_)_(?!_)([^_\n]+?)_(?!_)/g, '<em>$1</em>');
-  
-  // Restore inline code blocks
-  formatted = formatted.replace(/<<<INLINE_CODE:(\d+)>>>/g, (match, id) => {
-    return `<code class="inline-code">${inlineCodeBlocks[parseInt(id)]}</code>`;
-  });
-  
-  // Restore code blocks
-  formatted = formatted.replace(/<<<CODE_BLOCK:([^:]+):([^:]+):([^>]+)>>>/g, (match, blockId, language, encodedCode) => {
-    const code = atob(encodedCode);
-    return `<div class="code-block-wrapper">
-      <div class="code-block-header">
-        <span class="code-language">${language}</span>
-        <button class="copy-code-btn" onclick="copyCode('${blockId}')" title="Copy code">📋 Copy</button>
-      </div>
-      <pre class="code-block"><code id="${blockId}" class="language-${language}">${code}</code></pre>
-    </div>`;
-  });
-  
-  // Clean up empty paragraphs
-  formatted = formatted.replace(/<p>\s*<\/p>/g, '');
-  formatted = formatted.replace(/<p>(<br>)+<\/p>/g, '');
-  
-  return formatted;
+function formatContentWithCode(text) {
+  const container = document.createElement('div');
+  container.appendChild(renderMarkdown(text));
+  return container.innerHTML;
 }
 
 /**
@@ -575,7 +506,7 @@ function copyCode(blockId) {
     const btn = wrapper.querySelector('.copy-code-btn');
     const originalText = btn.textContent;
     btn.textContent = '✅ Copied!';
-    btn.style.background = '#10b981';
+    btn.style.background = 'var(--color-success)';
     
     setTimeout(() => {
       btn.textContent = originalText;
@@ -586,11 +517,27 @@ function copyCode(blockId) {
   });
 }
 
+// Copy buttons of rendered markdown code blocks have no inline handler
+document.addEventListener('click', (e) => {
+  const btn = e.target.closest && e.target.closest('.code-block-wrapper .copy-code-btn');
+  if (!btn || btn.hasAttribute('onclick')) return;
+  const code = btn.closest('.code-block-wrapper').querySelector('code[id]');
+  if (code) {
+    copyCode(code.id);
+  }
+});
+
 /**
  * Render the outline panel with clickable navigation
+ * Pair groups are windowed like chat turns; a re-render keeps the measured heights, so the page doesn't jump
  */
 function renderOutline(turns) {
   const outlineContent = document.getElementById('outlineContent');
+  const previousList = outlineGroupList;
+  const previousGroupCount = outlineGroups.length;
+  if (previousList) {
+    previousList.destroy();
+  }
   outlineContent.innerHTML = '';
 
   // Show or hide reset controls based on whether there are turns
@@ -602,222 +549,247 @@ function renderOutline(turns) {
       resetControls.classList.remove('visible');
     }
   }
+  updateHistoryButtons();
 
-  // Load saved outline data, comments, and indents
-  const outlineData = loadOutlineData();
+  // Load saved comments, indents, and branches
   const commentsData = loadCommentsData();
   const indentsData = loadIndentsData();
+  const branchData = loadBranchData();
+  const outlineState = { commentsData, indentsData, branchData, hasBranches: branchData.nodes.length > 0 || turns.some(turn => turn.variants) };
+
+  // Group turns into pairs (user + assistant); a chat starting with an assistant turn gets a group too
+  const groups = buildOutlineGroups(turns);
+  const sameGroups = previousList && previousGroupCount === groups.length;
+
+  outlineGroupList = createWindowedList(outlineContent, {
+    count: groups.length,
+    scrollRoot: window,
+    estimateHeight: groupIndex => (sameGroups && previousList.getHeight(groupIndex)) || estimateOutlineGroupHeight(groups[groupIndex]),
+    renderItem: groupIndex => {
+      const pairGroup = document.createElement('div');
+      pairGroup.className = 'outline-pair-group';
+      // Summaries are read when mounted: another tab may have changed them since (r-sync.js)
+      const groupState = { ...outlineState, outlineData: loadOutlineData() };
+      groups[groupIndex].forEach(index => pairGroup.appendChild(createOutlineItem(turns[index], index, groupState)));
+      return pairGroup;
+    }
+  });
+}
 
-  // Group turns into pairs (user + assistant)
-  let currentPairGroup = null;
+/**
+ * Build one outline item
+ * @param {Object} state - { outlineData, commentsData, indentsData, branchData, hasBranches }
+ */
+function createOutlineItem(turn, index, state) {
+  const { outlineData, commentsData, indentsData, branchData, hasBranches } = state;
+  const item = document.createElement('div');
+  item.className = `outline-item ${turn.type}`;
+  item.id = `outline-turn-${index}`;
+  if (index === currentPreviewIndex) {
+    item.classList.add('previewing');
+  } else if (index === scrollHighlightedIndex) {
+    item.classList.add('scroll-highlighted');
+  }
   
-  turns.forEach((turn, index) => {
-    // Create a new pair group when we encounter a user message
-    if (turn.type === 'user') {
-      currentPairGroup = document.createElement('div');
-      currentPairGroup.className = 'outline-pair-group';
-      outlineContent.appendChild(currentPairGroup);
-    }
-    
-    // If we don't have a group yet (conversation starts with assistant), create one
-    if (!currentPairGroup) {
-      currentPairGroup = document.createElement('div');
-      currentPairGroup.className = 'outline-pair-group';
-      outlineContent.appendChild(currentPairGroup);
+  // Annotations are stored per branch
+  const annotationKey = getAnnotationKey(index);
+  
+  // Apply indentation
+  const indentLevel = indentsData[annotationKey] || 0;
+  if (indentLevel > 0) {
+    item.style.marginLeft = `${indentLevel * 2}ch`;
+  }
+
+  const label = document.createElement('div');
+  label.className = 'outline-label';
+  
+  // Create text span and up arrow icon for hover effect
+  const labelText = document.createElement('span');
+  labelText.className = 'outline-label-text';
+  labelText.textContent = turn.type === 'user' ? 'User' : 'Assistant';
+  
+  const upArrow = document.createElement('span');
+  upArrow.className = 'outline-label-arrow';
+  upArrow.textContent = '⬆';
+  upArrow.title = 'Jump to chat message';
+  
+  label.appendChild(labelText);
+  label.appendChild(upArrow);
+  
+  // Branch switcher for turns with regenerated/edited alternates
+  const branchSwitcher = hasBranches ? createBranchSwitcher(index, branchData) : null;
+  if (branchSwitcher) {
+    label.appendChild(branchSwitcher);
+  }
+  
+  // Add hover preview to label only
+  setupHoverPreview(label, turn, index);
+
+  const summary = document.createElement('div');
+  summary.className = 'outline-summary';
+  summary.contentEditable = 'true';
+  summary.setAttribute('data-turn-index', index);
+  
+  // Use saved custom text or default summary
+  const answerText = getTurnAnswerText(turn);
+  const defaultText = answerText.slice(0, 50).replace(/\n/g, ' ') + (answerText.length > 50 ? '...' : '');
+  summary.textContent = outlineData[annotationKey] || defaultText;
+  summary.setAttribute('data-default-text', defaultText);
+
+  // Track the edit so a change from another tab is caught
+  let textAtFocus = null;
+  summary.addEventListener('focus', function() {
+    textAtFocus = this.textContent.trim();
+    beginSyncEdit('_outline', annotationKey, this, 'The summary of this turn');
+  });
+
+  // Save on blur (when user clicks away), unless the text wasn't changed
+  summary.addEventListener('blur', function() {
+    const text = this.textContent.trim();
+    if (text !== textAtFocus && text !== (loadOutlineData()[annotationKey] || defaultText)) {
+      if (resolveSyncConflict(text)) {
+        saveOutlineItem(index, text);
+      } else {
+        this.textContent = loadOutlineData()[annotationKey] || defaultText;
+      }
     }
-    
-    const item = document.createElement('div');
-    item.className = `outline-item ${turn.type}`;
-    
-    // Apply indentation
-    const indentLevel = indentsData[index] || 0;
-    if (indentLevel > 0) {
-      item.style.marginLeft = `${indentLevel * 2}ch`;
+    endSyncEdit();
+  });
+
+  // Save on Enter key
+  summary.addEventListener('keydown', function(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      this.blur(); // Trigger save
     }
+  });
 
-    const label = document.createElement('div');
-    label.className = 'outline-label';
-    
-    // Create text span and up arrow icon for hover effect
-    const labelText = document.createElement('span');
-    labelText.className = 'outline-label-text';
-    labelText.textContent = turn.type === 'user' ? 'User' : 'Assistant';
-    
-    const upArrow = document.createElement('span');
-    upArrow.className = 'outline-label-arrow';
-    upArrow.textContent = '⬆';
-    upArrow.title = 'Jump to chat message';
-    
-    label.appendChild(labelText);
-    label.appendChild(upArrow);
-    
-    // Add hover preview to label only
-    setupHoverPreview(label, turn, index);
+  // Prevent click from bubbling when editing
+  summary.addEventListener('click', function(e) {
+    e.stopPropagation();
+  });
 
-    const summary = document.createElement('div');
-    summary.className = 'outline-summary';
-    summary.contentEditable = 'true';
-    summary.setAttribute('data-turn-index', index);
-    
-    // Use saved custom text or default summary
-    const defaultText = turn.content.slice(0, 50).replace(/\n/g, ' ') + (turn.content.length > 50 ? '...' : '');
-    summary.textContent = outlineData[index] || defaultText;
-    summary.setAttribute('data-default-text', defaultText);
-
-    // Save on blur (when user clicks away)
-    summary.addEventListener('blur', function() {
-      saveOutlineItem(index, this.textContent.trim());
-    });
+  // Icons container
+  const iconsContainer = document.createElement('div');
+  iconsContainer.className = 'outline-icons';
 
-    // Save on Enter key
-    summary.addEventListener('keydown', function(e) {
-      if (e.key === 'Enter') {
-        e.preventDefault();
-        this.blur(); // Trigger save
-      }
-    });
+  // Indent button
+  const indentBtn = document.createElement('button');
+  indentBtn.className = 'indent-btn';
+  indentBtn.innerHTML = '→';
+  indentBtn.title = 'Indent';
+  indentBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const currentLevel = indentsData[annotationKey] || 0;
+    saveIndent(index, currentLevel + 1);
+  });
 
-    // Prevent click from bubbling when editing
-    summary.addEventListener('click', function(e) {
-      e.stopPropagation();
-    });
+  // Unindent button
+  const unindentBtn = document.createElement('button');
+  unindentBtn.className = 'unindent-btn';
+  unindentBtn.innerHTML = '←';
+  unindentBtn.title = 'Unindent';
+  unindentBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const currentLevel = indentsData[annotationKey] || 0;
+    if (currentLevel > 0) {
+      saveIndent(index, currentLevel - 1);
+    }
+  });
 
-    // Icons container
-    const iconsContainer = document.createElement('div');
-    iconsContainer.className = 'outline-icons';
+  // Comment icon
+  const commentIcon = document.createElement('button');
+  commentIcon.className = 'comment-icon';
+  const commentData = commentsData[annotationKey];
+  let hasComment = false;
+  
+  // Check if there's any comment (heading or turn)
+  if (commentData) {
+    hasComment = (commentData.heading && commentData.heading.trim() !== '') || 
+                 (commentData.turn && commentData.turn.trim() !== '');
+  }
+  
+  commentIcon.innerHTML = hasComment ? '💬' : '🗨️';
+  commentIcon.title = hasComment ? 'Edit comments' : 'Add comments';
+  if (hasComment) {
+    commentIcon.classList.add('has-comment');
+  }
+  commentIcon.addEventListener('click', (e) => {
+    e.stopPropagation();
+    showCommentEditor(turn, index);
+  });
 
-    // Indent button
-    const indentBtn = document.createElement('button');
-    indentBtn.className = 'indent-btn';
-    indentBtn.innerHTML = '→';
-    indentBtn.title = 'Indent';
-    indentBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const currentLevel = indentsData[index] || 0;
-      saveIndent(index, currentLevel + 1);
-    });
+  // Preview icon
+  const previewIcon = document.createElement('button');
+  previewIcon.className = 'preview-icon';
+  previewIcon.innerHTML = '👁';
+  previewIcon.title = 'Preview message';
+  previewIcon.addEventListener('click', (e) => {
+    e.stopPropagation();
+    showMessagePreview(turn, index);
+  });
 
-    // Unindent button
-    const unindentBtn = document.createElement('button');
-    unindentBtn.className = 'unindent-btn';
-    unindentBtn.innerHTML = '←';
-    unindentBtn.title = 'Unindent';
-    unindentBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      const currentLevel = indentsData[index] || 0;
-      if (currentLevel > 0) {
-        saveIndent(index, currentLevel - 1);
-      }
-    });
+  iconsContainer.appendChild(indentBtn);
+  iconsContainer.appendChild(unindentBtn);
+  iconsContainer.appendChild(commentIcon);
+  iconsContainer.appendChild(previewIcon);
 
-    // Comment icon
-    const commentIcon = document.createElement('button');
-    commentIcon.className = 'comment-icon';
-    const commentData = commentsData[index];
-    let hasComment = false;
-    
-    // Check if there's any comment (handle both legacy string and new object format)
-    if (commentData !== undefined && commentData !== null) {
-      if (typeof commentData === 'string') {
-        hasComment = commentData.trim() !== '';
-      } else {
-        hasComment = (commentData.heading && commentData.heading.trim() !== '') || 
-                     (commentData.turn && commentData.turn.trim() !== '');
-      }
-    }
+  // Get comments for this turn
+  const headingComment = hasComment ? (commentData.heading || '') : '';
+  const turnComment = hasComment ? (commentData.turn || '') : '';
+  
+  // Display heading comment if exists (above label, emphasized)
+  if (headingComment) {
+    const commentDisplay = document.createElement('div');
+    commentDisplay.className = 'comment-display comment-emphasized';
+    commentDisplay.innerHTML = headingComment;
     
-    commentIcon.innerHTML = hasComment ? '💬' : '🗨️';
-    commentIcon.title = hasComment ? 'Edit comments' : 'Add comments';
-    if (hasComment) {
-      commentIcon.classList.add('has-comment');
-    }
-    commentIcon.addEventListener('click', (e) => {
+    // Prevent click from bubbling to parent
+    commentDisplay.addEventListener('click', function(e) {
       e.stopPropagation();
-      showCommentEditor(turn, index);
     });
+    
+    item.appendChild(commentDisplay);
+  }
+  
+  item.appendChild(label);
+  item.appendChild(summary);
+  item.appendChild(iconsContainer);
 
-    // Preview icon
-    const previewIcon = document.createElement('button');
-    previewIcon.className = 'preview-icon';
-    previewIcon.innerHTML = '👁';
-    previewIcon.title = 'Preview message';
-    previewIcon.addEventListener('click', (e) => {
+  // Display turn comment if exists (below summary, de-emphasized)
+  if (turnComment) {
+    const commentDisplay = document.createElement('div');
+    commentDisplay.className = 'comment-display';
+    commentDisplay.innerHTML = turnComment;
+    
+    // Prevent click from bubbling to parent
+    commentDisplay.addEventListener('click', function(e) {
       e.stopPropagation();
-      showMessagePreview(turn, index);
     });
-
-    iconsContainer.appendChild(indentBtn);
-    iconsContainer.appendChild(unindentBtn);
-    iconsContainer.appendChild(commentIcon);
-    iconsContainer.appendChild(previewIcon);
-
-    // Get comments for this turn (handle legacy string format)
-    let headingComment = '';
-    let turnComment = '';
-    if (hasComment) {
-      const comments = commentsData[index];
-      if (typeof comments === 'string') {
-        // Legacy format - treat as turn comment
-        turnComment = comments;
-      } else {
-        headingComment = comments.heading || '';
-        turnComment = comments.turn || '';
-      }
-    }
     
-    // Display heading comment if exists (above label, emphasized)
-    if (headingComment) {
-      const commentDisplay = document.createElement('div');
-      commentDisplay.className = 'comment-display comment-emphasized';
-      commentDisplay.innerHTML = headingComment;
-      
-      // Prevent click from bubbling to parent
-      commentDisplay.addEventListener('click', function(e) {
-        e.stopPropagation();
-      });
-      
-      item.appendChild(commentDisplay);
-    }
-    
-    item.appendChild(label);
-    item.appendChild(summary);
-    item.appendChild(iconsContainer);
-
-    // Display turn comment if exists (below summary, de-emphasized)
-    if (turnComment) {
-      const commentDisplay = document.createElement('div');
-      commentDisplay.className = 'comment-display';
-      commentDisplay.innerHTML = turnComment;
-      
-      // Prevent click from bubbling to parent
-      commentDisplay.addEventListener('click', function(e) {
-        e.stopPropagation();
-      });
-      
-      item.appendChild(commentDisplay);
-    }
+    item.appendChild(commentDisplay);
+  }
 
-    // Click on the item (but not the summary) scrolls to turn only if preview panel is not open
-    item.addEventListener('click', () => {
-      const previewPanel = document.querySelector('.preview-panel');
-      if (!previewPanel) {
-        scrollToTurn(index);
+  // Click on the item (but not the summary) scrolls to turn only if preview panel is not open
+  item.addEventListener('click', () => {
+    const previewPanel = document.querySelector('.preview-panel');
+    if (!previewPanel) {
+      scrollToTurn(index);
 
-        // Then scroll the entire page to the top
-        window.scrollTo({ top: document.getElementById("chatPanel").offsetTop - 150, behavior: 'smooth' });
-      }
-    });
-    
-    // Add hover event for turn position indicator
-    item.addEventListener('mouseenter', () => {
-      showTurnPositionIndicator(index, turn.type, 'outline');
-    });
-    item.addEventListener('mouseleave', () => {
-      hideTurnPositionIndicator();
-    });
-    
-    currentPairGroup.appendChild(item);
+      // Then scroll the entire page to the top
+      window.scrollTo({ top: document.getElementById("chatPanel").offsetTop - 150, behavior: 'smooth' });
+    }
   });
+  
+  // Add hover event for turn position indicator
+  item.addEventListener('mouseenter', () => {
+    showTurnPositionIndicator(index, turn.type, 'outline');
+  });
+  item.addEventListener('mouseleave', () => {
+    hideTurnPositionIndicator();
+  });
+  
+  return item;
 }
 
 let currentPreviewIndex = null;
@@ -835,13 +807,23 @@ function setupHoverPreview(item, turn, index) {
   let currentCharIndex = 0;
   let fullText = '';
   
+  // Update position on scroll; only listen while hovered, since windowed items are remounted often
+  const outlineContent = document.getElementById('outlineContent');
+  const scrollHandler = () => {
+    if (previewElement && previewElement.parentElement) {
+      positionPreview(previewElement, item);
+    }
+  };
+  
   item.addEventListener('mouseenter', (e) => {
     // Clear any existing preview
     clearHoverPreview();
+    if (outlineContent) outlineContent.addEventListener('scroll', scrollHandler);
     
     // Get the original text, limited to 150 characters
-    fullText = turn.content.slice(0, 150).replace(/\n/g, ' ');
-    if (turn.content.length > 150) {
+    const answerText = getTurnAnswerText(turn);
+    fullText = answerText.slice(0, 150).replace(/\n/g, ' ');
+    if (answerText.length > 150) {
       fullText += '...';
     }
     
@@ -872,10 +854,11 @@ function setupHoverPreview(item, turn, index) {
           textSpan.textContent = fullText.slice(0, currentCharIndex + 1);
           currentCharIndex++;
         } else {
-          // Remove cursor when done typing
+          // Remove cursor when done typing, and show the math that was typed as TeX
           if (cursor.parentElement) {
             cursor.remove();
           }
+          renderMathInText(textSpan);
           clearInterval(typingInterval);
           typingInterval = null;
         }
@@ -886,18 +869,8 @@ function setupHoverPreview(item, turn, index) {
   
   item.addEventListener('mouseleave', () => {
     clearHoverPreview();
+    if (outlineContent) outlineContent.removeEventListener('scroll', scrollHandler);
   });
-  
-  // Update position on scroll
-  const outlineContent = document.getElementById('outlineContent');
-  if (outlineContent) {
-    const scrollHandler = () => {
-      if (previewElement && previewElement.parentElement) {
-        positionPreview(previewElement, item);
-      }
-    };
-    outlineContent.addEventListener('scroll', scrollHandler);
-  }
 }
 
 /**
@@ -1019,19 +992,7 @@ function hideTurnPositionIndicator() {
 function loadIndentsData() {
   if (!currentChatId) return {};
   
-  const indentsKey = `ChatWorkspace_${currentChatId}_indents`;
-  const saved = localStorage.getItem(indentsKey);
-  
-  if (saved) {
-    try {
-      return JSON.parse(saved);
-    } catch (e) {
-      console.warn('Failed to parse saved indents data:', e);
-      return {};
-    }
-  }
-  
-  return {};
+  return readStoredRecord(`ChatWorkspace_${currentChatId}_indents`, {});
 }
 
 /**
@@ -1042,15 +1003,19 @@ function saveIndent(turnIndex, level) {
   
   const indentsKey = `ChatWorkspace_${currentChatId}_indents`;
   const indentsData = loadIndentsData();
+  const annotationKey = getAnnotationKey(turnIndex);
+  const historyBefore = captureHistoryState(['_indents']);
+  const previousLevel = indentsData[annotationKey] || 0;
   
   if (level > 0) {
-    indentsData[turnIndex] = level;
+    indentsData[annotationKey] = level;
   } else {
-    delete indentsData[turnIndex];
+    delete indentsData[annotationKey];
   }
   
-  localStorage.setItem(indentsKey, JSON.stringify(indentsData));
+  writeStoredRecord(indentsKey, indentsData);
   console.log(`Saved indent for turn ${turnIndex}: ${level}`);
+  pushHistoryStep(`${level > previousLevel ? 'Indent' : 'Unindent'} turn ${turnIndex + 1}`, historyBefore);
   
   // Re-render outline to update display
   renderOutline(turns);
@@ -1062,19 +1027,7 @@ function saveIndent(turnIndex, level) {
 function loadCommentsData() {
   if (!currentChatId) return {};
   
-  const commentsKey = `ChatWorkspace_${currentChatId}_comments`;
-  const saved = localStorage.getItem(commentsKey);
-  
-  if (saved) {
-    try {
-      return JSON.parse(saved);
-    } catch (e) {
-      console.warn('Failed to parse saved comments data:', e);
-      return {};
-    }
-  }
-  
-  return {};
+  return readStoredRecord(`ChatWorkspace_${currentChatId}_comments`, {});
 }
 
 /**
@@ -1083,7 +1036,7 @@ function loadCommentsData() {
 function copyChatTurnText(turnIndex, turn) {
   if (!turn) return;
   
-  const text = turn.content;
+  const text = getTurnAnswerText(turn);
   navigator.clipboard.writeText(text).then(() => {
     // Find the button and show feedback
     const turnElement = document.getElementById(`turn-${turnIndex}`);
@@ -1091,7 +1044,7 @@ function copyChatTurnText(turnIndex, turn) {
     if (btn) {
       const originalContent = btn.innerHTML;
       btn.innerHTML = '✅';
-      btn.style.background = '#10b981';
+      btn.style.background = 'var(--color-success)';
       
       setTimeout(() => {
         btn.innerHTML = originalContent;
@@ -1107,12 +1060,17 @@ function copyChatTurnText(turnIndex, turn) {
  * Toggle collapse state for a chat turn
  */
 function toggleChatTurnCollapse(turnIndex) {
+  // The state lives in collapsedTurns so it survives the turn being unmounted by the window
+  const newCollapsedState = !collapsedTurns.has(turnIndex);
+  if (newCollapsedState) {
+    collapsedTurns.add(turnIndex);
+  } else {
+    collapsedTurns.delete(turnIndex);
+  }
+  
   const turnElement = document.getElementById(`turn-${turnIndex}`);
   if (!turnElement) return;
   
-  const isCurrentlyCollapsed = turnElement.classList.contains('collapsed');
-  const newCollapsedState = !isCurrentlyCollapsed;
-  
   // Toggle the class
   if (newCollapsedState) {
     turnElement.classList.add('collapsed');
@@ -1127,6 +1085,20 @@ function toggleChatTurnCollapse(turnIndex) {
   }
 }
 
+/**
+ * Build the stored comments entry for a turn, or null if both comments are empty
+ */
+function buildCommentEntry(headingComment, turnComment) {
+  const hasHeading = headingComment !== null && headingComment !== undefined && headingComment.trim() !== '';
+  const hasTurn = turnComment !== null && turnComment !== undefined && turnComment.trim() !== '';
+  if (!hasHeading && !hasTurn) return null;
+
+  return {
+    heading: hasHeading ? headingComment : '',
+    turn: hasTurn ? turnComment : ''
+  };
+}
+
 /**
  * Save comments for a specific turn (both heading and turn comments)
  */
@@ -1135,23 +1107,21 @@ function saveComment(turnIndex, headingComment, turnComment) {
   
   const commentsKey = `ChatWorkspace_${currentChatId}_comments`;
   const commentsData = loadCommentsData();
+  const annotationKey = getAnnotationKey(turnIndex);
+  const historyBefore = captureHistoryState(['_comments']);
+  const entry = buildCommentEntry(headingComment, turnComment);
   
-  const hasHeading = headingComment !== null && headingComment !== undefined && headingComment.trim() !== '';
-  const hasTurn = turnComment !== null && turnComment !== undefined && turnComment.trim() !== '';
-  
-  if (hasHeading || hasTurn) {
+  if (entry) {
     // Save both comments
-    commentsData[turnIndex] = {
-      heading: hasHeading ? headingComment : '',
-      turn: hasTurn ? turnComment : ''
-    };
+    commentsData[annotationKey] = entry;
   } else {
     // Remove comment entry if both are empty
-    delete commentsData[turnIndex];
+    delete commentsData[annotationKey];
   }
   
-  localStorage.setItem(commentsKey, JSON.stringify(commentsData));
+  writeStoredRecord(commentsKey, commentsData);
   console.log(`Saved comments for turn ${turnIndex}`);
+  pushHistoryStep(`${entry ? 'Edit' : 'Delete'} comments on turn ${turnIndex + 1}`, historyBefore);
   
   // Re-render outline to update comment icon
   renderOutline(turns);
@@ -1188,17 +1158,9 @@ function showCommentEditor(turn, index) {
   }
 
   const commentsData = loadCommentsData();
-  const currentComments = commentsData[index] || { heading: '', turn: '' };
-  
-  // Handle legacy data format (string instead of object)
-  let headingValue = '';
-  let turnValue = '';
-  if (typeof currentComments === 'string') {
-    turnValue = currentComments;
-  } else {
-    headingValue = currentComments.heading || '';
-    turnValue = currentComments.turn || '';
-  }
+  const currentComments = commentsData[getAnnotationKey(index)] || { heading: '', turn: '' };
+  const headingValue = currentComments.heading || '';
+  const turnValue = currentComments.turn || '';
 
   // Create backdrop
   const editor = document.createElement('div');
@@ -1272,8 +1234,8 @@ function showCommentEditor(turn, index) {
     // { icon: 'fa-minus', title: 'Remove', color: '#a855f7', html: '<i class="fa-solid fa-minus" style="color: #a855f7;"></i>  <b>Remove:</b>' },
   ];
   
-  // Check if labels should be shown (from localStorage)
-  const showIconLabels = localStorage.getItem('ChatWorkspace_showIconLabels') === 'true';
+  // Check if labels should be shown (from storage)
+  const showIconLabels = readStoredRecord('ChatWorkspace_showIconLabels', false) === true;
   
   // Icon dropdown button for heading
   const headingIconDropdownContainer = document.createElement('div');
@@ -1453,9 +1415,9 @@ function showCommentEditor(turn, index) {
   
   // Shared toggle handler for both toggles
   const toggleLabels = () => {
-    const currentState = localStorage.getItem('ChatWorkspace_showIconLabels') === 'true';
+    const currentState = readStoredRecord('ChatWorkspace_showIconLabels', false) === true;
     const newState = !currentState;
-    localStorage.setItem('ChatWorkspace_showIconLabels', newState.toString());
+    writeStoredRecord('ChatWorkspace_showIconLabels', newState);
     
     // Update both dropdown menus
     headingIconDropdownMenu.classList.toggle('show-labels', newState);
@@ -1520,7 +1482,9 @@ function showCommentEditor(turn, index) {
   saveBtn.className = 'comment-save-btn';
   saveBtn.textContent = '💾 Save';
   saveBtn.addEventListener('click', () => {
-    saveComment(index, headingTextarea.value, turnTextarea.value);
+    if (resolveSyncConflict(buildCommentEntry(headingTextarea.value, turnTextarea.value))) {
+      saveComment(index, headingTextarea.value, turnTextarea.value);
+    }
     editor.remove();
   });
   
@@ -1528,7 +1492,9 @@ function showCommentEditor(turn, index) {
   deleteBtn.className = 'comment-delete-btn';
   deleteBtn.textContent = '🗑️ Delete All';
   deleteBtn.addEventListener('click', () => {
-    saveComment(index, '', '');
+    if (resolveSyncConflict(null)) {
+      saveComment(index, '', '');
+    }
     editor.remove();
   });
   
@@ -1541,6 +1507,7 @@ function showCommentEditor(turn, index) {
   
   editor.appendChild(modal);
   document.body.appendChild(editor);
+  beginSyncEdit('_comments', getAnnotationKey(index), editor, 'The comments on this turn');
   
   // Focus first textarea
   headingTextarea.focus();
@@ -1594,10 +1561,10 @@ function showMessagePreview(turn, index) {
 
   currentPreviewIndex = index;
 
-  // Highlight the current outline item
-  const outlineItems = document.querySelectorAll('.outline-item');
-  if (outlineItems[index]) {
-    outlineItems[index].classList.add('previewing');
+  // Highlight the current outline item (an unmounted item picks this up from currentPreviewIndex)
+  const outlineItem = document.getElementById(`outline-turn-${index}`);
+  if (outlineItem) {
+    outlineItem.classList.add('previewing');
   }
 
   // Remove any existing panel
@@ -1627,7 +1594,12 @@ function showMessagePreview(turn, index) {
   
   const panelContent = document.createElement('div');
   panelContent.className = 'preview-panel-content';
-  panelContent.textContent = turn.content;
+  panelContent.appendChild(createDiagramTextFragment(getTurnAnswerText(turn)));
+  
+  const attachmentsEl = createAttachmentsElement(getTurnAttachments(turn));
+  if (attachmentsEl) {
+    panelContent.appendChild(attachmentsEl);
+  }
   
   panel.appendChild(panelHeader);
   panel.appendChild(panelContent);
@@ -1680,13 +1652,14 @@ function closePreviewPanel() {
  * Scroll to a specific turn in the chat panel
  */
 function scrollToTurn(index) {
-  const turnElement = document.getElementById(`turn-${index}`);
+  // Mounts the turn first if the window has it unmounted
+  const turnElement = getChatTurnElement(index);
   if (turnElement) {
     turnElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
     
     // Add a brief highlight effect
     turnElement.style.transition = 'box-shadow 0.3s';
-    turnElement.style.boxShadow = '0 0 0 4px rgba(102, 126, 234, 0.3)';
+    turnElement.style.boxShadow = '0 0 0 4px rgba(var(--color-accent-rgb), 0.3)';
     setTimeout(() => {
       turnElement.style.boxShadow = '';
     }, 1000);
@@ -1699,21 +1672,15 @@ function scrollToTurn(index) {
 function loadChatNotes(chatId) {
   if (!chatId) return;
   
-  const notesKey = `ChatWorkspace_${chatId}_notes`;
-  const saved = localStorage.getItem(notesKey);
+  const notesData = readStoredRecord(`ChatWorkspace_${chatId}_notes`, null);
   const notesInput = document.getElementById('notesInput');
   
-  if (saved && notesInput) {
-    try {
-      const notesData = JSON.parse(saved);
-      notesInput.value = notesData.notes || '';
-      
-      // Update detected links after loading notes
-      if (typeof updateDetectedLinks === 'function') {
-        updateDetectedLinks();
-      }
-    } catch (e) {
-      console.warn('Failed to parse saved notes:', e);
+  if (notesData && notesInput) {
+    notesInput.value = notesData.notes || '';
+    
+    // Update detected links after loading notes
+    if (typeof updateDetectedLinks === 'function') {
+      updateDetectedLinks();
     }
   }
 }
@@ -1727,68 +1694,155 @@ function saveChatNotes() {
   const notesInput = document.getElementById('notesInput');
   if (!notesInput) return;
   
+  // Another tab changed the notes meanwhile and the user kept that version
+  if (!resolveSyncConflict(notesInput.value)) {
+    loadChatNotes(currentChatId);
+    return;
+  }
+  
   const notesKey = `ChatWorkspace_${currentChatId}_notes`;
   const notesData = {
     notes: notesInput.value,
     lastUpdated: new Date().toISOString()
   };
   
-  localStorage.setItem(notesKey, JSON.stringify(notesData));
+  writeStoredRecord(notesKey, notesData);
   console.log('Saved notes for chat:', currentChatId);
 }
 
 /**
- * Load saved settings for this chat from localStorage
+ * Give a stored chat initial notes (e.g. title and source URL) unless it already has some
+ */
+function seedChatNotes(chatId, notes) {
+  const notesKey = `ChatWorkspace_${chatId}_notes`;
+  if (!notes || chatStorage.getItem(notesKey)) return;
+
+  writeStoredRecord(notesKey, {
+    notes: notes,
+    lastUpdated: new Date().toISOString()
+  });
+}
+
+/**
+ * Load saved settings for this chat from storage
  */
 function loadChatSettings(chatId) {
-  const settingsKey = `ChatWorkspace_${chatId}`;
-  const saved = localStorage.getItem(settingsKey);
+  const settings = readStoredRecord(`ChatWorkspace_${chatId}`, null);
   
-  if (saved) {
-    try {
-      const settings = JSON.parse(saved);
-      console.log('Loaded settings:', settings);
-      // Here you could restore scroll position, filters, etc.
-    } catch (e) {
-      console.warn('Failed to parse saved settings:', e);
-    }
+  if (settings) {
+    console.log('Loaded settings:', settings);
+    // Here you could restore scroll position, filters, etc.
   } else {
-    // First time loading this chat - save it
-    saveChatSettings({});
-    console.log('New chat saved to localStorage:', chatId);
+    console.log('New chat saved to storage:', chatId);
   }
+  
+  // First time loading this chat saves it; the storage panel uses lastOpened to find old chats
+  saveChatSettings({ lastOpened: new Date().toISOString() });
 }
 
 /**
- * Save settings for the current chat
+ * Save settings for the current chat (merged into any settings already saved)
  */
 function saveChatSettings(settings) {
   if (!currentChatId) return;
   
   const settingsKey = `ChatWorkspace_${currentChatId}`;
-  localStorage.setItem(settingsKey, JSON.stringify(settings));
+  const existing = readStoredRecord(settingsKey, {});
+  writeStoredRecord(settingsKey, { ...existing, ...settings });
   console.log('Saved settings for chat:', currentChatId);
 }
 
+/**
+ * Get the stable key a turn's annotations are stored under: its msgId, or a
+ * content fingerprint ("fp-...") when the source has no message ids (idx-N)
+ */
+function getTurnKey(turn, turnList = turns) {
+  if (turn.msgId && !/^idx-\d+$/.test(turn.msgId)) {
+    // Purely numeric ids would be mistaken for legacy index keys
+    return /^\d+$/.test(turn.msgId) ? `id-${turn.msgId}` : turn.msgId;
+  }
+
+  const fingerprintOf = t => {
+    if (!turnFingerprints.has(t)) turnFingerprints.set(t, fingerprintMessage(t));
+    return turnFingerprints.get(t);
+  };
+  const fingerprint = fingerprintOf(turn);
+
+  // Identical messages (e.g. two "thanks") are told apart by occurrence
+  const position = turnList.indexOf(turn);
+  const occurrence = position === -1 ? 0 : turnList.slice(0, position)
+    .filter(t => /^idx-\d+$/.test(t.msgId || 'idx-0') && fingerprintOf(t) === fingerprint).length;
+  return occurrence > 0 ? `fp-${fingerprint}-${occurrence + 1}` : `fp-${fingerprint}`;
+}
+
+/**
+ * Get the key a turn's outline, comment and indent data is stored under
+ */
+function getAnnotationKey(turnIndex) {
+  return turns[turnIndex] ? getTurnKey(turns[turnIndex]) : String(turnIndex);
+}
+
+/**
+ * Re-key legacy annotation data (saved by turn index) onto turn keys.
+ * "3" meant the fourth turn with text of its own; "3@msgId" meant an alternate branch turn.
+ * Returns the migrated object, or null if nothing needed migrating
+ */
+function migrateAnnotationKeys(data, turnList, branchNodes = []) {
+  const migrated = {};
+  const legacyKeys = [];
+  // Index keys were saved when attachment-only turns were still dropped, so count without them
+  const legacyTurnList = turnList.filter(turn => !isAttachmentOnlyTurn(turn));
+
+  Object.keys(data).forEach(key => {
+    if (/^\d+(@.+)?$/.test(key)) {
+      legacyKeys.push(key);
+    } else {
+      migrated[key] = data[key];
+    }
+  });
+  let changed = false;
+  legacyKeys.forEach(key => {
+    const [, index, branchMsgId] = key.match(/^(\d+)(?:@(.+))?$/);
+    const branchTurn = branchMsgId ? branchNodes.find(node => node.msgId === branchMsgId) : null;
+    const turn = branchMsgId ? branchTurn : legacyTurnList[Number(index)];
+
+    // Keep keys that no longer match a turn, so nothing is thrown away
+    const newKey = turn ? getTurnKey(turn, branchTurn ? [turn] : turnList) : key;
+    if (newKey !== key) changed = true;
+    if (!(newKey in migrated)) {
+      migrated[newKey] = data[key];
+    }
+  });
+
+  return changed ? migrated : null;
+}
+
+/**
+ * Migrate a chat's outline, comments and indents from index keys to turn keys
+ */
+function migrateChatAnnotations(chatId, turnList) {
+  const branchNodes = loadBranchData().nodes;
+
+  ['outline', 'comments', 'indents'].forEach(dataType => {
+    const storageKey = `ChatWorkspace_${chatId}_${dataType}`;
+    const saved = readStoredRecord(storageKey, null);
+    if (!saved) return;
+
+    const migrated = migrateAnnotationKeys(saved, turnList, branchNodes);
+    if (migrated) {
+      writeStoredRecord(storageKey, migrated);
+      console.log(`Migrated ${dataType} for chat ${chatId} to message keys`);
+    }
+  });
+}
+
 /**
  * Load outline data for the current chat
  */
 function loadOutlineData() {
   if (!currentChatId) return {};
   
-  const outlineKey = `ChatWorkspace_${currentChatId}_outline`;
-  const saved = localStorage.getItem(outlineKey);
-  
-  if (saved) {
-    try {
-      return JSON.parse(saved);
-    } catch (e) {
-      console.warn('Failed to parse saved outline data:', e);
-      return {};
-    }
-  }
-  
-  return {};
+  return readStoredRecord(`ChatWorkspace_${currentChatId}_outline`, {});
 }
 
 /**
@@ -1799,12 +1853,14 @@ function saveOutlineItem(turnIndex, text) {
   
   const outlineKey = `ChatWorkspace_${currentChatId}_outline`;
   const outlineData = loadOutlineData();
+  const historyBefore = captureHistoryState(['_outline']);
   
   // Save the custom text for this turn
-  outlineData[turnIndex] = text;
+  outlineData[getAnnotationKey(turnIndex)] = text;
   
-  localStorage.setItem(outlineKey, JSON.stringify(outlineData));
+  writeStoredRecord(outlineKey, outlineData);
   console.log(`Saved outline for turn ${turnIndex}:`, text);
+  pushHistoryStep(`Edit summary of turn ${turnIndex + 1}`, historyBefore);
 }
 
 /**
@@ -1812,21 +1868,23 @@ function saveOutlineItem(turnIndex, text) {
  */
 function resetAllOutlineItems() {
   if (!currentChatId || turns.length === 0) return;
+  const historyBefore = captureHistoryState();
   
-  // Clear all outline customizations from localStorage
+  // Clear all outline customizations from storage
   const outlineKey = `ChatWorkspace_${currentChatId}_outline`;
-  localStorage.removeItem(outlineKey);
+  chatStorage.removeItem(outlineKey);
   console.log('Reset all outline items to defaults');
   
-  // Clear all comments from localStorage
+  // Clear all comments from storage
   const commentsKey = `ChatWorkspace_${currentChatId}_comments`;
-  localStorage.removeItem(commentsKey);
+  chatStorage.removeItem(commentsKey);
   console.log('Removed all comments');
   
-  // Clear all indents from localStorage
+  // Clear all indents from storage
   const indentsKey = `ChatWorkspace_${currentChatId}_indents`;
-  localStorage.removeItem(indentsKey);
+  chatStorage.removeItem(indentsKey);
   console.log('Removed all indents');
+  pushHistoryStep('Reset outline', historyBefore);
   
   // Re-render the outline with defaults (using existing turns data)
   renderOutline(turns);
@@ -1904,8 +1962,8 @@ function showShareModal() {
       shareButton.textContent = '⏳ Generating...';
       statusDiv.style.display = 'none';
       
-      // Collect all data from localStorage and current state
-      const payload = {};
+      // Collect all data from storage and current state (stamped so old links keep loading after format changes)
+      const payload = { schemaVersion: SCHEMA_VERSION };
       
       // Get the chat HTML
       const chatHtml = document.getElementById('htmlInput').value.trim();
@@ -1937,17 +1995,21 @@ function showShareModal() {
       }
       
       // Get notes data
-      const notesKey = `ChatWorkspace_${currentChatId}_notes`;
-      const savedNotes = localStorage.getItem(notesKey);
-      if (savedNotes) {
-        try {
-          const notesData = JSON.parse(savedNotes);
-          if (notesData && notesData.notes) {
-            payload.notes = notesData;
-          }
-        } catch (e) {
-          console.warn('Failed to parse notes:', e);
-        }
+      const notesData = readStoredRecord(`ChatWorkspace_${currentChatId}_notes`, null);
+      if (notesData && notesData.notes) {
+        payload.notes = notesData;
+      }
+      
+      // Get branch data (alternate responses / edited prompts)
+      const branches = loadBranchData();
+      if (branches.nodes.length > 0) {
+        payload.branches = branches;
+      }
+      
+      // Get cached attachments (images, files, canvas artifacts)
+      const attachments = loadAttachmentData();
+      if (Object.keys(attachments).length > 0) {
+        payload.attachments = attachments;
       }
       
       // Send POST request to share.php
@@ -1962,6 +2024,11 @@ function showShareModal() {
       const result = await response.json();
       
       if (response.ok && result.success) {
+        // The share server has this HTML now: the storage panel may drop the local copy
+        if (chatHtml) {
+          markChatShared(currentChatId, chatHtml);
+        }
+        
         // Construct share URL with ?shared= parameter
         const shareUrl = `${window.location.origin}${window.location.pathname}?shared=${result.conversationId}`;
         
@@ -2163,12 +2230,28 @@ if (notesInput) {
   notesInput.addEventListener('input', () => {
     clearTimeout(notesDebounceTimer);
     notesDebounceTimer = setTimeout(() => {
+      notesDebounceTimer = null;
       saveChatNotes();
     }, 500); // Save after 500ms of no typing
     
     // Update detected links immediately
     updateDetectedLinks();
   });
+
+  // Track the edit so a change from another tab is caught
+  notesInput.addEventListener('focus', () => {
+    beginSyncEdit('_notes', 'notes', notesInput, 'The notes');
+  });
+
+  // Save right away on blur if a save is pending (or another tab's change is waiting to be resolved)
+  notesInput.addEventListener('blur', () => {
+    if (notesDebounceTimer || (syncEdit && syncEdit.theirs !== undefined)) {
+      clearTimeout(notesDebounceTimer);
+      notesDebounceTimer = null;
+      saveChatNotes();
+    }
+    endSyncEdit();
+  });
   
   // Initial check for links on page load
   updateDetectedLinks();
@@ -2178,7 +2261,8 @@ if (notesInput) {
  * Scroll to the highlighted outline item
  */
 function scrollToHighlighted() {
-  const highlightedItem = document.querySelector('.scroll-highlighted');
+  if (scrollHighlightedIndex < 0) return;
+  const highlightedItem = getOutlineItemElement(scrollHighlightedIndex);
   if (highlightedItem) {
     // Use scrollIntoView with the nearest scrollable ancestor (the outline content)
     highlightedItem.scrollIntoView({ 
@@ -2193,9 +2277,9 @@ function scrollToHighlighted() {
  * Scroll to a specific outline item by turn index
  */
 function scrollToOutlineItem(index) {
-  const outlineItems = document.querySelectorAll('.outline-item');
-  if (index >= 0 && index < outlineItems.length) {
-    const targetItem = outlineItems[index];
+  // Mounts the item's pair group first if the window has it unmounted
+  const targetItem = index >= 0 ? getOutlineItemElement(index) : null;
+  if (targetItem) {
     
     // Scroll the outline item into view with smooth animation
     targetItem.scrollIntoView({ 
@@ -2206,8 +2290,8 @@ function scrollToOutlineItem(index) {
     
     // Add a brief highlight effect
     targetItem.style.transition = 'box-shadow 0.3s, background-color 0.3s';
-    targetItem.style.boxShadow = '0 0 0 4px rgba(102, 126, 234, 0.4)';
-    targetItem.style.backgroundColor = 'rgba(102, 126, 234, 0.15)';
+    targetItem.style.boxShadow = '0 0 0 4px rgba(var(--color-accent-rgb), 0.4)';
+    targetItem.style.backgroundColor = 'rgba(var(--color-accent-rgb), 0.15)';
     
     setTimeout(() => {
       targetItem.style.boxShadow = '';
@@ -2238,6 +2322,10 @@ function zoomOut() {
 function updateFontSize() {
   const chatContent = document.getElementById('chatContent');
   chatContent.style.fontSize = currentFontSize + '%';
+  // Measured turn heights no longer hold at the new size
+  if (chatTurnList) {
+    chatTurnList.resetHeights();
+  }
   
   // Save preference
   if (currentChatId) {
@@ -2250,23 +2338,14 @@ const originalLoadChatSettings = loadChatSettings;
 loadChatSettings = function(chatId) {
   originalLoadChatSettings(chatId);
   
-  const settingsKey = `ChatWorkspace_${chatId}`;
-  const saved = localStorage.getItem(settingsKey);
-  
-  if (saved) {
-    try {
-      const settings = JSON.parse(saved);
-      if (settings.fontSize) {
-        currentFontSize = settings.fontSize;
-        updateFontSize();
-      }
-      if (settings.chatPanelHeight) {
-        const chatPanel = document.getElementById('chatPanel');
-        chatPanel.style.flex = `0 0 ${settings.chatPanelHeight}px`;
-      }
-    } catch (e) {
-      // Already handled in original function
-    }
+  const settings = readStoredRecord(`ChatWorkspace_${chatId}`, {});
+  if (settings.fontSize) {
+    currentFontSize = settings.fontSize;
+    updateFontSize();
+  }
+  if (settings.chatPanelHeight) {
+    const chatPanel = document.getElementById('chatPanel');
+    chatPanel.style.flex = `0 0 ${settings.chatPanelHeight}px`;
   }
 };
 
@@ -2311,12 +2390,64 @@ document.addEventListener('mouseup', () => {
   }
 });
 
+/**
+ * Save the data of a shared chat (shared/{chatId}.json "data" object) to storage
+ */
+function saveSharedChatData(chatId, data) {
+  // Save chat HTML for future ?open= access (it's on the share server, see markChatShared())
+  if (data.chatHtml) {
+    saveChatHtml(chatId, data.chatHtml).then(html => markChatShared(chatId, html));
+  }
+  
+  // Save outline
+  if (data.outline) {
+    const outlineKey = `ChatWorkspace_${chatId}_outline`;
+    writeStoredRecord(outlineKey, data.outline);
+  }
+  
+  // Save comments
+  if (data.comments) {
+    const commentsKey = `ChatWorkspace_${chatId}_comments`;
+    writeStoredRecord(commentsKey, data.comments);
+  }
+  
+  // Save indents
+  if (data.indents) {
+    const indentsKey = `ChatWorkspace_${chatId}_indents`;
+    writeStoredRecord(indentsKey, data.indents);
+  }
+  
+  // Save notes
+  if (data.notes) {
+    const notesKey = `ChatWorkspace_${chatId}_notes`;
+    writeStoredRecord(notesKey, data.notes);
+  }
+  
+  // Save branches
+  if (data.branches) {
+    saveBranchData(data.branches, chatId);
+  }
+  
+  // Save attachments
+  if (data.attachments) {
+    saveAttachmentData(data.attachments, chatId);
+  }
+  
+  console.log('Shared data saved to storage');
+}
+
 /**
  * Handle URL parameters on page load
  */
 async function handleUrlParameters() {
   const urlParams = new URLSearchParams(window.location.search);
   
+  // Check for ?capture=1 (opened by the capture bookmarklet on chatgpt.com)
+  if (urlParams.has('capture')) {
+    startCaptureReceiver();
+    return;
+  }
+  
   // Check for ?shared={chatId} first (takes priority)
   if (urlParams.has('shared')) {
     const chatId = urlParams.get('shared');
@@ -2332,44 +2463,22 @@ async function handleUrlParameters() {
       
       const sharedData = await response.json();
       
-      // Save to localStorage
+      // Files shared before payloads were versioned are schema v1
+      if (sharedData.data) {
+        sharedData.data = migrateSharedChatData(sharedData.data, sharedData.schemaVersion || 1);
+      }
+      
+      // Save to storage
       if (sharedData.data) {
-        // Save chat HTML to textarea and localStorage if it exists
+        // Put the chat HTML in the textarea so it can be loaded below
         if (sharedData.data.chatHtml) {
           const htmlInput = document.getElementById('htmlInput');
           if (htmlInput) {
             htmlInput.value = sharedData.data.chatHtml;
           }
-          // Save to localStorage for future ?open= access
-          const chatHtmlKey = `ChatWorkspace_${chatId}_html`;
-          localStorage.setItem(chatHtmlKey, sharedData.data.chatHtml);
-        }
-        
-        // Save outline
-        if (sharedData.data.outline) {
-          const outlineKey = `ChatWorkspace_${chatId}_outline`;
-          localStorage.setItem(outlineKey, JSON.stringify(sharedData.data.outline));
         }
         
-        // Save comments
-        if (sharedData.data.comments) {
-          const commentsKey = `ChatWorkspace_${chatId}_comments`;
-          localStorage.setItem(commentsKey, JSON.stringify(sharedData.data.comments));
-        }
-        
-        // Save indents
-        if (sharedData.data.indents) {
-          const indentsKey = `ChatWorkspace_${chatId}_indents`;
-          localStorage.setItem(indentsKey, JSON.stringify(sharedData.data.indents));
-        }
-        
-        // Save notes
-        if (sharedData.data.notes) {
-          const notesKey = `ChatWorkspace_${chatId}_notes`;
-          localStorage.setItem(notesKey, JSON.stringify(sharedData.data.notes));
-        }
-        
-        console.log('Shared data saved to localStorage');
+        saveSharedChatData(chatId, sharedData.data);
       }
       
       // Change URL to ?open={chatId}
@@ -2380,7 +2489,7 @@ async function handleUrlParameters() {
       if (sharedData.data && sharedData.data.chatHtml) {
         // Use a small delay to ensure DOM is ready
         setTimeout(() => {
-          loadChat();
+          loadChat(chatId);
         }, 100);
       } else {
         // Show success message if no HTML was included
@@ -2397,15 +2506,14 @@ async function handleUrlParameters() {
   // Check for ?open={chatId} (only if not handling ?shared)
   if (urlParams.has('open')) {
     const chatId = urlParams.get('open');
-    console.log('Opening chat from localStorage:', chatId);
+    console.log('Opening chat from storage:', chatId);
     
-    // Try to load chat HTML from localStorage
-    const chatHtmlKey = `ChatWorkspace_${chatId}_html`;
-    const savedHtml = localStorage.getItem(chatHtmlKey);
+    // Try to load chat HTML from storage (or from the share server, if it was dropped to free space)
+    const savedHtml = await readChatHtml(chatId) || await restoreOffloadedChatHtml(chatId);
     
     if (savedHtml) {
-      // We have the chat HTML in localStorage - load it automatically
-      console.log('Found saved chat HTML in localStorage');
+      // We have the chat HTML in storage - load it automatically
+      console.log('Found saved chat HTML in storage');
       const htmlInput = document.getElementById('htmlInput');
       if (htmlInput) {
         htmlInput.value = savedHtml;
@@ -2413,11 +2521,11 @@ async function handleUrlParameters() {
       
       // Automatically load the chat
       setTimeout(() => {
-        loadChat();
+        loadChat(chatId);
       }, 100);
     } else {
-      // No localStorage data - try to load from shared
-      console.log('No localStorage data found, trying shared link...');
+      // No stored data - try to load from shared
+      console.log('No stored data found, trying shared link...');
       
       try {
         // Change URL to ?shared={chatId} and let the shared handler take over
@@ -2425,9 +2533,15 @@ async function handleUrlParameters() {
         window.location.href = sharedUrl;
       } catch (error) {
         console.error('Failed to redirect to shared link:', error);
-        alert('❌ Missing: Chat not found in localStorage or shared files.');
+        alert('❌ Missing: Chat not found in this browser or shared files.');
       }
     }
+    return;
+  }
+
+  // Home screen: list the chats stored in this browser
+  if (listStoredChats().length > 0) {
+    showLibrary();
   }
 }
 
@@ -2449,12 +2563,11 @@ function printOutline() {
 
   // Load notes for this chat
   const notesKey = `ChatWorkspace_${currentChatId}_notes`;
-  const savedNotes = localStorage.getItem(notesKey);
+  const notesData = readStoredRecord(notesKey, null);
   let notesHtml = '';
   
-  if (savedNotes) {
+  if (notesData) {
     try {
-      const notesData = JSON.parse(savedNotes);
       if (notesData.notes && notesData.notes.trim()) {
         // Escape HTML first
         let processedNotes = notesData.notes
@@ -2493,8 +2606,10 @@ function printOutline() {
     return;
   }
 
-  // Clone the outline content
-  const contentClone = outlineContent.cloneNode(true);
+  // Copy the whole outline, including pair groups the window has unmounted
+  const contentClone = createFullOutlineCopy();
+  renderMathInText(contentClone);
+  appendOutlineDiagrams(contentClone, turns);
 
   // Build the print document
   const printDocument = `
@@ -2507,6 +2622,9 @@ function printOutline() {
   <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css" integrity="sha512-DTOQO9RWCH3ppGqcWaEA1BIZOC6xxalwEsw9c2QQeAIftl+Vegovlnee1c9QX4TctnWMn13TZye+giMm8e2LwA==" crossorigin="anonymous" referrerpolicy="no-referrer" />
   <link rel='stylesheet' href='https://cdn-uicons.flaticon.com/2.6.0/uicons-regular-rounded/css/uicons-regular-rounded.css'>
   <style>
+    /* Print-safe theme (z-themes.js): the page's theme and config.json colors don't apply here */
+    ${getPrintThemeCss()}
+
     * {
       margin: 0;
       padding: 0;
@@ -2516,21 +2634,20 @@ function printOutline() {
     body {
       font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
       line-height: 1.6;
-      color: #333;
+      color: var(--color-text);
       padding: 20px;
-      background: white;
+      background: var(--color-bg);
     }
     
     h1 {
       margin-bottom: 20px;
-      color: #667eea;
+      color: var(--color-accent);
       font-size: 24px;
     }
     
     /* Outline pair groups */
     .outline-pair-group {
-      background: rgba(102, 126, 234, 0.03);
-      border: 1px solid rgba(102, 126, 234, 0.1);
+      border: 1px solid var(--color-border);
       border-radius: 8px;
       padding: 12px;
       margin-bottom: 12px;
@@ -2558,23 +2675,23 @@ function printOutline() {
     }
     
     .outline-label.user {
-      color: #1976d2;
+      color: var(--color-user-accent);
     }
     
     .outline-label.assistant {
-      color: #7b1fa2;
+      color: var(--color-assistant-accent);
     }
     
     .outline-summary {
       font-size: 0.95rem;
-      color: #555;
+      color: var(--color-text-muted);
       line-height: 1.5;
     }
     
     /* Comment styles */
     .outline-heading-comment {
-      background: #fff8e1;
-      border-left: 4px solid #ffc107;
+      background: var(--color-warning-bg);
+      border-left: 4px solid var(--color-warning-border);
       padding: 8px 12px;
       margin: 6px 0;
       border-radius: 4px;
@@ -2582,12 +2699,12 @@ function printOutline() {
     }
     
     .outline-turn-comment {
-      color: #666;
+      color: var(--color-text-muted);
       font-style: italic;
       font-size: 0.85rem;
       margin-top: 6px;
       padding: 6px 10px;
-      background: #f5f5f5;
+      background: var(--color-surface-alt);
       border-radius: 4px;
     }
     
@@ -2617,7 +2734,7 @@ function printOutline() {
     details {
       margin: 8px 0;
       padding: 8px;
-      background: #f9f9f9;
+      background: var(--color-surface-alt);
       border-radius: 4px;
     }
     
@@ -2633,14 +2750,15 @@ function printOutline() {
     .outline-item-preview,
     .outline-item-comment,
     .outline-item-indent,
-    .outline-item-unindent {
+    .outline-item-unindent,
+    .branch-switch-btn {
       display: none !important;
     }
     
     /* Notes section styles */
     .notes-section {
-      background: #f0f7ff;
-      border: 2px solid #667eea;
+      background: var(--color-accent-soft);
+      border: 2px solid var(--color-accent);
       border-radius: 8px;
       padding: 16px;
       margin-bottom: 24px;
@@ -2648,13 +2766,13 @@ function printOutline() {
     }
     
     .notes-section h2 {
-      color: #667eea;
+      color: var(--color-accent);
       font-size: 18px;
       margin-bottom: 12px;
     }
     
     .notes-content {
-      color: #333;
+      color: var(--color-text);
       font-size: 0.95rem;
       line-height: 1.6;
       white-space: pre-wrap;
@@ -2662,16 +2780,27 @@ function printOutline() {
     }
     
     .notes-content a {
-      color: #667eea;
+      color: var(--color-accent);
       text-decoration: underline;
       word-break: break-all;
     }
     
     .notes-content a:hover {
-      color: #764ba2;
+      color: var(--color-accent-strong);
       text-decoration: underline;
     }
     
+    /* Diagrams (x-diagrams.js) */
+    .diagram-view {
+      margin: 8px 0;
+      page-break-inside: avoid;
+    }
+    
+    .diagram-svg {
+      max-width: 100%;
+      height: auto;
+    }
+    
     /* Print-specific styles */
     @media print {
       body {
@@ -2715,11 +2844,19 @@ function printOutline() {
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', async () => {
     await loadConfig();
+    await chatStorage.init();
+    applyCodeBlockPrefs();
+    applyThemeTokens();
+    applyTheme();
     handleUrlParameters();
   });
 } else {
   (async () => {
     await loadConfig();
+    await chatStorage.init();
+    applyCodeBlockPrefs();
+    applyThemeTokens();
+    applyTheme();
     handleUrlParameters();
   })();
 }
@@ -0,0 +1,544 @@
+/**
+ * Importer for ChatGPT's official data export ("Settings → Data controls → Export data").
+ * Reads conversations.json (or the export zip that contains it), lets the user pick
+ * conversations, and converts each one into the same HTML shape the console snippet
+ * produces so the regular collectTurns → hashChat → render pipeline handles it.
+ */
+
+let exportConversations = []; // Conversations parsed from the last selected export file
+
+/**
+ * Read a conversations.json file or a ChatGPT export zip and return the conversations array
+ */
+async function readChatGptExportFile(file) {
+  let text;
+  if (/\.zip$/i.test(file.name) || file.type === 'application/zip') {
+    text = await extractZipEntryText(await file.arrayBuffer(), 'conversations.json');
+    if (text === null) {
+      throw new Error('conversations.json was not found in the zip file');
+    }
+  } else {
+    text = await file.text();
+  }
+
+  const data = JSON.parse(text);
+  const conversations = Array.isArray(data) ? data : (data && Array.isArray(data.conversations) ? data.conversations : null);
+  if (!conversations) {
+    throw new Error('File does not look like a ChatGPT conversations.json export');
+  }
+  return conversations.filter(conv => conv && conv.mapping);
+}
+
+/**
+ * Extract a single text file from a zip archive (stored or deflated entries)
+ */
+async function extractZipEntryText(buffer, fileName) {
+  const view = new DataView(buffer);
+
+  // Find the end-of-central-directory record by scanning backwards
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Invalid zip file');
+  }
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    if (name === fileName || name.endsWith('/' + fileName)) {
+      const localNameLength = view.getUint16(localOffset + 26, true);
+      const localExtraLength = view.getUint16(localOffset + 28, true);
+      const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+      const bytes = new Uint8Array(buffer, dataStart, compressedSize);
+
+      if (method === 0) {
+        return decoder.decode(bytes);
+      }
+      if (method === 8) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return await new Response(stream).text();
+      }
+      throw new Error(`Unsupported zip compression method: ${method}`);
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return null;
+}
+
+/**
+ * Get the text of an export message, or '' if it has nothing to show
+ */
+function getExportMessageText(message) {
+  const content = message && message.content;
+  if (!content) return '';
+
+  switch (content.content_type) {
+    case 'text':
+    case 'multimodal_text':
+      return (content.parts || [])
+        .filter(part => typeof part === 'string')
+        .join('\n')
+        .trim();
+    case 'code':
+      return content.text ? '```' + (content.language && content.language !== 'unknown' ? content.language : '') + '\n' + content.text + '\n```' : '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Check whether an export message is a visible user/assistant turn
+ */
+function isVisibleExportMessage(message) {
+  if (!message || !message.author) return false;
+  const role = message.author.role;
+  if (role !== 'user' && role !== 'assistant') return false;
+  if (message.metadata && message.metadata.is_visually_hidden_from_conversation) return false;
+  return getExportMessageText(message) !== '';
+}
+
+/**
+ * Follow a conversation's mapping tree from the current leaf back to the root
+ * and return the visible messages in chronological order
+ */
+function getExportConversationPath(conversation) {
+  const mapping = conversation.mapping || {};
+  let nodeId = conversation.current_node;
+
+  // Older exports may lack current_node - fall back to the last leaf in the mapping
+  if (!nodeId || !mapping[nodeId]) {
+    const leaves = Object.keys(mapping).filter(id => !(mapping[id].children || []).length);
+    nodeId = leaves[leaves.length - 1];
+  }
+
+  const path = [];
+  const visited = new Set();
+  while (nodeId && mapping[nodeId] && !visited.has(nodeId)) {
+    visited.add(nodeId);
+    const node = mapping[nodeId];
+    if (isVisibleExportMessage(node.message)) {
+      path.unshift(node.message);
+    }
+    nodeId = node.parent;
+  }
+
+  return path;
+}
+
+/**
+ * Collect the alternate branches of an export conversation (regenerated responses
+ * and edited prompts) in the format stored under ChatWorkspace_{chatId}_branches
+ */
+function getExportConversationBranches(conversation) {
+  const mapping = conversation.mapping || {};
+  const mainIds = new Set(getExportConversationPath(conversation).map(message => message.id));
+  const branchData = { nodes: [], order: {}, selected: {} };
+
+  // Depth-first walk in mapping order; hidden/system nodes pass their visible parent down
+  const rootIds = Object.keys(mapping).filter(id => !mapping[id].parent || !mapping[mapping[id].parent]);
+  const stack = rootIds.reverse().map(id => ({ id, parentKey: BRANCH_ROOT_KEY }));
+  const visited = new Set();
+
+  while (stack.length > 0) {
+    const { id, parentKey } = stack.pop();
+    const node = mapping[id];
+    if (!node || visited.has(id)) continue;
+    visited.add(id);
+
+    let childParentKey = parentKey;
+    if (isVisibleExportMessage(node.message)) {
+      const message = node.message;
+      (branchData.order[parentKey] = branchData.order[parentKey] || []).push(message.id);
+
+      if (!mainIds.has(message.id)) {
+        // Round-trip through collectTurns so alternates match main path turns exactly
+        const turn = collectTurns(exportMessageToHtml(message))[0];
+        if (turn) {
+          branchData.nodes.push({ ...turn, parent: parentKey === BRANCH_ROOT_KEY ? null : parentKey });
+        }
+      }
+      childParentKey = message.id;
+    }
+
+    [...(node.children || [])].reverse().forEach(childId => {
+      stack.push({ id: childId, parentKey: childParentKey });
+    });
+  }
+
+  // Only forks need an explicit sibling order
+  Object.keys(branchData.order).forEach(key => {
+    if (branchData.order[key].length < 2) {
+      delete branchData.order[key];
+    }
+  });
+
+  return branchData;
+}
+
+/**
+ * Escape text for use inside HTML markup or attribute values
+ */
+function escapeExportHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a single message node in the same shape as ChatGPT's DOM
+ */
+function exportMessageToHtml(message) {
+  const role = message.author.role;
+  const text = getExportMessageText(message);
+
+  // User turns are plain text; assistant turns keep their markdown source, which the chatgpt
+  // parser renders at display time - turn text (and so the chat ID) never depends on the renderer
+  const inner = role === 'user'
+    ? `<div class="whitespace-pre-wrap">${escapeExportHtml(text)}</div>`
+    : `<div class="whitespace-pre-wrap" data-chatworkspace-markdown="1">${escapeExportHtml(text)}</div>`;
+
+  return `<div data-message-author-role="${role}" data-message-id="${escapeExportHtml(message.id)}">${inner}</div>`;
+}
+
+/**
+ * Convert an export conversation into chat HTML that collectTurns understands
+ */
+function exportConversationToHtml(conversation) {
+  return getExportConversationPath(conversation).map(exportMessageToHtml).join('\n');
+}
+
+/**
+ * Convert an export conversation into turn objects ({msgId, type, content, rawHtml})
+ */
+function exportConversationToTurns(conversation) {
+  return collectTurns(exportConversationToHtml(conversation));
+}
+
+/**
+ * Get a display title for an export conversation
+ */
+function getExportConversationTitle(conversation) {
+  return (conversation.title || '').trim() || 'Untitled conversation';
+}
+
+/**
+ * Get the chatgpt.com URL of an export conversation
+ */
+function getExportConversationUrl(conversation) {
+  const id = conversation.conversation_id || conversation.id;
+  return id ? `https://chatgpt.com/c/${id}` : '';
+}
+
+/**
+ * Store an export conversation in storage without rendering it
+ * Returns { chatId, title } or null if the conversation has no visible turns
+ */
+async function storeExportConversation(conversation) {
+  const html = exportConversationToHtml(conversation);
+  const conversationTurns = collectTurns(html);
+  if (conversationTurns.length === 0) return null;
+
+  // Re-imports land in the chat already holding these messages, even if it was stored under an older ID
+  const contentId = await hashChat(conversationTurns);
+  const chatId = await findKnownChatId(contentId, conversationTurns) || contentId;
+  const title = getExportConversationTitle(conversation);
+
+  await saveChatHtml(chatId, html);
+
+  // Keep regenerated responses and edited prompts as branches (preserving any saved selection)
+  const branchData = getExportConversationBranches(conversation);
+  if (branchData.nodes.length > 0) {
+    branchData.selected = readStoredRecord(`ChatWorkspace_${chatId}_branches`, {}).selected || {};
+    saveBranchData(branchData, chatId);
+  }
+
+  if (!chatStorage.getItem(`ChatWorkspace_${chatId}`)) {
+    writeStoredRecord(`ChatWorkspace_${chatId}`, {});
+  }
+
+  // Seed notes with the title and original URL, but never overwrite existing notes
+  const url = getExportConversationUrl(conversation);
+  seedChatNotes(chatId, url ? `${title}\n${url}` : title);
+
+  return { chatId, title, html };
+}
+
+/**
+ * Handle a file picked in the export file input
+ */
+async function handleExportFileSelected(event) {
+  const file = event.target.files && event.target.files[0];
+  event.target.value = ''; // Allow picking the same file again
+  if (!file) return;
+
+  try {
+    exportConversations = await readChatGptExportFile(file);
+    if (exportConversations.length === 0) {
+      alert('No conversations found in the export file.');
+      return;
+    }
+    showExportImportModal();
+  } catch (error) {
+    console.error('Error reading export file:', error);
+    alert(`❌ Failed to read export file: ${error.message}`);
+  }
+}
+
+/**
+ * Show the modal that lists export conversations by title for selection
+ */
+function showExportImportModal() {
+  const existingModal = document.querySelector('.import-modal');
+  if (existingModal) {
+    existingModal.remove();
+  }
+
+  // Newest conversations first, like ChatGPT's sidebar
+  const sorted = exportConversations
+    .map((conversation, index) => ({ conversation, index }))
+    .sort((a, b) => (b.conversation.update_time || b.conversation.create_time || 0) - (a.conversation.update_time || a.conversation.create_time || 0));
+
+  // Create backdrop
+  const modal = document.createElement('div');
+  modal.className = 'import-modal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'import-modal-content';
+
+  const modalHeader = document.createElement('div');
+  modalHeader.className = 'import-modal-header';
+
+  const modalTitle = document.createElement('div');
+  modalTitle.className = 'import-modal-title';
+  modalTitle.textContent = `📦 Import ChatGPT Export (${exportConversations.length} conversations)`;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'import-modal-close';
+  closeBtn.innerHTML = '✕';
+  closeBtn.title = 'Close';
+  closeBtn.addEventListener('click', () => modal.remove());
+
+  modalHeader.appendChild(modalTitle);
+  modalHeader.appendChild(closeBtn);
+
+  const modalBody = document.createElement('div');
+  modalBody.className = 'import-modal-body';
+
+  // Filter and select-all controls
+  const controls = document.createElement('div');
+  controls.className = 'import-controls';
+
+  const filterInput = document.createElement('input');
+  filterInput.type = 'text';
+  filterInput.className = 'import-filter-input';
+  filterInput.placeholder = 'Filter by title...';
+
+  const selectAllLabel = document.createElement('label');
+  selectAllLabel.className = 'import-select-all';
+  const selectAllCheckbox = document.createElement('input');
+  selectAllCheckbox.type = 'checkbox';
+  selectAllLabel.appendChild(selectAllCheckbox);
+  selectAllLabel.appendChild(document.createTextNode(' Select all'));
+
+  controls.appendChild(filterInput);
+  controls.appendChild(selectAllLabel);
+
+  const list = document.createElement('div');
+  list.className = 'import-list';
+
+  sorted.forEach(({ conversation, index }) => {
+    const row = document.createElement('label');
+    row.className = 'import-list-item';
+    row.setAttribute('data-title', getExportConversationTitle(conversation).toLowerCase());
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = index;
+
+    const title = document.createElement('span');
+    title.className = 'import-item-title';
+    title.textContent = getExportConversationTitle(conversation);
+
+    const meta = document.createElement('span');
+    meta.className = 'import-item-meta';
+    const messageCount = getExportConversationPath(conversation).length;
+    const timestamp = conversation.update_time || conversation.create_time;
+    const dateText = timestamp ? new Date(timestamp * 1000).toLocaleDateString() : '';
+    meta.textContent = `${messageCount} messages${dateText ? ' · ' + dateText : ''}`;
+
+    row.appendChild(checkbox);
+    row.appendChild(title);
+    row.appendChild(meta);
+    list.appendChild(row);
+  });
+
+  const footer = document.createElement('div');
+  footer.className = 'import-modal-footer';
+
+  const selectedCount = document.createElement('span');
+  selectedCount.className = 'import-selected-count';
+
+  const importButton = document.createElement('button');
+  importButton.className = 'import-modal-import-btn';
+
+  const updateSelection = () => {
+    const count = list.querySelectorAll('input[type="checkbox"]:checked').length;
+    selectedCount.textContent = `${count} selected`;
+    importButton.textContent = count > 1 ? `📥 Load ${count} Chats` : '📥 Load Chat';
+    importButton.disabled = count === 0;
+  };
+
+  list.addEventListener('change', updateSelection);
+
+  filterInput.addEventListener('input', () => {
+    const query = filterInput.value.trim().toLowerCase();
+    list.querySelectorAll('.import-list-item').forEach(row => {
+      row.style.display = row.getAttribute('data-title').includes(query) ? '' : 'none';
+    });
+  });
+
+  // Select all only affects rows visible under the current filter
+  selectAllCheckbox.addEventListener('change', () => {
+    list.querySelectorAll('.import-list-item').forEach(row => {
+      if (row.style.display !== 'none') {
+        row.querySelector('input[type="checkbox"]').checked = selectAllCheckbox.checked;
+      }
+    });
+    updateSelection();
+  });
+
+  importButton.addEventListener('click', async () => {
+    const selected = [...list.querySelectorAll('input[type="checkbox"]:checked')]
+      .map(checkbox => exportConversations[parseInt(checkbox.value)]);
+
+    importButton.disabled = true;
+    importButton.textContent = '⏳ Importing...';
+
+    try {
+      const imported = await importExportConversations(selected);
+      showExportImportResults(modalBody, footer, imported);
+    } catch (error) {
+      console.error('Error importing conversations:', error);
+      alert(`❌ Failed to import conversations: ${error.message}`);
+      updateSelection();
+    }
+  });
+
+  footer.appendChild(selectedCount);
+  footer.appendChild(importButton);
+
+  modalBody.appendChild(controls);
+  modalBody.appendChild(list);
+
+  modalContent.appendChild(modalHeader);
+  modalContent.appendChild(modalBody);
+  modalContent.appendChild(footer);
+
+  modal.appendChild(modalContent);
+  document.body.appendChild(modal);
+
+  updateSelection();
+  filterInput.focus();
+
+  // Close on Escape key
+  const escapeHandler = (e) => {
+    if (e.key === 'Escape') {
+      modal.remove();
+      document.removeEventListener('keydown', escapeHandler);
+    }
+  };
+  document.addEventListener('keydown', escapeHandler);
+
+  // Close on backdrop click (but not when selecting text inside modal)
+  let modalMouseDownTarget = null;
+  modal.addEventListener('mousedown', (e) => {
+    modalMouseDownTarget = e.target;
+  });
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal && modalMouseDownTarget === modal) {
+      modal.remove();
+    }
+  });
+}
+
+/**
+ * Store the selected conversations and open the first one in the workspace
+ */
+async function importExportConversations(conversations) {
+  const imported = [];
+
+  for (const conversation of conversations) {
+    const result = await storeExportConversation(conversation);
+    if (result) {
+      imported.push(result);
+    } else {
+      console.warn('Skipped conversation with no visible turns:', getExportConversationTitle(conversation));
+    }
+  }
+
+  console.log(`Imported ${imported.length} of ${conversations.length} conversations`);
+
+  if (imported.length > 0) {
+    const htmlInput = document.getElementById('htmlInput');
+    htmlInput.value = imported[0].html;
+    await loadChat();
+  }
+
+  return imported;
+}
+
+/**
+ * Replace the modal body with links to every imported chat
+ */
+function showExportImportResults(modalBody, footer, imported) {
+  modalBody.innerHTML = '';
+  footer.remove();
+
+  const summary = document.createElement('p');
+  summary.className = 'import-results-summary';
+  summary.textContent = imported.length === 0
+    ? 'None of the selected conversations had any messages to import.'
+    : `✓ Imported ${imported.length} chat${imported.length > 1 ? 's' : ''}. The first one is open in the workspace.`;
+  modalBody.appendChild(summary);
+
+  const list = document.createElement('div');
+  list.className = 'import-list';
+
+  imported.forEach(({ chatId, title }) => {
+    const link = document.createElement('a');
+    link.className = 'import-list-item import-result-link';
+    link.href = `${window.location.pathname}?open=${chatId}`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = title;
+    list.appendChild(link);
+  });
+
+  modalBody.appendChild(list);
+}
+
+const exportFileInput = document.getElementById('exportFileInput');
+if (exportFileInput) {
+  exportFileInput.addEventListener('change', handleExportFileSelected);
+}
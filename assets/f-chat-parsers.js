@@ -0,0 +1,331 @@
+/**
+ * Parser registry for chat sources.
+ * Each parser sniffs pasted HTML, finds the message nodes, and knows where its
+ * source keeps the formatted message body. collectTurns() / parseChatInput() in
+ * d-render-chat.js pick a parser with detectChatParser() and record its id on the chat.
+ *
+ * Parser shape:
+ *   {
+ *     id: string,                       // Stored in chat settings (ChatWorkspace_{chatId}.parser)
+ *     label: string,                    // Shown in the chat panel header
+ *     priority: number,                 // Higher priority parsers are sniffed first
+ *     detect(doc, input): boolean,      // Does this input come from this source?
+ *     findMessages(doc, input): [{ el, role, msgId, variants? }],  // role is 'user' | 'assistant'; variants is a "2/3" version counter
+ *     extractFormatted(doc): string|null // Formatted HTML of one message, null to use the markdown fallback
+ *   }
+ */
+
+const chatParsers = [];
+
+/**
+ * Register a chat source parser
+ */
+function registerChatParser(parser) {
+  const existingIndex = chatParsers.findIndex(p => p.id === parser.id);
+  if (existingIndex !== -1) {
+    chatParsers.splice(existingIndex, 1);
+  }
+  chatParsers.push(parser);
+  chatParsers.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+/**
+ * Get a registered parser by id
+ */
+function getChatParser(id) {
+  return chatParsers.find(p => p.id === id) || null;
+}
+
+/**
+ * Pick the first parser that recognises the input (the generic parser always matches)
+ */
+function detectChatParser(doc, input) {
+  return chatParsers.find(p => {
+    try {
+      return p.detect(doc, input);
+    } catch (e) {
+      console.warn(`Parser "${p.id}" failed to sniff input:`, e);
+      return false;
+    }
+  }) || getChatParser('generic');
+}
+
+/**
+ * Normalise source-specific author names to 'user' | 'assistant'
+ */
+function normalizeChatRole(role) {
+  const value = String(role || '').trim().toLowerCase();
+  if (['user', 'human', 'me', 'you', 'prompt', 'query'].includes(value)) return 'user';
+  if (['assistant', 'ai', 'bot', 'model', 'claude', 'gemini', 'copilot', 'chatgpt', 'gpt', 'response'].includes(value)) return 'assistant';
+  return '';
+}
+
+/**
+ * Keep only the outermost elements (drops nodes nested inside another match)
+ */
+function outermostElements(elements) {
+  return elements.filter(el => !elements.some(other => other !== el && other.contains(el)));
+}
+
+/**
+ * Clone an element without interactive chrome (copy buttons, icons) that doesn't
+ * work outside the source app and would otherwise leak into turn text
+ */
+function withoutChrome(el) {
+  const clone = el.cloneNode(true);
+  // Image buttons (lightbox openers) keep their images so attachments can still be found
+  clone.querySelectorAll('button').forEach(button => {
+    const images = [...button.querySelectorAll('img')];
+    if (images.length > 0) {
+      button.replaceWith(...images);
+    }
+  });
+  clone.querySelectorAll('button, svg, [aria-hidden="true"]').forEach(node => node.remove());
+  return clone;
+}
+
+/**
+ * Return cleaned HTML of the first element matching one of the selectors, or null
+ */
+function formattedFromSelectors(doc, selectors) {
+  for (const selector of selectors) {
+    const node = doc.querySelector(selector);
+    if (node) {
+      return cleanFormattedNode(withoutChrome(node));
+    }
+  }
+  return null;
+}
+
+/**
+ * Return escaped plain text of the first element matching one of the selectors, or null
+ */
+function plainTextFromSelectors(doc, selectors) {
+  for (const selector of selectors) {
+    const nodes = doc.querySelectorAll(selector);
+    if (nodes.length > 0) {
+      return escapeAndFormat([...nodes].map(node => node.textContent).join('\n'));
+    }
+  }
+  return null;
+}
+
+// ChatGPT (chatgpt.com) - also the shape produced by the data export importer
+registerChatParser({
+  id: 'chatgpt',
+  label: 'ChatGPT',
+  priority: 100,
+  detect(doc) {
+    return !!doc.querySelector('[data-message-author-role]');
+  },
+  findMessages(doc) {
+    // Message nodes are used as-is: their text feeds hashChat, so changing it would change existing chat IDs
+    return [...doc.querySelectorAll('[data-message-author-role]')].map(el => ({
+      el,
+      role: el.getAttribute('data-message-author-role'),
+      msgId: el.getAttribute('data-message-id'),
+      variants: findVariantCounter(el)
+    }));
+  },
+  extractFormatted(doc) {
+    // Markdown source kept by the data export importer
+    const markdownSource = doc.querySelector('[data-chatworkspace-markdown]');
+    if (markdownSource) {
+      return formatContentWithCode(markdownSource.textContent);
+    }
+
+    // Look for ChatGPT's markdown container
+    const markdownDiv = doc.querySelector('.markdown');
+    if (markdownDiv) {
+      return cleanFormattedNode(markdownDiv);
+    }
+
+    // Look for whitespace-pre-wrap div (user messages)
+    const preWrapDiv = doc.querySelector('.whitespace-pre-wrap');
+    if (preWrapDiv) {
+      // Escape HTML and convert newlines to br
+      return escapeAndFormat(preWrapDiv.textContent);
+    }
+
+    return null;
+  }
+});
+
+// Claude (claude.ai)
+registerChatParser({
+  id: 'claude',
+  label: 'Claude',
+  priority: 90,
+  detect(doc) {
+    return !!doc.querySelector('[data-testid="user-message"], .font-claude-message, .font-claude-response');
+  },
+  findMessages(doc) {
+    const nodes = outermostElements([...doc.querySelectorAll('[data-testid="user-message"], .font-claude-message, .font-claude-response')]);
+    return nodes.map(el => ({
+      el: withoutChrome(el),
+      role: el.matches('[data-testid="user-message"]') ? 'user' : 'assistant',
+      msgId: null
+    }));
+  },
+  extractFormatted(doc) {
+    // Both user and assistant bodies are plain paragraphs/lists; responses wrap them in a grid
+    return formattedFromSelectors(doc, ['.grid-cols-1', 'body']);
+  }
+});
+
+// Gemini (gemini.google.com) - Angular custom elements
+registerChatParser({
+  id: 'gemini',
+  label: 'Gemini',
+  priority: 80,
+  detect(doc) {
+    return !!doc.querySelector('user-query, model-response');
+  },
+  findMessages(doc) {
+    return [...doc.querySelectorAll('user-query, model-response')].map(el => ({
+      el: withoutChrome(el),
+      role: el.tagName.toLowerCase() === 'user-query' ? 'user' : 'assistant',
+      msgId: null
+    }));
+  },
+  extractFormatted(doc) {
+    const queryText = plainTextFromSelectors(doc, ['.query-text-line', '.query-text']);
+    if (queryText !== null) {
+      return queryText;
+    }
+    return formattedFromSelectors(doc, ['message-content .markdown', '.markdown', 'message-content']);
+  }
+});
+
+// Microsoft Copilot (copilot.microsoft.com)
+registerChatParser({
+  id: 'copilot',
+  label: 'Copilot',
+  priority: 70,
+  detect(doc) {
+    return !!doc.querySelector('[data-content="user-message"], [data-content="ai-message"]');
+  },
+  findMessages(doc) {
+    return [...doc.querySelectorAll('[data-content="user-message"], [data-content="ai-message"]')].map(el => ({
+      el: withoutChrome(el),
+      role: el.getAttribute('data-content') === 'user-message' ? 'user' : 'assistant',
+      msgId: null
+    }));
+  },
+  extractFormatted(doc) {
+    return formattedFromSelectors(doc, ['body']);
+  }
+});
+
+// Speaker markers for plain-text / Markdown transcripts
+const TRANSCRIPT_SPEAKERS = 'you|user|human|me|assistant|chatgpt|ai|claude|gemini|copilot|bot|model';
+// "You said:", "User: hi", "**Assistant:**", "**ChatGPT**: ..."
+const TRANSCRIPT_LABEL_PATTERN = new RegExp(`^\\s*(?:\\*\\*|__)?\\s*(${TRANSCRIPT_SPEAKERS})(?:\\s+said)?\\s*(?:\\*\\*|__)?\\s*:\\s*(?:\\*\\*|__)?\\s*(.*)$`, 'i');
+// "### User", "## Assistant:"
+const TRANSCRIPT_HEADING_PATTERN = new RegExp(`^\\s*#{1,6}\\s+(?:\\*\\*|__)?\\s*(${TRANSCRIPT_SPEAKERS})(?:\\s+said)?\\s*(?:\\*\\*|__)?\\s*:?\\s*$`, 'i');
+
+/**
+ * Split a plain-text / Markdown transcript into [{ role, text }] at speaker markers.
+ * Markers inside fenced code blocks are ignored and indentation is kept as-is.
+ */
+function splitTranscript(input) {
+  const segments = [];
+  let current = null;
+  let fence = null; // Opening fence (``` or ~~~) while inside a code block
+
+  String(input).replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+    }
+
+    const marker = fence || fenceMatch ? null : (line.match(TRANSCRIPT_HEADING_PATTERN) || line.match(TRANSCRIPT_LABEL_PATTERN));
+    if (marker) {
+      current = { role: normalizeChatRole(marker[1]), lines: marker[2] ? [marker[2]] : [] };
+      segments.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+    // Anything before the first marker (titles, export headers) is dropped
+  });
+
+  return segments.map(segment => {
+    const lines = segment.lines.slice();
+    // Drop blank lines and Markdown rules (---) that separate turns
+    while (lines.length && /^\s*$/.test(lines[0])) lines.shift();
+    while (lines.length && /^\s*(?:[-*_]\s*){3,}$|^\s*$/.test(lines[lines.length - 1])) lines.pop();
+    return { role: segment.role, text: lines.join('\n') };
+  }).filter(segment => segment.text.trim());
+}
+
+// Plain-text / Markdown transcripts (copied chat text, .md chat logs)
+registerChatParser({
+  id: 'transcript',
+  label: 'Text transcript',
+  priority: 10,
+  detect(doc, input) {
+    // Markup goes to the HTML parsers; text needs at least one speaker marker
+    return !/^\s*</.test(input || '') && splitTranscript(input || '').length > 0;
+  },
+  findMessages(doc, input) {
+    return splitTranscript(input).map(segment => {
+      const el = doc.createElement('div');
+      el.textContent = segment.text;
+      return { el, role: segment.role, msgId: null };
+    });
+  },
+  extractFormatted(doc) {
+    // The stored text keeps its indentation, so render it with the markdown formatter
+    return formatContentWithCode(doc.body.textContent);
+  }
+});
+
+// Generic fallback - role-like attributes or class names on any element
+registerChatParser({
+  id: 'generic',
+  label: 'Generic HTML',
+  priority: 0,
+  detect() {
+    return true;
+  },
+  findMessages(doc) {
+    // 1. Attributes that commonly carry the author role
+    const roleAttributes = ['data-role', 'data-author', 'data-author-role', 'data-message-role', 'data-sender', 'data-speaker'];
+    const attributeNodes = outermostElements([...doc.querySelectorAll(roleAttributes.map(a => `[${a}]`).join(', '))]
+      .filter(el => roleAttributes.some(a => normalizeChatRole(el.getAttribute(a)))));
+    if (attributeNodes.length > 0) {
+      return attributeNodes.map(el => ({
+        el: withoutChrome(el),
+        role: normalizeChatRole(roleAttributes.map(a => el.getAttribute(a)).find(v => normalizeChatRole(v))),
+        msgId: el.getAttribute('data-message-id') || el.getAttribute('id')
+      }));
+    }
+
+    // 2. Class names like "user-message" / "assistant-message" / "bot"
+    const classPattern = /(?:^|[-_])(user|human|assistant|bot|ai|model)(?:$|[-_])/i;
+    const classNodes = outermostElements([...doc.querySelectorAll('[class]')].filter(el =>
+      [...el.classList].some(cls => classPattern.test(cls) && normalizeChatRole(cls.match(classPattern)[1]))
+    ));
+    return classNodes.map(el => {
+      const cls = [...el.classList].find(c => classPattern.test(c));
+      return { el: withoutChrome(el), role: normalizeChatRole(cls.match(classPattern)[1]), msgId: null };
+    });
+  },
+  extractFormatted(doc) {
+    return formattedFromSelectors(doc, ['.markdown', 'body']);
+  }
+});
+
+/**
+ * Show which parser read the loaded chat in the chat panel header
+ */
+function updateChatSourceLabel(parser) {
+  const label = document.getElementById('chatSourceLabel');
+  if (!label) return;
+  label.textContent = parser ? parser.label : '';
+  label.title = parser ? `Parsed with the ${parser.label} parser` : '';
+}
@@ -0,0 +1,226 @@
+/**
+ * Branch tree for regenerated responses and edited prompts.
+ * The main path is whatever collectTurns() reads from the stored chat HTML (mainTurns).
+ * Alternate turns live in ChatWorkspace_{chatId}_branches and hang off a parent msgId,
+ * so a chat is a tree and `turns` is the path through it that is currently selected.
+ *
+ * ChatWorkspace_{chatId}_branches:
+ *   {
+ *     nodes: [{ msgId, type, content, rawHtml, parent }],  // Turns that are not on the main path
+ *     order: { [parentKey]: [msgId, ...] },                // Sibling order (e.g. "< 1/3 >" numbering)
+ *     selected: { [parentKey]: msgId }                     // Chosen sibling; missing = main path
+ *   }
+ * parentKey is the parent turn's msgId, or '__root' for the first turn.
+ *
+ * Only the data export holds every version. Pasted, captured or dropped ChatGPT HTML has just
+ * the version on screen, so its "< 2/3 >" counter is kept as turn.variants ({ position, count },
+ * position 0-based) and the outline says the other versions need the export.
+ */
+
+const BRANCH_ROOT_KEY = '__root';
+
+// Text of ChatGPT's version counter ("2/3") between its previous/next buttons
+const VARIANT_COUNTER_PATTERN = /^(\d+)\s*\/\s*(\d+)$/;
+
+/**
+ * Load branch data for the current chat
+ */
+function loadBranchData() {
+  if (!currentChatId) return { nodes: [], order: {}, selected: {} };
+
+  const data = readStoredRecord(`ChatWorkspace_${currentChatId}_branches`, {});
+  return { nodes: data.nodes || [], order: data.order || {}, selected: data.selected || {} };
+}
+
+/**
+ * Save branch data for a chat (defaults to the current chat)
+ */
+function saveBranchData(branchData, chatId = currentChatId) {
+  if (!chatId) return;
+
+  const branchesKey = `ChatWorkspace_${chatId}_branches`;
+  if (!branchData || branchData.nodes.length === 0) {
+    chatStorage.removeItem(branchesKey);
+    return;
+  }
+  writeStoredRecord(branchesKey, branchData);
+}
+
+/**
+ * Get every child of a parent key, in sibling order
+ */
+function getBranchChildren(parentKey, branchData, mainPath = mainTurns) {
+  const children = [];
+
+  // Main path child: the turn after the parent on the main path
+  const mainIndex = parentKey === BRANCH_ROOT_KEY ? -1 : mainPath.findIndex(t => t.msgId === parentKey);
+  if ((parentKey === BRANCH_ROOT_KEY || mainIndex !== -1) && mainPath[mainIndex + 1]) {
+    children.push(mainPath[mainIndex + 1]);
+  }
+
+  branchData.nodes.forEach(node => {
+    if ((node.parent || BRANCH_ROOT_KEY) === parentKey) {
+      children.push(node);
+    }
+  });
+
+  // Apply the stored sibling order; unknown siblings keep their place at the end
+  const order = branchData.order[parentKey] || [];
+  return children.sort((a, b) => {
+    const ai = order.indexOf(a.msgId);
+    const bi = order.indexOf(b.msgId);
+    return (ai === -1 ? order.length : ai) - (bi === -1 ? order.length : bi);
+  });
+}
+
+/**
+ * Build the selected path through the branch tree
+ */
+function buildBranchPath(mainPath, branchData) {
+  if (!branchData || branchData.nodes.length === 0) return mainPath.slice();
+
+  const path = [];
+  const visited = new Set();
+  let parentKey = BRANCH_ROOT_KEY;
+
+  while (!visited.has(parentKey)) {
+    visited.add(parentKey);
+    const children = getBranchChildren(parentKey, branchData, mainPath);
+    if (children.length === 0) break;
+
+    const selectedId = branchData.selected[parentKey];
+    const mainChild = children.find(child => mainPath.includes(child));
+    const next = children.find(child => child.msgId === selectedId) || mainChild || children[children.length - 1];
+
+    path.push(next);
+    parentKey = next.msgId;
+  }
+
+  return path;
+}
+
+/**
+ * Get the branch position of a turn on the current path
+ * Returns { parentKey, siblings, position } (position is 0-based)
+ */
+function getTurnBranchInfo(index, branchData = loadBranchData()) {
+  const parentKey = index === 0 ? BRANCH_ROOT_KEY : turns[index - 1].msgId;
+  const siblings = getBranchChildren(parentKey, branchData);
+  const position = siblings.findIndex(sibling => sibling.msgId === turns[index].msgId);
+  return { parentKey, siblings, position };
+}
+
+/**
+ * Check whether the turn at an index is the main path's turn (as opposed to an alternate)
+ */
+function isMainPathTurn(index) {
+  return !!(turns[index] && mainTurns[index] && mainTurns[index].msgId === turns[index].msgId);
+}
+
+/**
+ * Read ChatGPT's "< 2/3 >" version counter from the conversation turn around a message node
+ * Returns "2/3", or null if the message has no other versions
+ */
+function findVariantCounter(messageEl) {
+  const container = messageEl.closest('article, [data-testid^="conversation-turn"]');
+  if (!container) return null;
+
+  for (const node of container.querySelectorAll('div, span')) {
+    if (node.children.length > 0 || messageEl.contains(node)) continue;
+
+    const match = node.textContent.trim().match(VARIANT_COUNTER_PATTERN);
+    if (match && Number(match[2]) > 1 && Number(match[1]) <= Number(match[2]) && node.parentElement.querySelector('button')) {
+      return `${match[1]}/${match[2]}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Turn a "2/3" version counter into { position, count } (position is 0-based), or null
+ */
+function parseVariantCounter(counter) {
+  const match = String(counter || '').match(VARIANT_COUNTER_PATTERN);
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > Number(match[2])) return null;
+  return { position: Number(match[1]) - 1, count: Number(match[2]) };
+}
+
+/**
+ * Show the previous/next sibling of a turn and re-render both panels
+ */
+function switchBranch(index, delta) {
+  const branchData = loadBranchData();
+  const { parentKey, siblings, position } = getTurnBranchInfo(index, branchData);
+  if (siblings.length < 2) return;
+
+  const nextPosition = (position + delta + siblings.length) % siblings.length;
+  const target = siblings[nextPosition];
+
+  // Selecting the main path child is the default, so drop the entry instead of storing it
+  if (mainTurns.includes(target)) {
+    delete branchData.selected[parentKey];
+  } else {
+    branchData.selected[parentKey] = target.msgId;
+  }
+  saveBranchData(branchData);
+  console.log(`Switched turn ${index} to branch ${nextPosition + 1}/${siblings.length}`);
+
+  turns = buildBranchPath(mainTurns, branchData);
+  closePreviewPanel();
+  renderChat(turns);
+  renderOutline(turns);
+}
+
+/**
+ * Create the "‹ 2/3 ›" branch switcher for an outline item, or null if the turn has no alternates
+ */
+function createBranchSwitcher(index, branchData) {
+  const { siblings, position } = getTurnBranchInfo(index, branchData);
+  if (siblings.length < 2) {
+    return turns[index].variants ? createVariantNotice(turns[index]) : null;
+  }
+
+  const switcher = document.createElement('div');
+  switcher.className = 'branch-switcher';
+  switcher.title = turns[index].type === 'user' ? 'Edited prompt versions' : 'Regenerated responses';
+
+  const prevBtn = document.createElement('button');
+  prevBtn.className = 'branch-switch-btn';
+  prevBtn.innerHTML = '‹';
+  prevBtn.title = 'Previous branch';
+  prevBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    switchBranch(index, -1);
+  });
+
+  const counter = document.createElement('span');
+  counter.className = 'branch-counter';
+  counter.innerHTML = `<i class="fa-solid fa-code-branch"></i> ${position + 1}/${siblings.length}`;
+
+  const nextBtn = document.createElement('button');
+  nextBtn.className = 'branch-switch-btn';
+  nextBtn.innerHTML = '›';
+  nextBtn.title = 'Next branch';
+  nextBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    switchBranch(index, 1);
+  });
+
+  switcher.appendChild(prevBtn);
+  switcher.appendChild(counter);
+  switcher.appendChild(nextBtn);
+  return switcher;
+}
+
+/**
+ * Create the counter for a turn whose other versions weren't in the pasted HTML
+ */
+function createVariantNotice(turn) {
+  const { position, count } = turn.variants;
+  const notice = document.createElement('span');
+  notice.className = 'branch-switcher branch-switcher-unavailable';
+  notice.title = `ChatGPT has ${count} versions of this ${turn.type === 'user' ? 'prompt' : 'response'}, ` +
+    `but pasted HTML only holds the one on screen. Import your ChatGPT data export (📦 Import Export) to switch between them.`;
+  notice.innerHTML = `<i class="fa-solid fa-code-branch"></i> ${position + 1}/${count} <span class="branch-export-hint">export only</span>`;
+  return notice;
+}
@@ -0,0 +1,326 @@
+/**
+ * Turn attachments: uploaded images, generated images, file chips and canvas artifacts.
+ * parseChatInput() pulls them out of each message node into turn.attachments; the
+ * binary ones are then cached as data URIs so they survive the source URLs expiring.
+ *
+ * ChatWorkspace_{chatId}_attachments:
+ *   { [msgId]: [{ kind, name, src, mimeType, title, content, data, unavailable }] }
+ *   kind: 'image' | 'file' | 'canvas'
+ *   data: cached data URI (images/files), unavailable: true once caching failed
+ */
+
+const MAX_CACHED_ATTACHMENT_BYTES = 2 * 1024 * 1024; // Larger files keep their original URL only
+const ATTACHMENT_FETCH_TIMEOUT = 10000;
+
+// Source DOM hooks for attachment nodes (ChatGPT first, then common generic markup)
+const ATTACHMENT_FILE_SELECTOR = '[data-testid*="file-thumbnail"], [data-testid*="attachment"], a[download]';
+const ATTACHMENT_CANVAS_SELECTOR = '[data-testid*="canvas"], [id^="textdoc-message"], .canvas-artifact';
+
+// Attachment URLs that may go into img.src / a.href (pasted or shared HTML could carry javascript: links)
+const ATTACHMENT_SAFE_URL_PATTERN = /^(https?:|blob:|data:image\/)/i;
+
+/**
+ * Find the attachments inside a message node
+ */
+function extractTurnAttachments(el) {
+  const attachments = [];
+  const seenSources = new Set();
+
+  const canvasNodes = [...el.querySelectorAll(ATTACHMENT_CANVAS_SELECTOR)];
+  const fileNodes = [...el.querySelectorAll(ATTACHMENT_FILE_SELECTOR)]
+    .filter(node => !canvasNodes.some(canvas => canvas.contains(node)));
+  const insideAttachmentNode = node => [...canvasNodes, ...fileNodes].some(parent => parent.contains(node));
+
+  canvasNodes.filter(node => !canvasNodes.some(other => other !== node && other.contains(node))).forEach(node => {
+    const heading = node.querySelector('h1, h2, h3, [class*="title"]');
+    const title = (heading ? heading.textContent : '').trim() || 'Canvas';
+    const body = node.cloneNode(true);
+    if (heading) {
+      const bodyHeading = body.querySelector('h1, h2, h3, [class*="title"]');
+      if (bodyHeading) bodyHeading.remove();
+    }
+    body.querySelectorAll('button, svg').forEach(chrome => chrome.remove());
+    attachments.push({ kind: 'canvas', name: title, title, content: body.textContent.replace(/[^\S\n]+/g, ' ').trim() });
+  });
+
+  fileNodes.forEach(node => {
+    const link = node.matches('a[href]') ? node : node.querySelector('a[href]');
+    const nameNode = node.querySelector('.truncate, [class*="font-semibold"]');
+    const name = (node.getAttribute('title') || node.getAttribute('download') || (nameNode ? nameNode.textContent : node.textContent) || '')
+      .trim().split('\n')[0].trim() || 'Attachment';
+    const src = link ? link.getAttribute('href') : '';
+    if (src && seenSources.has(src)) return;
+    if (src) seenSources.add(src);
+    attachments.push({ kind: 'file', name, src });
+  });
+
+  el.querySelectorAll('img').forEach(img => {
+    const src = img.getAttribute('src') || '';
+    const alt = (img.getAttribute('alt') || '').trim();
+    const width = parseInt(img.getAttribute('width'), 10);
+    const height = parseInt(img.getAttribute('height'), 10);
+
+    // Skip avatars, icons and thumbnails that belong to a file chip or canvas card
+    if (!src || seenSources.has(src) || insideAttachmentNode(img)) return;
+    if (/avatar|icon|logo|favicon/i.test(alt) || src.startsWith('data:image/svg')) return;
+    if ((width && width <= 32) || (height && height <= 32)) return;
+
+    seenSources.add(src);
+    attachments.push({ kind: 'image', name: alt || getAttachmentNameFromUrl(src) || 'Image', src });
+  });
+
+  return attachments;
+}
+
+/**
+ * Use the last path segment of a URL as a readable attachment name
+ */
+function getAttachmentNameFromUrl(src) {
+  if (src.startsWith('data:') || src.startsWith('blob:')) return '';
+  try {
+    const segments = new URL(src, window.location.href).pathname.split('/').filter(Boolean);
+    return decodeURIComponent(segments[segments.length - 1] || '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Text that stands in for a message that has attachments but no text of its own
+ */
+function describeAttachments(attachments) {
+  const labels = { image: 'Image', file: 'File', canvas: 'Canvas' };
+  return attachments.map(att => `[${labels[att.kind]}: ${att.name}]`).join('\n');
+}
+
+/**
+ * Check whether a turn's content is only the describeAttachments() stand-in
+ * (older versions dropped these turns, which shifted the turn indexes after them)
+ */
+function isAttachmentOnlyTurn(turn) {
+  return !!(turn.attachments && turn.attachments.length > 0 && turn.content === describeAttachments(turn.attachments));
+}
+
+/**
+ * Load cached attachment data for a chat (defaults to the current chat)
+ */
+function loadAttachmentData(chatId = currentChatId) {
+  if (!chatId) return {};
+
+  return readStoredRecord(`ChatWorkspace_${chatId}_attachments`, {});
+}
+
+/**
+ * Save cached attachment data; if the data URIs don't fit, keep the descriptors only
+ */
+async function saveAttachmentData(attachmentData, chatId = currentChatId) {
+  if (!chatId) return;
+
+  const attachmentsKey = `ChatWorkspace_${chatId}_attachments`;
+  if (Object.keys(attachmentData).length === 0) {
+    await chatStorage.removeItem(attachmentsKey);
+    return;
+  }
+
+  if (!await writeStoredRecord(attachmentsKey, attachmentData, { silent: true })) {
+    console.warn('Attachment data did not fit in storage, keeping original URLs only');
+    const descriptorsOnly = {};
+    Object.keys(attachmentData).forEach(msgId => {
+      descriptorsOnly[msgId] = attachmentData[msgId].map(({ data, ...att }) => att);
+    });
+    await writeStoredRecord(attachmentsKey, descriptorsOnly);
+  }
+}
+
+/**
+ * Check whether two attachment records describe the same attachment
+ */
+function isSameAttachment(a, b) {
+  return a.kind === b.kind && (a.src || '') === (b.src || '') && a.name === b.name;
+}
+
+/**
+ * Get a turn's attachments, with cached data filled in where available
+ */
+function getTurnAttachments(turn, attachmentData = loadAttachmentData()) {
+  const stored = attachmentData[turn.msgId] || [];
+  return (turn.attachments || []).map(att => stored.find(saved => isSameAttachment(saved, att)) || att);
+}
+
+/**
+ * Fetch an attachment and return it as a data URI, or null if it can't be read or is too large
+ */
+async function fetchAttachmentDataUri(src) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), ATTACHMENT_FETCH_TIMEOUT);
+
+  try {
+    const response = await fetch(src, { signal: controller.signal });
+    if (!response.ok) return null;
+
+    const blob = await response.blob();
+    if (blob.size > MAX_CACHED_ATTACHMENT_BYTES) {
+      console.warn(`Attachment too large to cache (${blob.size} bytes):`, src);
+      return null;
+    }
+
+    return await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  } catch (e) {
+    console.warn('Failed to cache attachment:', src, e);
+    return null;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Cache the images and files of a chat's turns as data URIs (runs after the chat is rendered)
+ */
+async function cacheChatAttachments(chatId, turnList) {
+  const attachmentData = loadAttachmentData(chatId);
+  let changed = false;
+
+  for (const turn of turnList) {
+    if (!turn.attachments || turn.attachments.length === 0) continue;
+
+    const stored = attachmentData[turn.msgId] || [];
+    const merged = turn.attachments.map(att => stored.find(saved => isSameAttachment(saved, att)) || { ...att });
+    if (merged.length !== stored.length || merged.some(att => !stored.includes(att))) {
+      changed = true;
+    }
+
+    for (const att of merged) {
+      // data: sources are already inline in the stored chat HTML
+      if (att.kind === 'canvas' || !att.src || att.data || att.unavailable || att.src.startsWith('data:')) continue;
+
+      const dataUri = await fetchAttachmentDataUri(att.src);
+      if (dataUri) {
+        att.data = dataUri;
+        if (!att.mimeType) att.mimeType = dataUri.slice(5, dataUri.indexOf(';'));
+      } else {
+        att.unavailable = true;
+      }
+      changed = true;
+    }
+
+    attachmentData[turn.msgId] = merged;
+  }
+
+  if (changed) {
+    await saveAttachmentData(attachmentData, chatId);
+    console.log('Cached attachments for chat:', chatId);
+  }
+}
+
+/**
+ * Point images already shown in a turn's formatted content at their cached copies
+ * Returns the sources that were found so they aren't shown twice
+ */
+function resolveAttachmentImages(container, attachments) {
+  const shownSources = new Set();
+  container.querySelectorAll('img').forEach(img => {
+    const att = attachments.find(a => a.kind === 'image' && a.src === img.getAttribute('src'));
+    if (att) {
+      shownSources.add(att.src);
+      const data = getSafeAttachmentUrl(att.data);
+      if (data) img.src = data;
+    }
+  });
+  return shownSources;
+}
+
+/**
+ * Get an attachment URL that's safe to show or link, or null (the attachment shows as missing)
+ */
+function getSafeAttachmentUrl(url) {
+  const value = String(url || '').trim();
+  return ATTACHMENT_SAFE_URL_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Get the link of a file chip: the cached copy, retyped so it can only be downloaded, or the
+ * original URL (blob: URLs only worked on the source page). null if there's nothing to link
+ */
+function getAttachmentFileHref(att) {
+  if (typeof att.data === 'string' && /^data:[^,]*;base64,/i.test(att.data)) {
+    return 'data:application/octet-stream' + att.data.slice(att.data.indexOf(';'));
+  }
+  const src = getSafeAttachmentUrl(att.src);
+  return src && !src.startsWith('blob:') ? src : null;
+}
+
+/**
+ * Build the attachment strip for a turn, or null if it has none
+ */
+function createAttachmentsElement(attachments, shownSources = new Set()) {
+  const visible = attachments.filter(att => !(att.kind === 'image' && shownSources.has(att.src)));
+  if (visible.length === 0) return null;
+
+  const container = document.createElement('div');
+  container.className = 'turn-attachments';
+
+  visible.forEach(att => {
+    if (att.kind === 'image') {
+      const src = getSafeAttachmentUrl(att.data) || getSafeAttachmentUrl(att.src);
+      if (!src) {
+        container.appendChild(createAttachmentChip('fa-image', `${att.name} (unavailable)`, null, att.name, true));
+        return;
+      }
+
+      const img = document.createElement('img');
+      img.className = 'attachment-image';
+      img.src = src;
+      img.alt = att.name;
+      img.title = att.name;
+      img.loading = 'lazy';
+      img.addEventListener('error', () => {
+        img.replaceWith(createAttachmentChip('fa-image', `${att.name} (unavailable)`, null, att.name, true));
+      });
+      container.appendChild(img);
+    } else if (att.kind === 'file') {
+      const href = getAttachmentFileHref(att);
+      container.appendChild(createAttachmentChip('fa-paperclip', att.name, href, att.name, !href));
+    } else if (att.kind === 'canvas') {
+      const details = document.createElement('details');
+      details.className = 'attachment-canvas';
+
+      const summary = document.createElement('summary');
+      summary.innerHTML = '<i class="fa-solid fa-file-lines"></i> ';
+      summary.appendChild(document.createTextNode(att.title || att.name));
+
+      const body = document.createElement('pre');
+      body.className = 'attachment-canvas-content';
+      body.textContent = att.content || '';
+
+      details.appendChild(summary);
+      details.appendChild(body);
+      container.appendChild(details);
+    }
+  });
+
+  return container;
+}
+
+/**
+ * Create a file chip (a download link when the file is available)
+ */
+function createAttachmentChip(iconClass, label, href, downloadName, missing) {
+  const chip = document.createElement(href ? 'a' : 'span');
+  chip.className = 'attachment-file' + (missing ? ' missing' : '');
+  if (href) {
+    chip.href = href;
+    chip.download = downloadName;
+    chip.target = '_blank';
+    chip.rel = 'noopener noreferrer';
+  } else if (missing) {
+    chip.title = 'The original file is no longer available';
+  }
+  chip.innerHTML = `<i class="fa-solid ${iconClass}"></i> `;
+  chip.appendChild(document.createTextNode(label));
+  return chip;
+}
@@ -0,0 +1,205 @@
+/**
+ * Continuation-aware re-import.
+ * A chat ID is the hash of every turn, so pasting a conversation again after it grew
+ * would otherwise start a new, empty workspace. resolveChatId() spots pastes whose
+ * turns extend a chat we already have and offers to merge them into that chat's ID.
+ *
+ * ChatWorkspace_chatAliases (global): { [contentHash]: chatId }
+ *   Remembers merged pastes, so the grown chat keeps opening under the original ID,
+ *   and chats whose turn text changed while their message ids stayed the same.
+ */
+
+/**
+ * Load the content hash → chat ID aliases
+ */
+function loadChatAliases() {
+  return readStoredRecord('ChatWorkspace_chatAliases', {});
+}
+
+/**
+ * Remember that chats hashing to contentId belong to chatId
+ */
+function saveChatAlias(contentId, chatId) {
+  const aliases = loadChatAliases();
+  aliases[contentId] = chatId;
+  writeStoredRecord('ChatWorkspace_chatAliases', aliases);
+}
+
+/**
+ * Check whether two turns are the same message (by msgId when both have a real one, else by text)
+ */
+function isSameTurn(a, b) {
+  if (a.type !== b.type) return false;
+
+  const generatedId = /^idx-\d+$/;
+  if (a.msgId && b.msgId && !generatedId.test(a.msgId) && !generatedId.test(b.msgId)) {
+    return a.msgId === b.msgId;
+  }
+
+  const normalize = text => String(text || '').replace(/\s+/g, ' ').trim();
+  return normalize(a.content) === normalize(b.content);
+}
+
+/**
+ * Check whether earlierTurns is a strict prefix of laterTurns
+ */
+function isTurnPrefix(earlierTurns, laterTurns) {
+  if (earlierTurns.length === 0 || earlierTurns.length >= laterTurns.length) return false;
+  return earlierTurns.every((turn, index) => isSameTurn(turn, laterTurns[index]));
+}
+
+/**
+ * Check whether every turn has a real message id (not a generated idx-N)
+ */
+function hasRealMessageIds(turns) {
+  return turns.length > 0 && turns.every(turn => turn.msgId && !/^idx-\d+$/.test(turn.msgId));
+}
+
+/**
+ * Find the stored chat with the most turns for which isMatch(storedTurns) holds.
+ * Chats whose settings.summary rules them out (turnCountFits(turnCount) fails, or another
+ * first message) aren't decompressed. Resolves to { chatId, matchedTurns } or null
+ */
+async function findStoredChat(newTurns, excludeChatId, isMatch, turnCountFits) {
+  const generatedId = /^idx-\d+$/;
+  const firstMsgId = newTurns[0] && !generatedId.test(newTurns[0].msgId) ? newTurns[0].msgId : null;
+  let best = null;
+
+  for (const key of chatStorage.keys()) {
+    const match = key.match(/^ChatWorkspace_(.+)_html$/);
+    if (!match || match[1] === excludeChatId) continue;
+
+    const chatId = match[1];
+    const settings = readStoredRecord(`ChatWorkspace_${chatId}`, {});
+    const summary = settings.summary;
+    if (summary) {
+      if (!turnCountFits(summary.turnCount) || (best && summary.turnCount <= best.matchedTurns)) continue;
+      if (firstMsgId && summary.firstMsgId && !generatedId.test(summary.firstMsgId) &&
+          summary.firstMsgId !== firstMsgId) continue;
+    }
+
+    const storedHtml = await readChatHtml(chatId);
+    if (storedHtml === null) continue;
+
+    // Cheap pre-check before parsing: the first message id has to be in there
+    if (firstMsgId && !storedHtml.includes(firstMsgId)) continue;
+
+    let storedTurns;
+    try {
+      storedTurns = parseChatInput(storedHtml, settings.parser).turns;
+    } catch (e) {
+      console.warn(`Failed to parse stored chat ${chatId}:`, e);
+      continue;
+    }
+
+    if (isMatch(storedTurns) && (!best || storedTurns.length > best.matchedTurns)) {
+      best = { chatId, matchedTurns: storedTurns.length };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find the stored chat that the given turns continue (the longest matching one)
+ * Resolves to { chatId, matchedTurns } or null
+ */
+async function findContinuedChat(newTurns, excludeChatId) {
+  return findStoredChat(newTurns, excludeChatId,
+    storedTurns => isTurnPrefix(storedTurns, newTurns),
+    turnCount => turnCount > 0 && turnCount < newTurns.length
+  );
+}
+
+/**
+ * Find a stored chat with exactly the same messages (by message id) under a different ID,
+ * e.g. an export imported while its turn text still came from rendered HTML
+ * Resolves to { chatId, matchedTurns } or null
+ */
+async function findSameMessagesChat(newTurns, excludeChatId) {
+  if (!hasRealMessageIds(newTurns)) return null;
+  return findStoredChat(newTurns, excludeChatId,
+    storedTurns => storedTurns.length === newTurns.length &&
+      storedTurns.every((turn, index) => isSameTurn(turn, newTurns[index])),
+    turnCount => turnCount === newTurns.length
+  );
+}
+
+/**
+ * Find the stored chat that turns hashing to contentId already belong to, without asking:
+ * a known alias, the chat with the same content, or the same messages under another ID
+ * (remembered as an alias). Resolves to the chat ID or null
+ */
+async function findKnownChatId(contentId, newTurns) {
+  const aliasedId = loadChatAliases()[contentId];
+  if (aliasedId && chatStorage.hasItem(`ChatWorkspace_${aliasedId}_html`)) {
+    console.log(`Chat ${contentId} was merged into ${aliasedId}`);
+    return aliasedId;
+  }
+
+  if (chatStorage.hasItem(`ChatWorkspace_${contentId}_html`)) {
+    return contentId;
+  }
+
+  const same = await findSameMessagesChat(newTurns, contentId);
+  if (same) {
+    saveChatAlias(contentId, same.chatId);
+    console.log(`Chat ${contentId} has the same messages as ${same.chatId}`);
+    return same.chatId;
+  }
+
+  return null;
+}
+
+/**
+ * Read a stored chat's HTML when the given turns are an earlier part of it (a shorter paste of
+ * a chat that later had turns merged in), so opening them doesn't overwrite the merged turns.
+ * Resolves to the stored HTML or null
+ */
+async function readGrownStoredChat(chatId, newTurns) {
+  if (!chatStorage.hasItem(`ChatWorkspace_${chatId}_html`)) return null;
+
+  const settings = readStoredRecord(`ChatWorkspace_${chatId}`, {});
+  if (settings.summary && settings.summary.turnCount <= newTurns.length) return null;
+
+  const storedHtml = await readChatHtml(chatId);
+  if (storedHtml === null) return null;
+
+  try {
+    const storedTurns = parseChatInput(storedHtml, settings.parser).turns;
+    return isTurnPrefix(newTurns, storedTurns) ? storedHtml : null;
+  } catch (e) {
+    console.warn(`Failed to parse stored chat ${chatId}:`, e);
+    return null;
+  }
+}
+
+/**
+ * Work out which chat ID pasted turns belong to: a known chat (see findKnownChatId),
+ * a chat they continue (if the user agrees to merge), or a new ID
+ */
+async function resolveChatId(newTurns) {
+  const contentId = await hashChat(newTurns);
+
+  const knownId = await findKnownChatId(contentId, newTurns);
+  if (knownId) return knownId;
+
+  const continued = await findContinuedChat(newTurns, contentId);
+  if (continued) {
+    const newTurnCount = newTurns.length - continued.matchedTurns;
+    const merge = confirm(
+      `This chat continues a conversation already in your workspace ` +
+      `(the first ${continued.matchedTurns} of ${newTurns.length} turns match).\n\n` +
+      `Merge the ${newTurnCount} new turn${newTurnCount === 1 ? '' : 's'} into it and keep its outline, comments, indents and notes?\n\n` +
+      `OK = merge, Cancel = open as a separate chat`
+    );
+
+    if (merge) {
+      saveChatAlias(contentId, continued.chatId);
+      console.log(`Merged chat ${contentId} into ${continued.chatId} (+${newTurnCount} turns)`);
+      return continued.chatId;
+    }
+  }
+
+  return contentId;
+}
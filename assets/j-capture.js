@@ -0,0 +1,185 @@
+/**
+ * One-click capture from chatgpt.com.
+ * showCaptureBookmarkletModal() hands out a bookmarklet that grabs the conversation HTML,
+ * title and URL, opens this workspace with ?capture=1 and waits for it to say it's ready.
+ * The workspace (startCaptureReceiver) answers with a "ready" message to its opener, takes
+ * the payload from an allowed origin only, and runs it through loadChat().
+ *
+ *   workspace → opener:  { type: 'chatworkspace-ready' }   (repeated until the payload arrives)
+ *   opener → workspace:  { type: 'chatworkspace-capture', html, title, url }
+ */
+
+const CAPTURE_ALLOWED_ORIGINS = ['https://chatgpt.com', 'https://chat.openai.com'];
+const CAPTURE_READY_TYPE = 'chatworkspace-ready';
+const CAPTURE_MESSAGE_TYPE = 'chatworkspace-capture';
+const CAPTURE_TIMEOUT = 20000;
+
+/**
+ * Build the bookmarklet URL for a workspace (defaults to this page)
+ */
+function buildCaptureBookmarklet(workspaceUrl = window.location.origin + window.location.pathname) {
+  const target = new URL(workspaceUrl);
+  target.search = '?capture=1';
+
+  // Runs on chatgpt.com - same selector as a-load-chat.js; keep it ES5 and newline-free
+  const code = [
+    '(function(){',
+    "var first=document.querySelector('[data-turn-id]');",
+    "if(!first){alert('ChatWorkspace: no conversation found on this page.');return;}",
+    `var payload={type:${JSON.stringify(CAPTURE_MESSAGE_TYPE)},html:first.parentElement.innerHTML,title:document.title,url:location.href};`,
+    `var origin=${JSON.stringify(target.origin)};`,
+    `var win=window.open(${JSON.stringify(target.href)},'_blank');`,
+    "if(!win){alert('ChatWorkspace: allow pop-ups for this site and try again.');return;}",
+    'function onMessage(e){',
+    `if(e.source!==win||e.origin!==origin||!e.data||e.data.type!==${JSON.stringify(CAPTURE_READY_TYPE)})return;`,
+    "window.removeEventListener('message',onMessage);",
+    'win.postMessage(payload,origin);',
+    '}',
+    "window.addEventListener('message',onMessage);",
+    `setTimeout(function(){window.removeEventListener('message',onMessage);},${CAPTURE_TIMEOUT});`,
+    '})();'
+  ].join('');
+
+  return 'javascript:' + encodeURIComponent(code);
+}
+
+/**
+ * Wait for a captured chat from the page that opened this tab (?capture=1)
+ */
+function startCaptureReceiver() {
+  const opener = window.opener;
+  if (!opener) {
+    alert('Nothing to capture: open the workspace with the ChatWorkspace bookmarklet from a ChatGPT conversation.');
+    return;
+  }
+
+  let readyInterval = null;
+  let captureTimeout = null;
+
+  const stopListening = () => {
+    clearInterval(readyInterval);
+    clearTimeout(captureTimeout);
+    window.removeEventListener('message', handleCaptureMessage);
+  };
+
+  async function handleCaptureMessage(event) {
+    if (event.source !== opener || !CAPTURE_ALLOWED_ORIGINS.includes(event.origin)) return;
+
+    const data = event.data;
+    if (!data || data.type !== CAPTURE_MESSAGE_TYPE || typeof data.html !== 'string') return;
+
+    stopListening();
+    console.log('Received captured chat from', event.origin);
+    await loadCapturedChat(data);
+  }
+
+  // Announce readiness to each allowed origin (postMessage drops it unless the opener matches)
+  const announceReady = () => {
+    CAPTURE_ALLOWED_ORIGINS.forEach(origin => opener.postMessage({ type: CAPTURE_READY_TYPE }, origin));
+  };
+
+  window.addEventListener('message', handleCaptureMessage);
+  announceReady();
+  readyInterval = setInterval(announceReady, 500);
+  captureTimeout = setTimeout(() => {
+    stopListening();
+    alert('❌ No chat was received from ChatGPT. Run the bookmarklet again from the conversation page.');
+  }, CAPTURE_TIMEOUT);
+}
+
+/**
+ * Strip the " - ChatGPT" suffix from a page title (a bare "ChatGPT" title means untitled)
+ */
+function cleanChatPageTitle(title) {
+  return String(title || '').replace(/\s*[-|–]\s*ChatGPT\s*$/i, '').replace(/^ChatGPT$/i, '').trim();
+}
+
+/**
+ * Load a captured chat and note where it came from
+ */
+async function loadCapturedChat(capture) {
+  const htmlInput = document.getElementById('htmlInput');
+  htmlInput.value = capture.html;
+  await loadChat();
+  if (!currentChatId) return;
+
+  // Seed notes with the title and conversation URL, but never overwrite existing notes
+  const notesInput = document.getElementById('notesInput');
+  if (notesInput && !notesInput.value.trim()) {
+    const title = cleanChatPageTitle(capture.title);
+    const url = /^https:\/\//.test(String(capture.url || '')) ? capture.url : '';
+    notesInput.value = [title, url].filter(Boolean).join('\n');
+    saveChatNotes();
+    updateDetectedLinks();
+  }
+}
+
+/**
+ * Show the bookmarklet, ready to be dragged to the bookmarks bar
+ */
+function showCaptureBookmarkletModal() {
+  // Remove any existing modal
+  const existingModal = document.querySelector('.share-modal');
+  if (existingModal) {
+    existingModal.remove();
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'share-modal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'share-modal-content';
+
+  const modalHeader = document.createElement('div');
+  modalHeader.className = 'share-modal-header';
+
+  const modalTitle = document.createElement('div');
+  modalTitle.className = 'share-modal-title';
+  modalTitle.textContent = '🔖 Capture Bookmarklet';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'share-modal-close';
+  closeBtn.innerHTML = '✕';
+  closeBtn.title = 'Close';
+  closeBtn.addEventListener('click', () => modal.remove());
+
+  modalHeader.appendChild(modalTitle);
+  modalHeader.appendChild(closeBtn);
+
+  const modalBody = document.createElement('div');
+  modalBody.className = 'share-modal-body';
+
+  const description = document.createElement('p');
+  description.className = 'share-description';
+  description.textContent = 'Drag this button to your bookmarks bar. On a ChatGPT conversation, click the bookmark to open it here - no devtools or copy/paste needed.';
+
+  const bookmarklet = document.createElement('a');
+  bookmarklet.className = 'capture-bookmarklet-link';
+  bookmarklet.href = buildCaptureBookmarklet();
+  bookmarklet.textContent = '📥 Send to ChatWorkspace';
+  bookmarklet.title = 'Drag me to your bookmarks bar';
+  bookmarklet.addEventListener('click', (e) => {
+    e.preventDefault();
+    alert('Drag this button to your bookmarks bar, then click it on a ChatGPT conversation.');
+  });
+
+  const hint = document.createElement('p');
+  hint.className = 'capture-hint';
+  hint.textContent = 'The bookmark opens the workspace in a new tab (allow pop-ups for chatgpt.com if asked). The chat title and link are added to its notes.';
+
+  modalBody.appendChild(description);
+  modalBody.appendChild(bookmarklet);
+  modalBody.appendChild(hint);
+
+  modalContent.appendChild(modalHeader);
+  modalContent.appendChild(modalBody);
+  modal.appendChild(modalContent);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  });
+
+  document.body.appendChild(modal);
+}
@@ -0,0 +1,328 @@
+/**
+ * File import: drop files on the input section or pick them with "📂 Open Files".
+ * Each file is read according to its type and stored as its own chat:
+ *   .html / .htm     saved pages ("Save Page As") or copied HTML
+ *   .mhtml / .mht    single-file web archives (the text/html part is decoded)
+ *   .json            shared/{chatId}.json files, or ChatGPT's conversations.json
+ *   .zip             ChatGPT's data export (opens the export picker)
+ *   .txt / .md       plain-text / Markdown transcripts
+ * The source parser is picked per file by detectChatParser(), like a paste.
+ */
+
+const CHAT_FILE_ACCEPT = '.html,.htm,.mhtml,.mht,.json,.zip,.txt,.md,.markdown';
+
+/**
+ * Decode quoted-printable text into bytes
+ */
+function decodeQuotedPrintable(text) {
+  const unfolded = text.replace(/=\r?\n/g, ''); // Soft line breaks
+  const encoder = new TextEncoder();
+  const bytes = [];
+
+  for (let i = 0; i < unfolded.length; i++) {
+    const hex = unfolded.substr(i + 1, 2);
+    if (unfolded[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else if (unfolded.charCodeAt(i) < 128) {
+      bytes.push(unfolded.charCodeAt(i));
+    } else {
+      bytes.push(...encoder.encode(unfolded[i]));
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Get the HTML document out of an MHTML archive
+ */
+function decodeMhtml(text) {
+  const boundaryMatch = text.match(/boundary="?([^";\r\n]+)"?/i);
+  if (!boundaryMatch) {
+    throw new Error('Not an MHTML archive (no MIME boundary found)');
+  }
+
+  for (const part of text.split('--' + boundaryMatch[1])) {
+    const headerEnd = part.search(/\r?\n\r?\n/);
+    if (headerEnd === -1) continue;
+
+    const headers = part.slice(0, headerEnd);
+    if (!/content-type:\s*text\/html/i.test(headers)) continue;
+
+    const body = part.slice(headerEnd).replace(/^\r?\n\r?\n/, '');
+    const charset = (headers.match(/charset="?([\w-]+)"?/i) || [])[1] || 'utf-8';
+    const encoding = ((headers.match(/content-transfer-encoding:\s*([\w-]+)/i) || [])[1] || '').toLowerCase();
+
+    if (encoding === 'quoted-printable') {
+      return new TextDecoder(charset).decode(decodeQuotedPrintable(body));
+    }
+    if (encoding === 'base64') {
+      const binary = atob(body.replace(/\s/g, ''));
+      return new TextDecoder(charset).decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+    }
+    return body;
+  }
+
+  throw new Error('No HTML page found in the MHTML archive');
+}
+
+/**
+ * Reduce a saved page to the chat markup, and read its title
+ * ChatGPT pages are cut down to the same HTML the console snippet copies, so the chat ID matches a paste
+ */
+function extractChatFromPage(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const title = cleanChatPageTitle(doc.title);
+
+  const firstTurn = doc.querySelector('[data-turn-id]');
+  if (firstTurn) {
+    return { input: firstTurn.parentElement.innerHTML, title };
+  }
+
+  doc.querySelectorAll('script, style, link, meta, noscript, template, iframe').forEach(node => node.remove());
+  return { input: doc.body.innerHTML, title };
+}
+
+/**
+ * Read one file into an import entry:
+ *   { type: 'chat', input, title } | { type: 'shared', chatId, data, title } | { type: 'export', conversations }
+ */
+async function readChatFile(file) {
+  const name = file.name.toLowerCase();
+
+  if (/\.zip$/.test(name)) {
+    return { type: 'export', conversations: await readChatGptExportFile(file) };
+  }
+
+  const text = await file.text();
+
+  if (/\.mht(ml)?$/.test(name)) {
+    const page = extractChatFromPage(decodeMhtml(text));
+    return { type: 'chat', input: page.input, title: page.title || file.name };
+  }
+
+  if (/\.html?$/.test(name)) {
+    const page = extractChatFromPage(text);
+    return { type: 'chat', input: page.input, title: page.title || file.name };
+  }
+
+  if (/\.json$/.test(name)) {
+    const data = JSON.parse(text);
+
+    // The app's own shared/{chatId}.json format
+    if (data && data.conversationId !== undefined && data.data) {
+      if (!isValidChatId(data.conversationId)) {
+        throw new Error('Invalid conversation ID in shared chat file');
+      }
+      const sharedData = migrateSharedChatData(data.data, data.schemaVersion || 1);
+      const notes = sharedData.notes && sharedData.notes.notes ? sharedData.notes.notes.split('\n')[0] : '';
+      return { type: 'shared', chatId: data.conversationId, data: sharedData, title: notes || file.name };
+    }
+
+    // ChatGPT's conversations.json
+    const conversations = Array.isArray(data) ? data : (data && Array.isArray(data.conversations) ? data.conversations : null);
+    if (conversations && conversations.some(conv => conv && conv.mapping)) {
+      return { type: 'export', conversations: conversations.filter(conv => conv && conv.mapping) };
+    }
+
+    throw new Error('Unrecognised JSON file (expected a shared chat or conversations.json)');
+  }
+
+  // .txt, .md and anything else: treat as text and let the parsers sniff it
+  return { type: 'chat', input: text, title: file.name };
+}
+
+/**
+ * Store a chat read from a file without rendering it
+ * Returns { chatId, title, input } or null if no messages were found
+ */
+async function storeChatFileInput(input, title) {
+  const parsed = parseChatInput(input);
+  if (parsed.turns.length === 0) return null;
+
+  const chatId = await resolveChatId(parsed.turns);
+
+  // The parser is recorded first, so the library summary saveChatHtml() stores reads the file with it
+  const settingsKey = `ChatWorkspace_${chatId}`;
+  const settings = readStoredRecord(settingsKey, {});
+  writeStoredRecord(settingsKey, { ...settings, parser: parsed.parser.id });
+  await saveChatHtml(chatId, input);
+
+  seedChatNotes(chatId, title);
+  return { chatId, title, input };
+}
+
+/**
+ * Import dropped or picked files, each as its own chat, and open the first one
+ */
+async function importChatFiles(files) {
+  const imported = [];
+  const failed = [];
+  const conversations = [];
+
+  for (const file of files) {
+    try {
+      const entry = await readChatFile(file);
+
+      if (entry.type === 'export') {
+        conversations.push(...entry.conversations);
+      } else if (entry.type === 'shared') {
+        saveSharedChatData(entry.chatId, entry.data);
+        imported.push({ chatId: entry.chatId, title: entry.title, input: entry.data.chatHtml || '' });
+      } else {
+        const result = await storeChatFileInput(entry.input, entry.title);
+        if (result) {
+          imported.push(result);
+        } else {
+          failed.push({ name: file.name, reason: 'no messages found' });
+        }
+      }
+    } catch (error) {
+      console.error(`Error importing ${file.name}:`, error);
+      failed.push({ name: file.name, reason: error.message });
+    }
+  }
+
+  console.log(`Imported ${imported.length} of ${files.length} files`);
+
+  const first = imported.find(result => result.input);
+  if (first) {
+    document.getElementById('htmlInput').value = first.input;
+    await loadChat(first.chatId);
+  }
+
+  // conversations.json / export zips go through the export picker
+  if (conversations.length > 0) {
+    exportConversations = conversations;
+    showExportImportModal();
+  } else if (imported.length > 1 || failed.length > 0) {
+    showFileImportResults(imported, failed);
+  }
+
+  return imported;
+}
+
+/**
+ * List the chats (and failures) of a file import
+ */
+function showFileImportResults(imported, failed) {
+  const existingModal = document.querySelector('.import-modal');
+  if (existingModal) {
+    existingModal.remove();
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'import-modal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'import-modal-content';
+
+  const modalHeader = document.createElement('div');
+  modalHeader.className = 'import-modal-header';
+
+  const modalTitle = document.createElement('div');
+  modalTitle.className = 'import-modal-title';
+  modalTitle.textContent = '📂 Imported Files';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'import-modal-close';
+  closeBtn.innerHTML = '✕';
+  closeBtn.title = 'Close';
+  closeBtn.addEventListener('click', () => modal.remove());
+
+  modalHeader.appendChild(modalTitle);
+  modalHeader.appendChild(closeBtn);
+
+  const modalBody = document.createElement('div');
+  modalBody.className = 'import-modal-body';
+
+  const summary = document.createElement('p');
+  summary.className = 'import-results-summary';
+  summary.textContent = imported.length === 0
+    ? 'None of the files contained a chat.'
+    : `✓ Imported ${imported.length} chat${imported.length > 1 ? 's' : ''}. The first one is open in the workspace.`;
+  modalBody.appendChild(summary);
+
+  const list = document.createElement('div');
+  list.className = 'import-list';
+
+  imported.forEach(({ chatId, title }) => {
+    const link = document.createElement('a');
+    link.className = 'import-list-item import-result-link';
+    link.href = `${window.location.pathname}?open=${chatId}`;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = title;
+    list.appendChild(link);
+  });
+
+  failed.forEach(({ name, reason }) => {
+    const row = document.createElement('div');
+    row.className = 'import-list-item import-failed-item';
+    row.textContent = `✕ ${name} - ${reason}`;
+    list.appendChild(row);
+  });
+
+  modalBody.appendChild(list);
+  modalContent.appendChild(modalHeader);
+  modalContent.appendChild(modalBody);
+  modal.appendChild(modalContent);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  });
+
+  document.body.appendChild(modal);
+}
+
+/**
+ * Handle files picked in the chat file input
+ */
+async function handleChatFilesSelected(event) {
+  const files = [...(event.target.files || [])];
+  event.target.value = ''; // Allow picking the same files again
+  if (files.length > 0) {
+    await importChatFiles(files);
+  }
+}
+
+/**
+ * Accept files dropped anywhere on the input section
+ */
+function setupFileDropZone() {
+  const dropZone = document.querySelector('.input-section');
+  if (!dropZone) return;
+
+  // Only file drags are intercepted; dragging text into the textarea still works
+  const hasFiles = (e) => e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+
+  dropZone.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    dropZone.classList.add('drag-over');
+  });
+
+  dropZone.addEventListener('dragleave', (e) => {
+    if (!dropZone.contains(e.relatedTarget)) {
+      dropZone.classList.remove('drag-over');
+    }
+  });
+
+  dropZone.addEventListener('drop', async (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dropZone.classList.remove('drag-over');
+    await importChatFiles([...e.dataTransfer.files]);
+  });
+}
+
+const chatFileInput = document.getElementById('chatFileInput');
+if (chatFileInput) {
+  chatFileInput.accept = CHAT_FILE_ACCEPT;
+  chatFileInput.addEventListener('change', handleChatFilesSelected);
+}
+setupFileDropZone();
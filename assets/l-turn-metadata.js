@@ -0,0 +1,252 @@
+/**
+ * Turn metadata: reasoning ("Thought for 12s"), tool calls ("Searched the web") and source citations.
+ * parseChatInput() lifts them out of each message into turn.reasoning / turn.toolCalls /
+ * turn.citations and keeps the answer text in turn.answer, so the outline summary, hover
+ * preview and copy button only see the answer. renderChat() shows them as collapsible sections.
+ *
+ * turn.content still holds the full message text: it feeds hashChat(), so chat IDs don't change.
+ *
+ *   reasoning: [{ label, text }]
+ *   toolCalls: [{ label, text }]
+ *   citations: [{ number, title, url }]   // cited in the answer as [number]
+ */
+
+// Source DOM hooks for metadata nodes (ChatGPT, Claude, Gemini, then common markup)
+const REASONING_SELECTOR = '[data-testid*="reasoning"], [data-testid*="thinking"], [data-testid*="thoughts"], .reasoning, .thinking, .thoughts, model-thoughts';
+const TOOL_CALL_SELECTOR = '[data-testid*="tool-call"], [data-testid*="tool-use"], [data-testid*="search-results"], .tool-call, .tool-use';
+const CITATION_SELECTOR = '[data-testid*="citation"], .citation, a[href*="utm_source=chatgpt.com"]';
+
+// Toggle labels that mark a metadata section when there's no selector to go by
+const REASONING_LABEL_PATTERN = /^(?:thought|thinking|reasoned|reasoning)(?:\s+(?:for\b.*|process|longer))?$/i;
+const TOOL_CALL_LABEL_PATTERN = /^(?:searched|searching|browsed|browsing|analy[sz]ed|analy[sz]ing|used|using|called|calling|ran|running)\b.{0,60}$/i;
+const SOURCES_LABEL_PATTERN = /^sources$/i;
+
+/**
+ * Get the label of a metadata section (its toggle text, or its first line)
+ */
+function getMetadataLabel(node) {
+  const toggle = node.matches('button, summary') ? node : node.querySelector('button, summary, [class*="title"]');
+  const text = (toggle ? toggle.textContent : node.textContent) || '';
+  return text.replace(/\s+/g, ' ').trim().split('\n')[0];
+}
+
+/**
+ * Get the text of a metadata section without its label
+ */
+function getMetadataText(node, label) {
+  const clone = node.cloneNode(true);
+  clone.querySelectorAll('button, summary').forEach(toggle => toggle.remove());
+  clone.querySelectorAll('br').forEach(br => br.replaceWith('\n'));
+  clone.querySelectorAll('p, div, li, h1, h2, h3, h4, h5, h6').forEach(block => {
+    block.before('\n');
+    block.after('\n');
+  });
+
+  let text = clone.textContent.replace(/[^\S\n]+/g, ' ').replace(/ ?\n ?/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (text.startsWith(label)) {
+    text = text.slice(label.length).trim();
+  }
+  return text;
+}
+
+/**
+ * Find the section a toggle button/summary opens: its <details>, or its wrapper
+ * unless that wrapper also holds the answer
+ */
+function getToggleSection(toggle, root) {
+  if (toggle.matches('summary') && toggle.parentElement.matches('details')) {
+    return toggle.parentElement;
+  }
+  const wrapper = toggle.parentElement;
+  if (!wrapper || wrapper === root || wrapper.querySelector('.markdown')) {
+    return toggle;
+  }
+  return wrapper;
+}
+
+/**
+ * Collect the reasoning and tool-call sections of a message (outermost first, in document order)
+ */
+function findMetadataSections(root) {
+  const sections = [];
+  const isTaken = node => sections.some(section => section.node.contains(node) || node.contains(section.node));
+
+  root.querySelectorAll(`${REASONING_SELECTOR}, ${TOOL_CALL_SELECTOR}`).forEach(node => {
+    if (isTaken(node)) return;
+    sections.push({ node, kind: node.matches(REASONING_SELECTOR) ? 'reasoning' : 'toolCall' });
+  });
+
+  // ChatGPT marks these only by their toggle text ("Thought for 12s", "Searched the web")
+  root.querySelectorAll('button, summary').forEach(toggle => {
+    if (toggle.closest('.markdown')) return;
+    const label = toggle.textContent.replace(/\s+/g, ' ').trim();
+    if (!label || label.length > 80) return;
+
+    let kind = null;
+    if (REASONING_LABEL_PATTERN.test(label)) kind = 'reasoning';
+    else if (TOOL_CALL_LABEL_PATTERN.test(label)) kind = 'toolCall';
+    else if (SOURCES_LABEL_PATTERN.test(label)) kind = 'sources';
+    if (!kind) return;
+
+    const node = getToggleSection(toggle, root);
+    if (!isTaken(node)) {
+      sections.push({ node, kind });
+    }
+  });
+
+  return sections;
+}
+
+/**
+ * Drop ChatGPT's tracking parameter from a citation URL
+ */
+function cleanCitationUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.searchParams.get('utm_source') === 'chatgpt.com') {
+      parsed.searchParams.delete('utm_source');
+    }
+    return parsed.href;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Lift reasoning, tool calls and citations out of a message node.
+ * The node is changed in place: metadata sections are removed and citations become
+ * numbered [n] links, leaving only the answer. Pass a clone to keep the original.
+ */
+function extractTurnMetadata(root) {
+  const metadata = { reasoning: [], toolCalls: [], citations: [] };
+
+  findMetadataSections(root).forEach(({ node, kind }) => {
+    if (kind !== 'sources') {
+      const label = getMetadataLabel(node) || (kind === 'reasoning' ? 'Reasoning' : 'Tool call');
+      const entry = { label, text: getMetadataText(node, label) };
+      (kind === 'reasoning' ? metadata.reasoning : metadata.toolCalls).push(entry);
+    }
+    node.remove();
+  });
+
+  const citationNodes = [...root.querySelectorAll(CITATION_SELECTOR)];
+  citationNodes.filter(node => !citationNodes.some(other => other !== node && other.contains(node))).forEach(node => {
+    const link = node.matches('a[href]') ? node : node.querySelector('a[href]');
+    if (!link || !/^https?:/i.test(link.getAttribute('href'))) return;
+
+    const url = cleanCitationUrl(link.getAttribute('href'));
+    let citation = metadata.citations.find(c => c.url === url);
+    if (!citation) {
+      // ChatGPT pills read "Wikipedia+2" when they stand for several sources
+      const title = (link.getAttribute('title') || link.getAttribute('aria-label') || node.textContent || '')
+        .replace(/\s+/g, ' ').replace(/\s*\+\d+$/, '').trim();
+      citation = { number: metadata.citations.length + 1, title: title || link.hostname || url, url };
+      metadata.citations.push(citation);
+    }
+
+    const ref = root.ownerDocument.createElement('a');
+    ref.className = 'turn-citation-ref';
+    ref.href = citation.url;
+    ref.target = '_blank';
+    ref.rel = 'noopener noreferrer';
+    ref.title = citation.title;
+    ref.textContent = `[${citation.number}]`;
+    node.replaceWith(ref);
+  });
+
+  return metadata;
+}
+
+/**
+ * Check whether extracted metadata has anything in it
+ */
+function hasTurnMetadata(metadata) {
+  return metadata.reasoning.length > 0 || metadata.toolCalls.length > 0 || metadata.citations.length > 0;
+}
+
+/**
+ * Text that stands in for a message that has reasoning/tool calls but no answer of its own
+ */
+function describeTurnMetadata(metadata) {
+  return [...metadata.reasoning, ...metadata.toolCalls].map(entry => `[${entry.label}]`).join('\n');
+}
+
+/**
+ * Get the answer text of a turn (without reasoning, tool calls or citation pills)
+ */
+function getTurnAnswerText(turn) {
+  return typeof turn.answer === 'string' ? turn.answer : turn.content;
+}
+
+/**
+ * Build one collapsible metadata section
+ */
+function createMetadataSection(className, iconClass, label, body) {
+  const details = document.createElement('details');
+  details.className = `turn-metadata-section ${className}`;
+
+  const summary = document.createElement('summary');
+  summary.innerHTML = `<i class="fa-solid ${iconClass}"></i> `;
+  summary.appendChild(document.createTextNode(label));
+  details.appendChild(summary);
+
+  if (typeof body === 'string') {
+    if (!body) return details;
+    const text = document.createElement('div');
+    text.className = 'turn-metadata-text';
+    text.textContent = body;
+    details.appendChild(text);
+  } else {
+    details.appendChild(body);
+  }
+
+  return details;
+}
+
+/**
+ * Build the reasoning / tool call sections shown above a turn's answer, or null if it has none
+ */
+function createTurnProcessElement(turn) {
+  const reasoning = turn.reasoning || [];
+  const toolCalls = turn.toolCalls || [];
+  if (reasoning.length === 0 && toolCalls.length === 0) return null;
+
+  const container = document.createElement('div');
+  container.className = 'turn-metadata';
+  reasoning.forEach(entry => {
+    container.appendChild(createMetadataSection('turn-reasoning', 'fa-lightbulb', entry.label, entry.text));
+  });
+  toolCalls.forEach(entry => {
+    container.appendChild(createMetadataSection('turn-tool-call', 'fa-screwdriver-wrench', entry.label, entry.text));
+  });
+  return container;
+}
+
+/**
+ * Build the numbered source list shown below a turn's answer, or null if it cites nothing
+ */
+function createTurnCitationsElement(turn) {
+  const citations = turn.citations || [];
+  if (citations.length === 0) return null;
+
+  const list = document.createElement('ol');
+  list.className = 'turn-citation-list';
+  citations.forEach(citation => {
+    const item = document.createElement('li');
+    item.value = citation.number;
+
+    const link = document.createElement('a');
+    link.href = citation.url;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = citation.title;
+    link.title = citation.url;
+
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+
+  const section = createMetadataSection('turn-citations', 'fa-link', `Sources (${citations.length})`, list);
+  section.classList.add('turn-metadata');
+  return section;
+}
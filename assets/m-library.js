@@ -0,0 +1,353 @@
+/**
+ * Chat library: every chat stored in this browser, listed on the home screen.
+ * listStoredChats() scans the ChatWorkspace_{chatId}_html keys (and chats whose HTML was
+ * dropped to the share server, settings.htmlOffloaded); each chat can be
+ * opened, renamed (settings.title), duplicated under a new ID or deleted.
+ * Rows are described from settings.summary (s-chat-html.js), so listing doesn't decompress
+ * any chat HTML; chats saved before summaries existed get one the first time they're listed.
+ */
+
+// Every per-chat key is ChatWorkspace_{chatId}{suffix}
+const CHAT_STORAGE_SUFFIXES = ['', '_html', '_outline', '_comments', '_indents', '_notes', '_branches', '_attachments', '_history'];
+
+// Chat IDs share.php accepts; an ID from a file has to match before it becomes part of a storage key
+const CHAT_ID_PATTERN = /^[a-zA-Z0-9]{32,128}$/;
+
+/**
+ * Work out a display title: the saved title, the first line of the notes, or the first prompt
+ */
+function deriveChatTitle(settings, notes) {
+  if (settings.title) return settings.title;
+
+  const firstLine = String(notes.notes || '').split('\n')[0].trim();
+  if (firstLine && !/^https?:\/\//i.test(firstLine)) return firstLine;
+
+  const text = settings.summary && settings.summary.firstPrompt;
+  if (text) {
+    return text.length > 60 ? text.slice(0, 60) + '...' : text;
+  }
+
+  return 'Untitled chat';
+}
+
+/**
+ * Summarise one stored chat for the library list
+ */
+function describeStoredChat(chatId) {
+  const settings = readStoredRecord(`ChatWorkspace_${chatId}`, {});
+  const notes = readStoredRecord(`ChatWorkspace_${chatId}_notes`, {});
+  const outline = readStoredRecord(`ChatWorkspace_${chatId}_outline`, {});
+  const comments = readStoredRecord(`ChatWorkspace_${chatId}_comments`, {});
+  const indents = readStoredRecord(`ChatWorkspace_${chatId}_indents`, {});
+
+  return {
+    chatId,
+    title: deriveChatTitle(settings, notes),
+    turnCount: settings.summary ? settings.summary.turnCount : null, // null until summarised
+    summaryCount: Object.values(outline).filter(text => text).length,
+    commentCount: Object.values(comments).filter(c => c && (c.heading || c.turn)).length,
+    indentCount: Object.values(indents).filter(level => level > 0).length,
+    lastUpdated: notes.lastUpdated || null,
+    htmlOffloaded: Boolean(settings.htmlOffloaded) && !chatStorage.hasItem(`ChatWorkspace_${chatId}_html`)
+  };
+}
+
+/**
+ * Turn count for display ("12 turns"), or '' while the chat has no summary yet
+ */
+function formatChatTurnCount(chat) {
+  if (chat.turnCount === null) return '';
+  return `${chat.turnCount} turn${chat.turnCount === 1 ? '' : 's'}`;
+}
+
+/**
+ * List every chat stored in this browser, most recently updated first
+ */
+function listStoredChats() {
+  const chats = [];
+  chatStorage.keys().forEach(key => {
+    const match = key.match(/^ChatWorkspace_(.+)_html$/);
+    if (match) {
+      chats.push(describeStoredChat(match[1]));
+      return;
+    }
+
+    // HTML dropped to the share server (t-storage-usage.js): listed from its settings
+    const settingsMatch = key.match(/^ChatWorkspace_([0-9a-f]+)$/);
+    if (settingsMatch && !chatStorage.hasItem(`${key}_html`) &&
+        readStoredRecord(key, {}).htmlOffloaded) {
+      chats.push(describeStoredChat(settingsMatch[1]));
+    }
+  });
+  return chats.sort((a, b) => (b.lastUpdated || '').localeCompare(a.lastUpdated || ''));
+}
+
+/**
+ * Open a stored chat in the workspace
+ */
+async function openStoredChat(chatId) {
+  const savedHtml = await readChatHtml(chatId) || await restoreOffloadedChatHtml(chatId);
+  if (savedHtml === null) {
+    const offloaded = readStoredRecord(`ChatWorkspace_${chatId}`, {}).htmlOffloaded;
+    alert(offloaded
+      ? '❌ The chat text could not be loaded from the share server. Check your connection and try again.'
+      : '❌ This chat is no longer stored in your browser.');
+    renderLibrary();
+    return;
+  }
+
+  document.getElementById('htmlInput').value = savedHtml;
+  await loadChat(chatId);
+}
+
+/**
+ * Rename a stored chat (an empty title goes back to the derived one); resolves once saved
+ */
+function renameStoredChat(chatId, title) {
+  const settingsKey = `ChatWorkspace_${chatId}`;
+  const settings = readStoredRecord(settingsKey, {});
+  const trimmed = String(title || '').trim();
+  if (trimmed) {
+    settings.title = trimmed;
+  } else {
+    delete settings.title;
+  }
+  return writeStoredRecord(settingsKey, settings);
+}
+
+/**
+ * Generate a random chat ID in the same 64-hex-digit shape as hashChat()
+ */
+function generateChatId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check that a chat ID from outside (a shared file, a backup) can't reach another chat's keys
+ */
+function isValidChatId(chatId) {
+  return typeof chatId === 'string' && CHAT_ID_PATTERN.test(chatId);
+}
+
+/**
+ * Copy every key of a stored chat to a new ID and resolve to it
+ */
+async function duplicateStoredChat(chatId) {
+  const newChatId = generateChatId();
+
+  const writes = [];
+  for (const suffix of CHAT_STORAGE_SUFFIXES) {
+    const value = await chatStorage.readItem(`ChatWorkspace_${chatId}${suffix}`);
+    if (value !== null) {
+      writes.push(chatStorage.setItem(`ChatWorkspace_${newChatId}${suffix}`, value));
+    }
+  }
+  await Promise.all(writes);
+
+  const { title } = describeStoredChat(chatId);
+  await renameStoredChat(newChatId, `${title} (copy)`);
+  return newChatId;
+}
+
+/**
+ * Remove every key of a stored chat, and any aliases that point to it
+ */
+async function deleteStoredChat(chatId) {
+  const writes = CHAT_STORAGE_SUFFIXES.map(suffix => chatStorage.removeItem(`ChatWorkspace_${chatId}${suffix}`));
+
+  const aliases = loadChatAliases();
+  const remaining = Object.keys(aliases).filter(contentId => aliases[contentId] !== chatId);
+  if (remaining.length !== Object.keys(aliases).length) {
+    writes.push(writeStoredRecord('ChatWorkspace_chatAliases',
+      Object.fromEntries(remaining.map(contentId => [contentId, aliases[contentId]]))
+    ));
+  }
+
+  await Promise.all(writes);
+}
+
+/**
+ * Build one row of the library list
+ */
+function createLibraryRow(chat) {
+  const row = document.createElement('div');
+  row.className = 'library-item';
+  row.setAttribute('data-title', chat.title.toLowerCase());
+  if (chat.chatId === currentChatId) {
+    row.classList.add('current');
+  }
+
+  const info = document.createElement('div');
+  info.className = 'library-item-info';
+  info.title = 'Open chat';
+  info.addEventListener('click', () => openStoredChat(chat.chatId));
+
+  const title = document.createElement('span');
+  title.className = 'library-item-title';
+  title.textContent = chat.title;
+
+  const meta = document.createElement('span');
+  meta.className = 'library-item-meta';
+  const counts = [
+    chat.htmlOffloaded ? 'text on the share server' : formatChatTurnCount(chat),
+    chat.summaryCount ? `${chat.summaryCount} summar${chat.summaryCount === 1 ? 'y' : 'ies'}` : '',
+    chat.commentCount ? `${chat.commentCount} comment${chat.commentCount === 1 ? '' : 's'}` : '',
+    chat.indentCount ? `${chat.indentCount} indent${chat.indentCount === 1 ? '' : 's'}` : '',
+    chat.lastUpdated ? `updated ${new Date(chat.lastUpdated).toLocaleString()}` : ''
+  ];
+  meta.textContent = counts.filter(Boolean).join(' · ');
+
+  info.appendChild(title);
+  info.appendChild(meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'library-item-actions';
+
+  const addAction = (icon, label, handler) => {
+    const btn = document.createElement('button');
+    btn.className = 'library-action-btn';
+    btn.innerHTML = `<i class="fa-solid ${icon}"></i>`;
+    btn.title = label;
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handler();
+    });
+    actions.appendChild(btn);
+  };
+
+  addAction('fa-folder-open', 'Open', () => openStoredChat(chat.chatId));
+
+  addAction('fa-pen', 'Rename', () => {
+    const newTitle = prompt('Chat title (leave empty to use the default):', chat.title);
+    if (newTitle === null) return;
+    renameStoredChat(chat.chatId, newTitle);
+    renderLibrary();
+  });
+
+  addAction('fa-code-compare', 'Compare with another chat', () => compareStoredChats(chat.chatId));
+
+  addAction('fa-clone', 'Duplicate', async () => {
+    await duplicateStoredChat(chat.chatId);
+    renderLibrary();
+  });
+
+  addAction('fa-trash', 'Delete', async () => {
+    if (!confirm(`Delete "${chat.title}" and all its outline summaries, comments, indents and notes?\n\nThis cannot be undone.`)) {
+      return;
+    }
+    await deleteStoredChat(chat.chatId);
+    if (chat.chatId === currentChatId) {
+      // The open chat is gone - go back to the home screen
+      window.location.href = window.location.pathname;
+      return;
+    }
+    renderLibrary();
+  });
+
+  row.appendChild(info);
+  row.appendChild(actions);
+  return row;
+}
+
+/**
+ * Fill the library list with the stored chats
+ */
+function renderLibrary() {
+  const list = document.getElementById('libraryList');
+  if (!list) return;
+
+  const chats = listStoredChats();
+  list.innerHTML = '';
+
+  const count = document.getElementById('libraryCount');
+  if (count) {
+    count.textContent = `${chats.length} chat${chats.length === 1 ? '' : 's'}`;
+  }
+
+  if (chats.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'library-empty';
+    empty.textContent = 'No chats stored in this browser yet. Paste a conversation above and click "Load Chat".';
+    list.appendChild(empty);
+    return;
+  }
+
+  chats.forEach(chat => list.appendChild(createLibraryRow(chat)));
+  filterLibrary();
+
+  const unsummarised = chats.filter(chat => chat.turnCount === null && !chat.htmlOffloaded &&
+    !summarizeStoredChats.tried.has(chat.chatId));
+  if (unsummarised.length > 0) {
+    summarizeStoredChats(unsummarised.map(chat => chat.chatId));
+  }
+}
+
+/**
+ * Store the library summary of chats saved before settings.summary existed, one chat at a
+ * time so only one is decompressed at once, then list them again
+ */
+async function summarizeStoredChats(chatIds) {
+  if (summarizeStoredChats.running) return;
+  summarizeStoredChats.running = true;
+  try {
+    for (const chatId of chatIds) {
+      summarizeStoredChats.tried.add(chatId); // A chat that can't be summarised isn't retried
+      const html = await readChatHtml(chatId);
+      if (html !== null) await saveChatSummary(chatId, html);
+    }
+  } finally {
+    summarizeStoredChats.running = false;
+  }
+  renderLibrary();
+}
+summarizeStoredChats.tried = new Set();
+
+/**
+ * Hide library rows whose title doesn't match the filter
+ */
+function filterLibrary() {
+  const filterInput = document.getElementById('libraryFilter');
+  const query = filterInput ? filterInput.value.trim().toLowerCase() : '';
+  document.querySelectorAll('#libraryList .library-item').forEach(row => {
+    row.style.display = row.getAttribute('data-title').includes(query) ? '' : 'none';
+  });
+}
+
+/**
+ * Show the library (refreshed) above the workspace
+ */
+function showLibrary() {
+  const section = document.getElementById('librarySection');
+  if (!section) return;
+  renderLibrary();
+  section.hidden = false;
+}
+
+/**
+ * Hide the library
+ */
+function hideLibrary() {
+  const section = document.getElementById('librarySection');
+  if (section) {
+    section.hidden = true;
+  }
+}
+
+/**
+ * Toggle the library from the 📚 Library button
+ */
+function toggleLibrary() {
+  const section = document.getElementById('librarySection');
+  if (!section) return;
+  if (section.hidden) {
+    showLibrary();
+  } else {
+    hideLibrary();
+  }
+}
+
+const libraryFilter = document.getElementById('libraryFilter');
+if (libraryFilter) {
+  libraryFilter.addEventListener('input', filterLibrary);
+}
@@ -0,0 +1,373 @@
+/**
+ * Storage adapter: every ChatWorkspace_* key is read and written through chatStorage.
+ * IndexedDB is used when available (no ~5MB localStorage quota); localStorage is the fallback.
+ *
+ *   await chatStorage.init()            // once, before the first chat is loaded
+ *   chatStorage.getItem(key)            // string | null, served from the copy loaded by init()
+ *   await chatStorage.readItem(key)     // string | null, for any key (needed for chat HTML)
+ *   chatStorage.hasItem(key)            // whether a key is stored (any key)
+ *   chatStorage.keys()                  // every stored key
+ *   await chatStorage.setItem(key, value) / await chatStorage.removeItem(key)
+ *                                       // true once written; false (and the user is told) if it failed
+ *   await chatStorage.retryFailedWrites()  // write what failed again, e.g. after freeing space
+ *
+ * Reads stay synchronous so rendering code doesn't change: init() loads every record into memory,
+ * except chat HTML (keys ending in CHAT_STORAGE_LAZY_SUFFIX), which is only listed and has to be
+ * read with readItem(). The in-memory copy only ever holds saved values: a write in progress is
+ * visible to reads until it settles, and a failed one leaves the last saved value in place
+ * (and the unsaved one in failedWrites).
+ *
+ * Other tabs: every successful write is announced on a BroadcastChannel. Receiving tabs update
+ * their copy and call the onRemoteChange() listeners (r-sync.js re-renders from there). Without
+ * BroadcastChannel, localStorage's own "storage" event is used in fallback mode.
+ *
+ * Migration: on the first IndexedDB start, existing ChatWorkspace_* localStorage keys are copied
+ * into the database and then removed from localStorage (freeing its quota). Keys written to
+ * localStorage while IndexedDB was unavailable are picked up the same way next time.
+ */
+
+const CHAT_STORAGE_DB_NAME = 'ChatWorkspace';
+const CHAT_STORAGE_DB_VERSION = 1;
+const CHAT_STORAGE_STORE = 'keyval';
+const CHAT_STORAGE_KEY_PREFIX = 'ChatWorkspace_';
+const CHAT_STORAGE_CHANNEL = 'ChatWorkspace_storage';
+const CHAT_STORAGE_LAZY_SUFFIX = '_html'; // Large values that are read on demand instead of kept in memory
+
+/**
+ * Check whether a key's value is left out of the in-memory copy
+ */
+function isLazyStorageKey(key) {
+  return key.endsWith(CHAT_STORAGE_LAZY_SUFFIX);
+}
+
+/**
+ * Wrap an IndexedDB request or transaction in a promise
+ */
+function promisifyIdb(target) {
+  return new Promise((resolve, reject) => {
+    if (target instanceof IDBTransaction) {
+      target.oncomplete = () => resolve();
+      target.onabort = target.onerror = () => reject(target.error || new Error('IndexedDB transaction failed'));
+    } else {
+      target.onsuccess = () => resolve(target.result);
+      target.onerror = () => reject(target.error);
+    }
+  });
+}
+
+/**
+ * Open the workspace database (creating the key/value store on first use)
+ */
+function openChatStorageDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(CHAT_STORAGE_DB_NAME, CHAT_STORAGE_DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(CHAT_STORAGE_STORE)) {
+        request.result.createObjectStore(CHAT_STORAGE_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+  });
+}
+
+/**
+ * List the ChatWorkspace_* keys in localStorage
+ */
+function getLocalStorageChatKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(CHAT_STORAGE_KEY_PREFIX)) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Move ChatWorkspace_* keys from localStorage into IndexedDB (localStorage values win,
+ * since they can only be newer than the database copy), then clear them from localStorage
+ */
+async function migrateLocalStorageToIndexedDb(db, storage) {
+  const keys = getLocalStorageChatKeys();
+  if (keys.length === 0) return;
+
+  const transaction = db.transaction(CHAT_STORAGE_STORE, 'readwrite');
+  const store = transaction.objectStore(CHAT_STORAGE_STORE);
+  keys.forEach(key => store.put(localStorage.getItem(key), key));
+  await promisifyIdb(transaction);
+
+  keys.forEach(key => {
+    storage.remember(key, localStorage.getItem(key));
+    localStorage.removeItem(key);
+  });
+  console.log(`Moved ${keys.length} keys from localStorage to IndexedDB`);
+}
+
+/**
+ * Tell the user that their changes aren't being saved: storage full opens the storage panel
+ * (t-storage-usage.js) to free space, other errors are alerted once per page load
+ */
+let storageErrorReported = false;
+function reportStorageError(error, key) {
+  console.error(`Failed to save ${key}:`, error);
+
+  const quota = error && (error.name === 'QuotaExceededError' || /quota/i.test(error.message || ''));
+  if (quota && typeof showStoragePanel === 'function') {
+    showStoragePanel({ failedKey: key });
+    return;
+  }
+
+  if (storageErrorReported) return;
+  storageErrorReported = true;
+  alert(quota
+    ? '❌ Browser storage is full, so your latest changes were not saved. Delete chats you no longer need from the 📚 Library and try again.'
+    : `❌ Your latest changes could not be saved: ${error && error.message ? error.message : error}`);
+}
+
+const chatStorage = {
+  backend: null, // 'indexeddb' | 'localStorage'
+  db: null,
+  cache: new Map(), // Every saved IndexedDB record except lazy ones, kept in step with writes (here and in other tabs)
+  lazyKeys: new Set(), // Saved keys whose values stay in IndexedDB (chat HTML)
+  pending: new Map(), // key → { value } of the latest write in progress (null = removal)
+  initPromise: null,
+  channel: null,
+  remoteListeners: [],
+  failedWrites: new Map(), // key → value that could not be saved (null = removal), until saved
+
+  /**
+   * Open IndexedDB, migrate localStorage keys and load every record but chat HTML (falls back to localStorage)
+   */
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        if (typeof indexedDB === 'undefined') {
+          this.backend = 'localStorage';
+          console.warn('IndexedDB is not available, storing chats in localStorage');
+          this.listenToOtherTabs();
+          return;
+        }
+
+        try {
+          const db = await openChatStorageDb();
+          const keys = await promisifyIdb(db.transaction(CHAT_STORAGE_STORE, 'readonly').objectStore(CHAT_STORAGE_STORE).getAllKeys());
+          const store = db.transaction(CHAT_STORAGE_STORE, 'readonly').objectStore(CHAT_STORAGE_STORE);
+          const residentKeys = keys.filter(key => !isLazyStorageKey(key));
+          const values = await Promise.all(residentKeys.map(key => promisifyIdb(store.get(key))));
+          residentKeys.forEach((key, index) => this.cache.set(key, values[index]));
+          keys.filter(isLazyStorageKey).forEach(key => this.lazyKeys.add(key));
+
+          await migrateLocalStorageToIndexedDb(db, this);
+          this.db = db;
+          this.backend = 'indexeddb';
+        } catch (error) {
+          console.warn('IndexedDB could not be opened, storing chats in localStorage:', error);
+          this.cache.clear();
+          this.lazyKeys.clear();
+          this.backend = 'localStorage';
+        }
+        this.listenToOtherTabs();
+      })();
+    }
+    return this.initPromise;
+  },
+
+  /**
+   * Pick up writes made in other tabs (BroadcastChannel, or localStorage "storage" events)
+   */
+  listenToOtherTabs() {
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHAT_STORAGE_CHANNEL);
+      this.channel.onmessage = (event) => {
+        const { key, value } = event.data || {};
+        if (typeof key !== 'string') return;
+        if (this.backend === 'indexeddb') {
+          this.remember(key, value);
+        }
+        this.notifyRemoteChange(key, value);
+      };
+    } else if (this.backend === 'localStorage') {
+      window.addEventListener('storage', (event) => {
+        if (event.key && event.key.startsWith(CHAT_STORAGE_KEY_PREFIX)) {
+          this.notifyRemoteChange(event.key, event.newValue);
+        }
+      });
+    }
+  },
+
+  /**
+   * Call listener(key, value) whenever another tab changes a key (value null = removed)
+   */
+  onRemoteChange(listener) {
+    this.remoteListeners.push(listener);
+  },
+
+  /**
+   * Run the onRemoteChange() listeners
+   */
+  notifyRemoteChange(key, value) {
+    this.remoteListeners.forEach(listener => {
+      try {
+        listener(key, value);
+      } catch (error) {
+        console.error(`Failed to apply change to ${key} from another tab:`, error);
+      }
+    });
+  },
+
+  /**
+   * Tell other tabs about a write that has been saved
+   */
+  announce(key, value) {
+    if (this.channel) {
+      this.channel.postMessage({ key, value });
+    }
+  },
+
+  /**
+   * Record a saved value in the in-memory copy (null = removed)
+   */
+  remember(key, value) {
+    this.cache.delete(key);
+    this.lazyKeys.delete(key);
+    if (value === null) return;
+
+    if (isLazyStorageKey(key)) {
+      this.lazyKeys.add(key);
+    } else {
+      this.cache.set(key, value);
+    }
+  },
+
+  /**
+   * Get a stored value, or null (chat HTML isn't in memory: use readItem())
+   */
+  getItem(key) {
+    if (this.backend !== 'indexeddb') return localStorage.getItem(key);
+    if (this.pending.has(key)) return this.pending.get(key).value;
+    if (isLazyStorageKey(key)) {
+      console.warn(`${key} is not kept in memory, read it with readItem()`);
+      return null;
+    }
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  },
+
+  /**
+   * Read a stored value, or null (works for every key, including chat HTML)
+   */
+  async readItem(key) {
+    if (this.backend !== 'indexeddb' || this.pending.has(key) || !isLazyStorageKey(key)) {
+      return this.getItem(key);
+    }
+    if (!this.lazyKeys.has(key)) return null;
+
+    const store = this.db.transaction(CHAT_STORAGE_STORE, 'readonly').objectStore(CHAT_STORAGE_STORE);
+    const value = await promisifyIdb(store.get(key));
+    return value === undefined ? null : value;
+  },
+
+  /**
+   * Check whether a key is stored, without reading its value
+   */
+  hasItem(key) {
+    if (this.backend !== 'indexeddb') return localStorage.getItem(key) !== null;
+    if (this.pending.has(key)) return this.pending.get(key).value !== null;
+    return this.cache.has(key) || this.lazyKeys.has(key);
+  },
+
+  /**
+   * List every stored ChatWorkspace_* key
+   */
+  keys() {
+    if (this.backend !== 'indexeddb') return getLocalStorageChatKeys();
+    const keys = new Set([...this.cache.keys(), ...this.lazyKeys]);
+    this.pending.forEach(({ value }, key) => {
+      if (value === null) {
+        keys.delete(key);
+      } else {
+        keys.add(key);
+      }
+    });
+    return [...keys];
+  },
+
+  /**
+   * Write (value) or delete (null) a key in IndexedDB; reads see the value while it's in flight
+   * and the in-memory copy only takes it once it's saved
+   */
+  async writeToDb(key, value) {
+    const write = { value };
+    this.pending.set(key, write);
+    try {
+      const transaction = this.db.transaction(CHAT_STORAGE_STORE, 'readwrite');
+      if (value === null) {
+        transaction.objectStore(CHAT_STORAGE_STORE).delete(key);
+      } else {
+        transaction.objectStore(CHAT_STORAGE_STORE).put(value, key);
+      }
+      await promisifyIdb(transaction);
+      this.remember(key, value);
+    } finally {
+      // A later write to the same key is still in flight: leave its value visible
+      if (this.pending.get(key) === write) {
+        this.pending.delete(key);
+      }
+    }
+  },
+
+  /**
+   * Store a string value; resolves to false if it could not be saved
+   * options.silent: don't tell the user about a failure (the caller has a fallback)
+   */
+  async setItem(key, value, options = {}) {
+    value = String(value);
+    try {
+      if (this.backend !== 'indexeddb') {
+        localStorage.setItem(key, value);
+      } else {
+        await this.writeToDb(key, value);
+      }
+      this.failedWrites.delete(key);
+      this.announce(key, value);
+      return true;
+    } catch (error) {
+      this.failedWrites.set(key, value);
+      if (!options.silent) reportStorageError(error, key);
+      return false;
+    }
+  },
+
+  /**
+   * Remove a stored value
+   */
+  async removeItem(key) {
+    try {
+      if (this.backend !== 'indexeddb') {
+        localStorage.removeItem(key);
+      } else {
+        await this.writeToDb(key, null);
+      }
+      this.failedWrites.delete(key);
+      this.announce(key, null);
+      return true;
+    } catch (error) {
+      this.failedWrites.set(key, null);
+      reportStorageError(error, key);
+      return false;
+    }
+  },
+
+  /**
+   * Write every value that failed to save again; resolves to the number still failing
+   */
+  async retryFailedWrites() {
+    const writes = [...this.failedWrites].map(([key, value]) =>
+      value === null ? this.removeItem(key) : this.setItem(key, value, { silent: true })
+    );
+    await Promise.all(writes);
+    return this.failedWrites.size;
+  }
+};
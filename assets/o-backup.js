@@ -0,0 +1,415 @@
+/**
+ * Workspace backup: every stored chat (HTML, settings, outline, comments, indents, notes,
+ * branches and attachments) in one versioned JSON file, and a restore that lets you
+ * skip, overwrite or merge each chat that is already in this browser.
+ *
+ *   {
+ *     format: 'chatworkspace-backup',
+ *     version: 1,
+ *     schemaVersion: SCHEMA_VERSION,   // Record format of the chat fields (q-schema.js); missing = 1
+ *     exportedAt: ISO date,
+ *     chats: [{ chatId, title, html, settings, outline, comments, indents, notes, branches, attachments }],
+ *     aliases: { contentId: chatId }   // Continuation merges (i-chat-continuation.js)
+ *   }
+ */
+
+const BACKUP_FORMAT = 'chatworkspace-backup';
+const BACKUP_VERSION = 1;
+
+// Backup field → per-chat storage suffix ('html' is the decompressed chat HTML, the rest JSON)
+const BACKUP_FIELDS = {
+  settings: '',
+  html: '_html',
+  outline: '_outline',
+  comments: '_comments',
+  indents: '_indents',
+  notes: '_notes',
+  branches: '_branches',
+  attachments: '_attachments'
+};
+
+/**
+ * Collect every stored chat into a backup object
+ */
+async function buildWorkspaceBackup() {
+  const chats = [];
+  for (const { chatId, title } of listStoredChats()) {
+    const chat = { chatId, title };
+    for (const field of Object.keys(BACKUP_FIELDS)) {
+      const key = `ChatWorkspace_${chatId}${BACKUP_FIELDS[field]}`;
+      chat[field] = field === 'html' ? await readChatHtml(chatId) : readStoredRecord(key, null);
+    }
+    chats.push(chat);
+  }
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    chats,
+    aliases: loadChatAliases()
+  };
+}
+
+/**
+ * Download a backup of the whole workspace
+ */
+async function downloadWorkspaceBackup() {
+  const backup = await buildWorkspaceBackup();
+  if (backup.chats.length === 0) {
+    alert('There are no stored chats to back up yet.');
+    return;
+  }
+
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `chatworkspace-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  console.log(`Backed up ${backup.chats.length} chats`);
+}
+
+/**
+ * Check that parsed JSON is a backup this version can restore, and return its chats
+ * (with their fields migrated to the current schema)
+ */
+function validateWorkspaceBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT || !Array.isArray(backup.chats)) {
+    throw new Error('Not a ChatWorkspace backup file');
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    throw new Error(`This backup was made by a newer version of ChatWorkspace (format version ${backup.version})`);
+  }
+  return backup.chats
+    // Chats whose HTML was dropped to the share server (settings.htmlOffloaded) have html: null.
+    // The ID becomes part of storage keys, so it has to be one share.php would accept
+    .filter(chat => chat && isValidChatId(chat.chatId) &&
+      (typeof chat.html === 'string' || (chat.settings && chat.settings.htmlOffloaded)))
+    .map(chat => {
+      const migrated = { ...chat };
+      Object.keys(BACKUP_FIELDS).forEach(field => {
+        if (field !== 'html' && migrated[field] !== null && migrated[field] !== undefined) {
+          migrated[field] = migrateRecord(field, migrated[field], backup.schemaVersion || 1);
+        }
+      });
+      return migrated;
+    });
+}
+
+/**
+ * Merge two per-turn maps (outline, indents, attachments): turns annotated here keep
+ * their value, turns only annotated in the backup get the backup's
+ */
+function mergeTurnMaps(local, backup, isSet = value => Boolean(value)) {
+  const merged = { ...local };
+  Object.keys(backup || {}).forEach(key => {
+    if (!isSet(merged[key])) {
+      merged[key] = backup[key];
+    }
+  });
+  return merged;
+}
+
+/**
+ * Merge comments heading by heading and turn by turn
+ */
+function mergeComments(local, backup) {
+  const merged = { ...local };
+  Object.keys(backup || {}).forEach(key => {
+    const here = merged[key] || {};
+    const there = backup[key] || {};
+    merged[key] = { ...here, heading: here.heading || there.heading || '', turn: here.turn || there.turn || '' };
+  });
+  return merged;
+}
+
+/**
+ * Merge notes: keep the notes here and append the backup's if they say something else
+ */
+function mergeNotes(local, backup) {
+  const localText = String(local.notes || '').trim();
+  const backupText = String(backup.notes || '').trim();
+  const notes = !localText || localText.includes(backupText)
+    ? (localText || backupText)
+    : (backupText ? `${localText}\n\n${backupText}` : localText);
+  const lastUpdated = [local.lastUpdated, backup.lastUpdated].filter(Boolean).sort().pop();
+  return lastUpdated ? { notes, lastUpdated } : { notes };
+}
+
+/**
+ * Merge branch data: every alternate turn from both, the selection made here wins
+ */
+function mergeBranches(local, backup) {
+  const nodes = [...(local.nodes || [])];
+  (backup.nodes || []).forEach(node => {
+    if (!nodes.some(existing => existing.msgId === node.msgId)) {
+      nodes.push(node);
+    }
+  });
+
+  const order = { ...(local.order || {}) };
+  Object.keys(backup.order || {}).forEach(parentKey => {
+    order[parentKey] = [...new Set([...(order[parentKey] || []), ...backup.order[parentKey]])];
+  });
+
+  return { nodes, order, selected: { ...(backup.selected || {}), ...(local.selected || {}) } };
+}
+
+/**
+ * Work out the stored value of one field when merging a backup chat into the one here
+ */
+function mergeBackupField(field, local, backup) {
+  if (local === null || local === undefined) return backup;
+  if (backup === null || backup === undefined) return local;
+
+  switch (field) {
+    case 'html': return local; // The chat itself is the same - keep the copy here
+    case 'settings': return { ...backup, ...local };
+    case 'outline': return mergeTurnMaps(local, backup);
+    case 'indents': return mergeTurnMaps(local, backup, level => level > 0);
+    case 'attachments': return mergeTurnMaps(local, backup, list => Array.isArray(list) && list.length > 0);
+    case 'comments': return mergeComments(local, backup);
+    case 'notes': return mergeNotes(local, backup);
+    case 'branches': return mergeBranches(local, backup);
+    default: return local;
+  }
+}
+
+/**
+ * Restore one chat from a backup
+ * action: 'skip' | 'overwrite' (replace everything stored for the chat) | 'merge' (keep what's here, add the rest)
+ */
+async function restoreBackupChat(chat, action) {
+  if (action === 'skip') return;
+
+  if (action === 'overwrite') {
+    await deleteStoredChat(chat.chatId);
+  }
+
+  const localHtml = action === 'merge' ? await readChatHtml(chat.chatId) : null;
+  const writes = Object.keys(BACKUP_FIELDS).map(field => {
+    const key = `ChatWorkspace_${chat.chatId}${BACKUP_FIELDS[field]}`;
+    const local = action === 'merge'
+      ? (field === 'html' ? localHtml : readStoredRecord(key, null))
+      : null;
+    const value = mergeBackupField(field, local, chat[field]);
+
+    if (value === null || value === undefined) return null;
+    if (field === 'attachments') return saveAttachmentData(value, chat.chatId);
+    return field === 'html' ? saveChatHtml(chat.chatId, value) : writeStoredRecord(key, value);
+  });
+
+  await Promise.all(writes);
+}
+
+/**
+ * Restore the chosen chats and the aliases that point to them
+ * choices: { chatId: action }
+ */
+async function restoreWorkspaceBackup(backup, chats, choices) {
+  const restored = chats.filter(chat => (choices[chat.chatId] || 'skip') !== 'skip');
+
+  for (const chat of restored) {
+    await restoreBackupChat(chat, choices[chat.chatId]);
+  }
+
+  // Aliases for restored chats, unless this browser already maps that content elsewhere
+  const restoredIds = new Set(restored.map(chat => chat.chatId));
+  const aliases = loadChatAliases();
+  let aliasesChanged = false;
+  Object.keys(backup.aliases || {}).forEach(contentId => {
+    if (restoredIds.has(backup.aliases[contentId]) && !aliases[contentId]) {
+      aliases[contentId] = backup.aliases[contentId];
+      aliasesChanged = true;
+    }
+  });
+  if (aliasesChanged) {
+    await writeStoredRecord('ChatWorkspace_chatAliases', aliases);
+  }
+
+  console.log(`Restored ${restored.length} of ${chats.length} chats from backup`);
+  return restored;
+}
+
+/**
+ * Ask which chats of a backup to restore, and how
+ */
+function showRestoreBackupModal(backup, chats) {
+  const existingModal = document.querySelector('.import-modal');
+  if (existingModal) {
+    existingModal.remove();
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'import-modal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'import-modal-content';
+
+  const modalHeader = document.createElement('div');
+  modalHeader.className = 'import-modal-header';
+
+  const modalTitle = document.createElement('div');
+  modalTitle.className = 'import-modal-title';
+  modalTitle.textContent = `♻️ Restore Backup (${chats.length} chat${chats.length === 1 ? '' : 's'})`;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'import-modal-close';
+  closeBtn.innerHTML = '✕';
+  closeBtn.title = 'Close';
+  closeBtn.addEventListener('click', () => modal.remove());
+
+  modalHeader.appendChild(modalTitle);
+  modalHeader.appendChild(closeBtn);
+
+  const modalBody = document.createElement('div');
+  modalBody.className = 'import-modal-body';
+
+  const summary = document.createElement('p');
+  summary.className = 'import-results-summary';
+  summary.textContent = `Backup from ${backup.exportedAt ? new Date(backup.exportedAt).toLocaleString() : 'an unknown date'}. ` +
+    'Chats already in this browser can be skipped, overwritten with the backup, or merged (annotations here are kept, ones only in the backup are added).';
+
+  // Set every chat that's already here to the same action
+  const controls = document.createElement('div');
+  controls.className = 'import-controls';
+  const setAllLabel = document.createElement('span');
+  setAllLabel.className = 'import-selected-count';
+  setAllLabel.textContent = 'Chats already here:';
+  controls.appendChild(setAllLabel);
+
+  const list = document.createElement('div');
+  list.className = 'import-list';
+
+  chats.forEach(chat => {
+    const exists = chatStorage.hasItem(`ChatWorkspace_${chat.chatId}_html`) ||
+      Boolean(readStoredRecord(`ChatWorkspace_${chat.chatId}`, {}).htmlOffloaded);
+
+    const row = document.createElement('div');
+    row.className = 'import-list-item';
+
+    const title = document.createElement('span');
+    title.className = 'import-item-title';
+    title.textContent = chat.title || 'Untitled chat';
+
+    const meta = document.createElement('span');
+    meta.className = 'import-item-meta';
+    meta.textContent = exists ? 'already here' : 'new';
+
+    const select = document.createElement('select');
+    select.className = 'restore-action-select';
+    select.setAttribute('data-chat-id', chat.chatId);
+    select.setAttribute('data-exists', exists);
+    const options = exists
+      ? [['merge', 'Merge'], ['overwrite', 'Overwrite'], ['skip', 'Skip']]
+      : [['overwrite', 'Restore'], ['skip', 'Skip']];
+    options.forEach(([value, label]) => select.add(new Option(label, value)));
+
+    row.appendChild(title);
+    row.appendChild(meta);
+    row.appendChild(select);
+    list.appendChild(row);
+  });
+
+  [['merge', 'Merge all'], ['overwrite', 'Overwrite all'], ['skip', 'Skip all']].forEach(([value, label]) => {
+    const btn = document.createElement('button');
+    btn.className = 'library-action-btn';
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      list.querySelectorAll('.restore-action-select[data-exists="true"]').forEach(select => {
+        select.value = value;
+      });
+    });
+    controls.appendChild(btn);
+  });
+
+  const footer = document.createElement('div');
+  footer.className = 'import-modal-footer';
+
+  const note = document.createElement('span');
+  note.className = 'import-selected-count';
+  note.textContent = 'Overwrite replaces the outline, comments, indents and notes stored here.';
+
+  const restoreButton = document.createElement('button');
+  restoreButton.className = 'import-modal-import-btn';
+  restoreButton.textContent = '♻️ Restore';
+  restoreButton.addEventListener('click', async () => {
+    const choices = {};
+    list.querySelectorAll('.restore-action-select').forEach(select => {
+      choices[select.getAttribute('data-chat-id')] = select.value;
+    });
+
+    restoreButton.disabled = true;
+    restoreButton.textContent = '⏳ Restoring...';
+
+    try {
+      const restored = await restoreWorkspaceBackup(backup, chats, choices);
+      modal.remove();
+      alert(`✓ Restored ${restored.length} of ${chats.length} chat${chats.length === 1 ? '' : 's'}.`);
+
+      // Show the restored annotations if the open chat was one of them
+      if (currentChatId && restored.some(chat => chat.chatId === currentChatId)) {
+        await openStoredChat(currentChatId);
+      }
+      showLibrary();
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      alert(`❌ Failed to restore the backup: ${error.message}`);
+      restoreButton.disabled = false;
+      restoreButton.textContent = '♻️ Restore';
+    }
+  });
+
+  footer.appendChild(note);
+  footer.appendChild(restoreButton);
+
+  modalBody.appendChild(summary);
+  modalBody.appendChild(controls);
+  modalBody.appendChild(list);
+
+  modalContent.appendChild(modalHeader);
+  modalContent.appendChild(modalBody);
+  modalContent.appendChild(footer);
+  modal.appendChild(modalContent);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  });
+
+  document.body.appendChild(modal);
+}
+
+/**
+ * Read a picked backup file and ask how to restore it
+ */
+async function handleBackupFileSelected(event) {
+  const file = event.target.files && event.target.files[0];
+  event.target.value = ''; // Allow picking the same file again
+  if (!file) return;
+
+  try {
+    const backup = JSON.parse(await file.text());
+    const chats = validateWorkspaceBackup(backup);
+    if (chats.length === 0) {
+      alert('This backup has no chats in it.');
+      return;
+    }
+    showRestoreBackupModal(backup, chats);
+  } catch (error) {
+    console.error('Error reading backup:', error);
+    alert(`❌ Could not read ${file.name}: ${error.message}`);
+  }
+}
+
+const backupFileInput = document.getElementById('backupFileInput');
+if (backupFileInput) {
+  backupFileInput.addEventListener('change', handleBackupFileSelected);
+}
@@ -0,0 +1,209 @@
+/**
+ * Undo/redo for outline summaries, indents and comments.
+ * Every edit records a step holding only the per-turn entries it changed, before and after;
+ * undo writes the "before" values back, redo the "after" ones. Steps are kept per chat in
+ * ChatWorkspace_{chatId}_history, so the history survives a reload.
+ *
+ *   const before = captureHistoryState(['_outline']);
+ *   ...write to storage...
+ *   pushHistoryStep('Edit summary', before);
+ *
+ *   history: { undo: [step], redo: [step] }
+ *   step:    { label, changes: [{ suffix, key, before, after }], time }  // key = turn key; null = no entry
+ */
+
+const HISTORY_LIMIT = 100;
+
+// Per-chat keys the history covers (ChatWorkspace_{chatId}{suffix})
+const HISTORY_SUFFIXES = ['_outline', '_comments', '_indents'];
+
+/**
+ * Load the undo/redo stacks for the current chat
+ */
+function loadHistoryData() {
+  if (!currentChatId) return { undo: [], redo: [] };
+
+  const data = readStoredRecord(`ChatWorkspace_${currentChatId}_history`, {});
+  return { undo: data.undo || [], redo: data.redo || [] };
+}
+
+/**
+ * Save the undo/redo stacks for the current chat
+ */
+function saveHistoryData(history) {
+  if (!currentChatId) return;
+
+  const historyKey = `ChatWorkspace_${currentChatId}_history`;
+  if (history.undo.length === 0 && history.redo.length === 0) {
+    chatStorage.removeItem(historyKey);
+  } else {
+    writeStoredRecord(historyKey, history);
+  }
+  updateHistoryButtons(history);
+}
+
+/**
+ * Read the stored data of some per-chat records ({} = not stored)
+ */
+function captureHistoryState(suffixes = HISTORY_SUFFIXES) {
+  const state = {};
+  suffixes.forEach(suffix => {
+    state[suffix] = readStoredRecord(`ChatWorkspace_${currentChatId}${suffix}`, {});
+  });
+  return state;
+}
+
+/**
+ * List the entries that differ between two states of per-chat records
+ * Returns [{ suffix, key, before, after }] (null = no entry)
+ */
+function diffHistoryStates(before, after) {
+  const changes = [];
+  Object.keys(before).forEach(suffix => {
+    const beforeData = before[suffix] || {};
+    const afterData = after[suffix] || {};
+    new Set([...Object.keys(beforeData), ...Object.keys(afterData)]).forEach(key => {
+      const beforeValue = key in beforeData ? beforeData[key] : null;
+      const afterValue = key in afterData ? afterData[key] : null;
+      if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+        changes.push({ suffix, key, before: beforeValue, after: afterValue });
+      }
+    });
+  });
+  return changes;
+}
+
+/**
+ * Record an edit: compare the records captured before it with their data now
+ */
+function pushHistoryStep(label, before) {
+  if (!currentChatId) return;
+
+  const changes = diffHistoryStates(before, captureHistoryState(Object.keys(before)));
+  if (changes.length === 0) return; // Nothing changed
+
+  const history = loadHistoryData();
+  history.undo.push({ label, changes, time: new Date().toISOString() });
+  if (history.undo.length > HISTORY_LIMIT) {
+    history.undo.splice(0, history.undo.length - HISTORY_LIMIT);
+  }
+  history.redo = []; // A new edit starts a new branch of history
+  saveHistoryData(history);
+}
+
+/**
+ * Write one side ('before' or 'after') of a step's changes back to storage and redraw the outline
+ */
+function applyHistoryChanges(changes, side) {
+  const changesBySuffix = {};
+  changes.forEach(change => {
+    (changesBySuffix[change.suffix] = changesBySuffix[change.suffix] || []).push(change);
+  });
+
+  Object.keys(changesBySuffix).forEach(suffix => {
+    const key = `ChatWorkspace_${currentChatId}${suffix}`;
+    const data = readStoredRecord(key, {});
+    changesBySuffix[suffix].forEach(change => {
+      if (change[side] === null) {
+        delete data[change.key];
+      } else {
+        data[change.key] = change[side];
+      }
+    });
+
+    if (Object.keys(data).length === 0) {
+      chatStorage.removeItem(key);
+    } else {
+      writeStoredRecord(key, data);
+    }
+  });
+  renderOutline(turns);
+}
+
+/**
+ * Turn a step saved with whole before/after records (schema v2) into per-entry changes
+ */
+function convertLegacyHistoryStep(step) {
+  if (!step || Array.isArray(step.changes)) return step;
+
+  const readState = state => {
+    const data = {};
+    Object.keys(state || {}).forEach(suffix => {
+      data[suffix] = {};
+      if (state[suffix] === null) return;
+      try {
+        const record = unwrapRecord(JSON.parse(state[suffix]));
+        data[suffix] = migrateRecord(SCHEMA_RECORD_TYPES[suffix], record.data, record.version) || {};
+      } catch (e) {
+        console.warn(`Failed to read an undo step of ${suffix}:`, e);
+      }
+    });
+    return data;
+  };
+
+  return { label: step.label, changes: diffHistoryStates(readState(step.before), readState(step.after)), time: step.time };
+}
+
+/**
+ * Undo the last edit
+ */
+function undoHistory() {
+  const history = loadHistoryData();
+  const step = history.undo.pop();
+  if (!step) return;
+
+  applyHistoryChanges(step.changes, 'before');
+  history.redo.push(step);
+  saveHistoryData(history);
+  console.log(`Undid: ${step.label}`);
+}
+
+/**
+ * Redo the last undone edit
+ */
+function redoHistory() {
+  const history = loadHistoryData();
+  const step = history.redo.pop();
+  if (!step) return;
+
+  applyHistoryChanges(step.changes, 'after');
+  history.undo.push(step);
+  saveHistoryData(history);
+  console.log(`Redid: ${step.label}`);
+}
+
+/**
+ * Enable the undo/redo buttons and name the step they act on
+ */
+function updateHistoryButtons(history = loadHistoryData()) {
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+  const lastUndo = history.undo[history.undo.length - 1];
+  const lastRedo = history.redo[history.redo.length - 1];
+
+  if (undoBtn) {
+    undoBtn.disabled = !lastUndo;
+    undoBtn.title = lastUndo ? `Undo: ${lastUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = !lastRedo;
+    redoBtn.title = lastRedo ? `Redo: ${lastRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  }
+}
+
+// Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y); text fields keep their own undo
+document.addEventListener('keydown', (e) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || !currentChatId) return;
+
+  const target = e.target;
+  if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undoHistory();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redoHistory();
+  }
+});
@@ -0,0 +1,140 @@
+/**
+ * Storage schema versions. Every JSON record in chatStorage is saved as
+ *   { schemaVersion: SCHEMA_VERSION, data }
+ * and share payloads / backup files carry a schemaVersion too. Anything without one is version 1
+ * (saved before records were versioned). readStoredRecord() runs older records through
+ * SCHEMA_MIGRATIONS up to SCHEMA_VERSION and writes the result back, so each record is
+ * migrated once, the first time it's loaded.
+ *
+ * Chat HTML (ChatWorkspace_{chatId}_html) is not a record - s-chat-html.js stores it (normalized and gzipped).
+ *
+ * To change a record format: bump SCHEMA_VERSION and add SCHEMA_MIGRATIONS[oldVersion].
+ */
+
+const SCHEMA_VERSION = 3;
+
+// Record type of each per-chat key (ChatWorkspace_{chatId}{suffix})
+const SCHEMA_RECORD_TYPES = {
+  '': 'settings',
+  '_outline': 'outline',
+  '_comments': 'comments',
+  '_indents': 'indents',
+  '_notes': 'notes',
+  '_branches': 'branches',
+  '_attachments': 'attachments',
+  '_history': 'history'
+};
+
+// Record type of each global key
+const SCHEMA_GLOBAL_RECORD_TYPES = {
+  'ChatWorkspace_chatAliases': 'aliases',
+  'ChatWorkspace_showIconLabels': 'iconLabels',
+  'ChatWorkspace_codeBlockPrefs': 'codeBlockPrefs',
+  'ChatWorkspace_themePrefs': 'themePrefs'
+};
+
+// SCHEMA_MIGRATIONS[n](type, data) upgrades a record of the given type from version n to n + 1
+const SCHEMA_MIGRATIONS = {
+  // 1 → 2: comments used to be a plain string (the turn comment) before headings existed
+  1: (type, data) => {
+    if (type !== 'comments' || !data || typeof data !== 'object') return data;
+    const comments = {};
+    Object.keys(data).forEach(key => {
+      comments[key] = typeof data[key] === 'string' ? { heading: '', turn: data[key] } : data[key];
+    });
+    return comments;
+  },
+
+  // 2 → 3: undo steps held whole copies of the records they touched; now only the changed entries (p-history.js)
+  2: (type, data) => {
+    if (type !== 'history' || !data || typeof data !== 'object') return data;
+    const convert = steps => (steps || []).map(convertLegacyHistoryStep).filter(step => step && step.changes.length > 0);
+    return { undo: convert(data.undo), redo: convert(data.redo) };
+  }
+};
+
+/**
+ * Get the record type of a storage key, or null if it isn't a versioned record (chat HTML)
+ */
+function getRecordType(key) {
+  if (SCHEMA_GLOBAL_RECORD_TYPES[key]) return SCHEMA_GLOBAL_RECORD_TYPES[key];
+
+  const match = key.match(/^ChatWorkspace_[^_]+(_[a-z]+)?$/i);
+  const suffix = match ? (match[1] || '') : null;
+  return suffix !== null && SCHEMA_RECORD_TYPES[suffix] ? SCHEMA_RECORD_TYPES[suffix] : null;
+}
+
+/**
+ * Split a parsed record into its version and data (unversioned records are version 1)
+ */
+function unwrapRecord(parsed) {
+  if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) &&
+      typeof parsed.schemaVersion === 'number' && 'data' in parsed) {
+    return { version: parsed.schemaVersion, data: parsed.data };
+  }
+  return { version: 1, data: parsed };
+}
+
+/**
+ * Upgrade record data from a schema version to the current one
+ */
+function migrateRecord(type, data, fromVersion) {
+  if (fromVersion > SCHEMA_VERSION) {
+    console.warn(`${type} data is from a newer schema (v${fromVersion}, this is v${SCHEMA_VERSION}); using it as-is`);
+    return data;
+  }
+
+  let migrated = data;
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    if (SCHEMA_MIGRATIONS[version]) {
+      migrated = SCHEMA_MIGRATIONS[version](type, migrated);
+    }
+  }
+  return migrated;
+}
+
+/**
+ * Read a stored record (migrating and re-saving it if it's older), or the fallback
+ * if it's missing or broken
+ */
+function readStoredRecord(key, fallback) {
+  const saved = chatStorage.getItem(key);
+  if (saved === null || saved === undefined) return fallback;
+
+  let record;
+  try {
+    record = unwrapRecord(JSON.parse(saved));
+  } catch (e) {
+    console.warn(`Failed to parse ${key}:`, e);
+    return fallback;
+  }
+
+  let data = record.data;
+  if (record.version < SCHEMA_VERSION) {
+    data = migrateRecord(getRecordType(key), data, record.version);
+    writeStoredRecord(key, data);
+    console.log(`Migrated ${key} from schema v${record.version} to v${SCHEMA_VERSION}`);
+  }
+
+  return data === null || data === undefined ? fallback : data;
+}
+
+/**
+ * Save a record stamped with the current schema version (resolves like chatStorage.setItem)
+ */
+function writeStoredRecord(key, data, options) {
+  return chatStorage.setItem(key, JSON.stringify({ schemaVersion: SCHEMA_VERSION, data }), options);
+}
+
+/**
+ * Bring shared chat data (shared/{chatId}.json or a share payload) up to the current schema
+ */
+function migrateSharedChatData(data, fromVersion = 1) {
+  const migrated = { ...data };
+  ['outline', 'comments', 'indents', 'notes', 'branches', 'attachments'].forEach(type => {
+    if (migrated[type]) {
+      migrated[type] = migrateRecord(type, migrated[type], fromVersion);
+    }
+  });
+  return migrated;
+}
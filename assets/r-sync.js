@@ -0,0 +1,253 @@
+/**
+ * Cross-tab sync: when another tab changes a key (chatStorage.onRemoteChange), the parts of
+ * this tab showing it are refreshed - outline summaries in place, comments/indents/branches by
+ * re-rendering the outline, the notes field, the undo buttons and the library.
+ *
+ * Conflicts: while a field is being edited here (a summary, the comment editor, the notes),
+ * it's tracked in syncEdit. If another tab changes that same field, the user is told right
+ * away, and resolveSyncConflict() asks which version to keep when they save.
+ *
+ *   syncEdit: { suffix, field, element, label, base, theirs }
+ *     base   - the field's stored value when editing started (or last saved here)
+ *     theirs - the other tab's value, once it differs from base
+ */
+
+const SYNC_REFRESH_DELAY = 50;
+const SYNC_NOTICE_DURATION = 8000;
+
+let syncEdit = null;
+let syncPendingSuffixes = new Set();
+let syncRefreshTimer = null;
+let syncNoticeTimer = null;
+
+/**
+ * Read one field of a current-chat record (field null = the whole record)
+ */
+function readSyncField(suffix, field) {
+  const data = readStoredRecord(`ChatWorkspace_${currentChatId}${suffix}`, {});
+  const value = field === null ? data : data[field];
+  return value === undefined ? null : value;
+}
+
+/**
+ * Compare two field values (missing and null are the same)
+ */
+function isSameSyncValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Short, plain-text version of a field value for the conflict prompt
+ */
+function describeSyncValue(value) {
+  if (value === null || value === undefined) return '(empty)';
+  const text = typeof value === 'string' ? value : [value.heading, value.turn].filter(Boolean).join(' / ');
+  const plain = text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim() || '(empty)';
+  return plain.length > 120 ? plain.slice(0, 120) + '...' : plain;
+}
+
+/**
+ * Start tracking a field that's being edited in this tab
+ * element: the editing UI - tracking stops once it's removed from the page
+ */
+function beginSyncEdit(suffix, field, element, label) {
+  if (!currentChatId) return;
+  syncEdit = { suffix, field, element, label, base: readSyncField(suffix, field), theirs: undefined };
+}
+
+/**
+ * Stop tracking the field being edited (and apply refreshes that waited for it)
+ */
+function endSyncEdit() {
+  syncEdit = null;
+  if (syncPendingSuffixes.size > 0) {
+    scheduleSyncRefresh();
+  }
+}
+
+/**
+ * Get the tracked edit, if its editing UI is still on the page
+ */
+function getActiveSyncEdit() {
+  if (syncEdit && !syncEdit.element.isConnected) {
+    syncEdit = null;
+  }
+  return syncEdit;
+}
+
+/**
+ * Decide whether a save here may go ahead. Returns true to save `mine`; false when
+ * another tab changed the field meanwhile and the user chose to keep their version.
+ */
+function resolveSyncConflict(mine) {
+  const edit = getActiveSyncEdit();
+  if (!edit) return true;
+
+  const theirs = edit.theirs;
+  edit.theirs = undefined;
+
+  let keepMine = true;
+  if (theirs !== undefined && !isSameSyncValue(theirs, mine)) {
+    keepMine = confirm(
+      `⚠️ ${edit.label} changed in another tab while you were editing it.\n\n` +
+      `Other tab: ${describeSyncValue(theirs)}\n` +
+      `This tab: ${describeSyncValue(mine)}\n\n` +
+      `OK = keep this tab's version, Cancel = keep the other tab's version`
+    );
+  }
+
+  edit.base = keepMine ? mine : theirs;
+  return keepMine;
+}
+
+/**
+ * Show a short message in the corner (replaces any message already showing)
+ */
+function showSyncNotice(message) {
+  let notice = document.querySelector('.sync-notice');
+  if (!notice) {
+    notice = document.createElement('div');
+    notice.className = 'sync-notice';
+    notice.addEventListener('click', () => notice.classList.remove('visible'));
+    document.body.appendChild(notice);
+  }
+
+  notice.textContent = message;
+  notice.classList.add('visible');
+  clearTimeout(syncNoticeTimer);
+  syncNoticeTimer = setTimeout(() => notice.classList.remove('visible'), SYNC_NOTICE_DURATION);
+}
+
+/**
+ * Check whether an outline summary is being typed in (re-rendering the outline would lose it)
+ */
+function isEditingOutlineSummary() {
+  const active = document.activeElement;
+  return !!(active && active.classList && active.classList.contains('outline-summary'));
+}
+
+/**
+ * Put the stored summaries back into the outline, except the one being edited
+ */
+function refreshOutlineSummaries() {
+  const outlineData = loadOutlineData();
+  document.querySelectorAll('#outlineContent .outline-summary[data-turn-index]').forEach(summary => {
+    if (summary === document.activeElement) return;
+    const index = parseInt(summary.getAttribute('data-turn-index'));
+    summary.textContent = outlineData[getAnnotationKey(index)] || summary.getAttribute('data-default-text');
+  });
+}
+
+/**
+ * Apply the changes other tabs made since the last refresh
+ */
+function applySyncRefresh() {
+  syncRefreshTimer = null;
+  const suffixes = syncPendingSuffixes;
+  syncPendingSuffixes = new Set();
+
+  if (!currentChatId || turns.length === 0) return;
+
+  // Summaries can be updated one by one; anything else re-renders the outline,
+  // which has to wait until no summary is being typed in
+  const needsRender = ['_comments', '_indents', '_branches', '_html'].some(suffix => suffixes.has(suffix));
+  if (needsRender && isEditingOutlineSummary()) {
+    suffixes.forEach(suffix => syncPendingSuffixes.add(suffix));
+    if (suffixes.has('_outline')) refreshOutlineSummaries();
+    return;
+  }
+
+  if (suffixes.has('_html')) {
+    if (!chatStorage.hasItem(`ChatWorkspace_${currentChatId}_html`)) {
+      // Dropped to the share server to free space (t-storage-usage.js) leaves the chat in place
+      if (!readStoredRecord(`ChatWorkspace_${currentChatId}`, {}).htmlOffloaded) {
+        showSyncNotice('🗑️ This chat was deleted in another tab. It will be gone once you leave this page.');
+      }
+    } else {
+      // New turns were merged into this chat in another tab
+      openStoredChat(currentChatId);
+      showSyncNotice('🔄 This chat was updated in another tab.');
+      return;
+    }
+  }
+
+  if (suffixes.has('_branches')) {
+    turns = buildBranchPath(mainTurns, loadBranchData());
+    closePreviewPanel();
+    renderChat(turns);
+    renderOutline(turns);
+  } else if (needsRender) {
+    renderOutline(turns);
+  } else if (suffixes.has('_outline')) {
+    refreshOutlineSummaries();
+  }
+
+  if (suffixes.has('_notes')) {
+    const edit = getActiveSyncEdit();
+    if (edit && edit.suffix === '_notes') {
+      syncPendingSuffixes.add('_notes'); // Reloaded once the notes field loses focus
+    } else {
+      loadChatNotes(currentChatId);
+    }
+  }
+
+  if (suffixes.has('_history')) {
+    updateHistoryButtons();
+  }
+}
+
+/**
+ * Refresh shortly (changes from one save in another tab often arrive as several keys)
+ */
+function scheduleSyncRefresh() {
+  if (!syncRefreshTimer) {
+    syncRefreshTimer = setTimeout(applySyncRefresh, SYNC_REFRESH_DELAY);
+  }
+}
+
+/**
+ * React to a key changed in another tab
+ */
+async function handleRemoteStorageChange(key) {
+  // Only the open chat's HTML is decoded, to tell whether it really changed
+  let htmlChanged = false;
+  if (currentChatId && key === `ChatWorkspace_${currentChatId}_html`) {
+    const previousHtml = chatHtmlCache.get(currentChatId);
+    htmlChanged = await readChatHtml(currentChatId) !== previousHtml;
+  }
+
+  const librarySection = document.getElementById('librarySection');
+  if (librarySection && !librarySection.hidden) {
+    clearTimeout(handleRemoteStorageChange.libraryTimer);
+    handleRemoteStorageChange.libraryTimer = setTimeout(renderLibrary, SYNC_REFRESH_DELAY);
+  }
+
+  if (!currentChatId) return;
+  const prefix = `ChatWorkspace_${currentChatId}`;
+  if (!key.startsWith(prefix)) return;
+  const suffix = key.slice(prefix.length);
+  if (suffix !== '' && !suffix.startsWith('_')) return;
+  if (suffix === '_html' && !htmlChanged) return; // Saved again unchanged (e.g. reopened in another tab)
+
+  // The field being edited here changed too: tell the user now, ask when they save
+  const edit = getActiveSyncEdit();
+  if (edit && edit.suffix === suffix) {
+    const theirs = readSyncField(suffix, edit.field);
+    if (!isSameSyncValue(theirs, edit.base)) {
+      edit.theirs = theirs;
+      showSyncNotice(`⚠️ ${edit.label} was just changed in another tab. When you save, you'll be asked which version to keep.`);
+    }
+  }
+
+  syncPendingSuffixes.add(suffix);
+  scheduleSyncRefresh();
+}
+
+chatStorage.onRemoteChange(handleRemoteStorageChange);
+
+// Re-render once the summary that held back a refresh loses focus (after its own save)
+document.addEventListener('focusout', () => {
+  if (syncPendingSuffixes.size > 0) {
+    setTimeout(scheduleSyncRefresh, 0);
+  }
+});
@@ -0,0 +1,313 @@
+/**
+ * Compact storage of chat HTML (ChatWorkspace_{chatId}_html).
+ * A pasted page is mostly UI chrome: buttons, SVG icons, Tailwind classes, hidden elements.
+ * normalizeChatHtml() keeps only the message nodes, rebuilt as
+ *
+ *   <div data-chatworkspace-chat="1" data-parser="claude">
+ *     <div data-chatworkspace-role="user" data-chatworkspace-id="msg-1">...message HTML...</div>
+ *     <div data-chatworkspace-role="assistant" data-chatworkspace-variants="2/3">...</div>
+ *   </div>
+ *
+ * which parseChatInput() reads back through readNormalizedChat() with the original parser.
+ * Every message is checked against the original parse and kept as-is if cleaning it would
+ * change anything the renderer uses. The result is gzipped (CompressionStream) and stored as
+ * CHAT_HTML_GZIP_PREFIX + base64.
+ *
+ * Chat HTML is decompressed on demand with readChatHtml(). Only the open chat's decoded HTML
+ * stays in memory (chatHtmlCache); the library lists chats from settings.summary, which
+ * saveChatHtml() updates (see summarizeChatHtml()).
+ */
+
+const CHAT_HTML_GZIP_PREFIX = 'ChatWorkspace-gzip;base64,';
+
+// Elements that are UI chrome when they hold no text or media
+const CHAT_HTML_CHROME_SELECTOR = 'script, style, noscript, template, link, meta, svg, button, [hidden], [aria-hidden="true"], [style*="display: none"], [style*="display:none"]';
+
+// Attributes kept on message elements (everything else, e.g. aria-*, tabindex, onclick, is dropped)
+const CHAT_HTML_KEPT_ATTRIBUTES = /^(href|src|srcset|alt|title|id|class|style|dir|lang|download|colspan|rowspan|start|open|datetime|width|height|type|aria-hidden|hidden|data-(?!start$|end$|state$).+)$/;
+
+// Class names the parsers, getMessageText(), metadata/attachment finders and styles.css look for (the rest is Tailwind)
+const CHAT_HTML_KEPT_CLASSES = /^(markdown|prose|whitespace-pre(-wrap)?|grid-cols-1|truncate|query-text(-line)?|font-claude-(message|response)|reasoning|thinking|thoughts|tool-call|tool-use|citation|canvas-artifact|code-block-(header|expand)|diagram-(view|error)|(language|lang)-.+|hljs.*|katex.*|math.*|title|font-semibold)$/;
+
+const chatHtmlCache = new Map(); // currentChatId → its decoded HTML (no other chat)
+
+/**
+ * Check whether the browser can gzip in the page
+ */
+function canCompressChatHtml() {
+  return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+/**
+ * Gzip text into a base64 string
+ */
+async function compressText(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Un-gzip a base64 string from compressText()
+ */
+async function decompressText(base64) {
+  const bytes = Uint8Array.from(atob(base64), ch => ch.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return await new Response(stream).text();
+}
+
+/**
+ * Turn chat HTML into the value to store (gzipped when that's supported and smaller)
+ */
+async function encodeChatHtml(html) {
+  if (!canCompressChatHtml()) return html;
+
+  try {
+    const encoded = CHAT_HTML_GZIP_PREFIX + await compressText(html);
+    return encoded.length < html.length ? encoded : html;
+  } catch (e) {
+    console.warn('Failed to compress chat HTML, storing it as-is:', e);
+    return html;
+  }
+}
+
+/**
+ * Turn a stored value back into chat HTML (values saved before compression are plain HTML)
+ */
+async function decodeChatHtml(stored) {
+  if (typeof stored !== 'string' || !stored.startsWith(CHAT_HTML_GZIP_PREFIX)) return stored;
+  return await decompressText(stored.slice(CHAT_HTML_GZIP_PREFIX.length));
+}
+
+/**
+ * Read a normalized chat document: { parser, messages } like findMessages(), or null if
+ * the document isn't one
+ */
+function readNormalizedChat(doc) {
+  const root = doc.querySelector('[data-chatworkspace-chat]');
+  if (!root) return null;
+
+  return {
+    parser: getChatParser(root.getAttribute('data-parser')) || getChatParser('generic'),
+    messages: [...root.children].filter(el => el.hasAttribute('data-chatworkspace-role')).map(el => ({
+      el,
+      role: el.getAttribute('data-chatworkspace-role'),
+      msgId: el.getAttribute('data-chatworkspace-id'),
+      variants: el.getAttribute('data-chatworkspace-variants')
+    }))
+  };
+}
+
+/**
+ * Build a normalized chat document from [{ role, msgId, html, variants? }]
+ */
+function buildNormalizedChatHtml(parserId, messages) {
+  const doc = document.implementation.createHTMLDocument('');
+  const root = doc.createElement('div');
+  root.setAttribute('data-chatworkspace-chat', '1');
+  root.setAttribute('data-parser', parserId);
+
+  messages.forEach(({ role, msgId, html, variants }) => {
+    const message = doc.createElement('div');
+    message.setAttribute('data-chatworkspace-role', role);
+    if (msgId) {
+      message.setAttribute('data-chatworkspace-id', msgId);
+    }
+    if (variants) {
+      message.setAttribute('data-chatworkspace-variants', variants);
+    }
+    message.innerHTML = html;
+    root.appendChild(message);
+  });
+
+  return root.outerHTML;
+}
+
+/**
+ * Drop attributes and class names nothing reads (SVG internals are left alone)
+ */
+function stripChatAttributes(root) {
+  [root, ...root.querySelectorAll('*')].forEach(el => {
+    if (el.closest('svg')) return;
+
+    [...el.attributes].forEach(attr => {
+      if (!CHAT_HTML_KEPT_ATTRIBUTES.test(attr.name)) {
+        el.removeAttribute(attr.name);
+      }
+    });
+
+    if (el.hasAttribute('class')) {
+      const kept = [...el.classList].filter(cls => CHAT_HTML_KEPT_CLASSES.test(cls));
+      if (kept.length > 0) {
+        el.setAttribute('class', kept.join(' '));
+      } else {
+        el.removeAttribute('class');
+      }
+    }
+  });
+  return root;
+}
+
+/**
+ * Remove HTML comments
+ */
+function stripChatComments(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_COMMENT);
+  const comments = [];
+  while (walker.nextNode()) comments.push(walker.currentNode);
+  comments.forEach(comment => comment.remove());
+  return root;
+}
+
+/**
+ * Remove text-free UI chrome (icons, icon buttons, hidden elements)
+ */
+function stripChatChrome(root) {
+  root.querySelectorAll(CHAT_HTML_CHROME_SELECTOR).forEach(el => {
+    if (!el.isConnected || !root.contains(el)) return;
+    if (el.textContent.trim() || el.querySelector('img, video, audio, canvas, iframe, a[href]')) return;
+    el.remove();
+  });
+  return root;
+}
+
+/**
+ * Everything the renderer takes from one message, as a string to compare
+ * (formatted HTML with its attributes: a class dropped inside e.g. a code block changes the render)
+ */
+function getMessageRenderSignature(role, msgId, html, parserId) {
+  const turn = parseChatInput(buildNormalizedChatHtml(parserId, [{ role, msgId, html }])).turns[0];
+  if (!turn) return 'none';
+
+  const formatted = extractFormattedContent(turn.rawHtml, parserId);
+  return JSON.stringify({ ...turn, rawHtml: undefined, formatted });
+}
+
+/**
+ * Keep only the message nodes of pasted chat HTML, without UI chrome.
+ * Returns the input unchanged if it can't be parsed the same way afterwards, or isn't smaller.
+ */
+function normalizeChatHtml(input) {
+  const doc = new DOMParser().parseFromString(input, 'text/html');
+  if (readNormalizedChat(doc)) return input; // Already normalized
+
+  const chatParser = detectChatParser(doc, input);
+  const messages = chatParser.findMessages(doc, input);
+  if (messages.length === 0) return input;
+
+  const normalizedMessages = messages.map(({ el, role, msgId, variants }, idx) => {
+    role = (role || '').trim();
+    msgId = (msgId || ('idx-' + idx)).trim();
+    const original = el.innerHTML;
+    const expected = getMessageRenderSignature(role, msgId, original, chatParser.id);
+
+    // Strip as much as possible, less if that changes how the message is read or rendered
+    // (nothing at all if every candidate does)
+    const candidates = [
+      stripChatAttributes(stripChatChrome(stripChatComments(el.cloneNode(true)))).innerHTML,
+      stripChatAttributes(stripChatComments(el.cloneNode(true))).innerHTML,
+      stripChatChrome(stripChatComments(el.cloneNode(true))).innerHTML,
+      stripChatComments(el.cloneNode(true)).innerHTML
+    ];
+    const html = candidates.find(candidate =>
+      candidate.length < original.length && getMessageRenderSignature(role, msgId, candidate, chatParser.id) === expected
+    );
+    return { role, msgId, variants, html: html !== undefined ? html : original };
+  });
+
+  const normalized = buildNormalizedChatHtml(chatParser.id, normalizedMessages);
+  if (normalized.length >= input.length) return input;
+
+  // Whole-chat check (messages were compared one by one above): same parser, same turns
+  const before = parseChatInput(input);
+  const after = parseChatInput(normalized);
+  const describeTurn = turn => JSON.stringify({ ...turn, rawHtml: undefined });
+  const sameTurns = before.parser.id === after.parser.id &&
+    before.turns.length === after.turns.length &&
+    before.turns.every((turn, i) => describeTurn(turn) === describeTurn(after.turns[i]));
+
+  if (!sameTurns) {
+    console.warn('Normalized chat HTML did not parse the same, storing the original');
+    return input;
+  }
+  return normalized;
+}
+
+/**
+ * Summarise a chat for the library: { turnCount, firstPrompt, firstMsgId }
+ */
+function summarizeChatHtml(html, parserId) {
+  const chatTurns = parseChatInput(html, parserId).turns;
+  const firstPrompt = chatTurns.find(turn => turn.type === 'user') || chatTurns[0];
+  return {
+    turnCount: chatTurns.length,
+    firstPrompt: firstPrompt ? getTurnAnswerText(firstPrompt).replace(/\s+/g, ' ').trim().slice(0, 200) : '',
+    firstMsgId: chatTurns.length > 0 ? chatTurns[0].msgId : null
+  };
+}
+
+/**
+ * Store the library summary of a chat's HTML in its settings (settings.summary)
+ */
+function saveChatSummary(chatId, html) {
+  const settingsKey = `ChatWorkspace_${chatId}`;
+  const settings = readStoredRecord(settingsKey, {});
+  try {
+    return writeStoredRecord(settingsKey, { ...settings, summary: summarizeChatHtml(html, settings.parser) });
+  } catch (e) {
+    console.warn(`Failed to summarise chat ${chatId}:`, e);
+    return Promise.resolve(false);
+  }
+}
+
+/**
+ * Keep the decoded HTML of the open chat (and forget any other)
+ */
+function cacheChatHtml(chatId, html) {
+  if (chatId !== currentChatId) return;
+  chatHtmlCache.clear();
+  chatHtmlCache.set(chatId, html);
+}
+
+/**
+ * Normalize, compress and store a chat's HTML (and its library summary). Resolves to the
+ * stored (decoded) HTML once the write has finished.
+ */
+async function saveChatHtml(chatId, input) {
+  let html = input;
+  try {
+    html = normalizeChatHtml(input);
+  } catch (e) {
+    console.warn('Failed to normalize chat HTML, storing it as-is:', e);
+  }
+
+  cacheChatHtml(chatId, html);
+  if (await chatStorage.setItem(`ChatWorkspace_${chatId}_html`, await encodeChatHtml(html))) {
+    await saveChatSummary(chatId, html);
+  }
+  return html;
+}
+
+/**
+ * Read a chat's HTML (decompressed), or null if it isn't stored
+ */
+async function readChatHtml(chatId) {
+  const stored = await chatStorage.readItem(`ChatWorkspace_${chatId}_html`);
+  if (stored === null) {
+    chatHtmlCache.delete(chatId);
+    return null;
+  }
+
+  try {
+    const html = await decodeChatHtml(stored);
+    cacheChatHtml(chatId, html);
+    return html;
+  } catch (e) {
+    console.error(`Failed to decompress the HTML of chat ${chatId}:`, e);
+    return null;
+  }
+}
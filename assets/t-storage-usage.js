@@ -0,0 +1,508 @@
+/**
+ * Storage panel (📊 Storage in the library): how much each chat stores, per data type, and
+ * ways to free space. Opened by reportStorageError() when a save fails because storage is
+ * full; the failed writes are kept in chatStorage.failedWrites and can be retried from here.
+ *
+ * Freeing space:
+ *   - Drop HTML: a chat whose current HTML is on the share server (settings.sharedContentId
+ *     matches it) can drop its local ChatWorkspace_{chatId}_html. settings.htmlOffloaded is
+ *     set and the HTML is fetched from shared/{sharedId}.json the next time the chat is opened;
+ *     the annotations stored here are kept.
+ *   - Delete chats, one by one or every chat not opened (settings.lastOpened) for a while.
+ *
+ * Sizes are approximate: key + value length in UTF-16, the way browsers count stored strings.
+ */
+
+const STORAGE_OLD_CHAT_DAYS = 90;
+
+// Per-chat storage suffix → label (same suffixes as CHAT_STORAGE_SUFFIXES)
+const STORAGE_USAGE_TYPES = {
+  '_html': 'HTML',
+  '_outline': 'Outline',
+  '_comments': 'Comments',
+  '_notes': 'Notes',
+  '_indents': 'Indents',
+  '_branches': 'Branches',
+  '_attachments': 'Attachments',
+  '_history': 'Undo history',
+  '': 'Settings'
+};
+
+let storageFailedKey = null; // Key of the latest save that failed because storage was full
+
+/**
+ * Approximate bytes a stored key takes (chat HTML is read from the database for this)
+ */
+async function getStoredBytes(key) {
+  const value = await chatStorage.readItem(key);
+  return value === null ? 0 : (key.length + value.length) * 2;
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Measure what every stored chat uses:
+ *   { chats: [{ ...describeStoredChat(), bytes: { suffix: n }, total, shared, lastOpened }],
+ *     byType: { suffix: n }, otherBytes, total }
+ */
+async function measureStorageUsage() {
+  const chatKeys = new Set();
+  const byType = {};
+  Object.keys(STORAGE_USAGE_TYPES).forEach(suffix => { byType[suffix] = 0; });
+
+  // One chat at a time, so only one chat's HTML is read into memory at once
+  const chats = [];
+  for (const chat of listStoredChats()) {
+    const settings = readStoredRecord(`ChatWorkspace_${chat.chatId}`, {});
+    const bytes = {};
+    let total = 0;
+    for (const suffix of CHAT_STORAGE_SUFFIXES) {
+      const key = `ChatWorkspace_${chat.chatId}${suffix}`;
+      chatKeys.add(key);
+      bytes[suffix] = await getStoredBytes(key);
+      byType[suffix] += bytes[suffix];
+      total += bytes[suffix];
+    }
+    chats.push({
+      ...chat,
+      bytes,
+      total,
+      shared: Boolean(settings.sharedContentId),
+      lastOpened: [settings.lastOpened, chat.lastUpdated].filter(Boolean).sort().pop() || null
+    });
+  }
+
+  // Workspace-wide keys (aliases, preferences) and keys left behind by chats that are gone
+  let otherBytes = 0;
+  for (const key of chatStorage.keys().filter(key => !chatKeys.has(key))) {
+    otherBytes += await getStoredBytes(key);
+  }
+
+  return {
+    chats: chats.sort((a, b) => b.total - a.total),
+    byType,
+    otherBytes,
+    total: chats.reduce((sum, chat) => sum + chat.total, 0) + otherBytes
+  };
+}
+
+/**
+ * Content ID of chat HTML (hashChat() of its turns), to tell whether the shared copy is current
+ */
+async function getChatHtmlContentId(chatId, html) {
+  const settings = readStoredRecord(`ChatWorkspace_${chatId}`, {});
+  return await hashChat(parseChatInput(html, settings.parser).turns);
+}
+
+/**
+ * Remember that a chat's HTML is now on the share server (after sharing or opening a share link).
+ * settings.sharedId is the share it's in (a duplicated chat keeps the original's).
+ */
+async function markChatShared(chatId, html) {
+  const contentId = await getChatHtmlContentId(chatId, html);
+  const settingsKey = `ChatWorkspace_${chatId}`;
+  const settings = readStoredRecord(settingsKey, {});
+  delete settings.htmlOffloaded;
+  await writeStoredRecord(settingsKey, {
+    ...settings,
+    sharedId: settings.sharedId || chatId,
+    sharedAt: new Date().toISOString(),
+    sharedContentId: contentId
+  });
+}
+
+/**
+ * Check whether a chat's local HTML can be dropped (the share server has the same turns)
+ */
+async function canDropChatHtml(chatId) {
+  const settings = readStoredRecord(`ChatWorkspace_${chatId}`, {});
+  const html = await readChatHtml(chatId);
+  if (!settings.sharedContentId || html === null) return false;
+  return await getChatHtmlContentId(chatId, html) === settings.sharedContentId;
+}
+
+/**
+ * Remove a shared chat's local HTML; resolves to false if the shared copy isn't current
+ */
+async function dropChatHtml(chatId) {
+  if (!await canDropChatHtml(chatId)) return false;
+
+  const settingsKey = `ChatWorkspace_${chatId}`;
+  const settings = readStoredRecord(settingsKey, {});
+  if (!await writeStoredRecord(settingsKey, { ...settings, htmlOffloaded: true })) return false;
+
+  chatHtmlCache.delete(chatId);
+  return await chatStorage.removeItem(`ChatWorkspace_${chatId}_html`);
+}
+
+/**
+ * Fetch the HTML of a chat that was dropped by dropChatHtml() back from the share server.
+ * Resolves to the HTML, or null if the chat isn't offloaded or the share can't be loaded.
+ */
+async function restoreOffloadedChatHtml(chatId) {
+  const settings = readStoredRecord(`ChatWorkspace_${chatId}`, {});
+  if (!settings.htmlOffloaded) return null;
+
+  try {
+    const response = await fetch(`shared/${settings.sharedId || chatId}.json`, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const sharedData = await response.json();
+    const chatHtml = sharedData.data && sharedData.data.chatHtml;
+    if (!chatHtml) throw new Error('The share has no chat HTML');
+
+    const html = await saveChatHtml(chatId, chatHtml);
+    await markChatShared(chatId, html);
+    return html;
+  } catch (error) {
+    console.error(`Failed to fetch the HTML of chat ${chatId} from the share server:`, error);
+    return null;
+  }
+}
+
+/**
+ * Describe a storage key for the error message ("Comments of "My chat"")
+ */
+function describeStorageKey(key, chats) {
+  const chat = chats.find(c => key.startsWith(`ChatWorkspace_${c.chatId}`));
+  if (!chat) return key;
+  const suffix = key.slice(`ChatWorkspace_${chat.chatId}`.length);
+  return `${STORAGE_USAGE_TYPES[suffix] || 'Data'} of "${chat.title}"`;
+}
+
+/**
+ * Build the banner about failed saves, with a button to retry them
+ */
+function createStorageErrorBanner(usage) {
+  const pending = chatStorage.failedWrites.size;
+  if (!storageFailedKey && pending === 0) return null;
+
+  const banner = document.createElement('div');
+  banner.className = 'storage-error';
+
+  const text = document.createElement('span');
+  if (pending === 0) {
+    banner.classList.add('resolved');
+    text.textContent = '✓ Everything is saved again.';
+  } else {
+    text.textContent = `❌ Browser storage is full: ${pending} change${pending === 1 ? ' was' : 's were'} not saved` +
+      (storageFailedKey ? ` (latest: ${describeStorageKey(storageFailedKey, usage.chats)})` : '') +
+      '. Free some space below, then retry.';
+  }
+  banner.appendChild(text);
+
+  if (pending > 0) {
+    const retryButton = document.createElement('button');
+    retryButton.className = 'library-action-btn';
+    retryButton.textContent = '🔁 Retry saving';
+    retryButton.addEventListener('click', async () => {
+      retryButton.disabled = true;
+      await chatStorage.retryFailedWrites();
+      renderStoragePanel();
+    });
+    banner.appendChild(retryButton);
+  }
+  return banner;
+}
+
+/**
+ * After removing data: refresh the panel and the library, and leave the open chat if it's gone
+ */
+function afterStorageFreed(deletedChatIds = []) {
+  if (currentChatId && deletedChatIds.includes(currentChatId)) {
+    // The open chat is gone - go back to the home screen
+    window.location.href = window.location.pathname;
+    return;
+  }
+  renderStoragePanel();
+  const librarySection = document.getElementById('librarySection');
+  if (librarySection && !librarySection.hidden) {
+    renderLibrary();
+  }
+}
+
+/**
+ * Build one chat row of the storage panel
+ */
+function createStorageRow(chat) {
+  const row = document.createElement('div');
+  row.className = 'import-list-item storage-item';
+
+  const info = document.createElement('div');
+  info.className = 'library-item-info';
+
+  const title = document.createElement('span');
+  title.className = 'import-item-title';
+  title.textContent = chat.title;
+
+  const meta = document.createElement('span');
+  meta.className = 'import-item-meta';
+  const parts = Object.keys(STORAGE_USAGE_TYPES)
+    .filter(suffix => chat.bytes[suffix] > 0)
+    .map(suffix => `${STORAGE_USAGE_TYPES[suffix]} ${formatBytes(chat.bytes[suffix])}`);
+  if (chat.htmlOffloaded) parts.unshift('HTML on the share server');
+  else if (chat.shared) parts.unshift('shared');
+  parts.push(chat.lastOpened ? `opened ${new Date(chat.lastOpened).toLocaleDateString()}` : 'not opened recently');
+  meta.textContent = parts.join(' · ');
+
+  info.appendChild(title);
+  info.appendChild(meta);
+
+  const size = document.createElement('span');
+  size.className = 'storage-item-size';
+  size.textContent = formatBytes(chat.total);
+
+  const actions = document.createElement('div');
+  actions.className = 'library-item-actions';
+
+  if (chat.shared && chat.bytes['_html'] > 0) {
+    const dropBtn = document.createElement('button');
+    dropBtn.className = 'library-action-btn';
+    dropBtn.innerHTML = '<i class="fa-solid fa-cloud-arrow-up"></i>';
+    dropBtn.title = `Drop the local HTML (${formatBytes(chat.bytes['_html'])}); it's fetched from the share link when the chat is opened`;
+    dropBtn.addEventListener('click', async () => {
+      dropBtn.disabled = true;
+      if (!await dropChatHtml(chat.chatId)) {
+        alert('❌ This chat changed since it was shared. Share it again to update the link, then drop its HTML.');
+        dropBtn.disabled = false;
+        return;
+      }
+      afterStorageFreed();
+    });
+    actions.appendChild(dropBtn);
+  }
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'library-action-btn';
+  deleteBtn.innerHTML = '<i class="fa-solid fa-trash"></i>';
+  deleteBtn.title = `Delete (${formatBytes(chat.total)})`;
+  deleteBtn.addEventListener('click', async () => {
+    if (!confirm(`Delete "${chat.title}" and all its outline summaries, comments, indents and notes?\n\nThis cannot be undone.`)) {
+      return;
+    }
+    await deleteStoredChat(chat.chatId);
+    afterStorageFreed([chat.chatId]);
+  });
+  actions.appendChild(deleteBtn);
+
+  row.appendChild(info);
+  row.appendChild(size);
+  row.appendChild(actions);
+  return row;
+}
+
+/**
+ * Drop the HTML of every shared chat whose shared copy is current
+ */
+async function dropSharedChatsHtml(chats) {
+  let dropped = 0;
+  let freed = 0;
+  for (const chat of chats) {
+    if (await dropChatHtml(chat.chatId)) {
+      dropped++;
+      freed += chat.bytes['_html'];
+    }
+  }
+
+  const skipped = chats.length - dropped;
+  alert(`✓ Dropped the HTML of ${dropped} chat${dropped === 1 ? '' : 's'} (${formatBytes(freed)}).` +
+    (skipped > 0 ? `\n\n${skipped} chat${skipped === 1 ? ' has' : 's have'} changed since sharing and ${skipped === 1 ? 'was' : 'were'} kept.` : ''));
+  afterStorageFreed();
+}
+
+/**
+ * Delete every chat not opened for a number of days (asked for)
+ */
+async function deleteOldChats(chats) {
+  const answer = prompt('Delete chats not opened for how many days?', String(STORAGE_OLD_CHAT_DAYS));
+  if (answer === null) return;
+  const days = parseInt(answer, 10);
+  if (!(days >= 0)) {
+    alert('Please enter a number of days.');
+    return;
+  }
+
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const oldChats = chats.filter(chat => !chat.lastOpened || chat.lastOpened < cutoff);
+  if (oldChats.length === 0) {
+    alert(`No chats have gone unopened for ${days} days.`);
+    return;
+  }
+
+  const freed = oldChats.reduce((sum, chat) => sum + chat.total, 0);
+  const titles = oldChats.slice(0, 10).map(chat => `• ${chat.title}`).join('\n') +
+    (oldChats.length > 10 ? `\n...and ${oldChats.length - 10} more` : '');
+  if (!confirm(`Delete ${oldChats.length} chat${oldChats.length === 1 ? '' : 's'} (${formatBytes(freed)}) with all their annotations?\n\n${titles}\n\nThis cannot be undone.`)) {
+    return;
+  }
+
+  for (const chat of oldChats) {
+    await deleteStoredChat(chat.chatId);
+  }
+  afterStorageFreed(oldChats.map(chat => chat.chatId));
+}
+
+/**
+ * Fill the storage panel (if it's open) with the current usage
+ */
+async function renderStoragePanel() {
+  const modal = document.querySelector('.storage-modal');
+  if (!modal) return;
+  const modalBody = modal.querySelector('.import-modal-body');
+
+  const usage = await measureStorageUsage();
+  modalBody.innerHTML = '';
+
+  const banner = createStorageErrorBanner(usage);
+  if (banner) modalBody.appendChild(banner);
+
+  const summary = document.createElement('p');
+  summary.className = 'import-results-summary';
+  summary.textContent = `${usage.chats.length} chat${usage.chats.length === 1 ? '' : 's'} use about ${formatBytes(usage.total)}.`;
+  modalBody.appendChild(summary);
+
+  const byType = document.createElement('p');
+  byType.className = 'storage-by-type';
+  byType.textContent = Object.keys(STORAGE_USAGE_TYPES)
+    .filter(suffix => usage.byType[suffix] > 0)
+    .map(suffix => `${STORAGE_USAGE_TYPES[suffix]} ${formatBytes(usage.byType[suffix])}`)
+    .concat(usage.otherBytes > 0 ? [`Other ${formatBytes(usage.otherBytes)}`] : [])
+    .join(' · ');
+  modalBody.appendChild(byType);
+
+  const controls = document.createElement('div');
+  controls.className = 'import-controls';
+
+  const droppable = usage.chats.filter(chat => chat.shared && chat.bytes['_html'] > 0);
+  if (droppable.length > 0) {
+    const dropAllBtn = document.createElement('button');
+    dropAllBtn.className = 'library-action-btn';
+    dropAllBtn.textContent = `☁️ Drop HTML of shared chats (${formatBytes(droppable.reduce((sum, chat) => sum + chat.bytes['_html'], 0))})`;
+    dropAllBtn.title = 'Remove the local HTML of chats whose share link is up to date; it is fetched again when they are opened';
+    dropAllBtn.addEventListener('click', () => {
+      dropAllBtn.disabled = true;
+      dropSharedChatsHtml(droppable);
+    });
+    controls.appendChild(dropAllBtn);
+  }
+
+  if (usage.chats.length > 0) {
+    const deleteOldBtn = document.createElement('button');
+    deleteOldBtn.className = 'library-action-btn';
+    deleteOldBtn.textContent = '🗑️ Delete old chats...';
+    deleteOldBtn.addEventListener('click', () => deleteOldChats(usage.chats));
+    controls.appendChild(deleteOldBtn);
+  }
+  modalBody.appendChild(controls);
+
+  const list = document.createElement('div');
+  list.className = 'import-list';
+  usage.chats.forEach(chat => list.appendChild(createStorageRow(chat)));
+  modalBody.appendChild(list);
+
+  // What the browser reports for the whole site (includes other data, e.g. cached files)
+  if (navigator.storage && navigator.storage.estimate) {
+    try {
+      const { usage: used, quota } = await navigator.storage.estimate();
+      if (quota) {
+        summary.textContent += ` The browser reports ${formatBytes(used)} of ${formatBytes(quota)} used by this site.`;
+      }
+    } catch (e) {
+      console.warn('Failed to get the storage estimate:', e);
+    }
+  }
+}
+
+/**
+ * Close the storage panel (the error is forgotten once nothing is left unsaved)
+ */
+function closeStoragePanel() {
+  const modal = document.querySelector('.storage-modal');
+  if (modal) {
+    modal.remove();
+  }
+  if (chatStorage.failedWrites.size === 0) {
+    storageFailedKey = null;
+  }
+}
+
+/**
+ * Show the storage panel. options.failedKey: a save of this key just failed because
+ * storage is full (the panel shows the error and the retry button)
+ */
+function showStoragePanel(options = {}) {
+  if (options.failedKey) {
+    storageFailedKey = options.failedKey;
+  }
+
+  // Already open (e.g. several saves failed at once): just refresh it
+  if (document.querySelector('.storage-modal')) {
+    renderStoragePanel();
+    return;
+  }
+
+  const existingModal = document.querySelector('.import-modal');
+  if (existingModal) {
+    existingModal.remove();
+  }
+
+  const modal = document.createElement('div');
+  modal.className = 'import-modal storage-modal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'import-modal-content';
+
+  const modalHeader = document.createElement('div');
+  modalHeader.className = 'import-modal-header';
+
+  const modalTitle = document.createElement('div');
+  modalTitle.className = 'import-modal-title';
+  modalTitle.textContent = '📊 Storage';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'import-modal-close';
+  closeBtn.innerHTML = '✕';
+  closeBtn.title = 'Close';
+  closeBtn.addEventListener('click', closeStoragePanel);
+
+  modalHeader.appendChild(modalTitle);
+  modalHeader.appendChild(closeBtn);
+
+  const modalBody = document.createElement('div');
+  modalBody.className = 'import-modal-body';
+
+  const footer = document.createElement('div');
+  footer.className = 'import-modal-footer';
+
+  const note = document.createElement('span');
+  note.className = 'import-selected-count';
+  note.textContent = 'Sizes are approximate. Back up (💾 in the library) before deleting chats you may need again.';
+
+  const doneButton = document.createElement('button');
+  doneButton.className = 'import-modal-import-btn';
+  doneButton.textContent = 'Done';
+  doneButton.addEventListener('click', closeStoragePanel);
+
+  footer.appendChild(note);
+  footer.appendChild(doneButton);
+
+  modalContent.appendChild(modalHeader);
+  modalContent.appendChild(modalBody);
+  modalContent.appendChild(footer);
+  modal.appendChild(modalContent);
+
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      closeStoragePanel();
+    }
+  });
+
+  document.body.appendChild(modal);
+  renderStoragePanel();
+}
@@ -0,0 +1,839 @@
+/**
+ * Markdown renderer for the fallback path (formatContentWithCode): text transcripts, export
+ * conversations and shared chats without HTML. It builds DOM nodes, so text is never parsed as markup.
+ *
+ *   Blocks: ATX and setext headings, paragraphs (single newlines are line breaks, as in ChatGPT),
+ *           fenced and indented code, blockquotes, nested bullet / ordered / task lists,
+ *           GFM tables (with column alignment), thematic breaks, link reference definitions
+ *   Inline: `code`, **strong**, *em*, ~~strikethrough~~, [links](url "title"), [links][ref],
+ *           ![images](url), <autolinks>, bare URLs, backslash escapes, entities, <br> in table cells
+ *   Math:   \( … \) inline, \[ … \] and $$ … $$ inline or on lines of their own (w-math.js)
+ *   Diagrams: ```mermaid / ```dot code blocks drawn as SVG by attachDiagram() (x-diagrams.js)
+ *
+ * The elements are plain p / h1-h6 / ul / ol / li / blockquote / table / code, like ChatGPT's
+ * .markdown DOM, so styles.css renders both paths alike. Code blocks use .code-block-wrapper
+ * with a copy button. Links get target="_blank"; only http(s), mailto and relative URLs are kept.
+ */
+
+const MARKDOWN_TAB_SIZE = 4;
+
+// Named entities decoded in text (numeric ones are always decoded)
+const MARKDOWN_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  mdash: '—', ndash: '–', hellip: '…', laquo: '«', raquo: '»', times: '×', divide: '÷', deg: '°',
+  larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔', le: '≤', ge: '≥', ne: '≠', plusmn: '±'
+};
+
+const MARKDOWN_FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const MARKDOWN_ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MARKDOWN_THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const MARKDOWN_BLOCKQUOTE = /^ {0,3}> ?/;
+const MARKDOWN_LIST_ITEM = /^( {0,3})([-*+]|(\d{1,9})([.)]))([ \t]+|$)(.*)$/;
+const MARKDOWN_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const MARKDOWN_REFERENCE_DEFINITION = /^ {0,3}\[([^\]^][^\]]*)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/;
+const MARKDOWN_BARE_URL = /^(?:https?:\/\/|www\.)[^\s<]*[^\s<?!.,:;*_~'"\]]/i;
+const MARKDOWN_AUTOLINK = /^<((?:https?|mailto):[^\s<>]*|[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+)>/i;
+
+let markdownCodeBlockCounter = 0;
+
+/**
+ * Expand tabs in a line's indentation to spaces
+ */
+function expandMarkdownTabs(line) {
+  const indent = line.match(/^[ \t]*/)[0];
+  if (!indent.includes('\t')) return line;
+
+  let column = 0;
+  for (const ch of indent) {
+    column = ch === '\t' ? column + MARKDOWN_TAB_SIZE - (column % MARKDOWN_TAB_SIZE) : column + 1;
+  }
+  return ' '.repeat(column) + line.slice(indent.length);
+}
+
+/**
+ * Number of leading spaces
+ */
+function getMarkdownIndent(line) {
+  return line.match(/^ */)[0].length;
+}
+
+/**
+ * Check whether a line is blank
+ */
+function isBlankMarkdownLine(line) {
+  return /^\s*$/.test(line);
+}
+
+/**
+ * Decode HTML entities (&amp;, &#8212;, &#x2014;) in text
+ */
+function decodeMarkdownEntities(text) {
+  return text.replace(/&(#\d{1,7}|#x[0-9a-f]{1,6}|[a-z][a-z0-9]{1,31});/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+    }
+    return Object.prototype.hasOwnProperty.call(MARKDOWN_ENTITIES, entity) ? MARKDOWN_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Return a URL that is safe to link to, or null (javascript:, data: and other schemes are dropped)
+ */
+function sanitizeMarkdownUrl(url) {
+  const trimmed = decodeMarkdownEntities(String(url || '').trim());
+  const scheme = trimmed.replace(/[\u0000- ]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme && !/^(https?|mailto)$/i.test(scheme[1])) return null;
+  return trimmed;
+}
+
+/**
+ * Check whether a line starts a block that ends a paragraph
+ */
+function isMarkdownBlockStart(line) {
+  if (MARKDOWN_FENCE.test(line) || MARKDOWN_ATX_HEADING.test(line) || MARKDOWN_THEMATIC_BREAK.test(line) ||
+      MARKDOWN_BLOCKQUOTE.test(line)) {
+    return true;
+  }
+  // Lists interrupt a paragraph unless they're empty or ordered from a number other than 1
+  const item = line.match(MARKDOWN_LIST_ITEM);
+  return !!(item && item[6].trim() && (!item[3] || item[3] === '1'));
+}
+
+/**
+ * Match display math starting at lines[start]: $$ … $$ or \[ … \] alone on its lines
+ * Returns { tex, next } or null (math with text after it on the line is left to the inline pass)
+ */
+function matchMarkdownMathBlock(lines, start) {
+  const open = lines[start].match(/^ {0,3}(\$\$|\\\[)(.*)$/);
+  if (!open) return null;
+  const close = open[1] === '$$' ? '$$' : '\\]';
+  const texLines = [];
+  for (let i = start; i < lines.length; i++) {
+    const line = i === start ? open[2] : lines[i];
+    const end = line.indexOf(close);
+    if (end !== -1) {
+      if (line.slice(end + close.length).trim()) return null;
+      texLines.push(line.slice(0, end));
+      const tex = texLines.join('\n').trim();
+      return tex ? { tex, next: i + 1 } : null;
+    }
+    if (i > start && isBlankMarkdownLine(line)) return null;
+    texLines.push(line);
+  }
+  return null;
+}
+
+/**
+ * Split a table row into cell texts (pipes inside code spans or escaped with \ don't split)
+ */
+function splitMarkdownTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let cell = '';
+  let codeRun = 0;
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (ch === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (ch === '`') {
+      let run = 1;
+      while (row[i + run] === '`') run++;
+      codeRun = codeRun === run ? 0 : (codeRun || run);
+      cell += row.slice(i, i + run);
+      i += run - 1;
+    } else if (ch === '|' && !codeRun) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Check whether lines[index] and the line after it start a table
+ */
+function isMarkdownTableStart(lines, index) {
+  const header = lines[index];
+  const delimiter = lines[index + 1];
+  if (!header || !delimiter || !header.includes('|') || !MARKDOWN_TABLE_DELIMITER.test(delimiter)) return false;
+  return splitMarkdownTableRow(header).length === splitMarkdownTableRow(delimiter).length;
+}
+
+/**
+ * Build a code block with its language label, buttons and highlighted code (v-code-blocks.js)
+ */
+function createMarkdownCodeBlock(code, language) {
+  const blockId = `code-block-${Date.now()}-${markdownCodeBlockCounter++}`;
+  const lang = (language || 'text').replace(/[^\w#+.-]/g, '') || 'text';
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'code-block-wrapper';
+
+  const header = document.createElement('div');
+  header.className = 'code-block-header';
+
+  const label = document.createElement('span');
+  label.className = 'code-language';
+  label.textContent = lang;
+
+  const copyBtn = document.createElement('button');
+  copyBtn.className = 'copy-code-btn';
+  copyBtn.title = 'Copy code';
+  copyBtn.textContent = '📋 Copy';
+
+  const actions = createCodeBlockActions();
+  actions.appendChild(copyBtn);
+  header.appendChild(label);
+  header.appendChild(actions);
+
+  const pre = document.createElement('pre');
+  pre.className = 'code-block';
+  const codeEl = document.createElement('code');
+  codeEl.id = blockId;
+  codeEl.className = `language-${lang}`;
+  appendHighlightedCode(codeEl, code, lang);
+  pre.appendChild(codeEl);
+
+  wrapper.appendChild(header);
+  wrapper.appendChild(pre);
+  collapseLongCodeBlock(wrapper, code);
+  attachDiagram(wrapper, code, lang);
+  return wrapper;
+}
+
+/**
+ * Find where a run of delimiter characters closes, skipping code spans, escapes and
+ * nested runs of the other length (so *a **b** c* closes at the last *). -1 if it doesn't.
+ */
+function findMarkdownCloser(text, from, delimiter) {
+  const ch = delimiter[0];
+  let j = from;
+  while (j < text.length) {
+    const math = text[j] === '\\' || text[j] === '$' ? matchMathDelimiters(text, j) : null;
+    if (math) {
+      j = math.end;
+      continue;
+    }
+    if (text[j] === '\\') {
+      j += 2;
+      continue;
+    }
+    if (text[j] === '`') {
+      let run = 1;
+      while (text[j + run] === '`') run++;
+      const close = text.indexOf('`'.repeat(run), j + run);
+      j = close === -1 ? j + run : close + run;
+      continue;
+    }
+    if (text[j] === ch) {
+      let run = 1;
+      while (text[j + run] === ch) run++;
+      const after = text[j + run] || '';
+      const closes = j > from && !/\s/.test(text[j - 1]) && (ch !== '_' || !/[\p{L}\p{N}]/u.test(after));
+      if (closes && run === delimiter.length) return j;
+      if (run !== delimiter.length && ch !== '~') {
+        // A nested run of the other length: skip past its own closer
+        const nested = findMarkdownCloser(text, j + run, ch.repeat(run));
+        if (nested !== -1) {
+          j = nested + run;
+          continue;
+        }
+      }
+      j += run;
+      continue;
+    }
+    j++;
+  }
+  return -1;
+}
+
+/**
+ * Find the ] matching the [ at start (brackets nest; escapes and code spans are skipped)
+ */
+function findMarkdownLabelEnd(text, start) {
+  let depth = 0;
+  for (let j = start; j < text.length; j++) {
+    if (text[j] === '\\') {
+      j++;
+    } else if (text[j] === '`') {
+      const run = text.slice(j).match(/^`+/)[0];
+      const close = text.indexOf(run, j + run.length);
+      if (close !== -1) j = close + run.length - 1;
+    } else if (text[j] === '[') {
+      depth++;
+    } else if (text[j] === ']') {
+      depth--;
+      if (depth === 0) return j;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse a link at text[start] ('['): inline [label](dest "title") or reference [label][ref] / [ref].
+ * Returns { label, href, title, end } or null.
+ */
+function parseMarkdownLink(text, start, refs) {
+  const labelEnd = findMarkdownLabelEnd(text, start);
+  if (labelEnd === -1) return null;
+  const label = text.slice(start + 1, labelEnd);
+  let i = labelEnd + 1;
+
+  if (text[i] === '(') {
+    i++;
+    // Any whitespace (tabs, no-break spaces in copied text) separates the destination and title
+    const skipSpace = () => { while (i < text.length && /\s/.test(text[i])) i++; };
+    skipSpace();
+
+    let href = '';
+    if (text[i] === '<') {
+      const close = text.indexOf('>', i);
+      if (close === -1) return null;
+      href = text.slice(i + 1, close);
+      i = close + 1;
+    } else {
+      let depth = 0;
+      while (i < text.length && !/\s/.test(text[i])) {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          href += text[i + 1];
+          i += 2;
+          continue;
+        }
+        if (text[i] === '(') depth++;
+        if (text[i] === ')') {
+          if (depth === 0) break;
+          depth--;
+        }
+        href += text[i++];
+      }
+    }
+
+    skipSpace();
+    let title = null;
+    const quote = text[i];
+    if (quote === '"' || quote === "'" || quote === '(') {
+      // The title ends at the first unescaped closing quote ("a \"b\"" is a title with quotes)
+      const closeQuote = quote === '(' ? ')' : quote;
+      let close = i + 1;
+      while (close < text.length && text[close] !== closeQuote) close += text[close] === '\\' ? 2 : 1;
+      if (close >= text.length) return null;
+      title = text.slice(i + 1, close).replace(/\\([!-\/:-@[-`{-~])/g, '$1');
+      i = close + 1;
+      skipSpace();
+    }
+    if (text[i] !== ')') return null;
+    return { label, href, title, end: i + 1 };
+  }
+
+  // [label][ref], [label][] and [label] - only when the reference is defined
+  let ref = label;
+  let end = labelEnd + 1;
+  if (text[i] === '[') {
+    const refEnd = text.indexOf(']', i);
+    if (refEnd !== -1) {
+      ref = text.slice(i + 1, refEnd) || label;
+      end = refEnd + 1;
+    }
+  }
+  const definition = refs.get(normalizeMarkdownReference(ref));
+  if (!definition) return null;
+  return { label, href: definition.href, title: definition.title, end };
+}
+
+/**
+ * Normalize a reference label for lookup (case and whitespace don't matter)
+ */
+function normalizeMarkdownReference(label) {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Append inline Markdown (one paragraph, heading or cell) to an element
+ */
+function appendMarkdownInline(parent, text, refs) {
+  let buffer = '';
+  const flush = () => {
+    if (buffer) {
+      parent.appendChild(document.createTextNode(decodeMarkdownEntities(buffer)));
+      buffer = '';
+    }
+  };
+  const append = (node) => {
+    flush();
+    parent.appendChild(node);
+  };
+  const element = (tag, content) => {
+    const el = document.createElement(tag);
+    appendMarkdownInline(el, content, refs);
+    return el;
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const rest = text.slice(i);
+
+    // Math: \( … \), \[ … \] and $$ … $$ (before escapes, which would eat the delimiters)
+    const math = ch === '\\' || ch === '$' ? matchMathDelimiters(text, i) : null;
+    if (math) {
+      append(renderTex(math.tex, math.display));
+      i = math.end;
+      continue;
+    }
+
+    // Backslash escapes and backslash hard breaks
+    if (ch === '\\' && i + 1 < text.length) {
+      if (text[i + 1] === '\n') {
+        append(document.createElement('br'));
+        i += 2;
+        continue;
+      }
+      if (/[!-\/:-@\[-`{-~]/.test(text[i + 1])) {
+        buffer += text[i + 1];
+        i += 2;
+        continue;
+      }
+    }
+
+    // Line breaks: every newline is a break, like ChatGPT's rendering
+    if (ch === '\n') {
+      buffer = buffer.replace(/ +$/, '');
+      append(document.createElement('br'));
+      i++;
+      while (text[i] === ' ') i++;
+      continue;
+    }
+
+    // Code spans
+    if (ch === '`') {
+      const run = rest.match(/^`+/)[0];
+      let close = text.indexOf(run, i + run.length);
+      while (close !== -1 && text[close + run.length] === '`') {
+        close = text.indexOf(run, close + run.length + 1);
+      }
+      if (close !== -1) {
+        let code = text.slice(i + run.length, close).replace(/\n/g, ' ');
+        if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+        const codeEl = document.createElement('code');
+        codeEl.textContent = code;
+        append(codeEl);
+        i = close + run.length;
+      } else {
+        buffer += run;
+        i += run.length;
+      }
+      continue;
+    }
+
+    // <br> (common in table cells) and autolinks
+    const lineBreak = rest.match(/^<br\s*\/?>/i);
+    if (lineBreak) {
+      append(document.createElement('br'));
+      i += lineBreak[0].length;
+      continue;
+    }
+    const autolink = rest.match(MARKDOWN_AUTOLINK);
+    if (autolink) {
+      const target = autolink[1];
+      const isEmail = !/^(https?|mailto):/i.test(target);
+      const href = sanitizeMarkdownUrl(isEmail ? `mailto:${target}` : target);
+      if (href) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.textContent = target;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        append(link);
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    // Images and links
+    if ((ch === '!' && text[i + 1] === '[') || ch === '[') {
+      const isImage = ch === '!';
+      const link = parseMarkdownLink(text, isImage ? i + 1 : i, refs);
+      const href = link && sanitizeMarkdownUrl(link.href);
+      if (link && href !== null) {
+        if (isImage) {
+          const img = document.createElement('img');
+          img.src = href;
+          img.alt = decodeMarkdownEntities(link.label.replace(/[\\*_`~[\]]/g, ''));
+          if (link.title) img.title = link.title;
+          append(img);
+        } else {
+          const a = element('a', link.label);
+          a.href = href;
+          if (link.title) a.title = link.title;
+          a.target = '_blank';
+          a.rel = 'noopener noreferrer';
+          append(a);
+        }
+        i = link.end;
+        continue;
+      }
+    }
+
+    // Bare URLs (GFM autolinks), at the start of a word
+    if ((ch === 'h' || ch === 'w' || ch === 'H' || ch === 'W') && !/[\p{L}\p{N}]/u.test(text[i - 1] || '')) {
+      const url = rest.match(MARKDOWN_BARE_URL);
+      if (url) {
+        let target = url[0];
+        // A closing ) belongs to the URL only if it has an opening one
+        while (target.endsWith(')') && (target.match(/\(/g) || []).length < (target.match(/\)/g) || []).length) {
+          target = target.slice(0, -1);
+        }
+        const link = document.createElement('a');
+        link.href = /^www\./i.test(target) ? `https://${target}` : target;
+        link.textContent = target;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        append(link);
+        i += target.length;
+        continue;
+      }
+    }
+
+    // Emphasis, strong and strikethrough
+    if (ch === '*' || ch === '_' || ch === '~') {
+      const run = rest.match(ch === '*' ? /^\*+/ : ch === '_' ? /^_+/ : /^~+/)[0];
+      const next = text[i + run.length] || '';
+      const opens = next && !/\s/.test(next) && (ch !== '_' || !/[\p{L}\p{N}]/u.test(text[i - 1] || ''));
+      const length = ch === '~' ? 2 : Math.min(run.length, 3);
+      if (opens && run.length === length) {
+        const close = findMarkdownCloser(text, i + length, ch.repeat(length));
+        if (close !== -1) {
+          const inner = text.slice(i + length, close);
+          let node;
+          if (ch === '~') {
+            node = element('del', inner);
+          } else if (length === 3) {
+            node = document.createElement('strong');
+            node.appendChild(element('em', inner));
+          } else {
+            node = element(length === 2 ? 'strong' : 'em', inner);
+          }
+          append(node);
+          i = close + length;
+          continue;
+        }
+      }
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    buffer += ch;
+    i++;
+  }
+  flush();
+}
+
+/**
+ * Take link reference definitions ([ref]: url "title") out of the lines (outside code blocks)
+ */
+function collectMarkdownReferences(lines, refs) {
+  let fence = null;
+  return lines.filter(line => {
+    const fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+      return true;
+    }
+    if (fence) return true;
+
+    const definition = line.match(MARKDOWN_REFERENCE_DEFINITION);
+    if (!definition) return true;
+    const key = normalizeMarkdownReference(definition[1]);
+    if (!refs.has(key)) {
+      refs.set(key, { href: definition[2], title: definition[3] || definition[4] || definition[5] || null });
+    }
+    return false;
+  });
+}
+
+/**
+ * Parse one list starting at lines[start]; appends a ul/ol and returns the index after it
+ */
+function renderMarkdownList(lines, start, parent, refs) {
+  const first = lines[start].match(MARKDOWN_LIST_ITEM);
+  const ordered = !!first[3];
+  const marker = ordered ? first[4] : first[2];
+  const list = document.createElement(ordered ? 'ol' : 'ul');
+  if (ordered && parseInt(first[3], 10) !== 1) {
+    list.setAttribute('start', parseInt(first[3], 10));
+  }
+
+  // Items continue the list while they use the same bullet, or the same . / ) after the number
+  const continuesList = (line) => {
+    const match = line.match(MARKDOWN_LIST_ITEM);
+    return !!match && !!match[3] === ordered && (ordered ? match[4] : match[2]) === marker;
+  };
+
+  const items = [];
+  let loose = false;
+  let i = start;
+  while (i < lines.length && continuesList(lines[i])) {
+    const match = lines[i].match(MARKDOWN_LIST_ITEM);
+
+    const indent = match[1].length;
+    const markerWidth = match[2].length;
+    const spacing = match[5].replace(/\t/g, ' ').length;
+    // Content starting 5+ spaces after the marker is indented code: the content column is marker + 1
+    const contentColumn = indent + markerWidth + (match[6] && spacing <= 4 ? spacing : 1);
+    const itemLines = [spacing > 4 && match[6] ? ' '.repeat(spacing - 1) + match[6] : match[6]];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const lineIndent = getMarkdownIndent(line);
+      if (isBlankMarkdownLine(line)) {
+        itemLines.push('');
+        i++;
+        continue;
+      }
+      const nestedMarker = MARKDOWN_LIST_ITEM.test(line) && lineIndent > indent;
+      if (lineIndent >= contentColumn || nestedMarker) {
+        itemLines.push(line.slice(Math.min(lineIndent, contentColumn)));
+        i++;
+        continue;
+      }
+      // Lazy continuation of the item's last paragraph
+      const previous = itemLines[itemLines.length - 1];
+      if (previous !== '' && !isMarkdownBlockStart(line) && !MARKDOWN_LIST_ITEM.test(line)) {
+        itemLines.push(line.trim());
+        i++;
+        continue;
+      }
+      break;
+    }
+
+    // Trailing blank lines end the item; between items they make the list loose
+    let trailingBlanks = 0;
+    while (itemLines.length > 1 && itemLines[itemLines.length - 1] === '') {
+      itemLines.pop();
+      trailingBlanks++;
+    }
+    const nextIsItem = i < lines.length && continuesList(lines[i]);
+    if (trailingBlanks > 0 && nextIsItem) loose = true;
+    // A blank line between two of the item's own paragraphs (not inside a nested list)
+    if (itemLines.some((line, n) => line === '' && n + 1 < itemLines.length && getMarkdownIndent(itemLines[n + 1]) === 0 &&
+        !MARKDOWN_LIST_ITEM.test(itemLines[n + 1]))) {
+      loose = true;
+    }
+    items.push(itemLines);
+
+    if (trailingBlanks > 0 && !nextIsItem) break;
+  }
+
+  items.forEach(itemLines => {
+    const li = document.createElement('li');
+    const task = itemLines[0].match(/^\[([ xX])\][ \t]+/);
+    if (task) {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.setAttribute('disabled', '');
+      if (task[1] !== ' ') checkbox.setAttribute('checked', '');
+      li.appendChild(checkbox);
+      li.appendChild(document.createTextNode(' '));
+      itemLines = [itemLines[0].slice(task[0].length), ...itemLines.slice(1)];
+    }
+
+    renderMarkdownBlocks(itemLines, li, refs);
+
+    // Tight lists hold their text directly, not in paragraphs
+    if (!loose) {
+      [...li.children].forEach(child => {
+        if (child.tagName === 'P') {
+          child.replaceWith(...child.childNodes);
+        }
+      });
+    }
+    list.appendChild(li);
+  });
+
+  parent.appendChild(list);
+  return i;
+}
+
+/**
+ * Parse a GFM table starting at lines[start]; appends it and returns the index after it
+ */
+function renderMarkdownTable(lines, start, parent, refs) {
+  const headers = splitMarkdownTableRow(lines[start]);
+  const alignments = splitMarkdownTableRow(lines[start + 1]).map(cell => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+  });
+
+  const table = document.createElement('table');
+  const addRow = (section, cells, tag) => {
+    const tr = document.createElement('tr');
+    headers.forEach((header, n) => {
+      const cell = document.createElement(tag);
+      if (alignments[n]) cell.style.textAlign = alignments[n];
+      appendMarkdownInline(cell, cells[n] || '', refs);
+      tr.appendChild(cell);
+    });
+    section.appendChild(tr);
+  };
+
+  const thead = document.createElement('thead');
+  addRow(thead, headers, 'th');
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  let i = start + 2;
+  while (i < lines.length && !isBlankMarkdownLine(lines[i]) && !isMarkdownBlockStart(lines[i])) {
+    addRow(tbody, splitMarkdownTableRow(lines[i]), 'td');
+    i++;
+  }
+  if (tbody.children.length > 0) {
+    table.appendChild(tbody);
+  }
+
+  parent.appendChild(table);
+  return i;
+}
+
+/**
+ * Render block-level Markdown lines into an element
+ */
+function renderMarkdownBlocks(lines, parent, refs) {
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlankMarkdownLine(line)) {
+      i++;
+      continue;
+    }
+
+    // Fenced code: ``` or ~~~, closed by a fence of the same kind at least as long (or the end)
+    const fence = line.match(MARKDOWN_FENCE);
+    if (fence) {
+      const [, fenceIndent, fenceMarker, language] = fence;
+      const codeLines = [];
+      i++;
+      while (i < lines.length) {
+        const close = lines[i].match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+        if (close && close[1][0] === fenceMarker[0] && close[1].length >= fenceMarker.length) {
+          i++;
+          break;
+        }
+        codeLines.push(lines[i].slice(Math.min(getMarkdownIndent(lines[i]), fenceIndent.length)));
+        i++;
+      }
+      parent.appendChild(createMarkdownCodeBlock(codeLines.join('\n'), language));
+      continue;
+    }
+
+    const mathBlock = matchMarkdownMathBlock(lines, i);
+    if (mathBlock) {
+      parent.appendChild(renderTex(mathBlock.tex, true));
+      i = mathBlock.next;
+      continue;
+    }
+
+    const heading = line.match(MARKDOWN_ATX_HEADING);
+    if (heading) {
+      const h = document.createElement(`h${heading[1].length}`);
+      appendMarkdownInline(h, (heading[2] || '').trim(), refs);
+      parent.appendChild(h);
+      i++;
+      continue;
+    }
+
+    if (MARKDOWN_THEMATIC_BREAK.test(line)) {
+      parent.appendChild(document.createElement('hr'));
+      i++;
+      continue;
+    }
+
+    // Blockquote: > lines, plus lazy continuation lines of its paragraph
+    if (MARKDOWN_BLOCKQUOTE.test(line)) {
+      const quoteLines = [];
+      while (i < lines.length) {
+        if (MARKDOWN_BLOCKQUOTE.test(lines[i])) {
+          quoteLines.push(lines[i].replace(MARKDOWN_BLOCKQUOTE, ''));
+        } else if (!isBlankMarkdownLine(lines[i]) && !isBlankMarkdownLine(quoteLines[quoteLines.length - 1]) &&
+                   !isMarkdownBlockStart(lines[i])) {
+          quoteLines.push(lines[i]);
+        } else {
+          break;
+        }
+        i++;
+      }
+      const blockquote = document.createElement('blockquote');
+      renderMarkdownBlocks(quoteLines, blockquote, refs);
+      parent.appendChild(blockquote);
+      continue;
+    }
+
+    if (MARKDOWN_LIST_ITEM.test(line)) {
+      i = renderMarkdownList(lines, i, parent, refs);
+      continue;
+    }
+
+    if (isMarkdownTableStart(lines, i)) {
+      i = renderMarkdownTable(lines, i, parent, refs);
+      continue;
+    }
+
+    // Indented code (4+ spaces; can't interrupt a paragraph)
+    if (getMarkdownIndent(line) >= 4) {
+      const codeLines = [];
+      while (i < lines.length && (getMarkdownIndent(lines[i]) >= 4 || isBlankMarkdownLine(lines[i]))) {
+        codeLines.push(lines[i].slice(4));
+        i++;
+      }
+      while (codeLines.length && isBlankMarkdownLine(codeLines[codeLines.length - 1])) codeLines.pop();
+      parent.appendChild(createMarkdownCodeBlock(codeLines.join('\n'), ''));
+      continue;
+    }
+
+    // Paragraph, or a setext heading if it's underlined with === / ---
+    const paragraphLines = [line.trim()];
+    i++;
+    let setextLevel = 0;
+    while (i < lines.length && !isBlankMarkdownLine(lines[i])) {
+      if (/^ {0,3}=+[ \t]*$/.test(lines[i])) {
+        setextLevel = 1;
+      } else if (/^ {0,3}-+[ \t]*$/.test(lines[i])) {
+        setextLevel = 2;
+      }
+      if (setextLevel) {
+        i++;
+        break;
+      }
+      if (isMarkdownBlockStart(lines[i]) || isMarkdownTableStart(lines, i) || matchMarkdownMathBlock(lines, i)) break;
+      paragraphLines.push(lines[i].trim());
+      i++;
+    }
+
+    const block = document.createElement(setextLevel ? `h${setextLevel}` : 'p');
+    appendMarkdownInline(block, paragraphLines.join('\n'), refs);
+    parent.appendChild(block);
+  }
+}
+
+/**
+ * Render Markdown text as a DocumentFragment
+ */
+function renderMarkdown(text) {
+  const fragment = document.createDocumentFragment();
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n').map(expandMarkdownTabs);
+  const refs = new Map();
+  renderMarkdownBlocks(collectMarkdownReferences(lines, refs), fragment, refs);
+  return fragment;
+}
@@ -0,0 +1,649 @@
+/**
+ * Code blocks of the Markdown renderer (u-markdown.js): offline syntax highlighting, line numbers,
+ * wrap/no-wrap, collapsing long blocks and downloading a block as a file.
+ *
+ * highlightCode() tokenizes with the small grammars in CODE_LANGUAGES (no library, works offline)
+ * and emits the hljs-* class names ChatGPT's own code blocks use, so styles.css colours both.
+ * appendHighlightedCode() puts each line in a <span class="code-line"> (line numbers are a CSS
+ * counter on those). textContent stays the original code, so copying is unchanged.
+ *
+ * Line numbers and wrapping are global preferences (ChatWorkspace_codeBlockPrefs), applied as
+ * body classes so toggling them in one block updates every block.
+ */
+
+const CODE_BLOCK_COLLAPSE_LINES = 40;      // Longer blocks start collapsed
+const CODE_HIGHLIGHT_MAX_LENGTH = 200000;  // Bigger blocks are shown without highlighting
+
+const CODE_BLOCK_DEFAULT_PREFS = { lineNumbers: false, wrap: true };
+
+// What a rendered code block adds around the code (buttons, language label, drawn diagram):
+// not part of the message, so getMessageText() leaves it out when our HTML is read back in
+const CODE_BLOCK_CHROME_SELECTOR = '.code-block-header, .code-block-expand, .diagram-view, .diagram-error';
+
+const CODE_JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch throw try typeof var void while with yield';
+const CODE_JS_BUILTINS = 'Array Boolean console Date document Error JSON Map Math Number Object Promise Proxy Reflect RegExp Set String Symbol WeakMap window globalThis require module exports process';
+const CODE_C_KEYWORDS = 'auto break case char const continue default do double else enum extern float for goto if inline int long register restrict return short signed sizeof static struct switch typedef union unsigned void volatile while';
+
+// Comment, string and number patterns shared by the grammars
+const CODE_RULE_LINE_COMMENT = { cls: 'hljs-comment', re: /\/\/.*/ };
+const CODE_RULE_HASH_COMMENT = { cls: 'hljs-comment', re: /#.*/ };
+const CODE_RULE_BLOCK_COMMENT = { cls: 'hljs-comment', re: /\/\*[\s\S]*?(?:\*\/|$)/ };
+const CODE_RULE_DOUBLE_STRING = { cls: 'hljs-string', re: /"(?:\\[\s\S]|[^"\\\n])*"?/ };
+const CODE_RULE_SINGLE_STRING = { cls: 'hljs-string', re: /'(?:\\[\s\S]|[^'\\\n])*'?/ };
+const CODE_RULE_BACKTICK_STRING = { cls: 'hljs-string', re: /`(?:\\[\s\S]|[^`\\])*`?/ };
+const CODE_RULE_NUMBER = { cls: 'hljs-number', re: /(?:0[xX][\da-fA-F_]+|0[bBoO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[a-zA-Z]*/ };
+const CODE_C_RULES = [
+  { cls: 'hljs-meta', re: /^[ \t]*#[ \t]*[a-z]+.*/m },
+  CODE_RULE_LINE_COMMENT, CODE_RULE_BLOCK_COMMENT, CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING, CODE_RULE_NUMBER
+];
+
+/**
+ * Grammars. rules are tried in order at each position; words that no rule takes are looked up in
+ * keywords / literals / builtins, and a word followed by "(" or after a titleAfter keyword
+ * is a title (function or class name); plainWords skips that. A rule with cls null keeps its
+ * match plain. ext is the file extension for downloads.
+ */
+const CODE_LANGUAGES = {
+  javascript: {
+    aliases: ['js', 'jsx', 'mjs', 'cjs', 'node'],
+    ext: 'js',
+    rules: [CODE_RULE_LINE_COMMENT, CODE_RULE_BLOCK_COMMENT, CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING, CODE_RULE_BACKTICK_STRING, CODE_RULE_NUMBER],
+    keywords: CODE_JS_KEYWORDS,
+    literals: 'true false null undefined NaN Infinity this',
+    builtins: CODE_JS_BUILTINS,
+    titleAfter: 'class function extends new'
+  },
+  typescript: {
+    aliases: ['ts', 'tsx'],
+    ext: 'ts',
+    rules: [
+      { cls: 'hljs-meta', re: /@[A-Za-z_]\w*/ },
+      CODE_RULE_LINE_COMMENT, CODE_RULE_BLOCK_COMMENT, CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING, CODE_RULE_BACKTICK_STRING, CODE_RULE_NUMBER
+    ],
+    keywords: CODE_JS_KEYWORDS + ' abstract as declare enum implements interface keyof namespace private protected public readonly type infer is satisfies',
+    literals: 'true false null undefined NaN Infinity this',
+    builtins: CODE_JS_BUILTINS + ' any boolean never number object string symbol unknown void Record Partial Readonly',
+    titleAfter: 'class function extends new interface type enum implements'
+  },
+  python: {
+    aliases: ['py', 'python3', 'py3', 'gyp', 'ipython'],
+    ext: 'py',
+    rules: [
+      { cls: 'hljs-meta', re: /@[A-Za-z_][\w.]*/ },
+      CODE_RULE_HASH_COMMENT,
+      { cls: 'hljs-string', re: /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/ },
+      { cls: 'hljs-string', re: /[rRbBuUfF]{0,2}(?:"(?:\\[\s\S]|[^"\\\n])*"?|'(?:\\[\s\S]|[^'\\\n])*'?)/ },
+      CODE_RULE_NUMBER
+    ],
+    keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case',
+    literals: 'True False None self cls',
+    builtins: 'print len range int str float list dict set tuple bool bytes open type isinstance super enumerate zip map filter sorted reversed min max sum abs any all repr input iter next getattr setattr hasattr Exception ValueError TypeError KeyError IndexError RuntimeError',
+    titleAfter: 'def class'
+  },
+  bash: {
+    aliases: ['sh', 'shell', 'zsh', 'console', 'shellsession', 'terminal'],
+    ext: 'sh',
+    rules: [
+      { cls: 'hljs-meta', re: /^#!.*/ },
+      { cls: 'hljs-comment', re: /(?:^|[ \t])#.*/m },
+      CODE_RULE_DOUBLE_STRING,
+      { cls: 'hljs-string', re: /'[^']*'?/ },
+      { cls: 'hljs-variable', re: /\$(?:\{[^}\n]*\}?|[\w@#?*!$-]+)/ },
+      { cls: 'hljs-number', re: /\b\d+\b/ }
+    ],
+    keywords: 'if then else elif fi for while until do done case esac in function return exit local export readonly declare unset shift break continue source alias set',
+    builtins: 'echo cd ls cat grep sed awk find rm cp mv mkdir touch chmod chown curl wget git npm npx yarn pnpm node python python3 pip pip3 sudo apt brew docker kubectl make printf read test tar ssh scp',
+    titleAfter: 'function'
+  },
+  json: {
+    aliases: ['jsonc', 'json5', 'geojson'],
+    ext: 'json',
+    rules: [
+      { cls: 'hljs-attr', re: /"(?:\\[\s\S]|[^"\\\n])*"(?=\s*:)/ },
+      CODE_RULE_DOUBLE_STRING, CODE_RULE_LINE_COMMENT, CODE_RULE_BLOCK_COMMENT,
+      { cls: 'hljs-number', re: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/ }
+    ],
+    literals: 'true false null'
+  },
+  css: {
+    aliases: ['scss', 'sass', 'less'],
+    ext: 'css',
+    rules: [
+      CODE_RULE_BLOCK_COMMENT, CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING,
+      { cls: 'hljs-keyword', re: /@[\w-]+|!important/ },
+      { cls: 'hljs-number', re: /#[\da-fA-F]{3,8}\b/ },
+      { cls: 'hljs-attr', re: /-?[A-Za-z][\w-]*(?=\s*:[^{};]*[;}])/ },
+      { cls: 'hljs-selector-class', re: /[.#][A-Za-z_-][\w-]*/ },
+      { cls: 'hljs-variable', re: /--[\w-]+|\$[A-Za-z][\w-]*/ },
+      { cls: 'hljs-number', re: /-?(?:\d+\.?\d*|\.\d+)(?:[a-zA-Z]+|%)?/ }
+    ]
+  },
+  html: {
+    aliases: ['xml', 'xhtml', 'svg', 'vue', 'svelte', 'rss', 'plist', 'xsl'],
+    ext: 'html',
+    markup: true
+  },
+  c: {
+    aliases: ['h'],
+    ext: 'c',
+    rules: CODE_C_RULES,
+    keywords: CODE_C_KEYWORDS,
+    literals: 'NULL true false',
+    builtins: 'printf scanf malloc calloc realloc free memcpy memset strlen strcmp size_t FILE',
+    titleAfter: 'struct enum union'
+  },
+  cpp: {
+    aliases: ['c++', 'cc', 'cxx', 'hpp', 'arduino'],
+    ext: 'cpp',
+    rules: CODE_C_RULES,
+    keywords: CODE_C_KEYWORDS + ' bool class namespace template typename public private protected virtual override final new delete this using try catch throw operator friend constexpr explicit mutable noexcept static_cast dynamic_cast reinterpret_cast const_cast',
+    literals: 'true false nullptr NULL',
+    builtins: 'std string vector map unordered_map set unique_ptr shared_ptr make_unique make_shared cout cin cerr endl size_t',
+    titleAfter: 'class struct enum namespace'
+  },
+  csharp: {
+    aliases: ['cs', 'c#'],
+    ext: 'cs',
+    rules: [
+      { cls: 'hljs-meta', re: /^[ \t]*#[ \t]*[a-z]+.*/m },
+      CODE_RULE_LINE_COMMENT, CODE_RULE_BLOCK_COMMENT,
+      { cls: 'hljs-string', re: /[$@]{1,2}"(?:""|\\[\s\S]|[^"\\])*"?/ },
+      CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING, CODE_RULE_NUMBER
+    ],
+    keywords: 'abstract as async await base bool break byte case catch char class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach get if implicit in init int interface internal is lock long namespace new object operator out override params private protected public readonly record ref return sealed set short sizeof static string struct switch this throw try typeof uint ulong using var virtual void volatile where while yield',
+    literals: 'true false null',
+    builtins: 'Console Task List Dictionary String Math Exception',
+    titleAfter: 'class struct interface enum record new'
+  },
+  java: {
+    aliases: ['jsp'],
+    ext: 'java',
+    rules: [
+      { cls: 'hljs-meta', re: /@[A-Za-z_]\w*/ },
+      CODE_RULE_LINE_COMMENT, CODE_RULE_BLOCK_COMMENT, CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING, CODE_RULE_NUMBER
+    ],
+    keywords: 'abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long native new package private protected public record return short static super switch synchronized this throw throws transient try var void volatile while',
+    literals: 'true false null',
+    builtins: 'String System Math Integer Long Double Boolean List ArrayList Map HashMap Set HashSet Optional Exception Override',
+    titleAfter: 'class interface enum record extends implements new'
+  },
+  kotlin: {
+    aliases: ['kt', 'kts'],
+    ext: 'kt',
+    rules: [
+      { cls: 'hljs-meta', re: /@[A-Za-z_]\w*/ },
+      CODE_RULE_LINE_COMMENT, CODE_RULE_BLOCK_COMMENT,
+      { cls: 'hljs-string', re: /"""[\s\S]*?(?:"""|$)/ },
+      CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING, CODE_RULE_NUMBER
+    ],
+    keywords: 'as break by class companion continue data do else enum for fun if import in init interface internal is lateinit object open override package private protected public return sealed super suspend this throw try typealias val var when while',
+    literals: 'true false null',
+    builtins: 'println print listOf mutableListOf mapOf mutableMapOf setOf String Int Long Double Boolean Unit Any List Map',
+    titleAfter: 'class interface object fun'
+  },
+  go: {
+    aliases: ['golang'],
+    ext: 'go',
+    rules: [CODE_RULE_LINE_COMMENT, CODE_RULE_BLOCK_COMMENT, CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING, CODE_RULE_BACKTICK_STRING, CODE_RULE_NUMBER],
+    keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+    literals: 'true false nil iota',
+    builtins: 'append cap close copy delete len make new panic print println recover string int int64 int32 uint float64 float32 bool byte rune error any fmt',
+    titleAfter: 'func type'
+  },
+  rust: {
+    aliases: ['rs'],
+    ext: 'rs',
+    rules: [
+      { cls: 'hljs-meta', re: /#!?\[[^\]\n]*\]/ },
+      CODE_RULE_LINE_COMMENT, CODE_RULE_BLOCK_COMMENT,
+      { cls: 'hljs-symbol', re: /'[A-Za-z_]\w*\b(?!')/ },
+      { cls: 'hljs-built_in', re: /[A-Za-z_]\w*!(?!=)/ },
+      CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING, CODE_RULE_NUMBER
+    ],
+    keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+    literals: 'true false None Some Ok Err',
+    builtins: 'i8 i16 i32 i64 i128 isize u8 u16 u32 u64 u128 usize f32 f64 bool char str String Vec Option Result Box HashMap',
+    titleAfter: 'fn struct enum trait impl mod type'
+  },
+  php: {
+    aliases: ['php3', 'php4', 'php5', 'php7', 'php8'],
+    ext: 'php',
+    rules: [
+      { cls: 'hljs-meta', re: /<\?(?:php|=)?|\?>/ },
+      CODE_RULE_LINE_COMMENT, CODE_RULE_HASH_COMMENT, CODE_RULE_BLOCK_COMMENT,
+      { cls: 'hljs-variable', re: /\$[A-Za-z_]\w*/ },
+      CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING, CODE_RULE_NUMBER
+    ],
+    keywords: 'abstract and array as break case catch class clone const continue declare default do echo else elseif empty enum extends final finally fn for foreach function global if implements include include_once instanceof interface isset list match namespace new or print private protected public readonly require require_once return static switch throw trait try unset use var while yield',
+    literals: 'true false null TRUE FALSE NULL',
+    builtins: 'count strlen str_replace explode implode array_map array_filter json_encode json_decode isset sprintf',
+    titleAfter: 'class interface trait enum function new extends implements'
+  },
+  ruby: {
+    aliases: ['rb', 'gemspec', 'rake'],
+    ext: 'rb',
+    rules: [
+      CODE_RULE_HASH_COMMENT,
+      { cls: null, re: /::/ },
+      { cls: 'hljs-symbol', re: /:[A-Za-z_]\w*[?!]?/ },
+      { cls: 'hljs-variable', re: /@{1,2}[A-Za-z_]\w*|\$[A-Za-z_]\w*/ },
+      CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING, CODE_RULE_NUMBER
+    ],
+    keywords: 'alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return super then undef unless until when while yield require require_relative include attr_accessor attr_reader attr_writer',
+    literals: 'true false nil self',
+    builtins: 'puts print p raise lambda proc',
+    titleAfter: 'def class module'
+  },
+  sql: {
+    aliases: ['mysql', 'postgresql', 'postgres', 'psql', 'sqlite', 'plsql', 'tsql'],
+    ext: 'sql',
+    caseInsensitive: true,
+    rules: [
+      { cls: 'hljs-comment', re: /--.*/ }, CODE_RULE_BLOCK_COMMENT,
+      { cls: 'hljs-string', re: /'(?:''|[^'])*'?/ },
+      { cls: 'hljs-attr', re: /"(?:""|[^"])*"?|`[^`]*`?/ },
+      CODE_RULE_NUMBER
+    ],
+    keywords: 'select from where insert into values update set delete create table drop alter add column index primary key foreign references join inner left right outer full cross on as and or not is in exists between like ilike order by group having limit offset union all distinct case when then else end default unique view begin commit rollback transaction with returning if asc desc constraint check database schema grant revoke trigger function procedure returns language',
+    literals: 'null true false',
+    builtins: 'count sum avg min max cast coalesce now lower upper length substring round int integer bigint varchar text boolean date timestamp serial uuid json jsonb'
+  },
+  yaml: {
+    aliases: ['yml'],
+    ext: 'yaml',
+    rules: [
+      { cls: 'hljs-comment', re: /(?:^|[ \t])#.*/m },
+      { cls: 'hljs-meta', re: /^(?:---|\.\.\.)\s*$/m },
+      { cls: 'hljs-attr', re: /[A-Za-z_$][\w$.-]*(?=[ \t]*:(?:\s|$))/ },
+      CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING,
+      { cls: 'hljs-variable', re: /[&*][\w-]+/ },
+      { cls: 'hljs-number', re: /-?\b\d+(?:\.\d+)?\b/ }
+    ],
+    literals: 'true false null yes no on off ~'
+  },
+  ini: {
+    aliases: ['toml', 'cfg', 'conf', 'properties', 'editorconfig'],
+    ext: 'ini',
+    rules: [
+      { cls: 'hljs-comment', re: /^[ \t]*[#;].*/m },
+      { cls: 'hljs-section', re: /^[ \t]*\[[^\]\n]*\]+/m },
+      { cls: 'hljs-attr', re: /[A-Za-z_][\w.-]*(?=[ \t]*=)/ },
+      { cls: 'hljs-string', re: /"""[\s\S]*?(?:"""|$)/ },
+      CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING,
+      { cls: 'hljs-number', re: /-?\b\d[\d_]*(?:\.\d+)?\b/ }
+    ],
+    literals: 'true false'
+  },
+  dockerfile: {
+    aliases: ['docker'],
+    ext: 'dockerfile',
+    caseInsensitive: true,
+    rules: [
+      CODE_RULE_HASH_COMMENT, CODE_RULE_DOUBLE_STRING, CODE_RULE_SINGLE_STRING,
+      { cls: 'hljs-variable', re: /\$(?:\{[^}\n]*\}?|\w+)/ },
+      { cls: 'hljs-number', re: /\b\d+\b/ }
+    ],
+    keywords: 'from run cmd label maintainer expose env add copy entrypoint volume user workdir arg onbuild stopsignal healthcheck shell as'
+  },
+  diff: {
+    aliases: ['patch'],
+    ext: 'diff',
+    plainWords: true,
+    rules: [
+      { cls: 'hljs-meta', re: /^(?:diff |index |--- |\+\+\+ |@@).*/m },
+      { cls: 'hljs-addition', re: /^[+>].*/m },
+      { cls: 'hljs-deletion', re: /^[-<].*/m }
+    ]
+  }
+};
+
+// Download extensions of languages without a grammar
+const CODE_FILE_EXTENSIONS = {
+  markdown: 'md', md: 'md', text: 'txt', plaintext: 'txt', txt: 'txt', swift: 'swift', scala: 'scala',
+  lua: 'lua', perl: 'pl', r: 'r', dart: 'dart', powershell: 'ps1', ps1: 'ps1', bat: 'bat', cmd: 'bat',
+  graphql: 'graphql', makefile: 'mk', haskell: 'hs', elixir: 'ex', clojure: 'clj', csv: 'csv', latex: 'tex', tex: 'tex'
+};
+
+const codeLanguageCache = new Map(); // language name or alias → compiled grammar (null if unknown)
+
+/**
+ * Find the grammar of a fence language ({ name, ...definition }), or null
+ */
+function getCodeLanguage(language) {
+  const lang = (language || '').toLowerCase();
+  if (CODE_LANGUAGES[lang]) return { name: lang, ...CODE_LANGUAGES[lang] };
+
+  const name = Object.keys(CODE_LANGUAGES).find(key => CODE_LANGUAGES[key].aliases.includes(lang));
+  return name ? { name, ...CODE_LANGUAGES[name] } : null;
+}
+
+/**
+ * Turn a grammar's word lists into sets and its rules into sticky regexes (cached)
+ */
+function compileCodeLanguage(language) {
+  const lang = (language || '').toLowerCase();
+  if (codeLanguageCache.has(lang)) return codeLanguageCache.get(lang);
+
+  const definition = getCodeLanguage(lang);
+  let compiled = null;
+  if (definition) {
+    const toSet = words => new Set((words || '').split(/\s+/).filter(Boolean)
+      .map(word => definition.caseInsensitive ? word.toLowerCase() : word));
+    compiled = {
+      name: definition.name,
+      markup: definition.markup === true,
+      plainWords: definition.plainWords === true,
+      caseInsensitive: definition.caseInsensitive === true,
+      rules: (definition.rules || []).map(rule => ({
+        cls: rule.cls,
+        re: new RegExp(rule.re.source, 'y' + (rule.re.flags.includes('m') ? 'm' : ''))
+      })),
+      keywords: toSet(definition.keywords),
+      literals: toSet(definition.literals),
+      builtins: toSet(definition.builtins),
+      titleAfter: toSet(definition.titleAfter)
+    };
+  }
+  codeLanguageCache.set(lang, compiled);
+  return compiled;
+}
+
+/**
+ * Tokenize code with a compiled grammar: [[className | null, text], ...]
+ */
+function tokenizeCode(code, grammar) {
+  const tokens = [];
+  const word = /[A-Za-z_$][\w$]*/y;
+  let plain = '';
+  let lastWord = '';
+  let i = 0;
+
+  const flushPlain = () => {
+    if (plain) tokens.push([null, plain]);
+    plain = '';
+  };
+
+  while (i < code.length) {
+    let matched = null;
+    for (const rule of grammar.rules) {
+      rule.re.lastIndex = i;
+      const match = rule.re.exec(code);
+      if (match && match[0].length > 0) {
+        matched = [rule.cls, match[0]];
+        lastWord = '';
+        break;
+      }
+    }
+
+    if (!matched && !grammar.plainWords && /[A-Za-z_$]/.test(code[i]) && !/[\w$]/.test(code[i - 1] || '')) {
+      word.lastIndex = i;
+      const text = word.exec(code)[0];
+      const key = grammar.caseInsensitive ? text.toLowerCase() : text;
+      let cls = null;
+      if (grammar.keywords.has(key)) cls = 'hljs-keyword';
+      else if (grammar.literals.has(key)) cls = 'hljs-literal';
+      else if (grammar.builtins.has(key)) cls = 'hljs-built_in';
+      else if (grammar.titleAfter.has(lastWord) || /^\s*\(/.test(code.slice(i + text.length, i + text.length + 20))) cls = 'hljs-title';
+      matched = [cls, text];
+      lastWord = key;
+    }
+
+    if (!matched) {
+      if (!/\s/.test(code[i])) lastWord = '';
+      plain += code[i];
+      i++;
+      continue;
+    }
+
+    if (matched[0]) {
+      flushPlain();
+      tokens.push(matched);
+    } else {
+      plain += matched[1];
+    }
+    i += matched[1].length;
+  }
+
+  flushPlain();
+  return tokens;
+}
+
+/**
+ * Tokenize HTML/XML: tags, attributes, comments, and <script> / <style> contents as JS / CSS
+ */
+function tokenizeMarkup(code) {
+  const tokens = [];
+  const markup = /<!--[\s\S]*?(?:-->|$)|<![^>]*>?|<\?[\s\S]*?(?:\?>|$)|<\/?[A-Za-z][^>]*>?/g;
+  let last = 0;
+  let match;
+
+  while ((match = markup.exec(code)) !== null) {
+    if (match.index > last) tokens.push([null, code.slice(last, match.index)]);
+    last = markup.lastIndex;
+
+    const tag = match[0];
+    if (tag.startsWith('<!--')) {
+      tokens.push(['hljs-comment', tag]);
+      continue;
+    }
+    if (tag.startsWith('<!') || tag.startsWith('<?')) {
+      tokens.push(['hljs-meta', tag]);
+      continue;
+    }
+
+    const name = tag.match(/^<\/?([A-Za-z][\w:.-]*)/);
+    tokens.push(['hljs-tag', name[0].slice(0, name[0].length - name[1].length)], ['hljs-name', name[1]]);
+    const attributes = /([^\s=/>"']+)|("[^"]*"?|'[^']*'?)|(\/?>)|([\s\S])/g;
+    attributes.lastIndex = name[0].length;
+    let part;
+    while ((part = attributes.exec(tag)) !== null) {
+      if (part[1]) tokens.push(['hljs-attr', part[1]]);
+      else if (part[2]) tokens.push(['hljs-string', part[2]]);
+      else if (part[3]) tokens.push(['hljs-tag', part[3]]);
+      else tokens.push([null, part[4]]);
+    }
+
+    // Embedded script / style
+    const embedded = { script: 'javascript', style: 'css' }[name[1].toLowerCase()];
+    if (embedded && !tag.startsWith('</') && !tag.endsWith('/>')) {
+      const close = code.toLowerCase().indexOf(`</${name[1].toLowerCase()}`, last);
+      const end = close === -1 ? code.length : close;
+      tokens.push(...tokenizeCode(code.slice(last, end), compileCodeLanguage(embedded)));
+      last = end;
+      markup.lastIndex = end;
+    }
+  }
+
+  if (last < code.length) tokens.push([null, code.slice(last)]);
+  return tokens;
+}
+
+/**
+ * Highlight code for a fence language: [[className | null, text], ...]
+ * (one plain token for unknown languages and very big blocks)
+ */
+function highlightCode(code, language) {
+  const grammar = compileCodeLanguage(language);
+  if (!grammar || code.length > CODE_HIGHLIGHT_MAX_LENGTH) return [[null, code]];
+
+  try {
+    return grammar.markup ? tokenizeMarkup(code) : tokenizeCode(code, grammar);
+  } catch (e) {
+    console.warn(`Failed to highlight ${language} code:`, e);
+    return [[null, code]];
+  }
+}
+
+/**
+ * Fill a <code> element with highlighted code, one <span class="code-line"> per line
+ * (each line keeps its "\n", so textContent is the code as-is)
+ */
+function appendHighlightedCode(codeEl, code, language) {
+  let line = document.createElement('span');
+  line.className = 'code-line';
+
+  const appendPart = (cls, text) => {
+    if (!text) return;
+    if (!cls) {
+      line.appendChild(document.createTextNode(text));
+      return;
+    }
+    const span = document.createElement('span');
+    span.className = cls;
+    span.textContent = text;
+    line.appendChild(span);
+  };
+
+  highlightCode(code, language).forEach(([cls, text]) => {
+    text.split('\n').forEach((part, idx) => {
+      if (idx > 0) {
+        line.appendChild(document.createTextNode('\n'));
+        codeEl.appendChild(line);
+        line = document.createElement('span');
+        line.className = 'code-line';
+      }
+      appendPart(cls, part);
+    });
+  });
+
+  codeEl.appendChild(line);
+  return codeEl;
+}
+
+/**
+ * Build the line number / wrap / download buttons of a code block header
+ */
+function createCodeBlockActions() {
+  const actions = document.createElement('div');
+  actions.className = 'code-block-actions';
+
+  [
+    ['line-numbers', '# Lines', 'Show or hide line numbers'],
+    ['wrap', '↵ Wrap', 'Wrap long lines or scroll them'],
+    ['download', '⬇ Download', 'Download as a file']
+  ].forEach(([action, text, title]) => {
+    const btn = document.createElement('button');
+    btn.className = 'code-block-action';
+    btn.setAttribute('data-code-action', action);
+    btn.title = title;
+    btn.textContent = text;
+    actions.appendChild(btn);
+  });
+  return actions;
+}
+
+/**
+ * Collapse a rendered code block when it's longer than CODE_BLOCK_COLLAPSE_LINES
+ */
+function collapseLongCodeBlock(wrapper, code) {
+  const lineCount = code.split('\n').length;
+  if (lineCount <= CODE_BLOCK_COLLAPSE_LINES) return;
+
+  wrapper.classList.add('collapsible', 'collapsed');
+  const expandBtn = document.createElement('button');
+  expandBtn.className = 'code-block-expand';
+  expandBtn.setAttribute('data-code-action', 'expand');
+  expandBtn.setAttribute('data-line-count', String(lineCount));
+  expandBtn.textContent = `▾ Show all ${lineCount} lines`;
+  wrapper.appendChild(expandBtn);
+}
+
+/**
+ * Read the code block preferences ({ lineNumbers, wrap })
+ */
+function loadCodeBlockPrefs() {
+  return { ...CODE_BLOCK_DEFAULT_PREFS, ...readStoredRecord('ChatWorkspace_codeBlockPrefs', {}) };
+}
+
+/**
+ * Apply the code block preferences to every block (as body classes)
+ */
+function applyCodeBlockPrefs() {
+  const prefs = loadCodeBlockPrefs();
+  document.body.classList.toggle('code-line-numbers', prefs.lineNumbers === true);
+  document.body.classList.toggle('code-nowrap', prefs.wrap === false);
+}
+
+/**
+ * Flip one code block preference and apply it
+ */
+function toggleCodeBlockPref(name) {
+  const prefs = loadCodeBlockPrefs();
+  prefs[name] = !prefs[name];
+  writeStoredRecord('ChatWorkspace_codeBlockPrefs', prefs);
+  applyCodeBlockPrefs();
+}
+
+/**
+ * File name for downloading a code block, from its fence language
+ */
+function getCodeBlockFileName(language) {
+  const lang = (language || '').toLowerCase();
+  if (lang === 'dockerfile' || lang === 'docker') return 'Dockerfile';
+  if (lang === 'makefile' || lang === 'make') return 'Makefile';
+
+  const definition = getCodeLanguage(lang);
+  const ext = definition ? definition.ext : (CODE_FILE_EXTENSIONS[lang] || (/^[a-z0-9]{1,8}$/.test(lang) ? lang : 'txt'));
+  return `snippet.${ext}`;
+}
+
+/**
+ * Download a rendered code block as a file
+ */
+function downloadCodeBlock(wrapper) {
+  const code = wrapper.querySelector('code');
+  if (!code) return;
+
+  const langClass = [...code.classList].find(cls => cls.startsWith('language-'));
+  const language = langClass ? langClass.slice('language-'.length) : 'text';
+
+  const blob = new Blob([code.textContent], { type: 'text/plain' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = getCodeBlockFileName(language);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Handle clicks on code block buttons (delegated: rendered HTML carries no handlers)
+ */
+function handleCodeBlockAction(e) {
+  const btn = e.target.closest && e.target.closest('.code-block-wrapper [data-code-action]');
+  if (!btn) return;
+
+  const wrapper = btn.closest('.code-block-wrapper');
+  switch (btn.getAttribute('data-code-action')) {
+    case 'line-numbers':
+      toggleCodeBlockPref('lineNumbers');
+      break;
+    case 'wrap':
+      toggleCodeBlockPref('wrap');
+      break;
+    case 'download':
+      downloadCodeBlock(wrapper);
+      break;
+    case 'diagram':
+      toggleDiagramSource(wrapper, btn);
+      break;
+    case 'export-svg':
+      exportDiagramSvg(wrapper);
+      break;
+    case 'expand': {
+      const collapsed = wrapper.classList.toggle('collapsed');
+      btn.textContent = collapsed ? `▾ Show all ${btn.getAttribute('data-line-count')} lines` : '▴ Collapse';
+      if (collapsed) wrapper.scrollIntoView({ block: 'nearest' });
+      break;
+    }
+  }
+}
+
+document.addEventListener('click', handleCodeBlockAction);
+
+// Another tab toggled line numbers or wrapping
+chatStorage.onRemoteChange(key => {
+  if (key === 'ChatWorkspace_codeBlockPrefs') applyCodeBlockPrefs();
+});
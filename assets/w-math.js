@@ -0,0 +1,859 @@
+/**
+ * Math: TeX rendered as MathML, which browsers draw natively (no math library to load).
+ *
+ * The TeX comes from:
+ *   - KaTeX markup in ChatGPT / Claude HTML (.katex with an <annotation encoding="application/x-tex">)
+ *   - data-math attributes (Gemini)
+ *   - \( … \), \[ … \] and $$ … $$ in text (transcripts, exports, previews) - matchMathDelimiters()
+ *
+ * renderTex(tex, display) builds <span class="math-tex"><math><semantics>…<annotation></semantics></math></span>,
+ * keeping the source in the annotation so it can be rendered again or read back as text
+ * (getMessageText() reads math as formatMathSource() for the answer behind the outline, previews and copy).
+ *
+ * parseTex() covers what chat answers use: scripts, fractions, roots, Greek and symbols, large
+ * operators with limits, functions, accents, fonts, \text, \left…\right, spacing, colors and the
+ * matrix / cases / aligned environments. Unknown commands are shown in red instead of failing.
+ */
+
+const MATH_NS = 'http://www.w3.org/1998/Math/MathML';
+
+// Elements that hold math to (re-)render: KaTeX output, Gemini's data-math, and our own
+const MATH_SOURCE_SELECTOR = '.katex-display, .katex, .math-tex, [data-math]';
+
+// Delimiters in text: [open, close, display]
+const MATH_DELIMITERS = [['$$', '$$', true], ['\\[', '\\]', true], ['\\(', '\\)', false]];
+const MATH_DELIMITER_PATTERN = /\$\$|\\[[(]/;
+
+const MATH_IDENTIFIERS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+  varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', hbar: 'ℏ', ell: 'ℓ',
+  aleph: 'ℵ', Re: 'ℜ', Im: 'ℑ', wp: '℘', imath: 'ı', jmath: 'ȷ', top: '⊤', bot: '⊥', angle: '∠',
+  triangle: '△', square: '□', Box: '□', blacksquare: '■', checkmark: '✓', degree: '°', dagger: '†',
+  ddagger: '‡', S: '§', P: '¶', dots: '…', ldots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱'
+};
+
+// Capital Greek is upright in TeX
+const MATH_UPRIGHT_IDENTIFIERS = {
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+const MATH_OPERATORS = {
+  // Binary
+  pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+  oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙', cup: '∪', cap: '∩', sqcup: '⊔', sqcap: '⊓',
+  vee: '∨', wedge: '∧', lor: '∨', land: '∧', setminus: '∖', wr: '≀', amalg: '⨿', diamond: '⋄',
+  // Relations
+  le: '≤', leq: '≤', ge: '≥', geq: '≥', leqslant: '⩽', geqslant: '⩾', ne: '≠', neq: '≠', approx: '≈',
+  approxeq: '≊', sim: '∼', simeq: '≃', cong: '≅', equiv: '≡', propto: '∝', prec: '≺', succ: '≻',
+  preceq: '⪯', succeq: '⪰', ll: '≪', gg: '≫', lesssim: '≲', gtrsim: '≳', doteq: '≐', asymp: '≍',
+  in: '∈', notin: '∉', ni: '∋', subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇',
+  subsetneq: '⊊', supsetneq: '⊋', nsubseteq: '⊈', perp: '⊥', mid: '∣', nmid: '∤', parallel: '∥',
+  vdash: '⊢', dashv: '⊣', models: '⊨', coloneqq: '≔', triangleq: '≜', colon: ':',
+  // Arrows
+  to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+  Leftarrow: '⇐', Leftrightarrow: '⇔', iff: '⟺', implies: '⟹', impliedby: '⟸', mapsto: '↦',
+  longrightarrow: '⟶', longleftarrow: '⟵', longleftrightarrow: '⟷', Longrightarrow: '⟹',
+  Longleftarrow: '⟸', Longleftrightarrow: '⟺', longmapsto: '⟼', uparrow: '↑', downarrow: '↓',
+  updownarrow: '↕', Uparrow: '⇑', Downarrow: '⇓', nearrow: '↗', searrow: '↘', nwarrow: '↖',
+  swarrow: '↙', hookrightarrow: '↪', hookleftarrow: '↩', rightharpoonup: '⇀', rightleftharpoons: '⇌',
+  leftrightarrows: '⇆',
+  // Logic and misc
+  forall: '∀', exists: '∃', nexists: '∄', neg: '¬', lnot: '¬', therefore: '∴', because: '∵',
+  prime: '′', backslash: '∖',
+  // Delimiters
+  langle: '⟨', rangle: '⟩', lceil: '⌈', rceil: '⌉', lfloor: '⌊', rfloor: '⌋', lbrace: '{', rbrace: '}',
+  lbrack: '[', rbrack: ']', vert: '|', lvert: '|', rvert: '|', Vert: '‖', lVert: '‖', rVert: '‖'
+};
+
+// Large operators: [character, limits above/below in display math]
+const MATH_LARGE_OPERATORS = {
+  sum: ['∑', true], prod: ['∏', true], coprod: ['∐', true], bigcup: ['⋃', true], bigcap: ['⋂', true],
+  bigoplus: ['⨁', true], bigotimes: ['⨂', true], bigodot: ['⨀', true], bigvee: ['⋁', true],
+  bigwedge: ['⋀', true], bigsqcup: ['⨆', true],
+  int: ['∫', false], iint: ['∬', false], iiint: ['∭', false], oint: ['∮', false]
+};
+
+const MATH_FUNCTIONS = new Set(['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan',
+  'sinh', 'cosh', 'tanh', 'coth', 'log', 'ln', 'lg', 'exp', 'dim', 'ker', 'deg', 'hom', 'arg']);
+const MATH_LIMIT_FUNCTIONS = new Set(['lim', 'liminf', 'limsup', 'min', 'max', 'sup', 'inf', 'det',
+  'gcd', 'Pr', 'argmin', 'argmax']);
+
+// Accents over the argument: [character, stretches with it]
+const MATH_ACCENTS = {
+  hat: ['^', false], widehat: ['^', true], check: ['ˇ', false], tilde: ['~', false], widetilde: ['~', true],
+  bar: ['¯', false], overline: ['‾', true], vec: ['→', false], overrightarrow: ['→', true],
+  overleftarrow: ['←', true], dot: ['˙', false], ddot: ['¨', false], acute: ['´', false],
+  grave: ['`', false], breve: ['˘', false], mathring: ['˚', false], overbrace: ['⏞', true]
+};
+const MATH_UNDER_ACCENTS = { underline: ['‾', true], underbrace: ['⏟', true] };
+
+const MATH_SPACES = {
+  ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', '!': '-0.1667em', ' ': '0.25em',
+  thinspace: '0.1667em', medspace: '0.2222em', thickspace: '0.2778em', negthinspace: '-0.1667em',
+  enspace: '0.5em', quad: '1em', qquad: '2em'
+};
+
+const MATH_FONTS = {
+  mathrm: 'normal', mathup: 'normal', mathit: 'italic', mathbf: 'bold', mathbfit: 'bold-italic',
+  boldsymbol: 'bold-italic', bm: 'bold-italic', pmb: 'bold', mathbb: 'double-struck',
+  mathbbm: 'double-struck', mathcal: 'script', mathscr: 'script', mathfrak: 'fraktur',
+  mathsf: 'sans-serif', mathtt: 'monospace'
+};
+
+// Font switches (\rm x) that apply to the rest of the group
+const MATH_FONT_SWITCHES = { rm: 'normal', bf: 'bold', it: 'italic', sf: 'sans-serif', tt: 'monospace', cal: 'script' };
+
+// \text-like commands → CSS for the <mtext>
+const MATH_TEXT_COMMANDS = {
+  text: '', textrm: '', textnormal: '', textup: '', mbox: '', hbox: '',
+  textbf: 'font-weight: bold;', textit: 'font-style: italic;', emph: 'font-style: italic;',
+  textsf: 'font-family: sans-serif;', texttt: 'font-family: monospace;'
+};
+
+const MATH_BIG_SIZES = { big: '1.2em', Big: '1.8em', bigg: '2.4em', Bigg: '3em' };
+
+// \not x for the common cases; anything else gets a combining slash
+const MATH_NEGATIONS = {
+  '=': '≠', '∈': '∉', '⊂': '⊄', '⊃': '⊅', '⊆': '⊈', '⊇': '⊉', '≡': '≢', '<': '≮', '>': '≯',
+  '≤': '≰', '≥': '≱', '∼': '≁', '≈': '≉', '∣': '∤', '∃': '∄', '≅': '≇'
+};
+
+// Matrix / cases environments: [open, close] delimiters
+const MATH_ENVIRONMENT_FENCES = {
+  pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'],
+  cases: ['{', ''], dcases: ['{', ''], rcases: ['', '}']
+};
+
+const MATH_ALIGN_ENVIRONMENTS = /^(align|aligned|alignat|alignedat|split|eqnarray|flalign)$/;
+
+// Characters that are delimiters: only \left … \right and \big make them stretch
+const MATH_FENCE_CHARACTERS = '()[]{}|‖⟨⟩⌈⌉⌊⌋/';
+
+// Plain characters drawn differently in math
+const MATH_CHARACTER_OPERATORS = { '-': '−', '*': '∗' };
+
+// Mathematical Alphanumeric Symbols: [A, a, 0] code points per variant (null: no digits)
+const MATH_ALPHANUMERIC = {
+  bold: [0x1D400, 0x1D41A, 0x1D7CE],
+  italic: [0x1D434, 0x1D44E, null],
+  'bold-italic': [0x1D468, 0x1D482, null],
+  script: [0x1D49C, 0x1D4B6, null],
+  'double-struck': [0x1D538, 0x1D552, 0x1D7D8],
+  fraktur: [0x1D504, 0x1D51E, null],
+  'sans-serif': [0x1D5A0, 0x1D5BA, 0x1D7E2],
+  monospace: [0x1D670, 0x1D68A, 0x1D7F6]
+};
+
+// Letters that were encoded before that block, so its slots for them are empty
+const MATH_ALPHANUMERIC_HOLES = {
+  0x1D455: 'ℎ', 0x1D49D: 'ℬ', 0x1D4A0: 'ℰ', 0x1D4A1: 'ℱ', 0x1D4A3: 'ℋ', 0x1D4A4: 'ℐ', 0x1D4A7: 'ℒ',
+  0x1D4A8: 'ℳ', 0x1D4AD: 'ℛ', 0x1D4BA: 'ℯ', 0x1D4BC: 'ℊ', 0x1D4C4: 'ℴ', 0x1D506: 'ℭ', 0x1D50B: 'ℌ',
+  0x1D50C: 'ℑ', 0x1D515: 'ℜ', 0x1D51D: 'ℨ', 0x1D53A: 'ℂ', 0x1D53F: 'ℍ', 0x1D545: 'ℕ', 0x1D547: 'ℙ',
+  0x1D548: 'ℚ', 0x1D549: 'ℝ', 0x1D551: 'ℤ'
+};
+
+/**
+ * Create a MathML element with text or child elements and attributes
+ */
+function createMathElement(tag, content, attrs) {
+  const el = document.createElementNS(MATH_NS, tag);
+  if (typeof content === 'string') {
+    el.textContent = content;
+  } else if (Array.isArray(content)) {
+    content.forEach(child => el.appendChild(child));
+  } else if (content) {
+    el.appendChild(content);
+  }
+  Object.keys(attrs || {}).forEach(name => el.setAttribute(name, attrs[name]));
+  return el;
+}
+
+/**
+ * One element for a list of nodes (mrow unless there's exactly one)
+ */
+function createMathRow(nodes) {
+  return nodes.length === 1 ? nodes[0] : createMathElement('mrow', nodes);
+}
+
+/**
+ * An operator; delimiters don't stretch unless asked to
+ */
+function createMathOperator(text, attrs) {
+  const extra = MATH_FENCE_CHARACTERS.includes(text) ? { stretchy: 'false' } : {};
+  return createMathElement('mo', text, { ...extra, ...attrs });
+}
+
+/**
+ * A stretchy delimiter for \left, \right and environments (nothing for an empty one)
+ */
+function createMathFence(text) {
+  return text ? [createMathElement('mo', text, { fence: 'true', stretchy: 'true' })] : [];
+}
+
+/**
+ * Map letters and digits to their Mathematical Alphanumeric Symbols for a font variant
+ */
+function toMathVariantText(text, variant) {
+  const ranges = MATH_ALPHANUMERIC[variant];
+  if (!ranges) return text;
+  return [...text].map(ch => {
+    let codePoint = null;
+    if (ch >= 'A' && ch <= 'Z') codePoint = ranges[0] + ch.charCodeAt(0) - 65;
+    else if (ch >= 'a' && ch <= 'z') codePoint = ranges[1] + ch.charCodeAt(0) - 97;
+    else if (ch >= '0' && ch <= '9' && ranges[2] !== null) codePoint = ranges[2] + ch.charCodeAt(0) - 48;
+    if (codePoint === null) return ch;
+    return MATH_ALPHANUMERIC_HOLES[codePoint] || String.fromCodePoint(codePoint);
+  }).join('');
+}
+
+/**
+ * Apply a font (\mathbf, \mathbb, ...) to the identifiers and numbers in a node
+ */
+function applyMathVariant(node, variant) {
+  const tokens = [node, ...node.querySelectorAll('*')].filter(el => el.localName === 'mi' || el.localName === 'mn');
+  tokens.forEach(token => {
+    if (variant !== 'normal') {
+      token.textContent = toMathVariantText(token.textContent, variant);
+    }
+    if (token.localName === 'mi') {
+      token.setAttribute('mathvariant', 'normal');
+    }
+  });
+  return node;
+}
+
+/**
+ * Accept only plain color names and hex colors (they end up in a style attribute)
+ */
+function sanitizeMathColor(color) {
+  const value = (color || '').trim();
+  return /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/.test(value) ? value : null;
+}
+
+/**
+ * Build the table of an environment (or of top-level rows split by \\ and &)
+ */
+function buildMathTable(env, rows, columnSpec) {
+  const lastRow = rows[rows.length - 1];
+  if (rows.length > 1 && lastRow.length === 1 && lastRow[0].length === 0) {
+    rows.pop(); // Trailing \\
+  }
+
+  const alignLike = MATH_ALIGN_ENVIRONMENTS.test(env);
+  const getColumnAlign = col => {
+    if (columnSpec) return { l: 'left', c: 'center', r: 'right' }[columnSpec[col]] || 'center';
+    if (alignLike) return col % 2 === 0 ? 'right' : 'left';
+    if (/cases$/.test(env)) return 'left';
+    return 'center';
+  };
+
+  const table = createMathElement('mtable', rows.map(cells => createMathElement('mtr', cells.map((cell, col) => {
+    const align = getColumnAlign(col);
+    let style = `text-align: ${align};`;
+    if (alignLike) {
+      style += col % 2 === 0 ? ' padding-right: 0;' : ' padding-left: 0;';
+    } else if (/cases$/.test(env) && col > 0) {
+      style += ' padding-left: 1em;';
+    }
+    return createMathElement('mtd', createMathElement('mrow', cell), { columnalign: align, style });
+  }))));
+
+  if (alignLike || /^(gather|gathered|equation|multline|dcases)$/.test(env)) {
+    table.setAttribute('displaystyle', 'true');
+  }
+
+  const fences = MATH_ENVIRONMENT_FENCES[env];
+  if (!fences) return table;
+  return createMathElement('mrow', [...createMathFence(fences[0]), table, ...createMathFence(fences[1])]);
+}
+
+/**
+ * Parse TeX into a MathML element (an mrow, or an mtable for several rows)
+ */
+function parseTex(tex) {
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < tex.length && /\s/.test(tex[pos])) pos++;
+  };
+
+  const isCommandAt = (name) => tex.startsWith('\\' + name, pos) && !/[A-Za-z]/.test(tex[pos + name.length + 1] || '');
+
+  // What ends a sequence: "}", "&", "\\", \end, \right or the end of the input
+  const atSequenceEnd = () => pos >= tex.length || tex[pos] === '}' || tex[pos] === '&' ||
+    tex.startsWith('\\\\', pos) || isCommandAt('end') || isCommandAt('right');
+
+  // Command name after "\": letters, or one other character
+  const readCommand = () => {
+    pos++;
+    const letters = tex.slice(pos).match(/^[A-Za-z]+/);
+    const name = letters ? letters[0] : (tex[pos] || '');
+    pos += name.length;
+    return name;
+  };
+
+  // Raw source of a {…} group, or of the next character / command
+  const readRawGroup = () => {
+    skipSpace();
+    if (tex[pos] !== '{') {
+      if (tex[pos] === '\\') {
+        const start = pos;
+        readCommand();
+        return tex.slice(start, pos);
+      }
+      return tex[pos++] || '';
+    }
+    const start = pos + 1;
+    let depth = 0;
+    for (; pos < tex.length; pos++) {
+      if (tex[pos] === '\\') {
+        pos++;
+      } else if (tex[pos] === '{') {
+        depth++;
+      } else if (tex[pos] === '}' && --depth === 0) {
+        pos++;
+        return tex.slice(start, pos - 1);
+      }
+    }
+    return tex.slice(start);
+  };
+
+  // Raw source of an optional [...] argument, or null
+  const readOptional = () => {
+    skipSpace();
+    if (tex[pos] !== '[') return null;
+    const start = pos + 1;
+    let depth = 0;
+    for (pos++; pos < tex.length; pos++) {
+      if (tex[pos] === '{') depth++;
+      else if (tex[pos] === '}') depth--;
+      else if (tex[pos] === ']' && depth === 0) {
+        pos++;
+        return tex.slice(start, pos - 1);
+      }
+    }
+    return tex.slice(start);
+  };
+
+  // Delimiter after \left, \right, \middle or \big
+  const readDelimiter = () => {
+    skipSpace();
+    if (tex[pos] === '\\') {
+      const name = readCommand();
+      if (name === '{' || name === '}') return name;
+      if (name === '|') return '‖';
+      return MATH_OPERATORS[name] || '';
+    }
+    const ch = tex[pos++] || '';
+    return ch === '.' ? '' : ch;
+  };
+
+  // Skip a "&", "\\", \end{…} or \right… that has nothing to belong to
+  const skipStray = () => {
+    if (tex[pos] === '&' || tex[pos] === '}') {
+      pos++;
+    } else if (tex.startsWith('\\\\', pos)) {
+      pos += 2;
+    } else if (isCommandAt('end')) {
+      pos += 4;
+      readRawGroup();
+    } else if (isCommandAt('right')) {
+      pos += 6;
+      readDelimiter();
+    } else {
+      pos++;
+    }
+  };
+
+  // Contents of a {…} group (after the "{"), up to and including its "}"
+  const parseGroup = () => {
+    const nodes = [];
+    for (;;) {
+      nodes.push(...parseSequence());
+      if (pos >= tex.length) return nodes;
+      if (tex[pos] === '}') {
+        pos++;
+        return nodes;
+      }
+      skipStray();
+    }
+  };
+
+  // Rows of cells (split at & and \\) until \end, an unmatched "}" or the end of the input
+  const parseRows = () => {
+    const rows = [[]];
+    let cell = [];
+    for (;;) {
+      cell.push(...parseSequence());
+      const row = rows[rows.length - 1];
+      if (tex[pos] === '&') {
+        pos++;
+        row.push(cell);
+        cell = [];
+      } else if (tex.startsWith('\\\\', pos)) {
+        pos += 2;
+        readOptional(); // \\[2pt]
+        row.push(cell);
+        cell = [];
+        rows.push([]);
+      } else if (pos >= tex.length || tex[pos] === '}' || isCommandAt('end')) {
+        row.push(cell);
+        return rows;
+      } else {
+        skipStray();
+      }
+    }
+  };
+
+  const parseArgument = () => {
+    skipSpace();
+    if (tex[pos] === '{') {
+      pos++;
+      return createMathRow(parseGroup());
+    }
+    if (atSequenceEnd()) return createMathElement('mrow');
+    if (/\d/.test(tex[pos])) return createMathElement('mn', tex[pos++]); // \frac12
+    const atom = parseAtom();
+    return Array.isArray(atom) ? createMathRow(atom) : atom;
+  };
+
+  // \text{…}, with $…$ inside it parsed as math again
+  const parseText = (raw, style) => {
+    return createMathRow(raw.split(/(\$[^$]*\$)/).filter(Boolean).map(part => {
+      if (part.length > 1 && part.startsWith('$') && part.endsWith('$')) return parseTex(part.slice(1, -1));
+      const text = part
+        .replace(/\\([{}_%$&#])/g, '$1')
+        .replace(/\\(?:\s|,|;|quad)/g, ' ')
+        .replace(/\\textbackslash/g, '\\')
+        .replace(/~/g, ' ')
+        .replace(/^ | $/g, ' ');
+      return createMathElement('mtext', text, style ? { style } : {});
+    }));
+  };
+
+  const parseEnvironment = () => {
+    const env = readRawGroup().trim().replace(/\*$/, '');
+    let columnSpec = null;
+    if (env === 'array' || env === 'subarray') {
+      columnSpec = readRawGroup().replace(/[^lcr]/g, '');
+    } else if (env === 'alignat' || env === 'alignedat') {
+      readRawGroup();
+    }
+    const rows = parseRows();
+    if (isCommandAt('end')) {
+      pos += 4;
+      readRawGroup();
+    }
+    return buildMathTable(env, rows, columnSpec);
+  };
+
+  const parseCommand = () => {
+    const name = readCommand();
+
+    if (name === 'begin') return parseEnvironment();
+    if (MATH_IDENTIFIERS[name]) return createMathElement('mi', MATH_IDENTIFIERS[name]);
+    if (MATH_UPRIGHT_IDENTIFIERS[name]) return createMathElement('mi', MATH_UPRIGHT_IDENTIFIERS[name], { mathvariant: 'normal' });
+    if (MATH_OPERATORS[name]) return createMathOperator(MATH_OPERATORS[name]);
+    if (MATH_SPACES[name]) return createMathElement('mspace', null, { width: MATH_SPACES[name] });
+    if ('{}'.includes(name) && name) return createMathOperator(name);
+    if (name === '|') return createMathOperator('‖');
+    if ('%$&#_'.includes(name) && name) return createMathElement('mi', name);
+
+    if (MATH_LARGE_OPERATORS[name]) {
+      const [op, limits] = MATH_LARGE_OPERATORS[name];
+      const node = createMathElement('mo', op, { largeop: 'true', movablelimits: String(limits) });
+      node.mathLimits = limits;
+      return node;
+    }
+    if (MATH_FUNCTIONS.has(name)) {
+      const node = createMathElement('mi', name);
+      node.mathFunction = true;
+      return node;
+    }
+    if (MATH_LIMIT_FUNCTIONS.has(name) || name === 'operatorname') {
+      const star = name === 'operatorname' && tex[pos] === '*';
+      if (star) pos++;
+      const text = name === 'operatorname' ? readRawGroup().replace(/\\[,;:!]|\\/g, '') : name.replace(/^arg(min|max)$/, 'arg $1');
+      if (name === 'operatorname' && !star) {
+        const node = createMathElement('mi', text, { mathvariant: 'normal' });
+        node.mathFunction = true;
+        return node;
+      }
+      const node = createMathElement('mo', text, { lspace: '0', rspace: '0.1667em', movablelimits: 'true' });
+      node.mathLimits = true;
+      return node;
+    }
+
+    if (MATH_FONTS[name]) return applyMathVariant(parseArgument(), MATH_FONTS[name]);
+    if (MATH_TEXT_COMMANDS[name] !== undefined) return parseText(readRawGroup(), MATH_TEXT_COMMANDS[name]);
+
+    if (name === 'frac' || name === 'dfrac' || name === 'tfrac' || name === 'cfrac') {
+      const frac = createMathElement('mfrac', [parseArgument(), parseArgument()]);
+      if (name === 'frac') return frac;
+      return createMathElement('mstyle', frac, { displaystyle: name === 'tfrac' ? 'false' : 'true' });
+    }
+    if (name === 'binom' || name === 'dbinom' || name === 'tbinom') {
+      const frac = createMathElement('mfrac', [parseArgument(), parseArgument()], { linethickness: '0' });
+      const binom = createMathElement('mrow', [...createMathFence('('), frac, ...createMathFence(')')]);
+      if (name === 'binom') return binom;
+      return createMathElement('mstyle', binom, { displaystyle: name === 'dbinom' ? 'true' : 'false' });
+    }
+    if (name === 'sqrt') {
+      const index = readOptional();
+      const radicand = parseArgument();
+      return index !== null ? createMathElement('mroot', [radicand, parseTex(index)]) : createMathElement('msqrt', radicand);
+    }
+
+    if (MATH_ACCENTS[name]) {
+      const [accent, stretchy] = MATH_ACCENTS[name];
+      const node = createMathElement('mover', [parseArgument(), createMathElement('mo', accent, { stretchy: String(stretchy) })], { accent: 'true' });
+      node.mathLimits = name === 'overbrace';
+      return node;
+    }
+    if (MATH_UNDER_ACCENTS[name]) {
+      const [accent, stretchy] = MATH_UNDER_ACCENTS[name];
+      const node = createMathElement('munder', [parseArgument(), createMathElement('mo', accent, { stretchy: String(stretchy) })], { accentunder: 'true' });
+      node.mathLimits = name === 'underbrace';
+      return node;
+    }
+    if (name === 'overset' || name === 'stackrel' || name === 'underset') {
+      const annotation = parseArgument();
+      const base = parseArgument();
+      return createMathElement(name === 'underset' ? 'munder' : 'mover', [base, annotation]);
+    }
+    if (name === 'xrightarrow' || name === 'xleftarrow') {
+      const below = readOptional();
+      const above = parseArgument();
+      const arrow = createMathElement('mo', name === 'xrightarrow' ? '→' : '←', { stretchy: 'true', minsize: '2em' });
+      return below !== null
+        ? createMathElement('munderover', [arrow, parseTex(below), above])
+        : createMathElement('mover', [arrow, above]);
+    }
+
+    if (name === 'left') {
+      const open = readDelimiter();
+      const nodes = [];
+      let close = '';
+      for (;;) {
+        nodes.push(...parseSequence());
+        if (isCommandAt('right')) {
+          pos += 6;
+          close = readDelimiter();
+          break;
+        }
+        if (pos >= tex.length || tex[pos] === '}' || isCommandAt('end')) break;
+        skipStray();
+      }
+      return createMathElement('mrow', [...createMathFence(open), ...nodes, ...createMathFence(close)]);
+    }
+    if (name === 'middle') return createMathFence(readDelimiter());
+    if (MATH_BIG_SIZES[name.replace(/[lrm]$/, '')]) {
+      const size = MATH_BIG_SIZES[name.replace(/[lrm]$/, '')];
+      return createMathElement('mo', readDelimiter(), { stretchy: 'true', symmetric: 'true', minsize: size, maxsize: size });
+    }
+
+    if (name === 'not') {
+      const next = parseAtom();
+      if (next && !Array.isArray(next) && next.localName === 'mo') {
+        next.textContent = MATH_NEGATIONS[next.textContent] || next.textContent + '̸';
+      }
+      return next || [];
+    }
+    if (name === 'bmod') return createMathElement('mo', 'mod', { lspace: '0.2222em', rspace: '0.2222em' });
+    if (name === 'mod' || name === 'pmod') {
+      const modulus = parseArgument();
+      const mod = [createMathElement('mspace', null, { width: '1em' })];
+      if (name === 'pmod') mod.push(createMathOperator('('));
+      mod.push(createMathElement('mi', 'mod', { mathvariant: 'normal' }), createMathElement('mspace', null, { width: '0.3333em' }), modulus);
+      if (name === 'pmod') mod.push(createMathOperator(')'));
+      return mod;
+    }
+
+    if (name === 'textcolor') {
+      const color = sanitizeMathColor(readRawGroup());
+      const body = parseArgument();
+      return color ? createMathElement('mstyle', body, { style: `color: ${color};` }) : body;
+    }
+    if (name === 'colorbox') {
+      const color = sanitizeMathColor(readRawGroup());
+      const body = parseText(readRawGroup(), '');
+      return color ? createMathElement('mrow', body, { style: `background: ${color}; padding: 0 0.2em;` }) : body;
+    }
+    if (name === 'boxed' || name === 'fbox') {
+      const body = name === 'fbox' ? parseText(readRawGroup(), '') : parseArgument();
+      return createMathElement('mrow', body, { style: 'border: 1px solid; padding: 0.2em 0.3em;' });
+    }
+    if (name === 'cancel' || name === 'bcancel' || name === 'xcancel' || name === 'sout') {
+      return createMathElement('mrow', parseArgument(), { style: 'text-decoration: line-through;' });
+    }
+    if (name === 'phantom' || name === 'hphantom' || name === 'vphantom') {
+      return createMathElement('mrow', parseArgument(), { style: 'visibility: hidden;' });
+    }
+    if (name === 'substack') return parseTex(readRawGroup());
+    if (name === 'hspace' || name === 'kern' || name === 'mkern' || name === 'hskip') {
+      const size = readRawGroup().replace('*', '').trim();
+      const match = size.match(/^(-?[\d.]+)\s*(em|ex|pt|px|mu)$/);
+      if (!match) return [];
+      const width = match[2] === 'mu' ? `${(parseFloat(match[1]) / 18).toFixed(4)}em` : match[1] + match[2];
+      return createMathElement('mspace', null, { width });
+    }
+    if (name === 'tag') {
+      const star = tex[pos] === '*';
+      if (star) pos++;
+      const label = readRawGroup();
+      return [createMathElement('mspace', null, { width: '2em' }), createMathElement('mtext', star ? label : `(${label})`)];
+    }
+    if (name === 'label') {
+      readRawGroup();
+      return [];
+    }
+    if (/^(nonumber|notag|limits|nolimits|displaylimits|mathstrut|strut|relax|allowbreak|nobreak|hline|hdashline|newline|cr)$/.test(name)) {
+      return [];
+    }
+
+    // Unknown command: show it rather than failing the whole formula
+    return createMathElement('mtext', '\\' + name, { class: 'math-error' });
+  };
+
+  const parseAtom = () => {
+    skipSpace();
+    if (pos >= tex.length) return null;
+    const ch = String.fromCodePoint(tex.codePointAt(pos));
+
+    if (ch === '{') {
+      pos++;
+      return createMathElement('mrow', parseGroup());
+    }
+    if (ch === '\\') return parseCommand();
+
+    const number = tex.slice(pos).match(/^(?:\d+(?:\.\d+)?|\.\d+)/);
+    if (number) {
+      pos += number[0].length;
+      return createMathElement('mn', number[0]);
+    }
+
+    pos += ch.length;
+    if (/\p{L}/u.test(ch)) return createMathElement('mi', ch);
+    if (ch === '~') return createMathElement('mspace', null, { width: '0.3333em' });
+    return createMathOperator(MATH_CHARACTER_OPERATORS[ch] || ch);
+  };
+
+  // An atom with its ^ / _ scripts and primes
+  const parseScripted = () => {
+    const base = parseAtom();
+    if (base === null) return [];
+    if (Array.isArray(base)) return base;
+
+    let sub = null;
+    let sup = null;
+    let primes = '';
+    let limits = base.mathLimits === true;
+    for (;;) {
+      skipSpace();
+      if (tex[pos] === '^' && !sup) {
+        pos++;
+        sup = parseArgument();
+      } else if (tex[pos] === '_' && !sub) {
+        pos++;
+        sub = parseArgument();
+      } else if (tex[pos] === "'") {
+        pos++;
+        primes += '′';
+      } else if (isCommandAt('limits')) {
+        pos += 7;
+        limits = true;
+      } else if (isCommandAt('nolimits')) {
+        pos += 9;
+        limits = false;
+      } else {
+        break;
+      }
+    }
+
+    if (primes) {
+      sup = sup ? createMathElement('mrow', [createMathElement('mo', primes), sup]) : createMathElement('mo', primes);
+    }
+
+    let node = base;
+    if (sub && sup) {
+      node = createMathElement(limits ? 'munderover' : 'msubsup', [base, sub, sup]);
+    } else if (sub) {
+      node = createMathElement(limits ? 'munder' : 'msub', [base, sub]);
+    } else if (sup) {
+      node = createMathElement(limits ? 'mover' : 'msup', [base, sup]);
+    }
+
+    // Space between a function name and its argument (none before a parenthesis)
+    skipSpace();
+    if (base.mathFunction && pos < tex.length && !'([{'.includes(tex[pos]) && !isCommandAt('left')) {
+      return [node, createMathElement('mspace', null, { width: '0.1667em' })];
+    }
+    return [node];
+  };
+
+  const parseSequence = () => {
+    const nodes = [];
+    for (;;) {
+      skipSpace();
+      if (atSequenceEnd()) return nodes;
+
+      // Style, color and font switches apply to the rest of the group
+      const switchMatch = tex.slice(pos).match(/^\\(displaystyle|textstyle|scriptstyle|color|rm|bf|it|sf|tt|cal)(?![A-Za-z])/);
+      if (switchMatch) {
+        pos += switchMatch[0].length;
+        const kind = switchMatch[1];
+        const color = kind === 'color' ? sanitizeMathColor(readRawGroup()) : null;
+        const rest = createMathElement('mrow', parseSequence());
+        if (MATH_FONT_SWITCHES[kind]) {
+          nodes.push(applyMathVariant(rest, MATH_FONT_SWITCHES[kind]));
+        } else if (kind === 'color') {
+          nodes.push(color ? createMathElement('mstyle', rest, { style: `color: ${color};` }) : rest);
+        } else {
+          nodes.push(createMathElement('mstyle', rest, { displaystyle: String(kind === 'displaystyle'), scriptlevel: kind === 'scriptstyle' ? '1' : '0' }));
+        }
+        return nodes;
+      }
+
+      nodes.push(...parseScripted());
+    }
+  };
+
+  const rows = parseRows();
+  while (pos < tex.length) {
+    // An unmatched "}" or \end: skip it and carry on in the same cell
+    skipStray();
+    const more = parseRows();
+    const lastRow = rows[rows.length - 1];
+    lastRow[lastRow.length - 1].push(...more[0][0]);
+    lastRow.push(...more[0].slice(1));
+    rows.push(...more.slice(1));
+  }
+
+  if (rows.length === 1 && rows[0].length === 1) {
+    return createMathElement('mrow', rows[0][0]);
+  }
+  return buildMathTable(rows.some(row => row.length > 1) ? 'aligned' : 'gathered', rows, null);
+}
+
+/**
+ * Render TeX as <span class="math-tex"> with MathML (display math also gets .math-display)
+ */
+function renderTex(tex, displayMode) {
+  const wrapper = document.createElement('span');
+  wrapper.className = displayMode ? 'math-tex math-display' : 'math-tex';
+
+  try {
+    const semantics = createMathElement('semantics', [
+      parseTex(tex),
+      createMathElement('annotation', tex, { encoding: 'application/x-tex' })
+    ]);
+    wrapper.appendChild(createMathElement('math', semantics, displayMode ? { display: 'block' } : {}));
+  } catch (e) {
+    console.warn('Failed to render TeX:', tex, e);
+    wrapper.classList.add('math-error');
+    wrapper.textContent = tex;
+  }
+  return wrapper;
+}
+
+/**
+ * Find the TeX of a math element: { tex, display }, or null if it doesn't carry its source
+ */
+function getMathSource(el) {
+  let tex = el.getAttribute('data-math');
+  if (tex === null) {
+    // Normalized chat HTML doesn't keep the encoding attribute
+    const annotation = el.querySelector('annotation[encoding="application/x-tex"]') || el.querySelector('annotation');
+    tex = annotation ? annotation.textContent : null;
+  }
+  if (tex === null || !tex.trim()) return null;
+
+  const display = el.matches('.katex-display, .math-display, .math-block, div[data-math]') ||
+    !!el.querySelector('math[display="block"]');
+  return { tex: tex.trim(), display };
+}
+
+/**
+ * The outermost math elements under root
+ */
+function findMathElements(root, selector = MATH_SOURCE_SELECTOR) {
+  return [...root.querySelectorAll(selector)].filter(el => !el.parentElement || !el.parentElement.closest(selector));
+}
+
+/**
+ * Render every KaTeX / data-math / math-tex element under root from its TeX source
+ */
+function renderMathInElement(root) {
+  findMathElements(root).forEach(el => {
+    const source = getMathSource(el);
+    if (source) {
+      el.replaceWith(renderTex(source.tex, source.display));
+    }
+  });
+  return root;
+}
+
+/**
+ * TeX source of math as text, in the delimiters the renderers recognize (\( … \) or $$ … $$)
+ */
+function formatMathSource(source) {
+  return source.display ? `\n$$${source.tex}$$\n` : `\\(${source.tex}\\)`;
+}
+
+/**
+ * Match delimited math starting at text[i]: { tex, display, end } or null
+ */
+function matchMathDelimiters(text, i) {
+  for (const [open, close, display] of MATH_DELIMITERS) {
+    if (!text.startsWith(open, i)) continue;
+    const end = text.indexOf(close, i + open.length);
+    if (end === -1) continue;
+    const tex = text.slice(i + open.length, end);
+    if (!tex.trim()) continue;
+    return { tex: tex.trim(), display, end: end + close.length };
+  }
+  return null;
+}
+
+/**
+ * Text as a fragment with its delimited math rendered
+ */
+function createMathTextFragment(text) {
+  const fragment = document.createDocumentFragment();
+  let plain = '';
+  let i = 0;
+  while (i < text.length) {
+    const math = text[i] === '$' || text[i] === '\\' ? matchMathDelimiters(text, i) : null;
+    if (math) {
+      if (plain) fragment.appendChild(document.createTextNode(plain));
+      plain = '';
+      fragment.appendChild(renderTex(math.tex, math.display));
+      i = math.end;
+    } else {
+      plain += text[i];
+      i++;
+    }
+  }
+  if (plain) fragment.appendChild(document.createTextNode(plain));
+  return fragment;
+}
+
+/**
+ * Render delimited math in the text nodes under root (not in code, inputs or math already rendered)
+ */
+function renderMathInText(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    if (!MATH_DELIMITER_PATTERN.test(node.textContent)) continue;
+    if (node.parentElement && node.parentElement.closest('code, pre, textarea, script, style, math, .math-tex')) continue;
+    textNodes.push(node);
+  }
+  textNodes.forEach(node => node.replaceWith(createMathTextFragment(node.textContent)));
+  return root;
+}
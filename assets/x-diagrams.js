@@ -0,0 +1,1698 @@
+/**
+ * Diagrams: ```mermaid and ```dot / ```graphviz code blocks drawn as inline SVG, offline.
+ *
+ *   Mermaid: flowchart / graph (node shapes, edge styles and labels, chains, &, subgraphs, styles),
+ *            stateDiagram (start / end, composite states, choice, fork / join),
+ *            sequenceDiagram (participants, actors, messages, notes, loop / alt / opt / par blocks)
+ *   DOT:     graph / digraph (node, edge and default attributes, rankdir, clusters, { a b } groups)
+ *
+ * Flowcharts, state diagrams and DOT share one graph model ({ directed, rankdir, nodes, edges,
+ * clusters }) and layoutDiagramGraph(): cycles broken, longest-path ranks, dummy nodes on long edges,
+ * barycenter ordering. The SVG carries its own colors and font, so exported files and printouts match.
+ *
+ * Code blocks in a diagram language get .has-diagram (attachDiagram): the diagram shows, with
+ * Source / Diagram and Export SVG buttons handled by handleCodeBlockAction() (v-code-blocks.js).
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Fence language → diagram syntax
+const DIAGRAM_LANGUAGES = { mermaid: 'mermaid', mmd: 'mermaid', dot: 'dot', graphviz: 'dot', gv: 'dot' };
+const DIAGRAM_FENCE_PATTERN = new RegExp(`^\`\`\`[ \\t]*(${Object.keys(DIAGRAM_LANGUAGES).join('|')})[ \\t]*\\n([\\s\\S]*?)\\n\`\`\`[ \\t]*$`, 'gim');
+
+const DIAGRAM_MAX_SOURCE_LENGTH = 50000;
+const DIAGRAM_MAX_NODES = 300;
+const DIAGRAM_FONT_FAMILY = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif';
+const DIAGRAM_FONT_SIZE = 13;
+const DIAGRAM_LINE_HEIGHT = 17;
+const DIAGRAM_CHAR_WIDTH = 7.2;   // Average for the font size above
+const DIAGRAM_LABEL_WRAP = 30;    // Characters per node label line
+const DIAGRAM_RANK_GAP = 50;
+const DIAGRAM_NODE_GAP = 30;
+const DIAGRAM_PADDING = 16;
+
+const DIAGRAM_COLORS = {
+  node: '#eef2ff', nodeStroke: '#667eea', text: '#1f2937', edge: '#4b5563', edgeLabel: '#ffffff',
+  cluster: '#f8fafc', clusterStroke: '#cbd5e1', note: '#fff7d6', noteStroke: '#d4b44a', lifeline: '#9ca3af',
+  block: '#6b7280', blockLabel: '#f3f4f6', marker: '#1f2937'
+};
+
+// Mermaid node shapes: [opener, closer, shape], longest openers first
+const MERMAID_SHAPES = [
+  ['(((', ')))', 'doublecircle'], ['((', '))', 'circle'], ['([', '])', 'stadium'], ['[[', ']]', 'subroutine'],
+  ['[(', ')]', 'cylinder'], ['[/', '/]', 'parallelogram'], ['[\\', '\\]', 'parallelogram'], ['[/', '\\]', 'trapezoid'],
+  ['[\\', '/]', 'trapezoid'], ['{{', '}}', 'hexagon'], ['[', ']', 'rect'], ['(', ')', 'round'], ['{', '}', 'diamond'],
+  ['>', ']', 'asymmetric']
+];
+
+const MERMAID_NODE_ID = /^[\p{L}\p{N}_]+/u;
+// A -- label --> B, A -. label .-> B, A == label ==> B
+const MERMAID_LABELED_EDGE = /^(<?)(--|==|-\.)\s*([^-=.>\s|][^]*?)\s*(-{2,}>|-{3,}|={2,}>|={3,}|\.-+>|\.-+|-{2,}[ox]|={2,}[ox])/;
+// A --> B, A -.-> B, A ==> B, A --o B, A <--> B, A ~~~ B, with an optional |label|
+const MERMAID_EDGE = /^(<?)(-{2,}|={2,}|-\.+-|~{3,})(>|[ox](?![\p{L}\p{N}_]))?(?:\s*\|([^|]*)\|)?/u;
+const MERMAID_IGNORED_STATEMENTS = /^(click|linkStyle|accTitle|accDescr|direction|title)\b/;
+
+// DOT shapes → our shapes
+const DOT_SHAPES = {
+  box: 'rect', rect: 'rect', rectangle: 'rect', square: 'rect', record: 'rect', Mrecord: 'round',
+  ellipse: 'ellipse', oval: 'ellipse', circle: 'circle', doublecircle: 'doublecircle', diamond: 'diamond',
+  hexagon: 'hexagon', cylinder: 'cylinder', parallelogram: 'parallelogram', trapezium: 'trapezoid',
+  plaintext: 'text', plain: 'text', none: 'text', underline: 'text', point: 'point', note: 'rect',
+  tab: 'rect', folder: 'rect', component: 'subroutine'
+};
+
+let diagramCounter = 0;
+
+/**
+ * Diagram syntax for a fence language, or null
+ */
+function getDiagramLanguage(language) {
+  return DIAGRAM_LANGUAGES[(language || '').toLowerCase()] || null;
+}
+
+/**
+ * Accept only plain color names, hex and rgb() colors (they end up in SVG attributes)
+ */
+function sanitizeDiagramColor(color) {
+  const value = (color || '').trim().replace(/^"|"$/g, '');
+  return /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+|rgba?\([\d\s.,%]+\))$/.test(value) ? value : null;
+}
+
+/**
+ * Clean a label: <br> and \n are line breaks, other tags and Mermaid entity codes are dropped
+ */
+function cleanDiagramLabel(text) {
+  return String(text || '')
+    .trim()
+    .replace(/^"([\s\S]*)"$/, '$1')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/\\[nlr]/g, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/#quot;/g, '"')
+    .replace(/#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/#(amp|lt|gt);/g, (match, name) => ({ amp: '&', lt: '<', gt: '>' })[name])
+    .replace(/\bfa:fa-[\w-]+\s*/g, '');
+}
+
+/**
+ * Split a label into lines, wrapping long lines at word boundaries
+ */
+function splitDiagramLabel(text, wrap = DIAGRAM_LABEL_WRAP) {
+  const lines = [];
+  String(text || '').split('\n').forEach(line => {
+    let current = '';
+    line.split(/\s+/).filter(Boolean).forEach(word => {
+      if (current && current.length + word.length + 1 > wrap) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    });
+    lines.push(current);
+  });
+  while (lines.length > 1 && !lines[lines.length - 1]) lines.pop();
+  return lines;
+}
+
+/**
+ * Estimated size of label lines (SVG text isn't measured, so layout works before it's in the page)
+ */
+function measureDiagramText(lines) {
+  const lineWidth = line => [...line].reduce((sum, ch) => {
+    if (ch.charCodeAt(0) > 0x2E80) return sum + 2;
+    if (ch === ' ' || /[iljt.,:;'|!]/.test(ch)) return sum + 0.55;
+    if (/[A-Z]|[mwMW@%]/.test(ch)) return sum + 1.3;
+    return sum + 1;
+  }, 0);
+  const nonEmpty = lines.filter(line => line !== '');
+  return {
+    width: Math.max(0, ...lines.map(lineWidth)) * DIAGRAM_CHAR_WIDTH,
+    height: (nonEmpty.length ? lines.length : 0) * DIAGRAM_LINE_HEIGHT
+  };
+}
+
+function createDiagramGraph(directed) {
+  return { directed, rankdir: 'TB', nodes: new Map(), edges: [], clusters: [] };
+}
+
+/**
+ * Get or create a node, then apply the given properties (undefined ones are skipped)
+ */
+function addDiagramNode(graph, id, props) {
+  let node = graph.nodes.get(id);
+  if (!node) {
+    if (graph.nodes.size >= DIAGRAM_MAX_NODES) {
+      throw new Error(`more than ${DIAGRAM_MAX_NODES} nodes`);
+    }
+    node = { id, label: id, shape: 'rect', style: {}, cluster: null };
+    graph.nodes.set(id, node);
+  }
+  Object.keys(props || {}).forEach(key => {
+    if (props[key] !== undefined) node[key] = props[key];
+  });
+  return node;
+}
+
+/**
+ * Edges that point at a subgraph / composite state connect to its first node instead
+ * (and edges leaving it start from its last node)
+ */
+function resolveClusterEndpoints(graph) {
+  graph.clusters.forEach(cluster => {
+    const stand = graph.nodes.get(cluster.id);
+    if (!stand) return;
+    const members = [...graph.nodes.values()].filter(node => node !== stand && isInDiagramCluster(graph, node, cluster.id));
+    if (!members.length) return;
+    graph.edges.forEach(edge => {
+      if (edge.from === cluster.id) edge.from = members[members.length - 1].id;
+      if (edge.to === cluster.id) edge.to = members[0].id;
+    });
+    graph.nodes.delete(cluster.id);
+  });
+}
+
+/**
+ * Check whether a node is in a cluster or one nested in it
+ */
+function isInDiagramCluster(graph, node, clusterId) {
+  let current = node.cluster;
+  while (current) {
+    if (current === clusterId) return true;
+    const cluster = graph.clusters.find(c => c.id === current);
+    current = cluster ? cluster.parent : null;
+  }
+  return false;
+}
+
+/**
+ * Mermaid style text (fill:#f9f,stroke:#333,color:#000,stroke-dasharray: 5 5) → node style
+ */
+function parseMermaidStyle(text) {
+  const style = {};
+  text.split(',').forEach(part => {
+    const [name, value] = part.split(':').map(s => (s || '').trim());
+    if (name === 'fill') style.fill = sanitizeDiagramColor(value) || undefined;
+    else if (name === 'stroke') style.stroke = sanitizeDiagramColor(value) || undefined;
+    else if (name === 'color') style.color = sanitizeDiagramColor(value) || undefined;
+    else if (name === 'stroke-dasharray') style.dashed = true;
+  });
+  return style;
+}
+
+/**
+ * Split Mermaid source into statements (lines, and ; outside quotes and brackets); %% comments dropped
+ */
+function splitMermaidStatements(lines) {
+  const statements = [];
+  lines.forEach(rawLine => {
+    const line = rawLine.replace(/%%.*$/, '');
+    let current = '';
+    let quoted = false;
+    let depth = 0;
+    for (const ch of line) {
+      if (ch === '"') quoted = !quoted;
+      else if (!quoted && '[({'.includes(ch)) depth++;
+      else if (!quoted && '])}'.includes(ch)) depth = Math.max(0, depth - 1);
+      if (ch === ';' && !quoted && depth === 0) {
+        if (current.trim()) statements.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current.trim()) statements.push(current.trim());
+  });
+  return statements;
+}
+
+/**
+ * Read a node label up to its closer (quoted, or with nested brackets of the same kind)
+ */
+function readMermaidLabel(text, start, closer) {
+  let i = start;
+  while (text[i] === ' ') i++;
+  if (text[i] === '"') {
+    const end = text.indexOf('"', i + 1);
+    if (end === -1) return null;
+    let after = end + 1;
+    while (text[after] === ' ') after++;
+    return text.startsWith(closer, after) ? { label: text.slice(i + 1, end), end: after + closer.length } : null;
+  }
+
+  const closeChar = closer[closer.length - 1];
+  const openChar = { ']': '[', ')': '(', '}': '{' }[closeChar];
+  let depth = 0;
+  for (let j = start; j < text.length; j++) {
+    if (depth === 0 && text.startsWith(closer, j)) {
+      return { label: text.slice(start, j), end: j + closer.length };
+    }
+    if (text[j] === openChar) depth++;
+    else if (text[j] === closeChar) depth--;
+  }
+  return null;
+}
+
+/**
+ * Parse a Mermaid flowchart / graph
+ */
+function parseMermaidFlowchart(statements, direction) {
+  const graph = createDiagramGraph(true);
+  graph.rankdir = direction === 'TD' ? 'TB' : (direction || 'TB');
+  const classDefs = {};
+  const nodeClasses = [];
+  const nodeStyles = [];
+  const clusterStack = [];
+
+  const parseNode = (text, pos) => {
+    while (text[pos] === ' ') pos++;
+    const idMatch = text.slice(pos).match(MERMAID_NODE_ID);
+    if (!idMatch) return null;
+    const id = idMatch[0];
+    pos += id.length;
+
+    const props = {};
+    for (const [opener, closer, shape] of MERMAID_SHAPES) {
+      if (!text.startsWith(opener, pos)) continue;
+      const label = readMermaidLabel(text, pos + opener.length, closer);
+      if (label) {
+        props.shape = shape;
+        props.label = cleanDiagramLabel(label.label);
+        pos = label.end;
+        break;
+      }
+    }
+
+    const node = addDiagramNode(graph, id, props);
+    if (!node.cluster && clusterStack.length) {
+      node.cluster = clusterStack[clusterStack.length - 1];
+    }
+    const classMatch = text.slice(pos).match(/^:::([\w-]+)/);
+    if (classMatch) {
+      nodeClasses.push([id, classMatch[1]]);
+      pos += classMatch[0].length;
+    }
+    return { id, pos };
+  };
+
+  // node (& node)*
+  const parseNodeGroup = (text, pos) => {
+    const ids = [];
+    for (;;) {
+      const node = parseNode(text, pos);
+      if (!node) return ids.length ? { ids, pos } : null;
+      ids.push(node.id);
+      pos = node.pos;
+      const amp = text.slice(pos).match(/^\s*&\s*/);
+      if (!amp) return { ids, pos };
+      pos += amp[0].length;
+    }
+  };
+
+  const parseEdge = (text, pos) => {
+    const rest = text.slice(pos).replace(/^\s+/, '');
+    const skipped = text.length - pos - rest.length;
+    const labeled = rest.match(MERMAID_LABELED_EDGE);
+    const plain = labeled ? null : rest.match(MERMAID_EDGE);
+    const match = labeled || plain;
+    if (!match) return null;
+
+    const line = labeled ? labeled[2] + labeled[4] : plain[2];
+    const head = labeled ? labeled[4].slice(-1) : (plain[3] || '');
+    const heads = { '>': 'arrow', o: 'circle', x: 'cross' };
+    return {
+      edge: {
+        label: cleanDiagramLabel(labeled ? labeled[3] : (plain[4] || '')),
+        dashed: line.includes('.'),
+        thick: line.includes('='),
+        invisible: line.includes('~'),
+        arrowEnd: heads[head] || null,
+        arrowStart: match[1] ? 'arrow' : null
+      },
+      pos: pos + skipped + match[0].length
+    };
+  };
+
+  statements.forEach(statement => {
+    const subgraph = statement.match(/^subgraph\s+(.*)$/);
+    if (subgraph) {
+      const spec = subgraph[1].trim();
+      const titled = spec.match(/^([\p{L}\p{N}_-]+)\s*\[(.*)\]$/u);
+      const id = titled ? titled[1] : (/^[\p{L}\p{N}_-]+$/u.test(spec) ? spec : `subgraph-${graph.clusters.length}`);
+      graph.clusters.push({ id, label: cleanDiagramLabel(titled ? titled[2] : spec), parent: clusterStack[clusterStack.length - 1] || null });
+      clusterStack.push(id);
+      return;
+    }
+    if (statement === 'end') {
+      clusterStack.pop();
+      return;
+    }
+    if (MERMAID_IGNORED_STATEMENTS.test(statement)) return;
+
+    const classDef = statement.match(/^classDef\s+([\w,-]+)\s+(.*)$/);
+    if (classDef) {
+      classDef[1].split(',').forEach(name => {
+        classDefs[name] = parseMermaidStyle(classDef[2]);
+      });
+      return;
+    }
+    const classStatement = statement.match(/^class\s+([^\s]+)\s+([\w-]+)$/);
+    if (classStatement) {
+      classStatement[1].split(',').forEach(id => nodeClasses.push([id.trim(), classStatement[2]]));
+      return;
+    }
+    const styleStatement = statement.match(/^style\s+([^\s]+)\s+(.*)$/);
+    if (styleStatement) {
+      nodeStyles.push([styleStatement[1], parseMermaidStyle(styleStatement[2])]);
+      return;
+    }
+
+    // A chain: group (edge group)*
+    let current = parseNodeGroup(statement, 0);
+    if (!current) throw new Error(`can't read "${statement}"`);
+    let pos = current.pos;
+    while (statement.slice(pos).trim()) {
+      const edge = parseEdge(statement, pos);
+      const next = edge && parseNodeGroup(statement, edge.pos);
+      if (!next) throw new Error(`can't read "${statement.slice(pos).trim()}"`);
+      current.ids.forEach(from => next.ids.forEach(to => graph.edges.push({ ...edge.edge, from, to })));
+      current = next;
+      pos = next.pos;
+    }
+  });
+
+  // Styles: the "default" class, then classes, then style statements
+  graph.nodes.forEach(node => {
+    if (classDefs.default) Object.assign(node.style, classDefs.default);
+  });
+  nodeClasses.forEach(([id, name]) => {
+    if (graph.nodes.has(id) && classDefs[name]) Object.assign(graph.nodes.get(id).style, classDefs[name]);
+  });
+  nodeStyles.forEach(([id, style]) => {
+    if (graph.nodes.has(id)) Object.assign(graph.nodes.get(id).style, style);
+  });
+
+  resolveClusterEndpoints(graph);
+  return graph;
+}
+
+/**
+ * Parse a Mermaid state diagram
+ */
+function parseMermaidState(statements) {
+  const graph = createDiagramGraph(true);
+  const scopes = [{ cluster: null, start: null, end: null }];
+  let skippingNote = false;
+
+  const scope = () => scopes[scopes.length - 1];
+  const stateNode = (name, asTarget) => {
+    const current = scope();
+    if (name === '[*]') {
+      const key = asTarget ? 'end' : 'start';
+      if (!current[key]) {
+        current[key] = `[*]-${key}-${graph.nodes.size}`;
+        addDiagramNode(graph, current[key], { label: '', shape: key, cluster: current.cluster });
+      }
+      return current[key];
+    }
+    const isNew = !graph.nodes.has(name);
+    const node = addDiagramNode(graph, name, isNew ? { shape: 'round' } : {});
+    if (!node.cluster && current.cluster && node.id !== current.cluster) node.cluster = current.cluster;
+    return name;
+  };
+
+  statements.forEach(statement => {
+    if (skippingNote) {
+      if (/^end\s+note$/i.test(statement)) skippingNote = false;
+      return;
+    }
+    if (/^note\s/i.test(statement)) {
+      skippingNote = !statement.includes(':');
+      return;
+    }
+    if (/^(classDef|class|hide|scale|--)\b|^--$/.test(statement)) return;
+
+    const direction = statement.match(/^direction\s+(TB|TD|BT|LR|RL)$/);
+    if (direction) {
+      if (scopes.length === 1) graph.rankdir = direction[1] === 'TD' ? 'TB' : direction[1];
+      return;
+    }
+    if (statement === '}') {
+      if (scopes.length > 1) scopes.pop();
+      return;
+    }
+
+    const state = statement.match(/^state\s+(?:"([^"]*)"\s+as\s+)?([\p{L}\p{N}_]+)\s*(?:"([^"]*)")?\s*(<<(\w+)>>)?\s*(\{)?$/u);
+    if (state) {
+      const [, description, id, trailingDescription, , kind, opensBlock] = state;
+      stateNode(id, false);
+      const props = {};
+      if (description || trailingDescription) props.label = cleanDiagramLabel(description || trailingDescription);
+      if (kind === 'choice') props.shape = 'diamond';
+      if (kind === 'fork' || kind === 'join') Object.assign(props, { shape: 'bar', label: '' });
+      addDiagramNode(graph, id, props);
+      if (opensBlock) {
+        graph.clusters.push({ id, label: graph.nodes.get(id).label, parent: scope().cluster });
+        scopes.push({ cluster: id, start: null, end: null });
+      }
+      return;
+    }
+
+    const transition = statement.match(/^(\[\*\]|[\p{L}\p{N}_]+)\s*-->\s*(\[\*\]|[\p{L}\p{N}_]+)\s*(?::\s*(.*))?$/u);
+    if (transition) {
+      const from = stateNode(transition[1], false);
+      const to = stateNode(transition[2], true);
+      graph.edges.push({ from, to, label: cleanDiagramLabel(transition[3] || ''), arrowEnd: 'arrow' });
+      return;
+    }
+
+    const description = statement.match(/^([\p{L}\p{N}_]+)\s*:\s*(.*)$/u);
+    if (description) {
+      stateNode(description[1], false);
+      addDiagramNode(graph, description[1], { label: cleanDiagramLabel(description[2]) });
+      return;
+    }
+
+    const single = statement.match(/^[\p{L}\p{N}_]+$/u);
+    if (single) {
+      stateNode(statement, false);
+      return;
+    }
+    throw new Error(`can't read "${statement}"`);
+  });
+
+  resolveClusterEndpoints(graph);
+  return graph;
+}
+
+/**
+ * Parse a Mermaid sequence diagram into { participants, events, autonumber }
+ */
+function parseMermaidSequence(lines) {
+  const participants = [];
+  const events = [];
+  const openBlocks = [];
+  let autonumber = false;
+
+  const participant = (id, props) => {
+    let p = participants.find(existing => existing.id === id);
+    if (!p) {
+      p = { id, label: id, actor: false };
+      participants.push(p);
+    }
+    Object.assign(p, props);
+    return p;
+  };
+
+  lines.forEach(rawLine => {
+    const line = rawLine.replace(/%%.*$/, '').trim();
+    if (!line) return;
+
+    const declared = line.match(/^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/i);
+    if (declared) {
+      const id = declared[2].trim();
+      participant(id, { label: cleanDiagramLabel(declared[3] || id), actor: declared[1].toLowerCase() === 'actor' });
+      return;
+    }
+    if (/^autonumber\b/i.test(line)) {
+      autonumber = true;
+      return;
+    }
+    if (/^(activate|deactivate|title|create|destroy|links?|properties|details)\b/i.test(line)) return;
+
+    const note = line.match(/^note\s+(left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i);
+    if (note) {
+      const ids = note[2].split(',').map(id => participant(id.trim()).id);
+      events.push({ type: 'note', placement: note[1].toLowerCase().split(' ')[0], ids, text: cleanDiagramLabel(note[3]) });
+      return;
+    }
+
+    const block = line.match(/^(loop|alt|opt|par|critical|break|rect|box)\b\s*(.*)$/i);
+    if (block) {
+      const kind = block[1].toLowerCase();
+      openBlocks.push(kind);
+      if (kind !== 'box') events.push({ type: 'block', kind, label: kind === 'rect' ? '' : cleanDiagramLabel(block[2]) });
+      return;
+    }
+    const divider = line.match(/^(else|and|option)\b\s*(.*)$/i);
+    if (divider) {
+      events.push({ type: 'divider', label: cleanDiagramLabel(divider[2]) });
+      return;
+    }
+    if (/^end$/i.test(line)) {
+      if (openBlocks.pop() !== 'box') events.push({ type: 'end' });
+      return;
+    }
+
+    const message = line.match(/^(.+?)\s*(<<)?(-{1,2})(>>|>|x|\))\s*[+-]?\s*([^:]+?)\s*(?::\s?(.*))?$/);
+    if (message) {
+      const [, from, both, dashes, head, to, text] = message;
+      events.push({
+        type: 'message',
+        from: participant(from.trim()).id,
+        to: participant(to.trim()).id,
+        text: cleanDiagramLabel(text || ''),
+        dashed: dashes === '--',
+        head: { '>>': 'arrow', '>': null, x: 'cross', ')': 'open' }[head],
+        both: !!both
+      });
+      return;
+    }
+    throw new Error(`can't read "${line}"`);
+  });
+
+  if (participants.length === 0) throw new Error('no participants');
+  return { participants, events, autonumber };
+}
+
+/**
+ * Parse Mermaid source (the first line names the diagram type)
+ */
+function parseMermaid(source) {
+  // Front matter (--- title: … ---) and %%{init}%% directives don't affect the drawing
+  const lines = source.replace(/^\s*---\n[\s\S]*?\n---\s*\n/, '').split('\n');
+  const firstIndex = lines.findIndex(line => line.replace(/%%.*$/, '').trim());
+  if (firstIndex === -1) throw new Error('empty diagram');
+  const header = lines[firstIndex].replace(/%%.*$/, '').trim();
+  const body = lines.slice(firstIndex + 1);
+
+  const flowchart = header.match(/^(graph|flowchart)(?:\s+(TB|TD|BT|RL|LR))?\s*;?\s*(.*)$/i);
+  if (flowchart) {
+    const statements = splitMermaidStatements(flowchart[3] ? [flowchart[3], ...body] : body);
+    return { kind: 'graph', graph: parseMermaidFlowchart(statements, (flowchart[2] || 'TB').toUpperCase()) };
+  }
+  if (/^stateDiagram(-v2)?\s*$/i.test(header)) {
+    return { kind: 'graph', graph: parseMermaidState(splitMermaidStatements(body)) };
+  }
+  if (/^sequenceDiagram\s*$/i.test(header)) {
+    return { kind: 'sequence', sequence: parseMermaidSequence(body) };
+  }
+  throw new Error(`"${header.split(/\s/)[0]}" diagrams aren't supported offline`);
+}
+
+/**
+ * Split DOT source into tokens: ids, quoted strings, <html> labels, edge operators and punctuation
+ */
+function tokenizeDot(source) {
+  const tokens = [];
+  const text = source
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/(^|[^:"])\/\/.*$/gm, '$1')
+    .replace(/^\s*#.*$/gm, '');
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '"') {
+      let j = i + 1;
+      let value = '';
+      while (j < text.length && text[j] !== '"') {
+        if (text[j] === '\\' && text[j + 1] === '"') {
+          value += '"';
+          j += 2;
+        } else {
+          value += text[j++];
+        }
+      }
+      tokens.push({ type: 'id', value });
+      i = j + 1;
+    } else if (ch === '<') {
+      // HTML label: balanced <…>
+      let depth = 0;
+      let j = i;
+      for (; j < text.length; j++) {
+        if (text[j] === '<') depth++;
+        else if (text[j] === '>' && --depth === 0) break;
+      }
+      tokens.push({ type: 'id', value: text.slice(i + 1, j), html: true });
+      i = j + 1;
+    } else if (text.startsWith('->', i) || text.startsWith('--', i)) {
+      tokens.push({ type: 'edgeop', value: text.slice(i, i + 2) });
+      i += 2;
+    } else if ('{}[];,=:'.includes(ch)) {
+      tokens.push({ type: ch });
+      i++;
+    } else {
+      const word = text.slice(i).match(/^(-?(?:\.\d+|\d+(?:\.\d*)?)|[\p{L}\p{N}_.]+)/u);
+      if (!word) throw new Error(`unexpected "${ch}"`);
+      tokens.push({ type: 'id', value: word[0] });
+      i += word[0].length;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse Graphviz DOT
+ */
+function parseDot(source) {
+  const tokens = tokenizeDot(source);
+  let pos = 0;
+  const peek = (offset = 0) => tokens[pos + offset] || { type: 'eof' };
+  const expect = (type) => {
+    if (peek().type !== type) throw new Error(`expected "${type}"`);
+    return tokens[pos++];
+  };
+
+  if (peek().type === 'id' && peek().value.toLowerCase() === 'strict') pos++;
+  const kind = expect('id').value.toLowerCase();
+  if (kind !== 'graph' && kind !== 'digraph') throw new Error('expected "graph" or "digraph"');
+  const graph = createDiagramGraph(kind === 'digraph');
+  if (peek().type === 'id') pos++;
+  expect('{');
+
+  const readAttributes = () => {
+    const attrs = {};
+    while (peek().type === '[') {
+      pos++;
+      while (peek().type !== ']' && peek().type !== 'eof') {
+        const name = expect('id').value;
+        let value = 'true';
+        if (peek().type === '=') {
+          pos++;
+          const token = expect('id');
+          value = token.html ? token.value.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '') : token.value;
+        }
+        attrs[name] = value;
+        if (peek().type === ',' || peek().type === ';') pos++;
+      }
+      expect(']');
+    }
+    return attrs;
+  };
+
+  const applyNodeAttributes = (node, attrs) => {
+    if (attrs.label !== undefined) node.label = cleanDiagramLabel(attrs.label.replace(/\\N/g, node.id));
+    if (attrs.shape) node.shape = DOT_SHAPES[attrs.shape] || 'rect';
+    const style = attrs.style || '';
+    if (style.includes('rounded') && node.shape === 'rect') node.shape = 'round';
+    if (style.includes('dashed') || style.includes('dotted')) node.style.dashed = true;
+    const fill = sanitizeDiagramColor(attrs.fillcolor || (style.includes('filled') ? attrs.color : null));
+    if (fill) node.style.fill = fill;
+    if (sanitizeDiagramColor(attrs.color)) node.style.stroke = sanitizeDiagramColor(attrs.color);
+    if (sanitizeDiagramColor(attrs.fontcolor)) node.style.color = sanitizeDiagramColor(attrs.fontcolor);
+  };
+
+  const parseStatements = (scope) => {
+    const ids = [];
+    const applyGraphAttributes = (attrs) => {
+      if (attrs.rankdir && !scope.cluster) graph.rankdir = attrs.rankdir.toUpperCase();
+      if (attrs.label !== undefined && scope.cluster) {
+        const cluster = graph.clusters.find(c => c.id === scope.cluster);
+        if (cluster) cluster.label = cleanDiagramLabel(attrs.label);
+      }
+    };
+    while (peek().type !== '}' && peek().type !== 'eof') {
+      const token = peek();
+
+      if (token.type === ';' || token.type === ',') {
+        pos++;
+        continue;
+      }
+      if (token.type === 'id' && /^(node|edge|graph)$/i.test(token.value) && peek(1).type === '[') {
+        pos++;
+        const attrs = readAttributes();
+        const name = token.value.toLowerCase();
+        if (name === 'node') Object.assign(scope.nodeDefaults, attrs);
+        else if (name === 'edge') Object.assign(scope.edgeDefaults, attrs);
+        else applyGraphAttributes(attrs);
+        continue;
+      }
+      if (token.type === 'id' && peek(1).type === '=') {
+        pos += 2;
+        applyGraphAttributes({ [token.value]: expect('id').value });
+        continue;
+      }
+
+      // Edge chain of node ids / subgraphs
+      const first = parseEndpoint(scope);
+      ids.push(...first);
+      const chain = [first];
+      const ops = [];
+      while (peek().type === 'edgeop') {
+        ops.push(tokens[pos++].value);
+        const next = parseEndpoint(scope);
+        ids.push(...next);
+        chain.push(next);
+      }
+      const attrs = readAttributes();
+      if (chain.length === 1) {
+        first.forEach(id => applyNodeAttributes(graph.nodes.get(id), attrs));
+      } else {
+        const edgeAttrs = { ...scope.edgeDefaults, ...attrs };
+        for (let i = 0; i < ops.length; i++) {
+          chain[i].forEach(from => chain[i + 1].forEach(to => graph.edges.push(createDotEdge(from, to, edgeAttrs))));
+        }
+      }
+    }
+    return ids;
+  };
+
+  const createDotEdge = (from, to, attrs) => {
+    const style = attrs.style || '';
+    const dir = attrs.dir || (graph.directed ? 'forward' : 'none');
+    const head = attrs.arrowhead === 'none' ? null : (attrs.arrowhead === 'dot' || attrs.arrowhead === 'odot' ? 'circle' : 'arrow');
+    return {
+      from, to,
+      label: cleanDiagramLabel(attrs.label || attrs.xlabel || ''),
+      dashed: style.includes('dashed') || style.includes('dotted'),
+      thick: parseFloat(attrs.penwidth) >= 2 || style.includes('bold'),
+      invisible: style.includes('invis'),
+      arrowEnd: dir === 'forward' || dir === 'both' ? head : null,
+      arrowStart: dir === 'back' || dir === 'both' ? 'arrow' : null,
+      color: sanitizeDiagramColor(attrs.color)
+    };
+  };
+
+  // A node id (with :port) or a { … } / subgraph group
+  const parseEndpoint = (scope) => {
+    if (peek().type === '{' || (peek().type === 'id' && peek().value.toLowerCase() === 'subgraph')) {
+      let clusterId = null;
+      if (peek().type === 'id') {
+        pos++;
+        if (peek().type === 'id') clusterId = tokens[pos++].value;
+      }
+      expect('{');
+      const isCluster = clusterId && /^cluster/.test(clusterId);
+      if (isCluster) graph.clusters.push({ id: clusterId, label: '', parent: scope.cluster });
+      const inner = {
+        cluster: isCluster ? clusterId : scope.cluster,
+        nodeDefaults: { ...scope.nodeDefaults },
+        edgeDefaults: { ...scope.edgeDefaults }
+      };
+      const ids = parseStatements(inner);
+      expect('}');
+      return [...new Set(ids)];
+    }
+
+    const id = expect('id').value;
+    if (peek().type === ':') {
+      pos++;
+      expect('id');
+      if (peek().type === ':') {
+        pos++;
+        expect('id');
+      }
+    }
+    const isNew = !graph.nodes.has(id);
+    const node = addDiagramNode(graph, id, {});
+    if (isNew) {
+      node.shape = 'ellipse';
+      applyNodeAttributes(node, scope.nodeDefaults);
+    }
+    if (!node.cluster && scope.cluster) node.cluster = scope.cluster;
+    return [id];
+  };
+
+  parseStatements({ cluster: null, nodeDefaults: {}, edgeDefaults: {} });
+  expect('}');
+  if (!/^(TB|BT|LR|RL)$/.test(graph.rankdir)) graph.rankdir = 'TB';
+  return graph;
+}
+
+/**
+ * Node size from its label and shape
+ */
+function getDiagramNodeSize(node) {
+  const lines = splitDiagramLabel(node.label);
+  node.lines = lines;
+  const text = measureDiagramText(lines);
+  switch (node.shape) {
+    case 'start': return { width: 18, height: 18 };
+    case 'end': return { width: 22, height: 22 };
+    case 'point': return { width: 8, height: 8 };
+    case 'bar': return { width: 70, height: 8 };
+    case 'circle':
+    case 'doublecircle': {
+      const size = Math.max(text.width, text.height) + (node.shape === 'doublecircle' ? 30 : 22);
+      return { width: Math.max(size, 36), height: Math.max(size, 36) };
+    }
+    case 'ellipse': return { width: Math.max(text.width * 1.3 + 24, 60), height: Math.max(text.height + 22, 36) };
+    case 'diamond': return { width: Math.max(text.width * 1.5 + 30, 50), height: Math.max(text.height * 1.5 + 30, 50) };
+    case 'hexagon': return { width: text.width + 50, height: Math.max(text.height + 18, 36) };
+    case 'parallelogram':
+    case 'trapezoid': return { width: text.width + 50, height: Math.max(text.height + 18, 36) };
+    case 'cylinder': return { width: text.width + 30, height: Math.max(text.height + 34, 50) };
+    case 'text': return { width: text.width + 8, height: Math.max(text.height + 6, 20) };
+    default: return { width: Math.max(text.width + 30, 40), height: Math.max(text.height + 18, 36) };
+  }
+}
+
+/**
+ * Layered layout. Sets node.x / node.y (centers) and edge.points; returns { width, height }
+ */
+function layoutDiagramGraph(graph) {
+  const horizontal = graph.rankdir === 'LR' || graph.rankdir === 'RL';
+  const nodes = [...graph.nodes.values()];
+  nodes.forEach(node => Object.assign(node, getDiagramNodeSize(node)));
+
+  // Layout runs top to bottom; "breadth" runs along a rank, "depth" across ranks
+  const breadth = node => horizontal ? node.height : node.width;
+  const depth = node => horizontal ? node.width : node.height;
+
+  const edges = graph.edges.filter(edge => edge.from !== edge.to);
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => outgoing.get(edge.from).push(edge));
+
+  // 1. Break cycles: edges back to a node on the DFS stack are laid out reversed
+  const visitState = new Map();
+  const visit = (id) => {
+    visitState.set(id, 1);
+    outgoing.get(id).forEach(edge => {
+      const state = visitState.get(edge.to);
+      if (state === 1) edge.reversed = true;
+      else if (!state) visit(edge.to);
+    });
+    visitState.set(id, 2);
+  };
+  edges.forEach(edge => { edge.reversed = false; });
+  nodes.forEach(node => {
+    if (!visitState.get(node.id)) visit(node.id);
+  });
+  const layoutEdges = edges.map(edge => ({ edge, from: edge.reversed ? edge.to : edge.from, to: edge.reversed ? edge.from : edge.to }));
+
+  // 2. Ranks: longest path from the sources (Kahn's order)
+  const rank = new Map(nodes.map(node => [node.id, 0]));
+  const inDegree = new Map(nodes.map(node => [node.id, 0]));
+  const succ = new Map(nodes.map(node => [node.id, []]));
+  layoutEdges.forEach(e => {
+    succ.get(e.from).push(e.to);
+    inDegree.set(e.to, inDegree.get(e.to) + 1);
+  });
+  const queue = nodes.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+  const topo = [];
+  while (queue.length) {
+    const id = queue.shift();
+    topo.push(id);
+    succ.get(id).forEach(to => {
+      rank.set(to, Math.max(rank.get(to), rank.get(id) + 1));
+      inDegree.set(to, inDegree.get(to) - 1);
+      if (inDegree.get(to) === 0) queue.push(to);
+    });
+  }
+  // Sources sit just above their first successor rather than at the top
+  topo.slice().reverse().forEach(id => {
+    const hasPred = layoutEdges.some(e => e.to === id);
+    if (!hasPred && succ.get(id).length) {
+      rank.set(id, Math.min(...succ.get(id).map(to => rank.get(to))) - 1);
+    }
+  });
+
+  // 3. Layers, with dummy points for edges that cross ranks
+  const layers = [];
+  const entries = new Map(); // id → { id, node | null, breadth, depth }
+  const place = (entry, r) => {
+    while (layers.length <= r) layers.push([]);
+    layers[r].push(entry);
+    entry.rank = r;
+    entries.set(entry.id, entry);
+  };
+  nodes.forEach(node => place({ id: node.id, node, breadth: breadth(node), depth: depth(node) }, rank.get(node.id)));
+
+  const chains = [];
+  layoutEdges.forEach((e, index) => {
+    const chain = [e.from];
+    for (let r = rank.get(e.from) + 1; r < rank.get(e.to); r++) {
+      const id = `dummy-${index}-${r}`;
+      place({ id, node: null, breadth: e.edge.label && r === rank.get(e.from) + 1 ? measureDiagramText(splitDiagramLabel(e.edge.label)).width : 10, depth: 0 }, r);
+      chain.push(id);
+    }
+    chain.push(e.to);
+    chains.push({ e, chain });
+  });
+
+  const up = new Map([...entries.keys()].map(id => [id, []]));
+  const down = new Map([...entries.keys()].map(id => [id, []]));
+  chains.forEach(({ chain }) => {
+    for (let i = 0; i + 1 < chain.length; i++) {
+      down.get(chain[i]).push(chain[i + 1]);
+      up.get(chain[i + 1]).push(chain[i]);
+    }
+  });
+
+  // 4. Order within ranks: barycenter sweeps
+  const topCluster = node => {
+    let id = node.cluster;
+    for (let cluster = graph.clusters.find(c => c.id === id); cluster && cluster.parent; cluster = graph.clusters.find(c => c.id === id)) {
+      id = cluster.parent;
+    }
+    return id;
+  };
+  const order = new Map();
+  const setOrder = () => layers.forEach(layer => layer.forEach((entry, i) => order.set(entry.id, i)));
+  setOrder();
+  const sweep = (layerIndexes, neighbors) => {
+    layerIndexes.forEach(r => {
+      const layer = layers[r];
+      const center = new Map(layer.map(entry => {
+        const ns = neighbors.get(entry.id);
+        return [entry.id, ns.length ? ns.reduce((sum, id) => sum + order.get(id), 0) / ns.length : order.get(entry.id)];
+      }));
+      layer.sort((a, b) => center.get(a.id) - center.get(b.id));
+      // Nodes of one top-level cluster stay together, so its box doesn't cover other nodes
+      const groupKey = entry => (entry.node && topCluster(entry.node)) || entry.id;
+      const groupCenter = new Map();
+      layer.forEach(entry => {
+        const key = groupKey(entry);
+        const group = groupCenter.get(key) || { sum: 0, count: 0 };
+        group.sum += center.get(entry.id);
+        group.count++;
+        groupCenter.set(key, group);
+      });
+      const mean = key => groupCenter.get(key).sum / groupCenter.get(key).count;
+      layer.sort((a, b) => mean(groupKey(a)) - mean(groupKey(b)));
+      layer.forEach((entry, i) => order.set(entry.id, i));
+    });
+  };
+  const indexes = layers.map((layer, i) => i);
+  for (let iteration = 0; iteration < 6; iteration++) {
+    sweep(indexes.slice(1), up);
+    sweep(indexes.slice(0, -1).reverse(), down);
+  }
+
+  // 5. Coordinates: ranks stacked by depth, nodes pulled toward their neighbors along the rank
+  const rankDepth = layers.map(layer => Math.max(0, ...layer.map(entry => entry.depth)));
+  const labelGap = layers.map((layer, r) => chains.some(({ e, chain }) => e.edge.label && entries.get(chain[0]).rank === r) ? DIAGRAM_LINE_HEIGHT + 8 : 0);
+  let offset = 0;
+  const rankCenter = rankDepth.map((d, r) => {
+    const center = offset + d / 2;
+    offset += d + DIAGRAM_RANK_GAP + labelGap[r];
+    return center;
+  });
+
+  const pos = new Map();
+  layers.forEach(layer => {
+    let x = 0;
+    layer.forEach(entry => {
+      pos.set(entry.id, x + entry.breadth / 2);
+      x += entry.breadth + DIAGRAM_NODE_GAP;
+    });
+  });
+  const separation = (a, b) => (a.breadth + b.breadth) / 2 + (a.node && b.node ? DIAGRAM_NODE_GAP : DIAGRAM_NODE_GAP / 2);
+  const align = (layerIndexes, neighbors) => {
+    layerIndexes.forEach(r => {
+      const layer = layers[r];
+      const desired = layer.map(entry => {
+        const ns = neighbors.get(entry.id);
+        return ns.length ? ns.reduce((sum, id) => sum + pos.get(id), 0) / ns.length : pos.get(entry.id);
+      });
+      // Packed toward desired from the left and from the right; the average of the two keeps the gaps
+      const fromLeft = [];
+      const fromRight = [];
+      layer.forEach((entry, i) => {
+        fromLeft[i] = i === 0 ? desired[i] : Math.max(desired[i], fromLeft[i - 1] + separation(layer[i - 1], entry));
+      });
+      for (let i = layer.length - 1; i >= 0; i--) {
+        fromRight[i] = i === layer.length - 1 ? desired[i] : Math.min(desired[i], fromRight[i + 1] - separation(layer[i], layer[i + 1]));
+      }
+      layer.forEach((entry, i) => pos.set(entry.id, (fromLeft[i] + fromRight[i]) / 2));
+    });
+  };
+  for (let iteration = 0; iteration < 4; iteration++) {
+    align(indexes.slice(1), up);
+    align(indexes.slice(0, -1).reverse(), down);
+  }
+
+  const minBreadth = Math.min(...[...entries.values()].map(entry => pos.get(entry.id) - entry.breadth / 2));
+  const toPoint = (id) => {
+    const entry = entries.get(id);
+    const along = pos.get(id) - minBreadth + DIAGRAM_PADDING;
+    const across = rankCenter[entry.rank] + DIAGRAM_PADDING;
+    return horizontal ? { x: across, y: along } : { x: along, y: across };
+  };
+  nodes.forEach(node => Object.assign(node, toPoint(node.id)));
+  chains.forEach(({ e, chain }) => {
+    const points = chain.map(toPoint);
+    e.edge.points = e.edge.reversed ? points.reverse() : points;
+  });
+
+  // Flip for bottom-to-top and right-to-left
+  const width = Math.max(...nodes.map(node => node.x + node.width / 2)) + DIAGRAM_PADDING;
+  const height = Math.max(...nodes.map(node => node.y + node.height / 2)) + DIAGRAM_PADDING;
+  const flip = point => {
+    if (graph.rankdir === 'BT') point.y = height - point.y;
+    if (graph.rankdir === 'RL') point.x = width - point.x;
+  };
+  nodes.forEach(flip);
+  edges.forEach(edge => edge.points.forEach(flip));
+  return { width, height };
+}
+
+/**
+ * Where the line from a node's center toward a point leaves its outline
+ */
+function clipToDiagramNode(node, toward) {
+  const dx = toward.x - node.x;
+  const dy = toward.y - node.y;
+  if (!dx && !dy) return { x: node.x, y: node.y };
+  const hw = node.width / 2;
+  const hh = node.height / 2;
+  let t;
+  if (['circle', 'doublecircle', 'ellipse', 'start', 'end', 'point'].includes(node.shape)) {
+    t = 1 / Math.sqrt((dx / hw) ** 2 + (dy / hh) ** 2);
+  } else if (node.shape === 'diamond') {
+    t = 1 / (Math.abs(dx) / hw + Math.abs(dy) / hh);
+  } else {
+    t = Math.min(dx ? hw / Math.abs(dx) : Infinity, dy ? hh / Math.abs(dy) : Infinity);
+  }
+  return { x: node.x + dx * t, y: node.y + dy * t };
+}
+
+/**
+ * Smooth SVG path through points (quadratic curves through the midpoints)
+ */
+function getDiagramPath(points) {
+  const fmt = p => `${p.x.toFixed(1)} ${p.y.toFixed(1)}`;
+  if (points.length === 2) return `M ${fmt(points[0])} L ${fmt(points[1])}`;
+  let d = `M ${fmt(points[0])}`;
+  for (let i = 1; i < points.length - 2; i++) {
+    const mid = { x: (points[i].x + points[i + 1].x) / 2, y: (points[i].y + points[i + 1].y) / 2 };
+    d += ` Q ${fmt(points[i])} ${fmt(mid)}`;
+  }
+  return `${d} Q ${fmt(points[points.length - 2])} ${fmt(points[points.length - 1])}`;
+}
+
+/**
+ * Point halfway along a polyline
+ */
+function getDiagramMidpoint(points) {
+  const lengths = points.slice(1).map((p, i) => Math.hypot(p.x - points[i].x, p.y - points[i].y));
+  let remaining = lengths.reduce((sum, l) => sum + l, 0) / 2;
+  for (let i = 0; i < lengths.length; i++) {
+    if (remaining <= lengths[i] && lengths[i] > 0) {
+      const t = remaining / lengths[i];
+      return { x: points[i].x + (points[i + 1].x - points[i].x) * t, y: points[i].y + (points[i + 1].y - points[i].y) * t };
+    }
+    remaining -= lengths[i];
+  }
+  return points[0];
+}
+
+function createSvgElement(tag, attrs, text) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.keys(attrs || {}).forEach(name => {
+    if (attrs[name] !== null && attrs[name] !== undefined) el.setAttribute(name, attrs[name]);
+  });
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+/**
+ * Centered multi-line text
+ */
+function appendDiagramText(parent, x, y, lines, attrs) {
+  const text = createSvgElement('text', { x, y, 'text-anchor': 'middle', 'dominant-baseline': 'central', fill: DIAGRAM_COLORS.text, ...attrs });
+  lines.forEach((line, i) => {
+    text.appendChild(createSvgElement('tspan', { x, dy: i === 0 ? -((lines.length - 1) * DIAGRAM_LINE_HEIGHT) / 2 : DIAGRAM_LINE_HEIGHT }, line));
+  });
+  parent.appendChild(text);
+  return text;
+}
+
+/**
+ * Text with a background box (edge and message labels)
+ */
+function appendDiagramLabel(parent, x, y, label) {
+  const lines = splitDiagramLabel(label, 40);
+  const size = measureDiagramText(lines);
+  parent.appendChild(createSvgElement('rect', {
+    x: x - size.width / 2 - 4, y: y - size.height / 2 - 2, width: size.width + 8, height: size.height + 4,
+    rx: 3, fill: DIAGRAM_COLORS.edgeLabel, opacity: 0.9
+  }));
+  appendDiagramText(parent, x, y, lines, { 'font-size': DIAGRAM_FONT_SIZE - 1 });
+}
+
+/**
+ * The <svg> root with arrow markers (ids are unique per diagram: url(#…) is page-wide)
+ */
+function createDiagramSvg(width, height, title) {
+  const prefix = `diagram-${++diagramCounter}`;
+  const svg = createSvgElement('svg', {
+    class: 'diagram-svg',
+    viewBox: `0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+    width: Math.ceil(width),
+    height: Math.ceil(height),
+    role: 'img',
+    'font-family': DIAGRAM_FONT_FAMILY,
+    'font-size': DIAGRAM_FONT_SIZE
+  });
+  svg.appendChild(createSvgElement('title', {}, title));
+  const defs = createSvgElement('defs');
+  const marker = (name, child, refX) => {
+    const m = createSvgElement('marker', { id: `${prefix}-${name}`, viewBox: '0 0 10 10', refX, refY: 5, markerWidth: 8, markerHeight: 8, orient: 'auto-start-reverse', markerUnits: 'userSpaceOnUse' });
+    m.appendChild(child);
+    defs.appendChild(m);
+  };
+  marker('arrow', createSvgElement('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: DIAGRAM_COLORS.marker }), 9);
+  marker('open', createSvgElement('path', { d: 'M 0 0 L 10 5 L 0 10', fill: 'none', stroke: DIAGRAM_COLORS.marker, 'stroke-width': 1.5 }), 9);
+  marker('circle', createSvgElement('circle', { cx: 5, cy: 5, r: 4, fill: '#ffffff', stroke: DIAGRAM_COLORS.marker, 'stroke-width': 1.5 }), 9);
+  marker('cross', createSvgElement('path', { d: 'M 1 1 L 9 9 M 9 1 L 1 9', stroke: DIAGRAM_COLORS.marker, 'stroke-width': 2 }), 5);
+  svg.appendChild(defs);
+  svg.markerUrl = name => (name ? `url(#${prefix}-${name})` : null);
+  return svg;
+}
+
+/**
+ * Draw one node's shape and label
+ */
+function drawDiagramNode(parent, node) {
+  const { x, y, width: w, height: h } = node;
+  const fill = node.style.fill || DIAGRAM_COLORS.node;
+  const stroke = node.style.stroke || DIAGRAM_COLORS.nodeStroke;
+  const attrs = { fill, stroke, 'stroke-width': 1.5, 'stroke-dasharray': node.style.dashed ? '5 4' : null };
+  const left = x - w / 2;
+  const top = y - h / 2;
+  const polygon = points => createSvgElement('polygon', { points: points.map(p => p.join(',')).join(' '), ...attrs });
+
+  const group = createSvgElement('g', { class: 'diagram-node' });
+  switch (node.shape) {
+    case 'start':
+      group.appendChild(createSvgElement('circle', { cx: x, cy: y, r: w / 2, fill: DIAGRAM_COLORS.text }));
+      break;
+    case 'end':
+      group.appendChild(createSvgElement('circle', { cx: x, cy: y, r: w / 2, fill: 'none', stroke: DIAGRAM_COLORS.text, 'stroke-width': 1.5 }));
+      group.appendChild(createSvgElement('circle', { cx: x, cy: y, r: w / 2 - 4, fill: DIAGRAM_COLORS.text }));
+      break;
+    case 'point':
+      group.appendChild(createSvgElement('circle', { cx: x, cy: y, r: w / 2, fill: DIAGRAM_COLORS.text }));
+      break;
+    case 'bar':
+      group.appendChild(createSvgElement('rect', { x: left, y: top, width: w, height: h, rx: 2, fill: DIAGRAM_COLORS.text }));
+      break;
+    case 'circle':
+    case 'doublecircle':
+      group.appendChild(createSvgElement('circle', { cx: x, cy: y, r: w / 2, ...attrs }));
+      if (node.shape === 'doublecircle') group.appendChild(createSvgElement('circle', { cx: x, cy: y, r: w / 2 - 4, ...attrs, fill: 'none' }));
+      break;
+    case 'ellipse':
+      group.appendChild(createSvgElement('ellipse', { cx: x, cy: y, rx: w / 2, ry: h / 2, ...attrs }));
+      break;
+    case 'diamond':
+      group.appendChild(polygon([[x, top], [left + w, y], [x, top + h], [left, y]]));
+      break;
+    case 'hexagon':
+      group.appendChild(polygon([[left + 15, top], [left + w - 15, top], [left + w, y], [left + w - 15, top + h], [left + 15, top + h], [left, y]]));
+      break;
+    case 'parallelogram':
+      group.appendChild(polygon([[left + 15, top], [left + w, top], [left + w - 15, top + h], [left, top + h]]));
+      break;
+    case 'trapezoid':
+      group.appendChild(polygon([[left + 15, top], [left + w - 15, top], [left + w, top + h], [left, top + h]]));
+      break;
+    case 'asymmetric':
+      group.appendChild(polygon([[left, top], [left + w, top], [left + w, top + h], [left, top + h], [left + 12, y]]));
+      break;
+    case 'cylinder': {
+      const ry = 7;
+      group.appendChild(createSvgElement('path', {
+        d: `M ${left} ${top + ry} A ${w / 2} ${ry} 0 0 1 ${left + w} ${top + ry} L ${left + w} ${top + h - ry} A ${w / 2} ${ry} 0 0 1 ${left} ${top + h - ry} Z`,
+        ...attrs
+      }));
+      group.appendChild(createSvgElement('path', { d: `M ${left} ${top + ry} A ${w / 2} ${ry} 0 0 0 ${left + w} ${top + ry}`, ...attrs, fill: 'none' }));
+      break;
+    }
+    case 'text':
+      break;
+    default: {
+      const rx = node.shape === 'round' ? 8 : node.shape === 'stadium' ? h / 2 : 3;
+      group.appendChild(createSvgElement('rect', { x: left, y: top, width: w, height: h, rx, ...attrs }));
+      if (node.shape === 'subroutine') {
+        group.appendChild(createSvgElement('path', { d: `M ${left + 7} ${top} V ${top + h} M ${left + w - 7} ${top} V ${top + h}`, stroke, 'stroke-width': 1.5 }));
+      }
+    }
+  }
+  if (node.lines.some(Boolean)) {
+    appendDiagramText(group, x, node.shape === 'cylinder' ? y + 4 : y, node.lines, node.style.color ? { fill: node.style.color } : {});
+  }
+  parent.appendChild(group);
+}
+
+/**
+ * Draw a laid-out graph as SVG
+ */
+function renderGraphSvg(graph) {
+  if (graph.nodes.size === 0) throw new Error('no nodes');
+  const size = layoutDiagramGraph(graph);
+
+  // Self loops stick out to the right of their node
+  const loops = graph.edges.filter(edge => edge.from === edge.to);
+  const loopExtra = loops.reduce((max, edge) => Math.max(max, 40 + (edge.label ? measureDiagramText(splitDiagramLabel(edge.label, 40)).width : 0)), 0);
+
+  // Clusters: boxes around their nodes (and nested clusters), outermost first
+  const clusterBoxes = graph.clusters.map(cluster => {
+    const members = [...graph.nodes.values()].filter(node => isInDiagramCluster(graph, node, cluster.id));
+    if (!members.length) return null;
+    let depth = 0;
+    for (let c = cluster; c && c.parent; c = graph.clusters.find(p => p.id === c.parent)) depth++;
+    const nestedLevels = graph.clusters.filter(other => other.parent === cluster.id).length ? 1 : 0;
+    const pad = 12 + nestedLevels * 12;
+    return {
+      cluster, depth,
+      x: Math.min(...members.map(n => n.x - n.width / 2)) - pad,
+      y: Math.min(...members.map(n => n.y - n.height / 2)) - pad - (cluster.label ? DIAGRAM_LINE_HEIGHT + 4 : 0),
+      right: Math.max(...members.map(n => n.x + n.width / 2)) + pad,
+      bottom: Math.max(...members.map(n => n.y + n.height / 2)) + pad
+    };
+  }).filter(Boolean).sort((a, b) => a.depth - b.depth);
+
+  // Everything shifts so clusters that stick out above / left stay inside the picture
+  const shiftX = Math.max(0, ...clusterBoxes.map(box => DIAGRAM_PADDING / 2 - box.x));
+  const shiftY = Math.max(0, ...clusterBoxes.map(box => DIAGRAM_PADDING / 2 - box.y));
+  const width = Math.max(size.width + loopExtra, ...clusterBoxes.map(box => box.right + DIAGRAM_PADDING / 2)) + shiftX;
+  const height = Math.max(size.height, ...clusterBoxes.map(box => box.bottom + DIAGRAM_PADDING / 2)) + shiftY;
+
+  const svg = createDiagramSvg(width, height, 'Diagram');
+  const root = createSvgElement('g', { transform: shiftX || shiftY ? `translate(${shiftX} ${shiftY})` : null });
+  svg.appendChild(root);
+
+  clusterBoxes.forEach(box => {
+    root.appendChild(createSvgElement('rect', {
+      x: box.x, y: box.y, width: box.right - box.x, height: box.bottom - box.y, rx: 6,
+      fill: DIAGRAM_COLORS.cluster, stroke: DIAGRAM_COLORS.clusterStroke, 'stroke-width': 1
+    }));
+    if (box.cluster.label) {
+      root.appendChild(createSvgElement('text', {
+        x: box.x + 8, y: box.y + 6 + DIAGRAM_LINE_HEIGHT / 2, 'dominant-baseline': 'central',
+        fill: DIAGRAM_COLORS.text, 'font-weight': 'bold', 'font-size': DIAGRAM_FONT_SIZE - 1
+      }, box.cluster.label.replace(/\n/g, ' ')));
+    }
+  });
+
+  const labels = [];
+  graph.edges.forEach(edge => {
+    if (edge.invisible) return;
+    const from = graph.nodes.get(edge.from);
+    const to = graph.nodes.get(edge.to);
+    const attrs = {
+      fill: 'none',
+      stroke: edge.color || DIAGRAM_COLORS.edge,
+      'stroke-width': edge.thick ? 3 : 1.5,
+      'stroke-dasharray': edge.dashed ? '5 4' : null,
+      'marker-end': svg.markerUrl(edge.arrowEnd),
+      'marker-start': svg.markerUrl(edge.arrowStart)
+    };
+
+    if (from === to) {
+      const right = from.x + from.width / 2;
+      root.appendChild(createSvgElement('path', {
+        d: `M ${right} ${from.y - 8} C ${right + 36} ${from.y - 30}, ${right + 36} ${from.y + 30}, ${right} ${from.y + 8}`,
+        ...attrs
+      }));
+      if (edge.label) labels.push([right + 30 + measureDiagramText(splitDiagramLabel(edge.label, 40)).width / 2, from.y, edge.label]);
+      return;
+    }
+
+    const points = edge.points.slice();
+    points[0] = clipToDiagramNode(from, points[1]);
+    points[points.length - 1] = clipToDiagramNode(to, points[points.length - 2]);
+    root.appendChild(createSvgElement('path', { d: getDiagramPath(points), ...attrs }));
+    if (edge.label) {
+      const mid = getDiagramMidpoint(points);
+      labels.push([mid.x, mid.y, edge.label]);
+    }
+  });
+
+  graph.nodes.forEach(node => drawDiagramNode(root, node));
+  labels.forEach(([x, y, label]) => appendDiagramLabel(root, x, y, label));
+  return svg;
+}
+
+/**
+ * Lay out and draw a sequence diagram
+ */
+function renderSequenceSvg(sequence) {
+  const { participants, events, autonumber } = sequence;
+  const boxHeight = participants.some(p => p.actor) ? 56 : 36;
+  const index = new Map(participants.map((p, i) => [p.id, i]));
+  participants.forEach(p => {
+    p.lines = splitDiagramLabel(p.label);
+    p.width = Math.max(measureDiagramText(p.lines).width + 24, 80);
+  });
+
+  // Centers: boxes side by side, then widened until every message / note label fits
+  const centers = [];
+  participants.forEach((p, i) => {
+    centers[i] = i === 0 ? p.width / 2 + DIAGRAM_PADDING : centers[i - 1] + (participants[i - 1].width + p.width) / 2 + 40;
+  });
+  const ensureGap = (i, j, needed) => {
+    const missing = needed - (centers[j] - centers[i]);
+    if (missing > 0) {
+      for (let k = j; k < centers.length; k++) centers[k] += missing;
+    }
+  };
+  let number = 0;
+  events.forEach(event => {
+    if (event.type === 'message') {
+      if (autonumber) event.text = `${++number}. ${event.text}`;
+      event.lines = event.text ? splitDiagramLabel(event.text, 50) : [];
+      const textWidth = measureDiagramText(event.lines).width;
+      const a = Math.min(index.get(event.from), index.get(event.to));
+      const b = Math.max(index.get(event.from), index.get(event.to));
+      if (a === b) {
+        if (a + 1 < centers.length) ensureGap(a, a + 1, textWidth + 60);
+        event.selfWidth = textWidth + 50;
+      } else {
+        ensureGap(b - 1, b, (textWidth + 30) - (centers[b - 1] - centers[a]));
+      }
+    } else if (event.type === 'note') {
+      event.lines = splitDiagramLabel(event.text, 40);
+      event.width = measureDiagramText(event.lines).width + 20;
+      const i = index.get(event.ids[0]);
+      if (event.placement === 'right' && i + 1 < centers.length) ensureGap(i, i + 1, event.width + 30);
+      if (event.placement === 'left' && i > 0) ensureGap(i - 1, i, event.width + 30);
+      if (event.placement === 'over' && event.ids.length === 1) {
+        if (i + 1 < centers.length) ensureGap(i, i + 1, event.width / 2 + 50);
+        if (i > 0) ensureGap(i - 1, i, event.width / 2 + 50);
+      }
+    }
+  });
+  // Room on the left for notes left of the first participant
+  const leftRoom = Math.max(0, ...events.filter(e => e.type === 'note' && e.placement === 'left' && index.get(e.ids[0]) === 0).map(e => e.width + 10 - participants[0].width / 2));
+  centers.forEach((c, i) => { centers[i] = c + leftRoom; });
+
+  // Rows
+  const drawings = [];
+  const blocks = [];
+  const blockStack = [];
+  let y = DIAGRAM_PADDING + boxHeight + 24;
+  events.forEach(event => {
+    const touch = ids => blockStack.forEach(block => ids.forEach(id => block.used.add(index.get(id))));
+    if (event.type === 'message') {
+      touch([event.from, event.to]);
+      const textHeight = event.lines.length * DIAGRAM_LINE_HEIGHT;
+      y += textHeight + 4;
+      drawings.push({ ...event, y });
+      y += event.from === event.to ? 40 : 22;
+    } else if (event.type === 'note') {
+      touch(event.ids);
+      const height = event.lines.length * DIAGRAM_LINE_HEIGHT + 12;
+      drawings.push({ ...event, y, height });
+      y += height + 16;
+    } else if (event.type === 'block') {
+      const block = { ...event, y, used: new Set(), dividers: [], depth: blockStack.length };
+      blocks.push(block);
+      blockStack.push(block);
+      y += 32;
+    } else if (event.type === 'divider' && blockStack.length) {
+      y += 4;
+      blockStack[blockStack.length - 1].dividers.push({ y, label: event.label });
+      y += 26;
+    } else if (event.type === 'end' && blockStack.length) {
+      const block = blockStack.pop();
+      block.bottom = y;
+      y += 14;
+    }
+  });
+  blockStack.forEach(block => { block.bottom = y; });
+  y += 10;
+
+  const lastCenter = centers[centers.length - 1];
+  const rightExtra = Math.max(participants[participants.length - 1].width / 2,
+    ...drawings.filter(d => d.type === 'message' && d.from === d.to).map(d => d.selfWidth),
+    ...drawings.filter(d => d.type === 'note' && d.placement === 'right').map(d => d.width + 10));
+  const width = lastCenter + rightExtra + DIAGRAM_PADDING + 10;
+  const height = y + boxHeight + DIAGRAM_PADDING;
+
+  const svg = createDiagramSvg(width, height, 'Sequence diagram');
+
+  // Blocks (behind everything)
+  blocks.forEach(block => {
+    const used = block.used.size ? [...block.used] : participants.map((p, i) => i);
+    const inset = block.depth * 8;
+    const left = centers[Math.min(...used)] - 60 + inset;
+    const right = centers[Math.max(...used)] + 60 - inset;
+    svg.appendChild(createSvgElement('rect', {
+      x: left, y: block.y, width: right - left, height: block.bottom - block.y,
+      fill: block.kind === 'rect' ? 'rgba(102, 126, 234, 0.08)' : 'none', stroke: DIAGRAM_COLORS.block, 'stroke-width': 1
+    }));
+    if (block.kind !== 'rect') {
+      const tagWidth = measureDiagramText([block.kind]).width + 14;
+      svg.appendChild(createSvgElement('path', {
+        d: `M ${left} ${block.y} h ${tagWidth} v 14 l -6 6 h ${-tagWidth + 6} z`,
+        fill: DIAGRAM_COLORS.blockLabel, stroke: DIAGRAM_COLORS.block, 'stroke-width': 1
+      }));
+      svg.appendChild(createSvgElement('text', { x: left + 5, y: block.y + 10, 'dominant-baseline': 'central', 'font-weight': 'bold', 'font-size': DIAGRAM_FONT_SIZE - 2, fill: DIAGRAM_COLORS.text }, block.kind));
+      if (block.label) {
+        svg.appendChild(createSvgElement('text', { x: left + tagWidth + 10, y: block.y + 10, 'dominant-baseline': 'central', 'font-size': DIAGRAM_FONT_SIZE - 1, fill: DIAGRAM_COLORS.text }, `[${block.label}]`));
+      }
+    }
+    block.dividers.forEach(divider => {
+      svg.appendChild(createSvgElement('line', { x1: left, y1: divider.y, x2: right, y2: divider.y, stroke: DIAGRAM_COLORS.block, 'stroke-dasharray': '4 3' }));
+      if (divider.label) {
+        svg.appendChild(createSvgElement('text', { x: left + 8, y: divider.y + 12, 'dominant-baseline': 'central', 'font-size': DIAGRAM_FONT_SIZE - 1, fill: DIAGRAM_COLORS.text }, `[${divider.label}]`));
+      }
+    });
+  });
+
+  // Participants, top and bottom, with lifelines
+  const bottomY = y;
+  participants.forEach((p, i) => {
+    const cx = centers[i];
+    svg.appendChild(createSvgElement('line', {
+      x1: cx, y1: DIAGRAM_PADDING + boxHeight, x2: cx, y2: bottomY,
+      stroke: DIAGRAM_COLORS.lifeline, 'stroke-width': 1, 'stroke-dasharray': '4 4'
+    }));
+    [DIAGRAM_PADDING, bottomY].forEach(top => {
+      if (p.actor) {
+        const headY = top + 7;
+        svg.appendChild(createSvgElement('circle', { cx, cy: headY, r: 6, fill: 'none', stroke: DIAGRAM_COLORS.text, 'stroke-width': 1.5 }));
+        svg.appendChild(createSvgElement('path', {
+          d: `M ${cx} ${headY + 6} v 12 M ${cx - 9} ${headY + 10} h 18 M ${cx} ${headY + 18} l -8 10 M ${cx} ${headY + 18} l 8 10`,
+          stroke: DIAGRAM_COLORS.text, 'stroke-width': 1.5, fill: 'none'
+        }));
+        appendDiagramText(svg, cx, top + boxHeight - 10, p.lines);
+      } else {
+        svg.appendChild(createSvgElement('rect', {
+          x: cx - p.width / 2, y: top + boxHeight - 36, width: p.width, height: 36, rx: 4,
+          fill: DIAGRAM_COLORS.node, stroke: DIAGRAM_COLORS.nodeStroke, 'stroke-width': 1.5
+        }));
+        appendDiagramText(svg, cx, top + boxHeight - 18, p.lines);
+      }
+    });
+  });
+
+  // Messages and notes
+  drawings.forEach(d => {
+    if (d.type === 'note') {
+      const xs = d.ids.map(id => centers[index.get(id)]);
+      let left;
+      let noteWidth = d.width;
+      if (d.placement === 'left') left = xs[0] - 10 - noteWidth;
+      else if (d.placement === 'right') left = xs[0] + 10;
+      else {
+        noteWidth = Math.max(d.width, Math.max(...xs) - Math.min(...xs) + 40);
+        left = (Math.min(...xs) + Math.max(...xs)) / 2 - noteWidth / 2;
+      }
+      svg.appendChild(createSvgElement('rect', {
+        x: left, y: d.y, width: noteWidth, height: d.height,
+        fill: DIAGRAM_COLORS.note, stroke: DIAGRAM_COLORS.noteStroke, 'stroke-width': 1
+      }));
+      appendDiagramText(svg, left + noteWidth / 2, d.y + d.height / 2, d.lines, { 'font-size': DIAGRAM_FONT_SIZE - 1 });
+      return;
+    }
+
+    const x1 = centers[index.get(d.from)];
+    const x2 = centers[index.get(d.to)];
+    const attrs = {
+      fill: 'none', stroke: DIAGRAM_COLORS.edge, 'stroke-width': 1.5,
+      'stroke-dasharray': d.dashed ? '5 4' : null,
+      'marker-end': svg.markerUrl(d.head),
+      'marker-start': d.both ? svg.markerUrl(d.head) : null
+    };
+    if (x1 === x2) {
+      svg.appendChild(createSvgElement('path', { d: `M ${x1} ${d.y} h 36 v 22 h -34`, ...attrs }));
+      if (d.lines.length) {
+        svg.appendChild(createSvgElement('text', { x: x1 + 42, y: d.y + 11, 'dominant-baseline': 'central', fill: DIAGRAM_COLORS.text, 'font-size': DIAGRAM_FONT_SIZE - 1 }, d.lines.join(' ')));
+      }
+      return;
+    }
+    const end = x2 + (x2 > x1 ? -2 : 2);
+    svg.appendChild(createSvgElement('line', { x1, y1: d.y, x2: end, y2: d.y, ...attrs }));
+    if (d.lines.length) {
+      appendDiagramText(svg, (x1 + x2) / 2, d.y - 6 - (d.lines.length * DIAGRAM_LINE_HEIGHT) / 2, d.lines, { 'font-size': DIAGRAM_FONT_SIZE - 1 });
+    }
+  });
+
+  return svg;
+}
+
+/**
+ * Draw diagram source as an <svg>; throws an Error with a short reason if it can't
+ */
+function renderDiagram(source, language) {
+  if (source.length > DIAGRAM_MAX_SOURCE_LENGTH) throw new Error('too large to draw');
+  if (getDiagramLanguage(language) === 'dot') return renderGraphSvg(parseDot(source));
+
+  const diagram = parseMermaid(source);
+  return diagram.kind === 'sequence' ? renderSequenceSvg(diagram.sequence) : renderGraphSvg(diagram.graph);
+}
+
+/**
+ * A diagram on its own (preview panel), or null if it can't be drawn
+ */
+function createDiagramFigure(source, language) {
+  try {
+    const view = document.createElement('div');
+    view.className = 'diagram-view';
+    view.appendChild(renderDiagram(source, language));
+    return view;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Add the drawn diagram and its buttons to a code block in a diagram language
+ * If it can't be drawn, the code stays with a note saying why
+ */
+function attachDiagram(wrapper, code, language) {
+  if (!getDiagramLanguage(language)) return;
+  const pre = wrapper.querySelector('.code-block');
+
+  let svg;
+  try {
+    svg = renderDiagram(code, language);
+  } catch (e) {
+    const note = document.createElement('div');
+    note.className = 'diagram-error';
+    note.textContent = `Couldn't draw this diagram: ${e.message}`;
+    wrapper.insertBefore(note, pre);
+    return;
+  }
+
+  const view = document.createElement('div');
+  view.className = 'diagram-view';
+  view.appendChild(svg);
+  wrapper.insertBefore(view, pre);
+  wrapper.classList.add('has-diagram', 'show-diagram');
+
+  const actions = wrapper.querySelector('.code-block-actions');
+  [
+    ['diagram', '</> Source', 'Show the diagram source'],
+    ['export-svg', '⬇ SVG', 'Export the diagram as an SVG file']
+  ].reverse().forEach(([action, text, title]) => {
+    const btn = document.createElement('button');
+    btn.className = 'code-block-action';
+    btn.setAttribute('data-code-action', action);
+    btn.title = title;
+    btn.textContent = text;
+    actions.insertBefore(btn, actions.firstChild);
+  });
+}
+
+/**
+ * Switch a diagram code block between the diagram and its source
+ */
+function toggleDiagramSource(wrapper, btn) {
+  const showDiagram = wrapper.classList.toggle('show-diagram');
+  btn.textContent = showDiagram ? '</> Source' : '◇ Diagram';
+  btn.title = showDiagram ? 'Show the diagram source' : 'Show the diagram';
+}
+
+/**
+ * Download a code block's diagram as a standalone .svg file
+ */
+function exportDiagramSvg(wrapper) {
+  const svg = wrapper.querySelector('.diagram-view svg');
+  if (!svg) return;
+
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', SVG_NS);
+  const markup = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+  const blob = new Blob([markup], { type: 'image/svg+xml' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'diagram.svg';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Code blocks in a diagram language inside source HTML: [{ el, language, source }]
+ */
+function findDiagramBlocks(root) {
+  const blocks = [];
+  root.querySelectorAll('code[class*="lang"]').forEach(code => {
+    const langClass = [...code.classList].find(cls => /^(language|lang)-/.test(cls));
+    const language = langClass ? langClass.replace(/^(language|lang)-/, '') : '';
+    if (!getDiagramLanguage(language) || code.closest('.has-diagram')) return;
+    const el = code.closest('.code-block-wrapper') || code.closest('pre') || code;
+    if (blocks.some(block => block.el === el)) return;
+    blocks.push({ el, language: language.toLowerCase(), source: code.textContent.replace(/\n$/, '') });
+  });
+  return blocks;
+}
+
+/**
+ * Replace diagram code blocks in formatted HTML with our code blocks (diagram + source toggle)
+ */
+function renderDiagramsInElement(root) {
+  findDiagramBlocks(root).forEach(({ el, language, source }) => {
+    el.replaceWith(createMarkdownCodeBlock(source, language));
+  });
+  return root;
+}
+
+/**
+ * Replace diagram code blocks with ``` fences, so answer text keeps them as fenced source. Returns how many.
+ */
+function replaceDiagramBlocksWithFences(root) {
+  const blocks = findDiagramBlocks(root);
+  blocks.forEach(({ el, language, source }) => {
+    el.replaceWith(`\n\`\`\`${language}\n${source}\n\`\`\`\n`);
+  });
+  return blocks.length;
+}
+
+/**
+ * ```mermaid / ```dot fences in text: [{ language, source, start, end }]
+ */
+function findDiagramFences(text) {
+  const fences = [];
+  DIAGRAM_FENCE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = DIAGRAM_FENCE_PATTERN.exec(text))) {
+    fences.push({ language: match[1].toLowerCase(), source: match[2], start: match.index, end: DIAGRAM_FENCE_PATTERN.lastIndex });
+  }
+  return fences;
+}
+
+/**
+ * Text as a fragment with diagram fences drawn and math rendered (preview panel)
+ * Fences that can't be drawn stay as text
+ */
+function createDiagramTextFragment(text) {
+  const fragment = document.createDocumentFragment();
+  let last = 0;
+  findDiagramFences(text).forEach(fence => {
+    const figure = createDiagramFigure(fence.source, fence.language);
+    if (!figure) return;
+    fragment.appendChild(createMathTextFragment(text.slice(last, fence.start)));
+    fragment.appendChild(figure);
+    last = fence.end;
+  });
+  fragment.appendChild(createMathTextFragment(text.slice(last)));
+  return fragment;
+}
+
+/**
+ * Add each turn's diagrams under its summary in a copy of the outline (printOutline)
+ */
+function appendOutlineDiagrams(outlineRoot, turnList) {
+  outlineRoot.querySelectorAll('.outline-summary[data-turn-index]').forEach(summary => {
+    const turn = turnList[Number(summary.getAttribute('data-turn-index'))];
+    if (!turn) return;
+    let anchor = summary;
+    findDiagramFences(getTurnAnswerText(turn)).forEach(fence => {
+      const figure = createDiagramFigure(fence.source, fence.language);
+      if (figure) {
+        anchor.after(figure);
+        anchor = figure;
+      }
+    });
+  });
+}
@@ -0,0 +1,508 @@
+/**
+ * Windowed rendering for long chats, and search across all turns.
+ *
+ * createWindowedList() keeps only the items near the viewport in the DOM, between two spacers
+ * sized from measured heights (estimates until an item has been shown). renderChat() uses it
+ * for turns (#chatContent scrolls) and renderOutline() for pair groups (the page scrolls).
+ * Chats of up to WINDOW_MIN_ITEMS items are rendered whole, so nothing changes for them.
+ *
+ * Anything that needs a turn that may not be mounted goes through getChatTurnElement() /
+ * getOutlineItemElement(), which scroll it into the window first. Browser find (Ctrl+F) can't
+ * see unmounted turns, so the chat panel has its own search over the turns' text.
+ */
+
+const WINDOW_MIN_ITEMS = 60;        // Lists up to this long are rendered whole
+const WINDOW_OVERSCAN_PX = 800;     // Rendered beyond each edge of the viewport
+const WINDOW_TRACKING_MARGIN = 0.1; // Top and bottom share of the viewport ignored when picking the turn in view
+const CHAT_SEARCH_MAX_MATCHES = 2000;
+const CHAT_SEARCH_DEBOUNCE_MS = 200;
+
+let chatTurnList = null;    // Windowed list of #chatContent turns
+let outlineGroupList = null; // Windowed list of #outlineContent pair groups
+let outlineGroups = [];     // Pair group → turn indexes
+let outlineGroupOfTurn = []; // Turn index → pair group
+let scrollHighlightedIndex = -1; // Turn in view, highlighted in the outline
+let chatSearchState = { query: '', matches: [], current: -1 };
+let chatSearchTimer = null;
+
+/**
+ * Render items lazily into a container: only those near the viewport are mounted
+ * @param {HTMLElement} container - Receives the spacers and items (its other content is left alone)
+ * @param {Object} options - { count, renderItem(index), estimateHeight(index), scrollRoot (element or window), onUpdate(list) }
+ */
+function createWindowedList(container, options) {
+  const { count, renderItem, estimateHeight, scrollRoot, onUpdate } = options;
+  const heights = new Array(count).fill(null);   // Measured, margins included
+  const estimates = new Array(count).fill(null);
+  const mounted = new Map();                     // index → element
+  let windowed = count > WINDOW_MIN_ITEMS;
+  let frame = null;
+  let lastAnchor = null;
+  let list = null;
+
+  const topSpacer = document.createElement('div');
+  topSpacer.className = 'window-spacer';
+  const bottomSpacer = topSpacer.cloneNode();
+  container.appendChild(topSpacer);
+  container.appendChild(bottomSpacer);
+
+  // Items move under the viewport as spacers are resized; we keep them still ourselves (see update)
+  if (windowed) {
+    (scrollRoot === window ? document.documentElement : scrollRoot).style.overflowAnchor = 'none';
+  }
+
+  const getScroll = () => (scrollRoot === window ? window.scrollY : scrollRoot.scrollTop);
+  const scrollBy = (delta) => {
+    if (scrollRoot === window) window.scrollBy(0, delta);
+    else scrollRoot.scrollTop += delta;
+  };
+
+  const heightOf = (index) => {
+    if (heights[index] !== null) return heights[index];
+    if (estimates[index] === null) estimates[index] = estimateHeight(index);
+    return estimates[index];
+  };
+  const sumHeights = (from, to) => {
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += heightOf(i);
+    return sum;
+  };
+
+  // Viewport in list coordinates (0 = top of the first item)
+  const getViewport = () => {
+    const rootTop = scrollRoot === window ? 0 : scrollRoot.getBoundingClientRect().top;
+    const rootHeight = scrollRoot === window ? window.innerHeight : scrollRoot.clientHeight;
+    const origin = topSpacer.getBoundingClientRect().top;
+    return { rootTop, rootHeight, top: rootTop - origin, bottom: rootTop + rootHeight - origin };
+  };
+
+  const getRange = (view) => {
+    if (!windowed) return [0, count - 1];
+    let offset = 0;
+    let first = count - 1;
+    let last = count - 1;
+    let index = 0;
+    for (; index < count; index++) {
+      const height = heightOf(index);
+      if (offset + height > view.top - WINDOW_OVERSCAN_PX) {
+        first = index;
+        break;
+      }
+      offset += height;
+    }
+    for (; index < count; index++) {
+      if (offset > view.bottom + WINDOW_OVERSCAN_PX) {
+        last = index - 1;
+        break;
+      }
+      offset += heightOf(index);
+    }
+    return [first, Math.max(first, last)];
+  };
+
+  const getMountedInOrder = () => [...mounted].sort((a, b) => a[0] - b[0]);
+
+  // The first mounted item reaching into the viewport, and how far below the viewport top it starts
+  const findVisibleItem = (view) => {
+    for (const [index, el] of getMountedInOrder()) {
+      const rect = el.getBoundingClientRect();
+      if (rect.bottom > view.rootTop) return { index, offset: rect.top - view.rootTop, scroll: getScroll() };
+    }
+    return null;
+  };
+
+  const schedule = () => {
+    if (!frame) frame = requestAnimationFrame(update);
+  };
+
+  function update() {
+    if (frame) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+    if (count === 0) return;
+
+    const view = getViewport();
+    // Unscrolled since last time: an item changed height, so the last anchor stays where it was
+    const anchor = lastAnchor && lastAnchor.scroll === getScroll() && mounted.has(lastAnchor.index)
+      ? lastAnchor
+      : findVisibleItem(view);
+    const [first, last] = getRange(view);
+
+    mounted.forEach((el, index) => {
+      if (index < first || index > last) {
+        resizeObserver.unobserve(el);
+        el.remove();
+        mounted.delete(index);
+      }
+    });
+    let previous = topSpacer;
+    for (let index = first; index <= last; index++) {
+      let el = mounted.get(index);
+      if (!el) {
+        el = renderItem(index);
+        mounted.set(index, el);
+        previous.after(el);
+        resizeObserver.observe(el);
+      }
+      previous = el;
+    }
+    topSpacer.style.height = `${sumHeights(0, first)}px`;
+    bottomSpacer.style.height = `${sumHeights(last + 1, count)}px`;
+
+    // Measure while shown (a hidden panel would measure 0): each item runs to the next one's top
+    if (container.getClientRects().length > 0) {
+      const tops = [];
+      for (let index = first; index <= last; index++) tops.push(mounted.get(index).getBoundingClientRect().top);
+      tops.push(bottomSpacer.getBoundingClientRect().top);
+      for (let index = first; index <= last; index++) {
+        heights[index] = tops[index - first + 1] - tops[index - first];
+      }
+
+      if (anchor && mounted.has(anchor.index)) {
+        const delta = mounted.get(anchor.index).getBoundingClientRect().top - view.rootTop - anchor.offset;
+        if (Math.abs(delta) >= 1) scrollBy(delta);
+      }
+      lastAnchor = findVisibleItem(view);
+    }
+
+    if (onUpdate) onUpdate(list);
+  }
+
+  const resizeObserver = new ResizeObserver(schedule);
+  scrollRoot.addEventListener('scroll', schedule, { passive: true });
+  window.addEventListener('resize', schedule);
+
+  list = {
+    update,
+
+    /** Mounted element of an item, or null */
+    getElement: index => mounted.get(index) || null,
+
+    /** Measured height of an item (margins included), or null if it hasn't been shown */
+    getHeight: index => heights[index],
+
+    /** Mounted elements in list order */
+    getMountedElements: () => getMountedInOrder().map(([, el]) => el),
+
+    /** Mount an item, jumping to where it should be if it isn't mounted yet; returns its element */
+    scrollToIndex(index) {
+      if (index < 0 || index >= count) return null;
+      if (!mounted.has(index)) {
+        scrollBy(sumHeights(0, index) - getViewport().top);
+        lastAnchor = null;
+        update();
+      }
+      return mounted.get(index) || null;
+    },
+
+    /** The item taking up the largest share of the middle of the viewport, or -1 */
+    getMostVisibleIndex() {
+      const rootTop = scrollRoot === window ? 0 : scrollRoot.getBoundingClientRect().top;
+      const rootHeight = scrollRoot === window ? window.innerHeight : scrollRoot.clientHeight;
+      const bandTop = rootTop + rootHeight * WINDOW_TRACKING_MARGIN;
+      const bandBottom = rootTop + rootHeight * (1 - WINDOW_TRACKING_MARGIN);
+      let best = -1;
+      let bestRatio = 0;
+      getMountedInOrder().forEach(([index, el]) => {
+        const rect = el.getBoundingClientRect();
+        if (!rect.height) return;
+        const ratio = (Math.min(rect.bottom, bandBottom) - Math.max(rect.top, bandTop)) / rect.height;
+        if (ratio > bestRatio) {
+          bestRatio = ratio;
+          best = index;
+        }
+      });
+      return best;
+    },
+
+    /** Forget measured heights (zoom changed them); mounted items are measured again */
+    resetHeights() {
+      heights.fill(null);
+      estimates.fill(null);
+      schedule();
+    },
+
+    /** Mount everything (printing) or go back to windowing */
+    setWindowed(value) {
+      windowed = value && count > WINDOW_MIN_ITEMS;
+      lastAnchor = null;
+      update();
+    },
+
+    /** All items rendered into a detached fragment, for copies such as the print window */
+    renderAll() {
+      const fragment = document.createDocumentFragment();
+      for (let index = 0; index < count; index++) fragment.appendChild(renderItem(index));
+      return fragment;
+    },
+
+    destroy() {
+      if (frame) cancelAnimationFrame(frame);
+      resizeObserver.disconnect();
+      scrollRoot.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+    }
+  };
+
+  update();
+  return list;
+}
+
+/**
+ * Rough height of a chat turn before it has been shown, from its text length and the zoom
+ */
+function estimateChatTurnHeight(turn) {
+  const lines = getTurnAnswerText(turn).split('\n')
+    .reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / 90)), 0);
+  return (Math.max(150, 70 + lines * 24) * currentFontSize) / 100 + 24;
+}
+
+/**
+ * Rough height of an outline pair group before it has been shown
+ */
+function estimateOutlineGroupHeight(group) {
+  return 32 + group.length * 72;
+}
+
+/**
+ * Group turns into outline pair groups: each user turn starts one
+ */
+function buildOutlineGroups(turnList) {
+  outlineGroups = [];
+  outlineGroupOfTurn = [];
+  turnList.forEach((turn, index) => {
+    if (turn.type === 'user' || outlineGroups.length === 0) outlineGroups.push([]);
+    outlineGroups[outlineGroups.length - 1].push(index);
+    outlineGroupOfTurn[index] = outlineGroups.length - 1;
+  });
+  return outlineGroups;
+}
+
+/**
+ * A chat turn's element, mounted (and scrolled near) first if needed
+ */
+function getChatTurnElement(index) {
+  return chatTurnList ? chatTurnList.scrollToIndex(index) : document.getElementById(`turn-${index}`);
+}
+
+/**
+ * An outline item's element, with its pair group mounted (and scrolled near) first if needed
+ */
+function getOutlineItemElement(index) {
+  if (outlineGroupList && outlineGroupOfTurn[index] !== undefined) {
+    outlineGroupList.scrollToIndex(outlineGroupOfTurn[index]);
+  }
+  return document.getElementById(`outline-turn-${index}`);
+}
+
+/**
+ * Highlight the outline item of the turn in view (onUpdate of the chat list)
+ */
+function trackVisibleTurn(list) {
+  const index = list.getMostVisibleIndex();
+  if (index !== scrollHighlightedIndex) {
+    updateOutlineHighlight(index);
+  }
+}
+
+/**
+ * A copy of the whole outline, mounted or not (print window)
+ */
+function createFullOutlineCopy() {
+  const copy = document.createElement('div');
+  if (outlineGroupList) {
+    copy.appendChild(outlineGroupList.renderAll());
+  } else {
+    copy.innerHTML = document.getElementById('outlineContent').innerHTML;
+  }
+  return copy;
+}
+
+// Printing the page shows every turn
+window.addEventListener('beforeprint', () => {
+  [chatTurnList, outlineGroupList].forEach(list => list && list.setWindowed(false));
+});
+window.addEventListener('afterprint', () => {
+  [chatTurnList, outlineGroupList].forEach(list => list && list.setWindowed(true));
+});
+
+/**
+ * Every occurrence of the query in the turns' text: [{ index, occurrence }]
+ */
+function findChatSearchMatches(query) {
+  const matches = [];
+  const needle = query.toLowerCase();
+  if (!needle) return matches;
+
+  turns.forEach((turn, index) => {
+    const text = getTurnAnswerText(turn).toLowerCase();
+    let occurrence = 0;
+    for (let at = text.indexOf(needle); at !== -1 && matches.length < CHAT_SEARCH_MAX_MATCHES; at = text.indexOf(needle, at + needle.length)) {
+      matches.push({ index, occurrence: occurrence++ });
+    }
+  });
+  return matches;
+}
+
+/**
+ * Mark the search query in a mounted turn (called as turns are rendered)
+ */
+function highlightChatSearchMatches(turnEl) {
+  const needle = chatSearchState.query.toLowerCase();
+  const content = turnEl.querySelector('.turn-content');
+  if (!needle || !content) return;
+
+  const walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT, {
+    acceptNode: node => (node.parentElement.closest('svg, math, button, textarea, script, style')
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT)
+  });
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  textNodes.forEach(node => {
+    const text = node.nodeValue;
+    const lower = text.toLowerCase();
+    // Offsets only line up when lowercasing keeps the length
+    if (lower.length !== text.length || !lower.includes(needle)) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    for (let at = lower.indexOf(needle); at !== -1; at = lower.indexOf(needle, at + needle.length)) {
+      fragment.appendChild(document.createTextNode(text.slice(last, at)));
+      const mark = document.createElement('mark');
+      mark.className = 'chat-search-hit';
+      mark.textContent = text.slice(at, at + needle.length);
+      fragment.appendChild(mark);
+      last = at + needle.length;
+    }
+    fragment.appendChild(document.createTextNode(text.slice(last)));
+    node.replaceWith(fragment);
+  });
+}
+
+/**
+ * Remove search marks from a turn
+ */
+function clearChatSearchHighlights(turnEl) {
+  const marks = turnEl.querySelectorAll('mark.chat-search-hit');
+  if (marks.length === 0) return;
+  marks.forEach(mark => mark.replaceWith(mark.textContent));
+  turnEl.normalize();
+}
+
+/**
+ * Show "3 / 17" next to the search box
+ */
+function updateChatSearchCount() {
+  const count = document.getElementById('chatSearchCount');
+  if (!count) return;
+  const { query, matches, current } = chatSearchState;
+  if (!query) {
+    count.textContent = '';
+  } else if (matches.length === 0) {
+    count.textContent = 'No matches';
+  } else {
+    const total = matches.length >= CHAT_SEARCH_MAX_MATCHES ? `${matches.length}+` : matches.length;
+    count.textContent = `${current + 1} / ${total}`;
+  }
+}
+
+/**
+ * Search the loaded chat and go to the first match from the turn in view
+ */
+function searchChat(query) {
+  chatSearchState = { query: query.trim(), matches: findChatSearchMatches(query.trim()), current: -1 };
+  if (chatTurnList) {
+    chatTurnList.getMountedElements().forEach(el => {
+      clearChatSearchHighlights(el);
+      highlightChatSearchMatches(el);
+    });
+  }
+
+  const { matches } = chatSearchState;
+  if (matches.length > 0) {
+    const from = Math.max(0, scrollHighlightedIndex);
+    const next = matches.findIndex(match => match.index >= from);
+    showChatSearchMatch(next === -1 ? 0 : next);
+  }
+  updateChatSearchCount();
+}
+
+/**
+ * Go to the next (1) or previous (-1) match
+ */
+function stepChatSearch(step) {
+  const { matches, current } = chatSearchState;
+  if (matches.length === 0) return;
+  showChatSearchMatch(current === -1 ? 0 : (current + step + matches.length) % matches.length);
+}
+
+/**
+ * Scroll a match into view, mounting and expanding its turn as needed
+ */
+function showChatSearchMatch(matchIndex) {
+  chatSearchState.current = matchIndex;
+  updateChatSearchCount();
+  const match = chatSearchState.matches[matchIndex];
+
+  document.querySelectorAll('mark.chat-search-hit.current').forEach(mark => mark.classList.remove('current'));
+  const turnEl = getChatTurnElement(match.index);
+  if (!turnEl) return;
+  if (turnEl.classList.contains('collapsed')) {
+    toggleChatTurnCollapse(match.index);
+  }
+
+  // The answer text and the rendered turn can differ (formatting), so fall back to the first mark
+  const marks = turnEl.querySelectorAll('mark.chat-search-hit');
+  const target = marks[match.occurrence] || marks[0] || turnEl;
+  if (target !== turnEl) target.classList.add('current');
+  target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Find the same query again after the turns were rendered again (branch switch, sync)
+ */
+function refreshChatSearch() {
+  if (!chatSearchState.query) return;
+  chatSearchState.matches = findChatSearchMatches(chatSearchState.query);
+  chatSearchState.current = -1;
+  updateChatSearchCount();
+}
+
+/**
+ * Wire up the search box: typing searches, Enter / Shift+Enter step, Escape clears
+ */
+function setupChatSearch() {
+  const input = document.getElementById('chatSearchInput');
+  if (!input) return;
+
+  input.addEventListener('input', () => {
+    clearTimeout(chatSearchTimer);
+    chatSearchTimer = setTimeout(() => searchChat(input.value), CHAT_SEARCH_DEBOUNCE_MS);
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      clearTimeout(chatSearchTimer);
+      if (input.value.trim() !== chatSearchState.query) searchChat(input.value);
+      else stepChatSearch(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape') {
+      input.value = '';
+      searchChat('');
+      input.blur();
+    }
+  });
+
+  // Ctrl+F / Cmd+F opens this search while a chat is loaded; pressed again, the browser's own find
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== 'f') return;
+    if (turns.length === 0 || document.activeElement === input) return;
+    e.preventDefault();
+    input.focus();
+    input.select();
+  });
+}
+
+setupChatSearch();
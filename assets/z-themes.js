@@ -0,0 +1,237 @@
+/**
+ * Themes: light, dark and high-contrast sets of color tokens (--color-* custom properties, defined
+ * in styles.css under :root[data-theme="..."]). applyTheme() sets data-theme on <html>.
+ *
+ * Which theme: the header picker's choice for this browser (ChatWorkspace_themePrefs), else
+ * config.json's theme.default, else "auto" - high-contrast when the system asks for more contrast,
+ * otherwise dark or light following prefers-color-scheme.
+ *
+ * config.json can override tokens (camelCase names, CSS colors):
+ *   "theme": {
+ *     "default": "auto",                      // auto | light | dark | high-contrast
+ *     "tokens": { "accent": "#0f766e" },      // every theme
+ *     "dark": { "accent": "#2dd4bf" }         // one theme: "light", "dark" or "high-contrast"
+ *   }
+ * They only apply on screen: printing the page, and the window printOutline() opens, use
+ * PRINT_THEME_TOKENS (dark text on white, no tinted backgrounds).
+ */
+
+const THEMES = ['light', 'dark', 'high-contrast'];
+const THEME_LABELS = { auto: '🖥️ Auto', light: '☀️ Light', dark: '🌙 Dark', 'high-contrast': '◐ High contrast' };
+
+// Tokens config.json may set; accent and surface also get their "r, g, b" (--color-accent-rgb) for rgba()
+const THEME_TOKENS = [
+  'bg', 'surface', 'surfaceAlt', 'text', 'textMuted', 'textSubtle', 'border', 'borderStrong',
+  'accent', 'accentStrong', 'accentHover', 'accentSoft', 'accentBorder', 'onAccent', 'disabled',
+  'userBg', 'userAccent', 'userTint', 'assistantBg', 'assistantAccent', 'assistantTint',
+  'warningBg', 'warningText', 'warningBorder', 'danger', 'dangerBg', 'success', 'successBg', 'successText',
+  'highlight', 'highlightCurrent'
+];
+const THEME_RGB_TOKENS = ['accent', 'surface'];
+
+const PRINT_THEME_TOKENS = {
+  bg: '#ffffff',
+  surface: '#ffffff',
+  surfaceRgb: '255, 255, 255',
+  surfaceAlt: '#f5f5f5',
+  text: '#222222',
+  textMuted: '#444444',
+  textSubtle: '#666666',
+  inkRgb: '0, 0, 0',
+  border: '#bbbbbb',
+  borderStrong: '#888888',
+  accent: '#3f51b5',
+  accentRgb: '63, 81, 181',
+  accentStrong: '#5e35b1',
+  accentHover: '#303f9f',
+  accentSoft: '#f0f3ff',
+  accentBorder: '#c5cae9',
+  onAccent: '#ffffff',
+  disabled: '#cccccc',
+  userBg: '#ffffff',
+  userAccent: '#1976d2',
+  userTint: 'transparent',
+  assistantBg: '#ffffff',
+  assistantAccent: '#7b1fa2',
+  assistantTint: 'transparent',
+  warningBg: '#fff8e1',
+  warningText: '#5c4400',
+  warningBorder: '#ffc107',
+  danger: '#b91c1c',
+  dangerBg: '#fee2e2',
+  success: '#047857',
+  successBg: '#dcfce7',
+  successText: '#166534',
+  highlight: '#fef08a',
+  highlightCurrent: '#fdba74'
+};
+
+/**
+ * CSS custom property of a token name ("accentSoft" → "--color-accent-soft")
+ */
+function getThemeTokenProperty(name) {
+  return `--color-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * A config color if the browser accepts it as one, else null (keeps "; }" out of the style sheet)
+ */
+function sanitizeThemeColor(value) {
+  if (typeof value !== 'string' || /[;{}<>]/.test(value)) return null;
+  const color = value.trim();
+  return color && CSS.supports('color', color) ? color : null;
+}
+
+/**
+ * "r, g, b" of a CSS color, as the browser computes it, or null if it has none (e.g. currentColor)
+ */
+function getColorRgbTriplet(color) {
+  const probe = document.createElement('span');
+  probe.style.display = 'none';
+  probe.style.color = color;
+  document.body.appendChild(probe);
+  const computed = getComputedStyle(probe).color;
+  probe.remove();
+  const match = computed.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+  return match ? `${match[1]}, ${match[2]}, ${match[3]}` : null;
+}
+
+/**
+ * Valid tokens of a config object, as { property: value } (unknown names and bad colors are skipped)
+ */
+function getThemeTokenDeclarations(tokens) {
+  const declarations = {};
+  if (!tokens || typeof tokens !== 'object') return declarations;
+
+  Object.keys(tokens).forEach(name => {
+    if (!THEME_TOKENS.includes(name)) {
+      console.warn(`Unknown theme token "${name}" in config.json`);
+      return;
+    }
+    const color = sanitizeThemeColor(tokens[name]);
+    if (!color) {
+      console.warn(`Theme token "${name}" is not a color:`, tokens[name]);
+      return;
+    }
+    declarations[getThemeTokenProperty(name)] = color;
+    if (THEME_RGB_TOKENS.includes(name)) {
+      const rgb = getColorRgbTriplet(color);
+      if (rgb) declarations[getThemeTokenProperty(`${name}Rgb`)] = rgb;
+    }
+  });
+  return declarations;
+}
+
+/**
+ * A CSS rule setting token properties
+ */
+function buildThemeRule(selector, declarations) {
+  const lines = Object.keys(declarations).map(property => `  ${property}: ${declarations[property]};`);
+  return lines.length > 0 ? `${selector} {\n${lines.join('\n')}\n}` : '';
+}
+
+/**
+ * The print theme as a :root rule, for documents that don't load styles.css (printOutline())
+ */
+function getPrintThemeCss() {
+  const declarations = { 'color-scheme': 'light' };
+  Object.keys(PRINT_THEME_TOKENS).forEach(name => {
+    declarations[getThemeTokenProperty(name)] = PRINT_THEME_TOKENS[name];
+  });
+  return buildThemeRule(':root', declarations);
+}
+
+/**
+ * Write config.json's tokens (screen only) and the print theme into the page's theme style sheet
+ */
+function applyThemeTokens() {
+  let style = document.getElementById('themeTokens');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'themeTokens';
+    document.head.appendChild(style);
+  }
+
+  const config = (appConfig && appConfig.theme) || {};
+  // :root[data-theme] outranks styles.css's :root; the per-theme rules come later, so they win over "tokens"
+  const screenRules = [buildThemeRule(':root[data-theme]', getThemeTokenDeclarations(config.tokens))];
+  THEMES.forEach(theme => {
+    screenRules.push(buildThemeRule(`:root[data-theme="${theme}"]`, getThemeTokenDeclarations(config[theme])));
+  });
+  const printRule = getPrintThemeCss().replace(/^:root/, ':root, :root[data-theme]');
+
+  style.textContent = [
+    `@media screen {\n${screenRules.filter(Boolean).join('\n')}\n}`,
+    `@media print {\n${printRule}\n}`
+  ].join('\n');
+}
+
+/**
+ * The theme chosen in this browser: "auto" or one of THEMES
+ */
+function loadThemePreference() {
+  const prefs = readStoredRecord('ChatWorkspace_themePrefs', {});
+  if (prefs.theme === 'auto' || THEMES.includes(prefs.theme)) return prefs.theme;
+
+  const configured = appConfig && appConfig.theme && appConfig.theme.default;
+  return THEMES.includes(configured) ? configured : 'auto';
+}
+
+/**
+ * Theme to show for a preference ("auto" follows the system)
+ */
+function resolveTheme(preference) {
+  if (THEMES.includes(preference)) return preference;
+  if (window.matchMedia('(prefers-contrast: more)').matches) return 'high-contrast';
+  return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+/**
+ * Show the preferred theme and sync the picker
+ */
+function applyTheme() {
+  const preference = loadThemePreference();
+  document.documentElement.setAttribute('data-theme', resolveTheme(preference));
+
+  const select = document.getElementById('themeSelect');
+  if (select) select.value = preference;
+}
+
+/**
+ * Remember a theme for this browser ("auto" included) and show it
+ */
+function setThemePreference(preference) {
+  writeStoredRecord('ChatWorkspace_themePrefs', { theme: preference });
+  applyTheme();
+}
+
+/**
+ * Fill the header's theme picker
+ */
+function setupThemePicker() {
+  const select = document.getElementById('themeSelect');
+  if (!select) return;
+
+  ['auto', ...THEMES].forEach(theme => {
+    const option = document.createElement('option');
+    option.value = theme;
+    option.textContent = THEME_LABELS[theme];
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => setThemePreference(select.value));
+}
+
+// Follow system changes while on "auto"
+['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+  window.matchMedia(query).addEventListener('change', applyTheme);
+});
+
+// Another tab picked a theme
+chatStorage.onRemoteChange(key => {
+  if (key === 'ChatWorkspace_themePrefs') applyTheme();
+});
+
+// Until config.json and storage are loaded, follow the system (the page load applies the rest)
+setupThemePicker();
+applyTheme();
+applyThemeTokens();
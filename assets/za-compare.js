@@ -0,0 +1,687 @@
+/**
+ * Compare mode: two turns, or two stored chats, side by side with a word-level diff.
+ *
+ * - Turns: the ⇄ button on a chat turn compares it with any other turn of the chat,
+ *   alternate branches included (by default its next regenerated version, if it has one)
+ * - Chats: the library's compare action aligns the turns of two stored chats. Identical turns
+ *   are matched first; between them, turns of the same role that share enough words are paired
+ *   as "changed", and the rest are "added" (only in the right chat) or "removed" (only in the left)
+ *
+ * Both diffs are Myers' shortest edit script: over words for text, over turns for chats.
+ */
+
+const COMPARE_MAX_EDITS = 2000;        // Longer edit scripts are shown as a whole replacement
+const COMPARE_MIN_SIMILARITY = 0.3;    // Word overlap (Dice) for two turns to count as one changed turn
+const COMPARE_MAX_PAIRING_CELLS = 250000; // Bigger runs of differing turns are not paired
+const COMPARE_PREVIEW_LENGTH = 60;
+
+let compareRequestId = 0;    // Ignores chats that finish loading after another pick
+
+/**
+ * Shortest edit script between two arrays (Myers), as [{ type: 'same' | 'removed' | 'added', a, b }]
+ * with indexes into a and b, or null if it needs more than COMPARE_MAX_EDITS edits
+ */
+function findCompareEdits(a, b, isSame) {
+  const n = a.length;
+  const m = b.length;
+  const limit = Math.min(n + m, COMPARE_MAX_EDITS);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    // v for diagonals -d..d as step d found it (the furthest x reached in d - 1 edits)
+    trace.push(v.slice(offset - d, offset + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && isSame(a[x], b[y])) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return traceCompareEdits(trace, d, n, m);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Walk findCompareEdits()'s trace back from the end into the edit list
+ */
+function traceCompareEdits(trace, editCount, n, m) {
+  const edits = [];
+  let x = n;
+  let y = m;
+
+  for (let d = editCount; d > 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const fromInsert = k === -d || (k !== d && previous[k - 1 + d] < previous[k + 1 + d]);
+    const previousK = fromInsert ? k + 1 : k - 1;
+    const previousX = previous[previousK + d];
+    const previousY = previousX - previousK;
+    const startX = fromInsert ? previousX : previousX + 1;
+
+    while (x > startX) {
+      x--;
+      y--;
+      edits.push({ type: 'same', a: x, b: y });
+    }
+    if (fromInsert) {
+      edits.push({ type: 'added', b: previousY });
+    } else {
+      edits.push({ type: 'removed', a: previousX });
+    }
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0) {
+    x--;
+    y--;
+    edits.push({ type: 'same', a: x, b: y });
+  }
+  return edits.reverse();
+}
+
+/**
+ * Words, runs of whitespace and single punctuation marks
+ */
+function tokenizeCompareText(text) {
+  return String(text || '').match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+}
+
+/**
+ * Word-level diff of two texts: [{ type, left, right }] where "same" parts have both texts
+ * (they can differ in whitespace), "removed" only left and "added" only right
+ */
+function diffCompareText(leftText, rightText) {
+  const left = tokenizeCompareText(leftText);
+  const right = tokenizeCompareText(rightText);
+  const isSpace = token => /^\s/.test(token);
+  const isSame = (a, b) => a === b || (isSpace(a) && isSpace(b));
+
+  // Edit scripts get long fast; the common start and end don't need to go through Myers
+  let start = 0;
+  while (start < left.length && start < right.length && isSame(left[start], right[start])) start++;
+  let leftEnd = left.length;
+  let rightEnd = right.length;
+  while (leftEnd > start && rightEnd > start && isSame(left[leftEnd - 1], right[rightEnd - 1])) {
+    leftEnd--;
+    rightEnd--;
+  }
+
+  const leftMiddle = left.slice(start, leftEnd);
+  const rightMiddle = right.slice(start, rightEnd);
+  const edits = findCompareEdits(leftMiddle, rightMiddle, isSame) || [
+    ...leftMiddle.map((token, a) => ({ type: 'removed', a })),
+    ...rightMiddle.map((token, b) => ({ type: 'added', b }))
+  ];
+
+  const parts = [];
+  const push = (type, leftPart, rightPart) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.left += leftPart;
+      last.right += rightPart;
+    } else {
+      parts.push({ type, left: leftPart, right: rightPart });
+    }
+  };
+  for (let i = 0; i < start; i++) push('same', left[i], right[i]);
+  edits.forEach(edit => {
+    push(edit.type, edit.type === 'added' ? '' : leftMiddle[edit.a], edit.type === 'removed' ? '' : rightMiddle[edit.b]);
+  });
+  for (let i = leftEnd; i < left.length; i++) push('same', left[i], right[i - leftEnd + rightEnd]);
+
+  // "<del>a</del> <del>b</del>" reads worse than "<del>a b</del>": spaces between changes join them
+  const merged = [];
+  parts.forEach((part, i) => {
+    const isGap = part.type === 'same' && i > 0 && i < parts.length - 1 && !/\S/.test(part.left + part.right);
+    if (part.type === 'same' && !isGap) {
+      merged.push(part);
+      return;
+    }
+    let change = merged[merged.length - 1];
+    if (!change || change.type !== 'change') {
+      change = { type: 'change', left: '', right: '' };
+      merged.push(change);
+    }
+    change.left += part.left;
+    change.right += part.right;
+  });
+
+  return merged.flatMap(part => part.type !== 'change' ? [part] : [
+    ...(part.left ? [{ type: 'removed', left: part.left, right: '' }] : []),
+    ...(part.right ? [{ type: 'added', left: '', right: part.right }] : [])
+  ]);
+}
+
+/**
+ * Lowercased words of a text, for getCompareSimilarity()
+ */
+function getCompareWords(text) {
+  return new Set(String(text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []);
+}
+
+/**
+ * Share of words two texts have in common (Dice coefficient of their word sets, 0-1)
+ */
+function getCompareSimilarity(leftWords, rightWords) {
+  if (leftWords.size === 0 && rightWords.size === 0) return 1;
+  let shared = 0;
+  leftWords.forEach(word => {
+    if (rightWords.has(word)) shared++;
+  });
+  return (2 * shared) / (leftWords.size + rightWords.size);
+}
+
+/**
+ * Pair the turns of a run that differs in both chats: the order-keeping pairing with the most
+ * total similarity, counting only same-role pairs of at least COMPARE_MIN_SIMILARITY
+ * Returns rows [{ status: 'changed' | 'removed' | 'added', left, right }]
+ */
+function pairCompareTurns(leftTurns, leftIndexes, rightTurns, rightIndexes) {
+  const rows = [];
+  const n = leftIndexes.length;
+  const m = rightIndexes.length;
+  if (n === 0 || m === 0 || n * m > COMPARE_MAX_PAIRING_CELLS) {
+    leftIndexes.forEach(left => rows.push({ status: 'removed', left, right: null }));
+    rightIndexes.forEach(right => rows.push({ status: 'added', left: null, right }));
+    return rows;
+  }
+
+  const leftWords = leftIndexes.map(index => getCompareWords(getTurnAnswerText(leftTurns[index])));
+  const rightWords = rightIndexes.map(index => getCompareWords(getTurnAnswerText(rightTurns[index])));
+  const similarity = (i, j) => {
+    if (leftTurns[leftIndexes[i]].type !== rightTurns[rightIndexes[j]].type) return 0;
+    const score = getCompareSimilarity(leftWords[i], rightWords[j]);
+    return score >= COMPARE_MIN_SIMILARITY ? score : 0;
+  };
+
+  // best[i][j]: best total for the first i left and j right turns
+  const best = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+  const scores = Array.from({ length: n }, () => new Float64Array(m));
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      scores[i - 1][j - 1] = similarity(i - 1, j - 1);
+      const paired = scores[i - 1][j - 1] > 0 ? best[i - 1][j - 1] + scores[i - 1][j - 1] : 0;
+      best[i][j] = Math.max(best[i - 1][j], best[i][j - 1], paired);
+    }
+  }
+
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && scores[i - 1][j - 1] > 0 && best[i][j] === best[i - 1][j - 1] + scores[i - 1][j - 1]) {
+      rows.push({ status: 'changed', left: leftIndexes[--i], right: rightIndexes[--j] });
+    } else if (j > 0 && (i === 0 || best[i][j] === best[i][j - 1])) {
+      rows.push({ status: 'added', left: null, right: rightIndexes[--j] });
+    } else {
+      rows.push({ status: 'removed', left: leftIndexes[--i], right: null });
+    }
+  }
+  return rows.reverse();
+}
+
+/**
+ * Line up the turns of two chats: [{ status: 'same' | 'changed' | 'removed' | 'added', left, right }]
+ * with turn indexes (null on the side a turn is missing from)
+ */
+function alignCompareTurns(leftTurns, rightTurns) {
+  const getKey = turn => `${turn.type}\n${String(turn.content || '').replace(/\s+/g, ' ').trim()}`;
+  const leftKeys = leftTurns.map(getKey);
+  const rightKeys = rightTurns.map(getKey);
+  const edits = findCompareEdits(leftKeys, rightKeys, (a, b) => a === b) || [
+    ...leftKeys.map((key, a) => ({ type: 'removed', a })),
+    ...rightKeys.map((key, b) => ({ type: 'added', b }))
+  ];
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    rows.push(...pairCompareTurns(leftTurns, removed, rightTurns, added));
+    removed = [];
+    added = [];
+  };
+  edits.forEach(edit => {
+    if (edit.type === 'same') {
+      flush();
+      rows.push({ status: 'same', left: edit.a, right: edit.b });
+    } else if (edit.type === 'removed') {
+      removed.push(edit.a);
+    } else {
+      added.push(edit.b);
+    }
+  });
+  flush();
+  return rows;
+}
+
+/**
+ * One side of a diff: the text with its removed or added parts marked
+ */
+function createCompareSide(parts, side) {
+  const sideEl = document.createElement('div');
+  sideEl.className = `compare-side compare-${side}`;
+
+  const changedType = side === 'left' ? 'removed' : 'added';
+  parts.forEach(part => {
+    const text = part[side];
+    if (!text) return;
+    if (part.type === changedType) {
+      const mark = document.createElement(side === 'left' ? 'del' : 'ins');
+      mark.className = `compare-${changedType}`;
+      mark.textContent = text;
+      sideEl.appendChild(mark);
+    } else {
+      sideEl.appendChild(document.createTextNode(text));
+    }
+  });
+
+  if (!sideEl.hasChildNodes()) {
+    sideEl.classList.add('compare-empty');
+    sideEl.textContent = 'No text';
+  }
+  return sideEl;
+}
+
+/**
+ * Side-by-side word diff of two texts (null on a side the turn is missing from)
+ */
+function createCompareDiff(leftText, rightText) {
+  const diff = document.createElement('div');
+  diff.className = 'compare-diff';
+
+  const parts = leftText === null
+    ? [{ type: 'added', left: '', right: rightText }]
+    : rightText === null
+      ? [{ type: 'removed', left: leftText, right: '' }]
+      : diffCompareText(leftText, rightText);
+
+  [['left', leftText], ['right', rightText]].forEach(([side, text]) => {
+    if (text === null) {
+      const missing = document.createElement('div');
+      missing.className = `compare-side compare-${side} compare-missing`;
+      missing.textContent = 'Not in this chat';
+      diff.appendChild(missing);
+    } else {
+      diff.appendChild(createCompareSide(parts, side));
+    }
+  });
+  return diff;
+}
+
+/**
+ * Short one-line text of a turn, for labels
+ */
+function getComparePreview(turn) {
+  const text = getTurnAnswerText(turn).replace(/\s+/g, ' ').trim();
+  return text.length > COMPARE_PREVIEW_LENGTH ? `${text.slice(0, COMPARE_PREVIEW_LENGTH)}...` : text;
+}
+
+/**
+ * "#3 👤 User" for a turn number and role
+ */
+function getCompareTurnLabel(number, turn) {
+  return `#${number} ${turn.type === 'user' ? '👤 User' : '🤖 Assistant'}`;
+}
+
+/**
+ * Every turn of the open chat that can be compared: the selected path, then each alternate
+ * branch turn (g-branches.js) after the turn it is an alternate of
+ * Returns [{ turn, index, label }] (index: position on the path, or null for alternates)
+ */
+function getCompareTurnChoices() {
+  const choices = turns.map((turn, index) => ({
+    turn,
+    index,
+    order: index,
+    label: `${getCompareTurnLabel(index + 1, turn)} · ${getComparePreview(turn)}`
+  }));
+
+  // Main path turns the selected path left, and stored branch nodes
+  const onPath = new Set(turns.map(turn => turn.msgId));
+  const branchData = loadBranchData();
+  const offPath = [
+    ...mainTurns.map((turn, i) => ({ turn, parentKey: i === 0 ? BRANCH_ROOT_KEY : mainTurns[i - 1].msgId })),
+    ...branchData.nodes.map(node => ({ turn: node, parentKey: node.parent || BRANCH_ROOT_KEY }))
+  ].filter(({ turn }) => !onPath.has(turn.msgId));
+
+  offPath.forEach(({ turn, parentKey }) => {
+    const parentIndex = parentKey === BRANCH_ROOT_KEY ? -1 : turns.findIndex(t => t.msgId === parentKey);
+    const onBranchOfPath = parentKey === BRANCH_ROOT_KEY || parentIndex !== -1;
+    choices.push({
+      turn,
+      index: null,
+      // Alternates of a path turn go right after it; ones deeper in other branches go last
+      order: onBranchOfPath ? parentIndex + 1.5 : Infinity,
+      label: `${onBranchOfPath ? getCompareTurnLabel(parentIndex + 2, turn) : (turn.type === 'user' ? '👤 User' : '🤖 Assistant')} ↳ alternate · ${getComparePreview(turn)}`
+    });
+  });
+
+  return choices.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Default turn to compare a path turn with: its next sibling branch (e.g. a regenerated answer),
+ * else the closest earlier turn of the same role, else the closest later one
+ */
+function getDefaultCompareChoice(choices, index) {
+  const { siblings, position } = getTurnBranchInfo(index);
+  if (siblings.length > 1) {
+    const sibling = siblings[(position + 1) % siblings.length];
+    const choice = choices.find(c => c.turn.msgId === sibling.msgId);
+    if (choice) return choice;
+  }
+
+  const type = turns[index].type;
+  const pathChoices = choices.filter(c => c.index !== null && c.index !== index && c.turn.type === type);
+  const earlier = pathChoices.filter(c => c.index < index);
+  return earlier[earlier.length - 1] || pathChoices[0] || choices.find(c => c.index === index);
+}
+
+/**
+ * Build the compare modal (import-modal layout) and return its parts
+ */
+function createCompareModal(title) {
+  closeCompareModal();
+
+  const modal = document.createElement('div');
+  modal.className = 'import-modal compare-modal';
+
+  const modalContent = document.createElement('div');
+  modalContent.className = 'import-modal-content';
+
+  const modalHeader = document.createElement('div');
+  modalHeader.className = 'import-modal-header';
+
+  const modalTitle = document.createElement('div');
+  modalTitle.className = 'import-modal-title';
+  modalTitle.textContent = title;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'import-modal-close';
+  closeBtn.innerHTML = '✕';
+  closeBtn.title = 'Close';
+  closeBtn.addEventListener('click', closeCompareModal);
+
+  modalHeader.appendChild(modalTitle);
+  modalHeader.appendChild(closeBtn);
+
+  const controls = document.createElement('div');
+  controls.className = 'compare-controls';
+
+  const summary = document.createElement('div');
+  summary.className = 'compare-summary';
+
+  const body = document.createElement('div');
+  body.className = 'import-modal-body compare-body';
+
+  modalContent.appendChild(modalHeader);
+  modalContent.appendChild(controls);
+  modalContent.appendChild(summary);
+  modalContent.appendChild(body);
+  modal.appendChild(modalContent);
+
+  // Close on backdrop click (but not when selecting text inside modal)
+  let modalMouseDownTarget = null;
+  modal.addEventListener('mousedown', (e) => {
+    modalMouseDownTarget = e.target;
+  });
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal && modalMouseDownTarget === modal) {
+      closeCompareModal();
+    }
+  });
+  document.addEventListener('keydown', handleCompareKeydown);
+
+  document.body.appendChild(modal);
+  return { controls, summary, body };
+}
+
+/**
+ * Close the compare modal
+ */
+function closeCompareModal() {
+  const modal = document.querySelector('.compare-modal');
+  if (modal) {
+    modal.remove();
+  }
+  document.removeEventListener('keydown', handleCompareKeydown);
+}
+
+/**
+ * Close on Escape key
+ */
+function handleCompareKeydown(e) {
+  if (e.key === 'Escape') {
+    closeCompareModal();
+  }
+}
+
+/**
+ * A labelled select for one side of the comparison
+ */
+function createCompareSelect(side, options, selectedValue, onChange) {
+  const label = document.createElement('label');
+  label.className = 'compare-pick';
+  label.textContent = side === 'left' ? 'Left' : 'Right';
+
+  const select = document.createElement('select');
+  select.className = 'restore-action-select compare-select';
+  options.forEach(({ value, label: text }) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  });
+  select.value = selectedValue;
+  select.addEventListener('change', () => onChange(select.value));
+
+  label.appendChild(select);
+  return label;
+}
+
+/**
+ * "2 changed · 1 added" line of counts (zero counts left out)
+ */
+function formatCompareCounts(counts) {
+  const text = ['changed', 'added', 'removed', 'same']
+    .filter(status => counts[status])
+    .map(status => `${counts[status]} ${status === 'same' ? 'unchanged' : status}`)
+    .join(' · ');
+  return text || 'Nothing to compare';
+}
+
+/**
+ * Number of words in the removed and added parts of a diff
+ */
+function countCompareWords(parts) {
+  const counts = { removed: 0, added: 0 };
+  parts.forEach(part => {
+    if (part.type === 'same') return;
+    const text = part.type === 'removed' ? part.left : part.right;
+    counts[part.type] += tokenizeCompareText(text).filter(token => /\S/.test(token)).length;
+  });
+  return counts;
+}
+
+/**
+ * Compare a turn of the open chat with another one (the ⇄ button on chat turns)
+ */
+function compareTurns(index) {
+  if (!turns[index]) return;
+
+  const choices = getCompareTurnChoices();
+  let leftChoice = choices.find(c => c.index === index);
+  let rightChoice = getDefaultCompareChoice(choices, index);
+
+  const { controls, summary, body } = createCompareModal('⇄ Compare turns');
+  const options = choices.map((choice, i) => ({ value: String(i), label: choice.label }));
+
+  const render = () => {
+    const leftText = getTurnAnswerText(leftChoice.turn);
+    const rightText = getTurnAnswerText(rightChoice.turn);
+    const counts = countCompareWords(diffCompareText(leftText, rightText));
+    summary.textContent = leftText === rightText
+      ? 'The two turns have the same text'
+      : `${counts.removed} word${counts.removed === 1 ? '' : 's'} removed · ${counts.added} word${counts.added === 1 ? '' : 's'} added`;
+
+    body.innerHTML = '';
+    body.appendChild(createCompareDiff(leftText, rightText));
+  };
+
+  controls.appendChild(createCompareSelect('left', options, String(choices.indexOf(leftChoice)), value => {
+    leftChoice = choices[value];
+    render();
+  }));
+  controls.appendChild(createCompareSelect('right', options, String(choices.indexOf(rightChoice)), value => {
+    rightChoice = choices[value];
+    render();
+  }));
+  render();
+}
+
+/**
+ * Turns of a stored chat as it shows when opened (selected branches), or null if its text is gone
+ */
+async function loadCompareChatTurns(chatId) {
+  const savedHtml = await readChatHtml(chatId) || await restoreOffloadedChatHtml(chatId);
+  if (savedHtml === null) return null;
+
+  const settings = readStoredRecord(`ChatWorkspace_${chatId}`, {});
+  const branches = readStoredRecord(`ChatWorkspace_${chatId}_branches`, {});
+  const chatTurns = parseChatInput(savedHtml, settings.parser).turns;
+  return buildBranchPath(chatTurns, { nodes: branches.nodes || [], order: branches.order || {}, selected: branches.selected || {} });
+}
+
+/**
+ * One aligned row of a chat comparison
+ */
+function createCompareRow(row, leftTurns, rightTurns) {
+  const rowEl = document.createElement('div');
+  rowEl.className = `compare-row ${row.status}`;
+
+  const header = document.createElement('div');
+  header.className = 'compare-row-header';
+
+  const badge = document.createElement('span');
+  badge.className = 'compare-badge';
+  badge.textContent = { same: 'Same', changed: 'Changed', added: 'Added', removed: 'Removed' }[row.status];
+  header.appendChild(badge);
+
+  const leftTurn = row.left === null ? null : leftTurns[row.left];
+  const rightTurn = row.right === null ? null : rightTurns[row.right];
+  const turnLabel = document.createElement('span');
+  turnLabel.className = 'compare-row-turns';
+  turnLabel.textContent = [
+    leftTurn ? getCompareTurnLabel(row.left + 1, leftTurn) : '—',
+    rightTurn ? getCompareTurnLabel(row.right + 1, rightTurn) : '—'
+  ].join('  ⇄  ');
+  header.appendChild(turnLabel);
+  rowEl.appendChild(header);
+
+  const buildDiff = () => createCompareDiff(
+    leftTurn ? getTurnAnswerText(leftTurn) : null,
+    rightTurn ? getTurnAnswerText(rightTurn) : null
+  );
+
+  if (row.status !== 'same') {
+    rowEl.appendChild(buildDiff());
+    return rowEl;
+  }
+
+  // Unchanged turns show a preview; their text is built when expanded
+  const preview = document.createElement('span');
+  preview.className = 'compare-row-preview';
+  preview.textContent = getComparePreview(leftTurn);
+  header.appendChild(preview);
+  header.title = 'Show text';
+  header.addEventListener('click', () => {
+    const diff = rowEl.querySelector('.compare-diff');
+    if (diff) {
+      diff.remove();
+      header.title = 'Show text';
+    } else {
+      rowEl.appendChild(buildDiff());
+      header.title = 'Hide text';
+    }
+  });
+  return rowEl;
+}
+
+/**
+ * Compare two stored chats turn by turn (the library's compare action)
+ */
+function compareStoredChats(chatId) {
+  const chats = listStoredChats();
+  const others = chats.filter(chat => chat.chatId !== chatId);
+  if (others.length === 0) {
+    alert('⚠️ There is no other stored chat to compare this one with. Load or import another version first.');
+    return;
+  }
+
+  let leftId = chatId;
+  let rightId = (others.find(chat => chat.chatId === currentChatId) || others[0]).chatId;
+
+  const { controls, summary, body } = createCompareModal('⇄ Compare chats');
+  const options = chats.map(chat => {
+    const detail = chat.htmlOffloaded ? 'on the share server' : formatChatTurnCount(chat);
+    return { value: chat.chatId, label: detail ? `${chat.title} (${detail})` : chat.title };
+  });
+
+  const differencesOnly = document.createElement('label');
+  differencesOnly.className = 'import-select-all compare-differences-only';
+  const differencesCheckbox = document.createElement('input');
+  differencesCheckbox.type = 'checkbox';
+  differencesCheckbox.checked = true;
+  differencesCheckbox.addEventListener('change', () => {
+    body.classList.toggle('compare-hide-same', differencesCheckbox.checked);
+  });
+  differencesOnly.appendChild(differencesCheckbox);
+  differencesOnly.appendChild(document.createTextNode(' Only differences'));
+  body.classList.add('compare-hide-same');
+
+  const render = async () => {
+    const requestId = ++compareRequestId;
+    summary.textContent = 'Loading...';
+    body.innerHTML = '';
+
+    const [leftTurns, rightTurns] = await Promise.all([loadCompareChatTurns(leftId), loadCompareChatTurns(rightId)]);
+    if (requestId !== compareRequestId) return;
+    if (!leftTurns || !rightTurns) {
+      summary.textContent = '❌ The text of a chat could not be loaded (its copy on the share server is unavailable).';
+      return;
+    }
+
+    const rows = alignCompareTurns(leftTurns, rightTurns);
+    const counts = {};
+    rows.forEach(row => {
+      counts[row.status] = (counts[row.status] || 0) + 1;
+    });
+    summary.textContent = rows.length > 0 && rows.every(row => row.status === 'same')
+      ? `The two chats have the same ${rows.length} turn${rows.length === 1 ? '' : 's'}`
+      : formatCompareCounts(counts);
+
+    const fragment = document.createDocumentFragment();
+    rows.forEach(row => fragment.appendChild(createCompareRow(row, leftTurns, rightTurns)));
+    body.appendChild(fragment);
+  };
+
+  controls.appendChild(createCompareSelect('left', options, leftId, value => {
+    leftId = value;
+    render();
+  }));
+  controls.appendChild(createCompareSelect('right', options, rightId, value => {
+    rightId = value;
+    render();
+  }));
+  controls.appendChild(differencesOnly);
+  render();
+}
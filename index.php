@@ -12,16 +12,23 @@
   <header>
     <a href="./" style="text-decoration:none; color:unset;"><h1>🧠 ChatGPT ChatWorkspace</h1></a>
     <p>Import, store, and navigate ChatGPT conversations</p>
+    <select id="themeSelect" class="theme-select" title="Theme for this browser" aria-label="Theme"></select>
   </header>
 
   <div class="input-section">
     <textarea 
       id="htmlInput" 
-      placeholder="Paste ChatGPT conversation HTML here...&#10;&#10;Tip: Run this in browser console on ChatGPT:&#10;document.querySelector('[data-turn-id]').parentElement.innerHTML"
+      placeholder="Paste ChatGPT, Claude, Gemini or Copilot conversation HTML, or a text/Markdown transcript, here...&#10;&#10;Tip: Use the 🔖 Capture Bookmarklet, or run this in browser console on ChatGPT:&#10;document.querySelector('[data-turn-id]').parentElement.innerHTML"
     ></textarea>
     <div class="button-group">
       <button id="loadBtn" onclick="loadChat()">Load Chat</button>
       <button id="shareBtn" class="share-btn" onclick="handleShareClick()" disabled>🔗 Share</button>
+      <button id="importExportBtn" class="import-btn" onclick="document.getElementById('exportFileInput').click()" title="Import conversations.json or the zip from ChatGPT's Export data">📦 Import Export</button>
+      <input type="file" id="exportFileInput" accept=".json,.zip,application/json,application/zip" hidden>
+      <button id="openFilesBtn" class="import-btn" onclick="document.getElementById('chatFileInput').click()" title="Open saved .html/.mhtml pages, shared .json files or .txt/.md transcripts (or drop them here)">📂 Open Files</button>
+      <input type="file" id="chatFileInput" multiple hidden>
+      <button id="libraryBtn" class="import-btn" onclick="toggleLibrary()" title="Show every chat stored in this browser">📚 Library</button>
+      <button id="captureBookmarkletBtn" class="import-btn" onclick="showCaptureBookmarkletModal()" title="Get a bookmarklet that sends a ChatGPT conversation straight here">🔖 Capture Bookmarklet</button>
     </div>
   </div>
 
@@ -35,9 +42,31 @@
     <div id="detectedLinks" class="detected-links"></div>
   </div>
 
+  <div id="librarySection" class="library-section" hidden>
+    <div class="library-header">
+      <span class="library-title">📚 Library <span id="libraryCount" class="library-count"></span></span>
+      <input type="text" id="libraryFilter" class="import-filter-input" placeholder="Filter by title...">
+      <button class="library-action-btn" onclick="downloadWorkspaceBackup()" title="Download every stored chat and its annotations as one backup file">💾 Back Up</button>
+      <button class="library-action-btn" onclick="document.getElementById('backupFileInput').click()" title="Restore chats from a backup file">♻️ Restore</button>
+      <input type="file" id="backupFileInput" accept=".json,application/json" hidden>
+      <button class="library-action-btn" onclick="showStoragePanel()" title="See how much space each chat uses and free some">📊 Storage</button>
+      <button class="library-close-btn" onclick="hideLibrary()" title="Close">✕</button>
+    </div>
+    <div id="libraryList" class="library-list"></div>
+  </div>
+
   <div class="main-container">
     <div id="chatPanel" class="panel">
-      <div class="panel-header">💬 Chat View</div>
+      <div class="panel-header">
+        <span>💬 Chat View</span>
+        <div class="chat-search">
+          <input type="search" id="chatSearchInput" placeholder="Search this chat" aria-label="Search this chat">
+          <span id="chatSearchCount" class="chat-search-count"></span>
+          <button class="chat-search-step" onclick="stepChatSearch(-1)" title="Previous match (Shift+Enter)">↑</button>
+          <button class="chat-search-step" onclick="stepChatSearch(1)" title="Next match (Enter)">↓</button>
+        </div>
+        <span id="chatSourceLabel" class="chat-source-label"></span>
+      </div>
       <div id="chatContent" class="panel-content">
         <div class="empty-state">
           <!-- <div class="empty-state-icon">📭</div> -->
@@ -83,6 +112,8 @@
         </div>
       </div>
       <div class="outline-reset-controls">
+        <button id="undoBtn" class="reset-btn" onclick="undoHistory()" title="Nothing to undo" disabled>↶</button>
+        <button id="redoBtn" class="reset-btn" onclick="redoHistory()" title="Nothing to redo" disabled>↷</button>
         <button class="reset-btn" onclick="handleResetClick()" title="Reset to default">↺</button>
       </div>
     </div>
@@ -90,6 +121,29 @@
 
   <script src="assets/c-hash-chat.js"></script>
   <script src="assets/d-render-chat.js"></script>
+  <script src="assets/e-chatgpt-export.js"></script>
+  <script src="assets/f-chat-parsers.js"></script>
+  <script src="assets/g-branches.js"></script>
+  <script src="assets/h-attachments.js"></script>
+  <script src="assets/i-chat-continuation.js"></script>
+  <script src="assets/j-capture.js"></script>
+  <script src="assets/k-file-import.js"></script>
+  <script src="assets/l-turn-metadata.js"></script>
+  <script src="assets/m-library.js"></script>
+  <script src="assets/n-storage.js"></script>
+  <script src="assets/o-backup.js"></script>
+  <script src="assets/p-history.js"></script>
+  <script src="assets/q-schema.js"></script>
+  <script src="assets/r-sync.js"></script>
+  <script src="assets/s-chat-html.js"></script>
+  <script src="assets/t-storage-usage.js"></script>
+  <script src="assets/u-markdown.js"></script>
+  <script src="assets/v-code-blocks.js"></script>
+  <script src="assets/w-math.js"></script>
+  <script src="assets/x-diagrams.js"></script>
+  <script src="assets/y-windowed-turns.js"></script>
+  <script src="assets/z-themes.js"></script>
+  <script src="assets/za-compare.js"></script>
   <script>
     function copyConsoleCommand() {
       const command = document.getElementById('consoleCommand').textContent;
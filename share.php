@@ -43,10 +43,16 @@ $outline = isset($data['outline']) ? $data['outline'] : null;
 $comments = isset($data['comments']) ? $data['comments'] : null;
 $indents = isset($data['indents']) ? $data['indents'] : null;
 $notes = isset($data['notes']) ? $data['notes'] : null;
+$branches = isset($data['branches']) ? $data['branches'] : null;
+$attachments = isset($data['attachments']) ? $data['attachments'] : null;
+
+// Schema version of the data fields (payloads from before versioning are version 1)
+$schemaVersion = isset($data['schemaVersion']) ? (int)$data['schemaVersion'] : 1;
 
 // Prepare the shared data
 $sharedData = [
     'conversationId' => $conversationId,
+    'schemaVersion' => $schemaVersion,
     'timestamp' => date('c'),
     'data' => []
 ];
@@ -70,6 +76,12 @@ if ($indents !== null && !empty($indents)) {
 if ($notes !== null && !empty($notes)) {
     $sharedData['data']['notes'] = $notes;
 }
+if ($branches !== null && !empty($branches)) {
+    $sharedData['data']['branches'] = $branches;
+}
+if ($attachments !== null && !empty($attachments)) {
+    $sharedData['data']['attachments'] = $attachments;
+}
 
 // Create shared directory if it doesn't exist
 $sharedDir = __DIR__ . '/shared';